@@ -7,14 +7,18 @@ const path = require('path');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const DB_PATH = path.join(__dirname, 'data', 'db.json');
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data', 'db.json');
 
-// New: Simulated processing time
-const EXTRA_PROCESSING_TIME = parseInt(process.env.EXTRA_PROCESSING_TIME, 10) || 1000;
+// New: Simulated processing time (EXTRA_PROCESSING_TIME=0 to answer at once)
+const EXTRA_PROCESSING_TIME = process.env.EXTRA_PROCESSING_TIME !== undefined
+    ? parseInt(process.env.EXTRA_PROCESSING_TIME, 10) || 0
+    : 1000;
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 
 app.use(cors("*"));
+// Gzipped bodies (compression option of the SDK) rely on bodyParser.json inflating by default;
+// the limit applies to the inflated body
 app.use(bodyParser.json({ limit: '50mb' })); // Increase limit for large chunks
 
 // Helper to read DB
@@ -89,8 +93,83 @@ const validateBin = (bin, existingBins) => {
     return errors;
 };
 
+// Reference tables, resolved from labels by the SDK lookups option
+const REFERENCE_TABLES = {
+    types: [
+        { id: 1, label: 'Bin 120L' },
+        { id: 2, label: 'Bin 240L' },
+        { id: 3, label: 'Container 660L' },
+        { id: 4, label: 'Underground 3000L' }
+    ],
+    categories: [
+        { id: 1, label: 'Household waste' },
+        { id: 2, label: 'Recycling' },
+        { id: 3, label: 'Glass' },
+        { id: 4, label: 'Organic' }
+    ],
+    makes: [
+        { id: 1, label: 'Contenur' },
+        { id: 2, label: 'Sulo' },
+        { id: 3, label: 'Plastic Omnium' }
+    ]
+};
+
+app.get('/geored/bin/service/reference/:table', (req, res) => {
+    const table = REFERENCE_TABLES[req.params.table];
+    if (!table) {
+        return res.status(404).json({ message: `Unknown reference table '${req.params.table}'` });
+    }
+    res.json(table);
+});
+
+// Responses of import batches by Idempotency-Key (sent by the SDK with every batch, retries included)
+const IDEMPOTENCY_CACHE_SIZE = 10000;
+const idempotentResponses = new Map(); // key -> Promise<{ status, body }>, oldest first
+
+// A batch sent again after a timeout gets the stored response instead of being imported twice
+const replayIdempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    const correlation = `import ${req.get('X-Import-Id') || '?'}, session ${req.get('X-Session-Id') || '?'}`;
+    // Same key still being processed: wait for its response. When that attempt failed, the
+    // first waiter takes the key over and the others wait again, on its attempt
+    while (idempotentResponses.has(key)) {
+        const stored = await idempotentResponses.get(key);
+        if (stored) {
+            console.log(`Replaying response of batch ${key} (${correlation})`);
+            return res.status(stored.status).set('Idempotent-Replayed', 'true').json(stored.body);
+        }
+    }
+
+    let settle;
+    const pending = new Promise(resolve => { settle = resolve; });
+    idempotentResponses.set(key, pending);
+    if (idempotentResponses.size > IDEMPOTENCY_CACHE_SIZE) {
+        idempotentResponses.delete(idempotentResponses.keys().next().value);
+    }
+
+    // Settled by whatever ends the response (JSON, error page, res.end), even when the
+    // client gave up waiting: that is the batch its retry must not import again
+    let body;
+    const json = res.json.bind(res);
+    res.json = (value) => {
+        body = value;
+        return json(value);
+    };
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+        // Only JSON answers are replayed; a batch that failed on our side may be sent again
+        const stored = body !== undefined && res.statusCode < 500 ? { status: res.statusCode, body } : null;
+        if (!stored && idempotentResponses.get(key) === pending) idempotentResponses.delete(key);
+        settle(stored);
+        return end(...args);
+    };
+    next();
+};
+
 // Import Endpoint
-app.post('/geored/bin/service/import', async (req, res) => {
+app.post('/geored/bin/service/import', replayIdempotent, async (req, res) => {
     // New: Simulate delay
     if (EXTRA_PROCESSING_TIME > 0) {
         await sleep(EXTRA_PROCESSING_TIME);
@@ -174,6 +253,11 @@ app.post('/geored/bin/service/import', async (req, res) => {
     });
 });
 
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-});
+// Started with `node server.js`; tests require the app and the idempotency middleware
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Server running on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { app, replayIdempotent, idempotentResponses };
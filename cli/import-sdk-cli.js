@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * ImportSDK CLI
+ * Runs the ImportSDK pipeline (filter → transform → validate → send) from a terminal
+ * and writes the same errors/success/filtered exports as the browser widget.
+ *
+ * Usage: import-sdk <csv_file> --endpoint <url> --config <config.js> [options]
+ * Example: import-sdk tanks.csv --endpoint http://localhost:3000/api/import --config tanks.config.js --out ./results
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { File } = require('buffer');
+
+// The engine expects Papa as a global, like in the browser
+global.Papa = require('papaparse');
+const { ImportEngine } = require('../frontend/import-sdk.js');
+
+const USAGE = `Usage: import-sdk <csv_file> --endpoint <url> --config <config.js> [options]
+
+Options:
+  --endpoint <url>      API endpoint (overrides apiEndpoint from the config)
+  --config <file>       CommonJS module exporting the ImportSDK.init config
+  --check               Validate only, nothing is sent to the API
+  --out <dir>           Directory for export files (default: current directory)
+  --export <types>      Comma-separated exports: errors,success,filtered,logs
+                        (default: errors,success,filtered)
+  --chunk-size <n>      Override chunkSize
+  --concurrency <n>     Override concurrency
+  --sheet <name>        Sheet to import from an .xlsx file (default: first visible sheet)
+  --verbose             Print every log line
+  -h, --help            Show this help`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        csvFile: null,
+        endpoint: null,
+        configFile: null,
+        mode: 'import',
+        outDir: process.cwd(),
+        exports: ['errors', 'success', 'filtered'],
+        chunkSize: null,
+        concurrency: null,
+        sheet: null,
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--endpoint':
+                options.endpoint = next();
+                break;
+            case '--config':
+                options.configFile = next();
+                break;
+            case '--check':
+                options.mode = 'check';
+                break;
+            case '--out':
+                options.outDir = next();
+                break;
+            case '--export':
+                options.exports = next().split(',').map(type => type.trim()).filter(Boolean);
+                break;
+            case '--chunk-size':
+                options.chunkSize = parseInt(next(), 10);
+                break;
+            case '--concurrency':
+                options.concurrency = parseInt(next(), 10);
+                break;
+            case '--sheet':
+                options.sheet = next();
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                if (options.csvFile) {
+                    throw new Error(`Unexpected argument: ${arg}`);
+                }
+                options.csvFile = arg;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Load the config module. It may export the config object or a
+ * (possibly async) function returning it.
+ * @param {string} configFile - Path to the config module
+ * @returns {Promise<Object>} - ImportSDK config
+ */
+async function loadConfig(configFile) {
+    if (!configFile) {
+        return {};
+    }
+
+    const configPath = path.resolve(configFile);
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Configuration file not found: ${configPath}`);
+    }
+
+    const exported = require(configPath);
+    return typeof exported === 'function' ? await exported() : exported;
+}
+
+/**
+ * Write a single-line progress indicator (TTY only)
+ * @param {Object} stats - Progress stats from the engine
+ */
+function writeProgress(stats) {
+    if (!process.stdout.isTTY) return;
+    const line = `Processed ${stats.totalCount + stats.filteredCount} rows | ` +
+        `success ${stats.successCount} | errors ${stats.errorCount} | filtered ${stats.filteredCount}`;
+    process.stdout.write(`\r${line}`);
+}
+
+function clearProgress() {
+    if (!process.stdout.isTTY) return;
+    process.stdout.clearLine(0);
+    process.stdout.cursorTo(0);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (!options.csvFile) {
+        console.error('Error: CSV file is required');
+        console.log(USAGE);
+        return 2;
+    }
+
+    const csvPath = path.resolve(options.csvFile);
+    if (!fs.existsSync(csvPath)) {
+        console.error(`Error: CSV file not found: ${csvPath}`);
+        return 2;
+    }
+
+    const config = await loadConfig(options.configFile);
+
+    if (options.endpoint) config.apiEndpoint = options.endpoint;
+    if (options.chunkSize) config.chunkSize = options.chunkSize;
+    if (options.concurrency) config.concurrency = options.concurrency;
+
+    if (options.mode === 'import' && !config.apiEndpoint && !config.sendHandler) {
+        console.error('Error: --endpoint is required (or apiEndpoint/sendHandler in the config)');
+        return 2;
+    }
+
+    // Make sure the rows needed by the requested exports are collected
+    config.resultExport = Array.from(new Set([...(config.resultExport || []), ...options.exports]));
+
+    const engine = new ImportEngine(config);
+
+    engine.on('log', ({ message, type }) => {
+        if (!options.verbose) return;
+        clearProgress();
+        const stream = type === 'error' ? process.stderr : process.stdout;
+        stream.write(`[${type}] ${message}\n`);
+    });
+    engine.on('progress', writeProgress);
+
+    // File-backed blob where available (Node 19.8+): the engine streams it
+    // slice by slice instead of holding the whole file in memory
+    const content = typeof fs.openAsBlob === 'function'
+        ? await fs.openAsBlob(csvPath)
+        : fs.readFileSync(csvPath);
+    const file = new File([content], path.basename(csvPath), { type: 'text/csv' });
+
+    console.log(`${options.mode === 'check' ? 'Checking' : 'Importing'} ${csvPath}` +
+        (options.mode === 'import' ? ` → ${config.apiEndpoint || 'custom sendHandler'}` : ''));
+
+    if (engine.handleFileSelect(file) === false) {
+        console.error('Error: file was rejected (only .csv, .xlsx, .json and .ndjson files are supported)');
+        return 2;
+    }
+
+    if (options.sheet) {
+        await engine.workbookLookup;
+        if (!engine.selectSheet(options.sheet)) {
+            console.error(`Error: sheet not found: ${options.sheet} (available: ${engine.state.sheets.join(', ')})`);
+            return 2;
+        }
+    }
+
+    const stats = await new Promise((resolve) => {
+        engine.on('complete', resolve);
+        engine.startImport(options.mode);
+    });
+
+    clearProgress();
+
+    console.log(`\n${options.mode === 'check' ? 'Validation' : 'Import'} finished in ${stats.metrics.totalDurationSeconds.toFixed(1)}s`);
+    console.log(`  Total:    ${stats.totalCount}`);
+    console.log(`  Success:  ${stats.successCount}`);
+    console.log(`  Errors:   ${stats.errorCount}`);
+    console.log(`  Filtered: ${stats.filteredCount}`);
+    console.log(`  Rows/s:   ${stats.metrics.rowsPerSecond.toFixed(1)}`);
+
+    // Write exports
+    const outDir = path.resolve(options.outDir);
+    fs.mkdirSync(outDir, { recursive: true });
+
+    options.exports.forEach(type => {
+        const { content, filename } = engine.buildExport(type);
+        const outputPath = path.join(outDir, filename);
+        fs.writeFileSync(outputPath, content);
+        console.log(`✓ Wrote ${outputPath}`);
+    });
+
+    return stats.errorCount > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main()
+        .then(code => process.exit(code))
+        .catch(error => {
+            clearProgress();
+            console.error('Error:', error.message);
+            process.exit(2);
+        });
+}
+
+module.exports = { parseArgs };
@@ -1,8 +1,9 @@
 // Container-specific overrides for ImportSDK
 // This file must be loaded AFTER import-sdk.js.
 
-//This file is used to override the default send handler and handleBatchResult
-//to align with the bin/containers API (test backend)
+//This file is used to override the default send handler to align with the
+//bin/containers API (test backend). Error rows are stored by the core
+//handleBatchResult, from the originalRow attached to each rejected bin.
 
 (function () {
     if (typeof ImportSDK === 'undefined') {
@@ -18,30 +19,21 @@
      * - Response: { bins: Array<{ bin, error, errorMessage }> }
      * - Errors are aligned with the batch by index, and we preserve _csvLineNumber
      */
-    ImportSDK.prototype.defaultSendHandler = async function (batch, config) {
+    ImportSDK.prototype.defaultSendHandler = async function (batch, config, options = {}) {
         const payload = {
             bins: batch,
             updateByTankNumber: config.updateByTankNumber
         };
 
-        // Merge default headers with custom headers
-        const headers = {
-            'Content-Type': 'application/json',
-            ...config.headers
-        };
-
-        // Merge default fetch options with custom options
-        const fetchOptions = {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(payload),
-            ...config.fetchOptions
-        };
-
-        const response = await fetch(config.apiEndpoint, fetchOptions);
+        // Same headers, compression and byte metrics as the core handler
+        const response = await this.postPayload(payload, config, options);
 
-        const data = await response.json();
-        const result = { success: 0, errors: [] };
+        // Error pages (e.g. a 502 from a proxy) are often not JSON
+        const data = response.ok || response.status === 422
+            ? await response.json()
+            : await response.json().catch(() => null);
+        // status/retryAfter let sendBatch decide whether to retry
+        const result = { success: 0, errors: [], status: response.status };
 
         if (response.ok || response.status === 422) {
             if (data.bins && Array.isArray(data.bins)) {
@@ -75,6 +67,7 @@
             }
         } else {
             // Server error
+            result.retryAfter = response.headers.get('Retry-After');
             result.errors = batch.map(() => ({
                 message: this.t('serverError', { status: response.status, statusText: response.statusText }),
                 data: null
@@ -84,92 +77,5 @@
         return result;
     };
 
-    /**
-     * Container-specific handleBatchResult
-     *
-     * This version knows about `bin` objects in the API response and flattens
-     * them into error rows, keeping `_csvLineNumber` when present.
-     */
-    ImportSDK.prototype.handleBatchResult = function (result, batch) {
-        this.state.successCount += result.success;
-        this.state.errorCount += result.errors.length;
-        this.state.totalCount += (result.success + result.errors.length);
-
-        // Store success rows (if resultExport includes 'success')
-        if (this.config.resultExport.includes('success') && batch) {
-            // Assume first N rows were successful
-            const successRows = batch.slice(0, result.success);
-            this.state.successRows.push(...successRows);
-        }
-
-        // Store error rows (if resultExport includes 'errors')
-        if (this.config.resultExport.includes('errors')) {
-            result.errors.forEach(err => {
-                // Extract the bin data properly, handling nested objects
-                let binData = {};
-                if (err.data && err.data.bin) {
-                    // Copy only the primitive values from the bin object
-                    binData = { ...err.data.bin };
-                    // Remove the nested id if it exists and is null
-                    if (binData.id === null) {
-                        delete binData.id;
-                    }
-                } else if (err.data) {
-                    // Fallback: try to use err.data directly but filter out complex objects
-                    binData = { ...err.data };
-                }
-                
-                // Add error metadata (preserve CSV line if available)
-                const errorRow = {
-                    ...binData,
-                    _error: err.message,
-                    _errorType: 'validation'
-                };
-
-                if (err.data && typeof err.data._csvLineNumber === 'number') {
-                    errorRow._csvLineNumber = err.data._csvLineNumber;
-                }
-                
-                this.state.errorRows.push(errorRow);
-
-                const lineSuffix = errorRow._csvLineNumber != null
-                    ? ` [Line ${errorRow._csvLineNumber}]`
-                    : '';
-                this.log(`Error: ${err.message}${lineSuffix}`, 'error');
-                
-                // Send error detail to metrics backend (sample unique errors)
-                this.sendErrorSample(err.message, 'validation', errorRow);
-                
-                if (this.config.onError) {
-                    this.config.onError(err);
-                }
-            });
-        } else {
-            result.errors.forEach(err => {
-                this.log(`Error: ${err.message}`, 'error');
-                
-                // Send error detail to metrics backend (sample unique errors)
-                this.sendErrorSample(err.message, 'api', err);
-                
-                if (this.config.onError) {
-                    this.config.onError(err);
-                }
-            });
-        }
-
-        this.updateStats();
-
-        if (this.config.onProgress) {
-            this.config.onProgress({
-                successCount: this.state.successCount,
-                errorCount: this.state.errorCount,
-                totalCount: this.state.totalCount,
-                filteredCount: this.state.filteredCount
-            });
-        }
-    };
-
-
-
     console.info(`ImportSDK-contenant.js loaded`)
 })();
@@ -881,6 +881,9 @@ ImportSDK.use({
 // ============================================================================
 // FILE SPLITTING PLUGIN
 // ============================================================================
+// The SDK streams files slice by slice (streamChunkSize), so splitting is no
+// longer needed to keep memory in check; the plugin is kept for workflows
+// that want one import per part.
 
 ImportSDK.use({
     name: 'fileSplitter',
@@ -1102,7 +1105,7 @@ ImportSDK.use({
     type: 'import',
     
     config: {
-        autoRetry: true,
+        autoRetry: false,
         maxRetries: 3,
         retryDelay: 1000,
         exponentialBackoff: true,
@@ -1115,6 +1118,26 @@ ImportSDK.use({
         enableResume: true
     },
     
+    /**
+     * Map autoRetry settings onto the core retry policy (called by the SDK
+     * constructor). An explicit `retry` config on the SDK takes precedence.
+     * `enableResume: false` turns off the core persisted checkpoints.
+     */
+    onInit(sdk, config) {
+        if (!config.enableResume && sdk.config.checkpoint) {
+            sdk.config.checkpoint.enabled = false;
+        }
+
+        if (!config.autoRetry || !sdk.config.retry || sdk.config.retry.maxAttempts > 1) return;
+
+        sdk.config.retry = {
+            ...sdk.config.retry,
+            maxAttempts: config.maxRetries + 1,
+            baseDelay: config.retryDelay,
+            backoffMultiplier: config.exponentialBackoff ? 2 : 1
+        };
+    },
+    
     /**
      * Initialize orchestrator
      */
@@ -1212,23 +1235,10 @@ ImportSDK.use({
             severity: error.severity || 'error'
         });
         
-        // Auto-retry logic
-        if (config.autoRetry && this.retryCount < config.maxRetries) {
-            this.retryCount++;
-            
-            const delay = config.exponentialBackoff 
-                ? config.retryDelay * Math.pow(2, this.retryCount - 1)
-                : config.retryDelay;
-            
-            if (sdk) sdk.log(`Retrying failed operation (attempt ${this.retryCount}/${config.maxRetries}) in ${delay}ms`, 'warning');
-            
-            setTimeout(() => {
-                if (context.batchId) {
-                    if (sdk && sdk.retryFailedBatch) sdk.retryFailedBatch(context.batchId);
-                }
-            }, delay);
-            
-            return true; // Handled with retry
+        // Transient batch failures are already retried by the core send path
+        // (config.retry, see onInit); report the retries it performed
+        if (sdk && sdk.metrics) {
+            this.retryCount = sdk.metrics.apiRetries;
         }
         
         return false; // Not handled
@@ -1239,6 +1249,11 @@ ImportSDK.use({
      */
     onImportComplete(stats, sdk, config) {
         const duration = Date.now() - this.importStartTime;
+
+        // Retries happen in the core send path
+        if (sdk && sdk.metrics) {
+            this.retryCount = sdk.metrics.apiRetries;
+        }
         
         // Generate comprehensive report
         const report = {
@@ -1376,13 +1391,17 @@ ImportSDK.use({
     },
     
     /**
-     * Save checkpoint for resume functionality
+     * Save checkpoint for resume functionality. The SDK persists it
+     * (IndexedDB); the in-memory entry only feeds the import report.
      */
     saveCheckpoint(stats, sdk) {
+        if (sdk && typeof sdk.saveCheckpoint === 'function') {
+            sdk.saveCheckpoint();
+        }
+
         const checkpoint = {
             timestamp: Date.now(),
-            stats: { ...stats },
-            config: sdk ? { ...sdk.config } : {}
+            stats: { ...stats }
         };
         
         this.checkpoints.set(stats.totalCount, checkpoint);
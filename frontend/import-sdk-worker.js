@@ -0,0 +1,132 @@
+/**
+ * Import SDK - Web Worker
+ *
+ * Runs normalization, parsing, filters, transforms and validation off the
+ * main thread. Started by ImportEngine when `worker.enabled` is set; the
+ * main thread keeps sending batches, updating the UI and saving checkpoints.
+ *
+ * Protocol:
+ * - main -> worker: { type: 'start', file, scripts, config, currentCsvLine, resumeFromLine, columnMapping }
+ * - worker -> main: { type: 'rows', outcome, fields, metrics } for each parsed chunk,
+ *   then waits for { type: 'ack', cancelled } before reading further
+ * - worker -> main: { type: 'log' }, { type: 'done' } or { type: 'error' }
+ *
+ * Functions cannot be posted to a worker, so filters, transformers,
+ * validators and file mappings come from a script loaded with
+ * `worker.moduleURL`. It runs after import-sdk.js and defines:
+ *
+ * @example
+ * self.importSDKWorkerConfig = {
+ *   fieldMapping: { 'Tank ID': 'tankNumber' },
+ *   transformers: { typeId: (value) => parseInt(value) },
+ *   validate: (row) => row.tankNumber ? { isValid: true } : { isValid: false, error: 'Missing tank' }
+ * };
+ * // Plugins used during row processing must be registered here too
+ * ImportEngine.use({ name: 'trim', type: 'field', transform: (value) => value.trim() });
+ */
+
+let engine = null;
+let ackWaiter = null;
+
+self.onmessage = ({ data: message }) => {
+    if (message.type === 'start') {
+        start(message);
+    } else if (message.type === 'ack' && ackWaiter) {
+        const resolve = ackWaiter;
+        ackWaiter = null;
+        resolve(message);
+    }
+};
+
+/**
+ * Timings measured since the last message; reset once posted
+ */
+function takeMetrics() {
+    const { normalizationTime, filterTime, transformTime, validationTime } = engine.metrics;
+    const rows = {
+        count: engine.metrics.totalRowsProcessed,
+        total: engine.metrics.totalRowProcessingTime,
+        min: engine.metrics.minRowProcessingTime,
+        max: engine.metrics.maxRowProcessingTime
+    };
+
+    engine.metrics.normalizationTime = 0;
+    engine.metrics.filterTime = 0;
+    engine.metrics.transformTime = 0;
+    engine.metrics.validationTime = 0;
+    engine.metrics.totalRowsProcessed = 0;
+    engine.metrics.totalRowProcessingTime = 0;
+    engine.metrics.minRowProcessingTime = Infinity;
+    engine.metrics.maxRowProcessingTime = 0;
+
+    return { normalizationTime, filterTime, transformTime, validationTime, rows };
+}
+
+async function start({ file, scripts, config, currentCsvLine, resumeFromLine, columnMapping }) {
+    try {
+        importScripts(...scripts);
+    } catch (err) {
+        self.postMessage({ type: 'error', message: `Worker failed to load scripts: ${err.message}` });
+        return;
+    }
+
+    engine = new ImportEngine({
+        ...config,
+        ...(self.importSDKWorkerConfig || {}),
+        checkpoint: { enabled: false } // saved by the main thread
+    });
+    engine.selectFileMapping(file.name);
+
+    // Logs are shown by the main thread
+    engine.log = (message, logType = 'info') => {
+        self.postMessage({ type: 'log', message, logType });
+    };
+
+    engine.state.isProcessing = true;
+    engine.state.selectedFile = file;
+    engine.state.currentCsvLine = currentCsvLine;
+    engine.state.columnMapping = columnMapping;
+    engine.resumeFromLine = resumeFromLine;
+    engine.abortController = new AbortController();
+    engine.resetMetrics();
+
+    // Duplicate keys are found with this engine's own mapping and transformers
+    if (engine.scansDuplicateKeys()) {
+        try {
+            await engine.scanDuplicateKeys();
+        } catch (err) {
+            self.postMessage({ type: 'error', message: err.message });
+            return;
+        }
+    }
+
+    engine.streamFile(file, {
+        header: true,
+        skipEmptyLines: true,
+        dynamicTyping: false, // Keep as strings for custom transformers
+        chunk: async (results, parser) => {
+            parser.pause();
+            const outcome = await engine.evaluateRows(results.data);
+            self.postMessage({ type: 'rows', outcome, fields: results.meta.fields, metrics: takeMetrics() });
+
+            const ack = await new Promise(resolve => ackWaiter = resolve);
+            if (ack.cancelled) {
+                engine.abortController.abort();
+                parser.abort();
+                return;
+            }
+            parser.resume();
+        },
+        complete: () => {
+            self.postMessage({
+                type: 'done',
+                metrics: takeMetrics(),
+                normalizationIssues: engine.metrics.normalizationIssues,
+                encoding: engine.metrics.encoding
+            });
+        },
+        error: (err) => {
+            self.postMessage({ type: 'error', message: err.message });
+        }
+    });
+}
@@ -1,5 +1,10 @@
 /**
  * Import SDK - Reusable CSV Import Library
+ *
+ * Two classes are exposed:
+ * - ImportEngine: headless pipeline (normalize, filter, transform, validate, send)
+ *   with no DOM access. Usable in Node, workers, tests and custom UIs.
+ * - ImportSDK: the default widget, a thin view on top of ImportEngine.
  * 
  * @example
  * ImportSDK.init(document.getElementById('import-container'), {
@@ -22,12 +27,428 @@
  *     { pattern: /test2\.csv$/, fieldMapping: { 'Tank ID': 'tankNumber' } }
  *   ]
  * });
+ *
+ * @example
+ * // Headless usage (e.g. in Node, with Papa available as a global)
+ * const engine = new ImportEngine({ apiEndpoint: 'http://localhost:3000/api/import' });
+ * engine.on('progress', (stats) => console.log(stats.progress));
+ * engine.on('complete', (stats) => console.log(stats.successCount));
+ * engine.handleFileSelect(file);
+ * engine.startImport('import');
+ */
+
+/**
+ * Checkpoint store backed by IndexedDB (default store for resumable imports).
+ * Any object implementing the same async get/set/delete methods can be passed
+ * as `config.checkpoint.store` instead.
+ */
+class IndexedDBCheckpointStore {
+    /**
+     * @param {string} dbName - IndexedDB database name
+     * @param {string} storeName - Object store holding one record per file fingerprint
+     */
+    constructor(dbName = 'import-sdk', storeName = 'checkpoints') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB is available in this environment
+     * @returns {boolean}
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * @private
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(this.storeName)) {
+                        request.result.createObjectStore(this.storeName);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request in a transaction and resolve with its result
+     * @private
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(key) {
+        return (await this.request('readonly', store => store.get(key))) || null;
+    }
+
+    async set(key, checkpoint) {
+        await this.request('readwrite', store => store.put(checkpoint, key));
+    }
+
+    async delete(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+}
+
+/**
+ * Token bucket for client-side rate limiting: `rate` tokens per second, at
+ * most `capacity` saved up. take() reserves tokens even when the bucket runs
+ * short and returns how long to wait before using them, so callers sharing
+ * a bucket are served in call order.
+ */
+class TokenBucket {
+    /**
+     * @param {number} rate - Tokens added per second
+     * @param {number} capacity - Tokens available at once (the bucket starts full)
+     */
+    constructor(rate, capacity) {
+        this.rate = rate;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.updatedAt = performance.now();
+    }
+
+    /**
+     * @param {number} count - Tokens needed
+     * @returns {number} - Milliseconds to wait before they are available
+     */
+    take(count) {
+        const now = performance.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+        this.updatedAt = now;
+        this.tokens -= count;
+        return this.tokens >= 0 ? 0 : (-this.tokens / this.rate) * 1000;
+    }
+}
+
+/**
+ * Minimal Excel (.xlsx) reader: unzips the workbook with DecompressionStream
+ * and reads sheet names and cell values, no extra dependency needed.
+ * Cell values are returned as text, like CSV fields, so the same transformers
+ * apply: numbers as plain decimals, booleans as 'true'/'false' and cells with
+ * a date format as ISO 8601 ('2024-03-01', '2024-03-01T08:30:00', '08:30:00').
  */
+class XlsxWorkbook {
+    /**
+     * @param {Map<string, {method: number, data: Uint8Array}>} entries - Zip entries by path
+     */
+    constructor(entries) {
+        this.entries = entries;
+        this.sheets = []; // [{ name, hidden, path }] in workbook order
+        this.sharedStrings = [];
+        this.dateStyles = new Set(); // cellXfs indexes using a date/time format
+        this.date1904 = false;
+    }
+
+    /**
+     * Read the workbook structure (sheets, shared strings, date styles)
+     * @param {ArrayBuffer} buffer - Content of the .xlsx file
+     * @returns {Promise<XlsxWorkbook>}
+     */
+    static async open(buffer) {
+        const workbook = new XlsxWorkbook(XlsxWorkbook.readZipEntries(new Uint8Array(buffer)));
+        await workbook.load();
+        return workbook;
+    }
+
+    /**
+     * List the entries of a zip archive from its central directory
+     * @private
+     */
+    static readZipEntries(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // End of central directory record (22 bytes, followed by an optional comment)
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Not a valid .xlsx file');
+        }
+
+        const decoder = new TextDecoder('utf-8');
+        const entries = new Map();
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Not a valid .xlsx file');
+            }
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const headerOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            // Data follows the local header, whose name/extra lengths may differ
+            const dataStart = headerOffset + 30 + view.getUint16(headerOffset + 26, true) + view.getUint16(headerOffset + 28, true);
+            entries.set(name, { method, data: bytes.subarray(dataStart, dataStart + compressedSize) });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Decompress a zip entry as text
+     * @private
+     * @returns {Promise<string|null>} - Entry content, null if missing
+     */
+    async readEntry(path) {
+        const entry = this.entries.get(path);
+        if (!entry) return null;
+
+        let data = entry.data;
+        if (entry.method === 8) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('Reading .xlsx files requires DecompressionStream support');
+            }
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            data = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else if (entry.method !== 0) {
+            throw new Error(`Unsupported compression in ${path}`);
+        }
+        return new TextDecoder('utf-8').decode(data);
+    }
+
+    /**
+     * @private
+     */
+    async load() {
+        const workbookXml = await this.readEntry('xl/workbook.xml');
+        if (!workbookXml) {
+            throw new Error('Not a valid .xlsx file');
+        }
+
+        // Sheet files are found through the workbook relationships
+        const relsXml = await this.readEntry('xl/_rels/workbook.xml.rels') || '';
+        const targets = {};
+        for (const [, attrs] of relsXml.matchAll(/<Relationship\b([^>]*)>/g)) {
+            const { Id, Target = '' } = XlsxWorkbook.parseAttributes(attrs);
+            targets[Id] = Target.startsWith('/') ? Target.slice(1) : `xl/${Target}`;
+        }
+
+        this.date1904 = /<workbookPr\b[^>]*\bdate1904="(1|true)"/.test(workbookXml);
+        this.sheets = [...workbookXml.matchAll(/<sheet\b([^>]*)>/g)].map(([, attrs]) => {
+            const attributes = XlsxWorkbook.parseAttributes(attrs);
+            const relationKey = Object.keys(attributes).find(key => key.endsWith(':id'));
+            return {
+                name: attributes.name,
+                hidden: !!attributes.state && attributes.state !== 'visible',
+                path: targets[attributes[relationKey]]
+            };
+        });
+
+        const sharedXml = await this.readEntry('xl/sharedStrings.xml') || '';
+        this.sharedStrings = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) => XlsxWorkbook.readText(item));
+
+        // Dates are numbers whose cell style uses a date/time number format
+        const stylesXml = await this.readEntry('xl/styles.xml') || '';
+        const customFormats = {};
+        for (const [, attrs] of stylesXml.matchAll(/<numFmt\b([^>]*)>/g)) {
+            const { numFmtId, formatCode = '' } = XlsxWorkbook.parseAttributes(attrs);
+            customFormats[numFmtId] = formatCode;
+        }
+        const cellXfs = (stylesXml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/) || [])[1] || '';
+        [...cellXfs.matchAll(/<xf\b([^>]*)>/g)].forEach(([, attrs], index) => {
+            const formatId = Number(XlsxWorkbook.parseAttributes(attrs).numFmtId || 0);
+            if (XlsxWorkbook.isDateFormat(formatId, customFormats[formatId])) {
+                this.dateStyles.add(index);
+            }
+        });
+    }
+
+    /**
+     * Read the non-empty rows of a sheet
+     * @param {string} name - Sheet name
+     * @returns {Promise<Array<{line: number, values: Array<string>}>>} - Cell values with the sheet row number
+     */
+    async readSheet(name) {
+        const sheet = this.sheets.find(s => s.name === name);
+        const xml = sheet && sheet.path ? await this.readEntry(sheet.path) : null;
+        if (!xml) {
+            throw new Error(`Sheet not found: ${name}`);
+        }
+
+        const rows = [];
+        let nextLine = 1;
+        for (const [, rowAttrs, rowXml = ''] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+            const line = Number(XlsxWorkbook.parseAttributes(rowAttrs).r) || nextLine;
+            nextLine = line + 1;
+
+            const values = [];
+            let nextColumn = 0;
+            for (const [, cellAttrs, cellXml = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const { r, t, s } = XlsxWorkbook.parseAttributes(cellAttrs);
+                const column = r ? XlsxWorkbook.columnIndex(r) : nextColumn;
+                nextColumn = column + 1;
+                values[column] = this.readCell(cellXml, t, Number(s || 0));
+            }
+
+            const filled = Array.from(values, value => value === undefined ? '' : value);
+            if (filled.some(value => value !== '')) {
+                rows.push({ line, values: filled });
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Convert a cell to text according to its type and style
+     * @private
+     */
+    readCell(xml, type, style) {
+        const valueMatch = xml.match(/<v(?:\s[^>]*)?>([\s\S]*?)<\/v>/);
+        const raw = valueMatch ? XlsxWorkbook.decodeXml(valueMatch[1]) : '';
+
+        switch (type) {
+            case 's':
+                return raw === '' ? '' : (this.sharedStrings[Number(raw)] || '');
+            case 'inlineStr':
+                return XlsxWorkbook.readText((xml.match(/<is>([\s\S]*?)<\/is>/) || [])[1] || '');
+            case 'b':
+                return raw === '' ? '' : String(raw.trim() === '1');
+            case 'str': // formula result
+            case 'e': // error such as #N/A
+            case 'd': // ISO 8601 date
+                return raw;
+            default: {
+                if (raw.trim() === '') return '';
+                const number = Number(raw);
+                return this.dateStyles.has(style) ? this.formatDate(number) : String(number);
+            }
+        }
+    }
+
+    /**
+     * Convert an Excel date serial number to ISO 8601
+     * @private
+     */
+    formatDate(serial) {
+        let days = serial + (this.date1904 ? 1462 : 0);
+        // The 1900 date system counts a non-existent 1900-02-29 (serial 60)
+        if (!this.date1904 && serial < 60) {
+            days += 1;
+        }
+        const ms = Math.round((days - 25569) * 86400) * 1000;
+        const iso = new Date(ms).toISOString();
+
+        if (serial < 1) return iso.slice(11, 19); // time only
+        if (ms % 86400000 === 0) return iso.slice(0, 10); // date only
+        return iso.slice(0, 19);
+    }
+
+    /**
+     * Whether a number format displays a date or time
+     * @private
+     */
+    static isDateFormat(formatId, formatCode) {
+        if (formatCode === undefined) {
+            // Built-in date/time formats
+            return (formatId >= 14 && formatId <= 22) || (formatId >= 27 && formatId <= 36)
+                || (formatId >= 45 && formatId <= 47) || (formatId >= 50 && formatId <= 58);
+        }
+        // Ignore quoted text, escaped characters and [Red]/[$-409] sections
+        const code = formatCode.replace(/"[^"]*"|\\.|\[(?![hms]+\])[^\]]*\]/gi, '');
+        return /[dmyhs]/i.test(code);
+    }
+
+    /**
+     * Concatenate the text runs of a string item (phonetic hints excluded)
+     * @private
+     */
+    static readText(xml) {
+        const text = [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+            .map(([, run]) => run)
+            .join('');
+        // Characters escaped by Excel as _xHHHH_
+        return XlsxWorkbook.decodeXml(text).replace(/_x([0-9A-Fa-f]{4})_/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
 
-class ImportSDK {
+    /**
+     * Zero-based column index of a cell reference ('C7' -> 2)
+     * @private
+     */
+    static columnIndex(reference) {
+        const letters = reference.match(/^[A-Z]+/i)[0].toUpperCase();
+        let index = 0;
+        for (const letter of letters) {
+            index = index * 26 + (letter.charCodeAt(0) - 64);
+        }
+        return index - 1;
+    }
+
+    /**
+     * @private
+     */
+    static parseAttributes(text) {
+        const attributes = {};
+        for (const [, name, doubleQuoted, singleQuoted] of text.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+            attributes[name] = XlsxWorkbook.decodeXml(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+        }
+        return attributes;
+    }
+
+    /**
+     * @private
+     */
+    static decodeXml(text) {
+        const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+        return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(lt|gt|amp|quot|apos));/gi, (m, hex, dec, name) => {
+            if (hex) return String.fromCodePoint(parseInt(hex, 16));
+            if (dec) return String.fromCodePoint(Number(dec));
+            return named[name];
+        });
+    }
+}
+
+class ImportEngine {
     // Static plugin registry
     static plugins = [];
     static pluginTypes = ['field', 'row', 'batch', 'file', 'import', 'error', 'metrics'];
+    // Value types and formats accepted in a schema (see compileSchema)
+    static schemaTypes = ['string', 'number', 'integer', 'boolean'];
+    static schemaFormats = {
+        email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+            && new Date(value).toISOString().startsWith(value), // rejects 2024-02-30
+        'date-time': (value) => /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(value) && !Number.isNaN(Date.parse(value)),
+        uri: (value) => {
+            try {
+                return Boolean(new URL(value));
+            } catch (err) {
+                return false;
+            }
+        }
+    };
+    // Windows-1252 characters for bytes 0x80-0x9F (undefined bytes map to themselves)
+    static windows1252Extras = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
 
     /**
      * Register a plugin with the SDK
@@ -49,21 +470,21 @@ class ImportSDK {
             throw new Error('Plugin must have a name');
         }
 
-        if (!ImportSDK.pluginTypes.includes(plugin.type)) {
-            throw new Error(`Plugin type must be one of: ${ImportSDK.pluginTypes.join(', ')}`);
+        if (!ImportEngine.pluginTypes.includes(plugin.type)) {
+            throw new Error(`Plugin type must be one of: ${ImportEngine.pluginTypes.join(', ')}`);
         }
 
         // Check for duplicate plugin names
-        if (ImportSDK.plugins.find(p => p.name === plugin.name)) {
+        if (ImportEngine.plugins.find(p => p.name === plugin.name)) {
             throw new Error(`Plugin '${plugin.name}' is already registered`);
         }
 
         // Validate plugin structure based on type
-        ImportSDK._validatePlugin(plugin);
+        ImportEngine._validatePlugin(plugin);
 
-        ImportSDK.plugins.push(plugin);
+        ImportEngine.plugins.push(plugin);
         console.log(`Plugin '${plugin.name}' registered successfully`);
-        return ImportSDK;
+        return this;
     }
 
     /**
@@ -95,7 +516,7 @@ class ImportSDK {
      * Get all registered plugins
      */
     static getPlugins() {
-        return [...ImportSDK.plugins];
+        return [...ImportEngine.plugins];
     }
 
     /**
@@ -103,7 +524,7 @@ class ImportSDK {
      * @param {string} type - Plugin type to filter by
      */
     static getPluginsByType(type) {
-        return ImportSDK.plugins.filter(p => p.type === type);
+        return ImportEngine.plugins.filter(p => p.type === type);
     }
 
     /**
@@ -111,9 +532,9 @@ class ImportSDK {
      * @param {string} name - Plugin name to remove
      */
     static removePlugin(name) {
-        const index = ImportSDK.plugins.findIndex(p => p.name === name);
+        const index = ImportEngine.plugins.findIndex(p => p.name === name);
         if (index >= 0) {
-            ImportSDK.plugins.splice(index, 1);
+            ImportEngine.plugins.splice(index, 1);
             console.log(`Plugin '${name}' removed successfully`);
             return true;
         }
@@ -124,15 +545,24 @@ class ImportSDK {
      * Clear all plugins
      */
     static clearPlugins() {
-        ImportSDK.plugins = [];
+        ImportEngine.plugins = [];
         console.log('All plugins cleared');
     }
 
-    constructor(container, config) {
-        this.container = container;
+    /**
+     * Create a headless import engine
+     * @param {Object} config - Configuration object (same shape as ImportSDK.init)
+     */
+    constructor(config = {}) {
+        // Event listeners: { eventName: [handler, ...] }
+        this.listeners = {};
+
         this.config = {
             apiEndpoint: config.apiEndpoint || 'http://localhost:3000/api/import',
             chunkSize: config.chunkSize || 100,
+            maxBatchBytes: config.maxBatchBytes || null, // batches also cut by serialized JSON size (see batchSize)
+            streamChunkSize: config.streamChunkSize || 1024 * 1024, // bytes read from the file per parse chunk
+            encoding: config.encoding || 'auto', // 'auto' detects UTF-8/Windows-1252/ISO-8859-1, or a TextDecoder label
             concurrency: config.concurrency || 1,
             waitBetweenChunks: config.waitBetweenChunks || 0,
             updateByTankNumber: config.updateByTankNumber || false,
@@ -144,14 +574,28 @@ class ImportSDK {
             translations: config.translations || {},
             headers: config.headers || {},
             fetchOptions: config.fetchOptions || {},
+            // Gzip request bodies of defaultSendHandler (CompressionStream), sent as is where unsupported
+            compression: {
+                enabled: config.compression?.enabled || false,
+                minBytes: config.compression?.minBytes || 1024, // smaller bodies are sent as is
+                ...config.compression
+            },
+            // Idempotency-Key, X-Import-Id and X-Session-Id headers on every batch (see sendBatch)
+            idempotency: {
+                enabled: config.idempotency?.enabled || false, // the API must allow the headers (CORS)
+                ...config.idempotency
+            },
             filters: config.filters || {},
             validate: config.validate || null, // Global validation function
+            schema: config.schema || null, // JSON-Schema-style field rules (see compileSchema)
+            lookups: config.lookups || {}, // reference tables resolving labels to ids, per field (see resolveLookups)
             collectAllErrors: config.collectAllErrors || false, // Collect all validation errors instead of stopping at first
             resultExport: config.resultExport || [],
             onProgress: config.onProgress || null,
             onComplete: config.onComplete || null,
             onError: config.onError || null,
             onMetrics: config.onMetrics || null,
+            onColumnMapping: config.onColumnMapping || null, // called with the column mapping an import starts with
             // Metrics Backend Integration
             metricsBackend: {
                 enabled: config.metricsBackend?.enabled || false,
@@ -180,19 +624,169 @@ class ImportSDK {
             allowedColumns: config.allowedColumns || [],
             requiredColumns: config.requiredColumns || [],
             warnUnknownColumns: config.warnUnknownColumns !== false, // Default: true
+
+            // Column mapping step: file headers renamed to expected columns
+            columnMapping: {
+                enabled: config.columnMapping?.enabled || false,
+                targets: config.columnMapping?.targets || null, // Default: requiredColumns + allowedColumns
+                saved: config.columnMapping?.saved || {}, // mapping chosen before (e.g. from onColumnMapping)
+                minScore: config.columnMapping?.minScore || 0.6, // similarity needed to suggest a target
+                ...config.columnMapping
+            },
             
             // Flow Control
             flow: {
                 forceCheck: config.flow?.forceCheck || false, // Force check before import
                 preventStartOnErrors: config.flow?.preventStartOnErrors !== false, // Default: true
                 ...config.flow
+            },
+
+            // Retry policy for transient batch failures (network errors, 429, 5xx)
+            retry: {
+                maxAttempts: config.retry?.maxAttempts || 1, // Default: 1 (no retry)
+                baseDelay: config.retry?.baseDelay || 500, // ms before the first retry
+                maxDelay: config.retry?.maxDelay || 30000, // cap for backoff and Retry-After
+                backoffMultiplier: config.retry?.backoffMultiplier || 2, // 1 = fixed delay
+                jitter: config.retry?.jitter !== false, // Default: true (full jitter)
+                respectRetryAfter: config.retry?.respectRetryAfter !== false, // Default: true
+                retryOn: config.retry?.retryOn || [408, 429, 500, 502, 503, 504],
+                retryNetworkErrors: config.retry?.retryNetworkErrors !== false, // Default: true
+                ...config.retry
+            },
+
+            // Client-side quota: token buckets per endpoint, shared by every batch of this instance
+            rateLimit: {
+                requestsPerSecond: config.rateLimit?.requestsPerSecond || null,
+                rowsPerSecond: config.rateLimit?.rowsPerSecond || null,
+                burst: config.rateLimit?.burst || 1, // seconds of quota usable at once (bucket capacity)
+                endpoints: config.rateLimit?.endpoints || {}, // per URL: { requestsPerSecond, rowsPerSecond, burst }
+                ...config.rateLimit
+            },
+
+            // Adaptive concurrency (AIMD): batches in flight raised while the API keeps up, cut on latency spikes, 429s or 5xx
+            adaptiveConcurrency: {
+                enabled: config.adaptiveConcurrency?.enabled || false,
+                min: config.adaptiveConcurrency?.min || 1,
+                max: config.adaptiveConcurrency?.max || 8,
+                increase: config.adaptiveConcurrency?.increase || 1, // batches added after a stable window
+                decrease: config.adaptiveConcurrency?.decrease || 0.5, // factor applied to the level on congestion
+                latencySpike: config.adaptiveConcurrency?.latencySpike || 2, // window latency above avgApiLatency × latencySpike is a spike
+                ...config.adaptiveConcurrency
+            },
+
+            // Resumable imports: progress checkpoints persisted per file
+            checkpoint: {
+                enabled: config.checkpoint?.enabled === true, // Default: false (needs a store)
+                store: config.checkpoint?.store || null, // Default: IndexedDB when available and enabled
+                dbName: config.checkpoint?.dbName || 'import-sdk',
+                minInterval: 1000, // ms between two saves while batches are acknowledged
+                ...config.checkpoint
+            },
+
+            // Duplicate keys inside the file, flagged in check and import mode
+            duplicateKeys: {
+                keys: config.duplicateKeys?.keys || [], // fields (after field mapping), or arrays of fields for composite keys
+                keep: config.duplicateKeys?.keep || 'first', // 'first', 'last' or 'none' (every duplicate rejected)
+                ...config.duplicateKeys
+            },
+
+            // Validators and transformers returning promises (catalog or API lookups)
+            asyncValidation: {
+                concurrency: config.asyncValidation?.concurrency || 10, // rows transformed or validated at the same time
+                cache: config.asyncValidation?.cache !== false, // Default: true (promises of field transformers/validators memoized by value)
+                cacheSize: config.asyncValidation?.cacheSize || 10000, // values kept per transformer or validator
+                ...config.asyncValidation
+            },
+
+            // Cross-row rules run over the valid rows once a check has read the file
+            crossRowValidation: {
+                validate: config.crossRowValidation?.validate || null, // (rows, context) => [{ line, error, field }], may be async
+                scope: config.crossRowValidation?.scope || 'dataset', // 'dataset' (all rows at once) or 'batch' (chunkSize rows at a time)
+                ...config.crossRowValidation
+            },
+
+            // Preview grid: first rows run through the pipeline before importing
+            preview: {
+                enabled: config.preview?.enabled || false,
+                rows: config.preview?.rows || 100, // rows read from the file
+                pageSize: config.preview?.pageSize || 10, // rows per grid page
+                ...config.preview
+            },
+
+            // Error editor: failed rows corrected in the widget and re-submitted
+            errorEditor: {
+                enabled: config.errorEditor?.enabled || false,
+                pageSize: config.errorEditor?.pageSize || 10, // rows per editor page
+                ...config.errorEditor
+            },
+
+            // Web Worker mode: parsing, transforms and validation off the main thread
+            worker: {
+                enabled: config.worker?.enabled || false,
+                scriptURL: config.worker?.scriptURL || 'import-sdk-worker.js',
+                sdkURL: config.worker?.sdkURL || null, // Default: import-sdk.js next to scriptURL
+                papaparseURL: config.worker?.papaparseURL || 'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js',
+                moduleURL: config.worker?.moduleURL || null, // script defining self.importSDKWorkerConfig
+                ...config.worker
             }
         };
 
+        // Column checks, coercions and validation rules declared by the schema
+        this.schemaRules = this.compileSchema(this.config.schema);
+        this.schemaUniqueValues = {}; // per unique field: value -> line of the first row holding it
+
+        if (!['first', 'last', 'none'].includes(this.config.duplicateKeys.keep)) {
+            throw new Error("duplicateKeys.keep must be one of: first, last, none");
+        }
+        this.duplicateKeyLines = null; // per duplicate key: value -> lines holding it (see trackDuplicateKeys)
+
+        if (!['dataset', 'batch'].includes(this.config.crossRowValidation.scope)) {
+            throw new Error("crossRowValidation.scope must be one of: dataset, batch");
+        }
+        this.crossRowRows = []; // valid rows of a check, waiting for crossRowValidation
+        this.asyncCache = new Map(); // per transformer or validator: field and value -> promise (see cachedCall)
+
+        this.config.lookups = Object.fromEntries(Object.entries(this.config.lookups).map(([field, lookup]) => {
+            if (!Array.isArray(lookup.data) && !lookup.url) {
+                throw new Error(`Lookup '${field}' needs a data array or a url`);
+            }
+            if (lookup.match && !['exact', 'caseInsensitive', 'fuzzy'].includes(lookup.match)) {
+                throw new Error(`Lookup '${field}' match must be one of: exact, caseInsensitive, fuzzy`);
+            }
+            return [field, {
+                target: field, // field receiving the id (the label field is removed)
+                valueKey: 'id',
+                labelKey: 'label',
+                match: 'exact',
+                minScore: 0.6, // similarity needed by fuzzy matching
+                ...lookup
+            }];
+        }));
+        this.lookupTables = null; // field -> loaded table, or a promise while fetching (see loadLookupTables)
+
+        const adaptive = this.config.adaptiveConcurrency;
+        if (adaptive.enabled && !(adaptive.min >= 1 && adaptive.max >= adaptive.min && adaptive.decrease > 0 && adaptive.decrease < 1)) {
+            throw new Error("adaptiveConcurrency needs 1 <= min <= max and 0 < decrease < 1");
+        }
+        this.concurrencyLevel = this.initialConcurrency(); // batches sent at the same time (see adjustConcurrency)
+        this.congestionSignals = 0; // 429s, 5xx and network errors seen by sendBatch, retries included
+        this.concurrencyWindow = null; // batches judged by the next AIMD step (see settleConcurrencyWindow)
+        this.inFlightBatches = new Set(); // sends running in the batch pool (see dispatchBatch)
+        this.rowSizes = new WeakMap(); // row -> serialized JSON size in bytes (see batchSize)
+        this.compressionFallback = false; // gzip unsupported by the runtime or refused by the API (see defaultSendHandler)
+        this.batchSequence = 0; // batches sent by the current import, numbers their idempotency keys
+        this.batchNumbers = new WeakMap(); // batch -> its number in batchSequence (see buildCheckpoint)
+        this.errorRowBatches = new WeakMap(); // error row -> { key, size } of the failed batch it came from (see resendRows)
+        this.rateLimiters = new Map(); // endpoint -> { requests, rows } token buckets, or null (see acquireRateLimit)
+
+        if (this.config.checkpoint.enabled && !this.config.checkpoint.store && IndexedDBCheckpointStore.isAvailable()) {
+            this.config.checkpoint.store = new IndexedDBCheckpointStore(this.config.checkpoint.dbName);
+        }
+
         // Default translations (English)
         this.defaultTranslations = {
             uploadPrompt: 'Click to upload or drag and drop',
-            uploadHint: 'CSV files only',
+            uploadHint: 'CSV, Excel (.xlsx), JSON or NDJSON files',
             checkFile: 'Check File',
             startImport: 'Start Import',
             importing: 'Importing...',
@@ -213,7 +807,7 @@ class ImportSDK {
             parsingComplete: 'Parsing complete. Finishing up...',
             importFinished: 'Import finished.',
             validationFinished: 'Validation finished.',
-            errorCsvOnly: 'Please upload a CSV file.',
+            errorCsvOnly: 'Please upload a CSV, Excel (.xlsx), JSON or NDJSON file.',
             usingMapping: 'Using mapping: {name}',
             parsingError: 'Parsing error: {message}',
             validationError: 'Validation Error: {error}',
@@ -223,13 +817,78 @@ class ImportSDK {
             handlerError: 'Handler error: {message}',
             invalidHandlerResponse: 'Invalid send handler response, using safe defaults',
             sendHandlerError: 'Send handler error: {message}',
+            retryingBatch: 'Batch failed ({reason}), retrying in {delay}ms (attempt {attempt}/{maxAttempts})',
+            batchTooLarge: 'Batch of {count} rows too large for the API (413), sending it in two halves',
+            compressionUnsupported: 'CompressionStream is not available, request bodies are sent uncompressed',
+            compressionRefused: 'The API refused gzip bodies (415), request bodies are sent uncompressed',
             filtered: 'Filtered',
             downloadResults: 'Download Results',
             downloadErrors: 'Download Errors CSV',
             downloadSuccess: 'Download Success CSV',
             downloadLogs: 'Download Logs JSON',
             downloadFiltered: 'Download Filtered CSV',
-            rowFiltered: 'Row filtered: {reason}'
+            rowFiltered: 'Row filtered: {reason}',
+            pause: 'Pause',
+            resume: 'Resume',
+            cancel: 'Cancel',
+            importPaused: 'Import paused.',
+            importResumed: 'Import resumed.',
+            importCancelling: 'Cancelling import...',
+            importCancelled: 'Import cancelled: {success} succeeded, {errors} failed, {unsent} not sent.',
+            resumeFromLine: 'Resume from line {line}',
+            resumeAvailable: 'A previous import of this file stopped after line {lastLine} ({success} succeeded, {errors} failed).',
+            resumingImport: 'Resuming import from line {line}',
+            checkpointError: 'Checkpoint error: {message}',
+            sheet: 'Sheet',
+            sheetsFound: 'Workbook with {count} sheet(s), using sheet "{sheet}"',
+            sheetSelected: 'Using sheet "{sheet}"',
+            workbookError: 'Could not read workbook: {message}',
+            invalidJsonRecord: 'Invalid JSON: {message}',
+            jsonRecordNotObject: 'Expected a JSON object',
+            columnsDetected: '{count} column(s) detected, {mapped} matched to expected columns',
+            columnDetectionError: 'Could not read columns: {message}',
+            columnMappingApplied: 'Column mapping: {mapping}',
+            columnMappingTitle: 'Column mapping',
+            fileColumn: 'File column',
+            targetColumn: 'Import as',
+            keepColumn: '(keep as is)',
+            ignoreColumn: '(ignore)',
+            ignoredColumn: 'ignored',
+            previewTitle: 'Preview',
+            previewSummary: 'First {count} row(s): {valid} valid, {invalid} invalid, {filtered} filtered',
+            previewPage: 'Page {page} of {pages}',
+            previewLine: 'Line',
+            previewStatus: 'Status',
+            previewError: 'Could not build preview: {message}',
+            schemaRequired: '{field} is required',
+            schemaType: '{field} must be {type}',
+            schemaEnum: '{field} must be one of: {values}',
+            schemaMinimum: '{field} must be at least {limit}',
+            schemaMaximum: '{field} must be at most {limit}',
+            schemaMinLength: '{field} must have at least {limit} characters',
+            schemaMaxLength: '{field} must have at most {limit} characters',
+            schemaPattern: '{field} does not match the expected pattern',
+            schemaFormat: '{field} must be a valid {format}',
+            schemaUnique: 'Duplicate {field}: {value}',
+            errorEditorTitle: 'Fix failed rows',
+            errorEditorSummary: '{count} failed row(s), {ready} ready to re-submit',
+            errorRowReady: 'Ready to re-submit',
+            resubmitRows: 'Re-submit corrected rows ({count})',
+            resubmitStarted: 'Re-submitting {count} corrected row(s)...',
+            resubmitFinished: 'Re-submit finished: {success} imported, {errors} failed',
+            duplicateKey: 'Duplicate {key} {value} on lines {lines}',
+            duplicateKeysScanned: 'Duplicate keys: {count} value(s) found on several lines',
+            resendNeedsImport: 'Rows can only be sent again after an import',
+            retryFailed: 'Retry failed rows ({count})',
+            retryStarted: 'Retrying {count} row(s) that could not be sent...',
+            retryFinished: 'Retry finished: {success} imported, {errors} failed',
+            lookupNotFound: "{field} '{value}' not found",
+            lookupCandidates: "{field} '{value}' not found, closest: {candidates}",
+            lookupLoaded: 'Reference table for {field} loaded ({count} entries)',
+            lookupLoadError: 'Reference table for {field} could not be loaded: {message}',
+            concurrencyDecreased: 'API congested ({reason}), sending {level} batch(es) at a time',
+            crossRowValidated: 'Cross-row rules: {count} row(s) flagged',
+            crossRowValidationError: 'Cross-row validation failed: {message}'
         };
 
         // Active file mapping (selected based on filename)
@@ -238,21 +897,7 @@ class ImportSDK {
             transformers: this.config.transformers
         };
 
-        this.state = {
-            isProcessing: false,
-            selectedFile: null,
-            // Row counters
-            successCount: 0,
-            errorCount: 0,
-            totalCount: 0,
-            filteredCount: 0,
-            currentCsvLine: 2, // header is line 1, first data row is line 2
-            // Stored data
-            logs: [],
-            successRows: [],
-            errorRows: [],
-            filteredRows: []
-        };
+        this.state = this.createInitialState();
 
         // Initialize execution metrics
         this.metrics = {
@@ -264,16 +909,17 @@ class ImportSDK {
             parseEndTime: null,
             parseDuration: 0,
             normalizationTime: 0,
+            encoding: null, // encoding the file was decoded with
             
-            // Row processing metrics
-            rowProcessingTimes: [],
+            // Row processing metrics (running aggregates: nothing kept per row)
+            totalRowProcessingTime: 0,
             avgRowProcessingTime: 0,
             maxRowProcessingTime: 0,
             minRowProcessingTime: Infinity,
             totalRowsProcessed: 0,
             
             // Chunk processing metrics
-            chunkTimes: [],
+            totalChunkTime: 0,
             avgChunkLatency: 0,
             maxChunkLatency: 0,
             minChunkLatency: Infinity,
@@ -294,6 +940,11 @@ class ImportSDK {
             totalApiTime: 0,
             avgApiLatency: 0,
             apiLatencies: [],
+            rateLimitWaits: 0, // requests delayed by rateLimit
+            requestBytes: 0, // JSON bodies sent by defaultSendHandler, before compression
+            requestBytesSent: 0, // the same bodies as sent (gzipped when compression applies)
+            compressedRequests: 0,
+            rateLimitWaitTime: 0, // ms spent waiting for rateLimit, not counted in API latency
             
             // Performance estimates
             memoryUsageEstimate: 0,
@@ -318,16 +969,32 @@ class ImportSDK {
         };
 
         this.rowBuffer = [];
+
+        // Pause/cancel control for the running import
+        this.abortController = null;
+        this.resumeWaiters = [];
+        this.worker = null; // parsing worker in worker mode (see parseInWorker)
+        this.workbookLookup = null; // Promise<XlsxWorkbook|null> for a selected .xlsx file
+        this.columnLookup = null; // Promise<Object|null> for the suggested column mapping
+        this.previewSample = null; // first rows of the selected file (see loadPreview)
+
+        // Resumable imports (see saveCheckpoint)
+        this.fileFingerprint = null; // Promise<string> for the selected file
+        this.unackedBatches = []; // batches sent but not yet handled
+        this.checkpointLedger = []; // local outcomes (filtered/invalid) past the acknowledged line
+        this.resumeFromLine = null;
+        this.lastCheckpointAt = 0;
+        this.pendingCheckpointWrite = Promise.resolve();
         
         // Initialize plugins
         this.activePlugins = {
-            field: ImportSDK.getPluginsByType('field'),
-            row: ImportSDK.getPluginsByType('row'),
-            batch: ImportSDK.getPluginsByType('batch')
+            field: ImportEngine.getPluginsByType('field'),
+            row: ImportEngine.getPluginsByType('row'),
+            batch: ImportEngine.getPluginsByType('batch')
         };
         
         // Call plugin onInit hooks
-        ImportSDK.plugins.forEach(plugin => {
+        ImportEngine.plugins.forEach(plugin => {
             if (plugin.onInit) {
                 try {
                     plugin.onInit(this, plugin.config || {});
@@ -336,9 +1003,85 @@ class ImportSDK {
                 }
             }
         });
-        
-        this.render();
-        this.attachEventListeners();
+    }
+
+    /**
+     * Subscribe to an engine event
+     *
+     * Events: 'log', 'logsCleared', 'fileSelected', 'fileRemoved', 'start',
+     * 'progress', 'finish', 'complete', 'paused', 'resumed', 'cancelled',
+     * 'resumeAvailable', 'sheetsAvailable', 'sheetSelected', 'columnsDetected',
+     * 'columnMappingChanged', 'columnMappingApplied', 'previewUpdated'
+     * @param {string} event - Event name
+     * @param {Function} handler - Listener called with the event payload
+     * @returns {Function} - Unsubscribe function
+     */
+    on(event, handler) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Remove an event listener
+     * @param {string} event - Event name
+     * @param {Function} handler - Listener previously passed to on()
+     */
+    off(event, handler) {
+        if (!this.listeners[event]) return;
+        this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+    }
+
+    /**
+     * Emit an event to all listeners. Listener errors are reported on the
+     * console so a broken view never stops the pipeline.
+     * @param {string} event - Event name
+     * @param {*} payload - Event payload
+     */
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (err) {
+                console.warn(`ImportEngine '${event}' listener error:`, err.message);
+            }
+        });
+    }
+
+    /**
+     * State of an instance with no file selected (constructor and destroy)
+     * @private
+     * @returns {Object}
+     */
+    createInitialState() {
+        return {
+            isProcessing: false,
+            isPaused: false,
+            isCancelled: false,
+            isResubmitting: false, // corrected error rows being sent again
+            mode: null, // 'check' or 'import', set by startImport
+            selectedFile: null,
+            sheets: [], // sheet names of a selected .xlsx workbook
+            selectedSheet: null,
+            detectedColumns: [], // headers read by detectColumns
+            columnMapping: null, // { fileColumn: targetColumn|null } applied to parsed rows
+            preview: null, // { columns, rows } built by buildPreview
+            resumeCheckpoint: null, // checkpoint found for the selected file (see checkForCheckpoint)
+            // Row counters
+            successCount: 0,
+            errorCount: 0,
+            totalCount: 0,
+            filteredCount: 0,
+            unsentCount: 0, // validated rows never acknowledged because the import was cancelled
+            currentCsvLine: 2, // header is line 1, first data row is line 2
+            // Stored data
+            logs: [],
+            successRows: [],
+            errorRows: [],
+            filteredRows: []
+        };
     }
 
     /**
@@ -550,166 +1293,31 @@ class ImportSDK {
     }
 
     /**
-     * Initialize the SDK
-     * @param {HTMLElement} container - DOM element to inject the UI into
-     * @param {Object} config - Configuration object
+     * Select a file for import/check
+     * @param {File} file - Selected file
+     * @returns {boolean} - Whether the file was accepted
      */
-    static init(container, config) {
-        return new ImportSDK(container, config);
-    }
-
-    render() {
-        this.container.innerHTML = `
-            <div class="import-sdk-container">
-                <div class="import-sdk-upload-area" id="import-sdk-dropzone">
-                    <input type="file" id="import-sdk-file-input" accept=".csv" style="display: none;">
-                    <div class="import-sdk-upload-content" id="import-sdk-upload-prompt">
-                        <svg class="import-sdk-upload-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor">
-                            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4M17 8l-5-5-5 5M12 3v12"/>
-                        </svg>
-                        <p class="import-sdk-upload-text">${this.t('uploadPrompt')}</p>
-                        <p class="import-sdk-upload-hint">${this.t('uploadHint')}</p>
-                    </div>
-                    <div class="import-sdk-file-info" id="import-sdk-file-info" style="display: none;">
-                        <span class="import-sdk-file-name" id="import-sdk-file-name"></span>
-                        <button class="import-sdk-remove-btn" id="import-sdk-remove-file">&times;</button>
-                    </div>
-                </div>
-
-                <div class="import-sdk-actions">
-                    <button class="import-sdk-btn import-sdk-btn-secondary" id="import-sdk-check-btn" disabled>
-                        ${this.t('checkFile')}
-                    </button>
-                    <button class="import-sdk-btn import-sdk-btn-primary" id="import-sdk-start-btn" disabled>
-                        ${this.t('startImport')}
-                    </button>
-                </div>
-
-                <div class="import-sdk-progress" id="import-sdk-progress" style="display: none;">
-                    <div class="import-sdk-progress-header">
-                        <span id="import-sdk-progress-title">${this.t('progressTitle')}</span>
-                        <span id="import-sdk-progress-text">0%</span>
-                    </div>
-                    <div class="import-sdk-progress-bar-bg">
-                        <div class="import-sdk-progress-bar" id="import-sdk-progress-bar"></div>
-                    </div>
-                    <div class="import-sdk-stats">
-                        <div class="import-sdk-stat import-sdk-stat-success">
-                            <div class="import-sdk-stat-value" id="import-sdk-success-count">0</div>
-                            <div class="import-sdk-stat-label">${this.t('success')}</div>
-                        </div>
-                        <div class="import-sdk-stat import-sdk-stat-error">
-                            <div class="import-sdk-stat-value" id="import-sdk-error-count">0</div>
-                            <div class="import-sdk-stat-label">${this.t('errors')}</div>
-                        </div>
-                        <div class="import-sdk-stat import-sdk-stat-filtered" id="import-sdk-filtered-stat" style="display: none;">
-                            <div class="import-sdk-stat-value" id="import-sdk-filtered-count">0</div>
-                            <div class="import-sdk-stat-label">${this.t('filtered')}</div>
-                        </div>
-                        <div class="import-sdk-stat import-sdk-stat-total">
-                            <div class="import-sdk-stat-value" id="import-sdk-total-count">0</div>
-                            <div class="import-sdk-stat-label">${this.t('total')}</div>
-                        </div>
-                    </div>
-                    <div class="import-sdk-export-actions" id="import-sdk-export-actions" style="display: none;">
-                        <div class="import-sdk-dropdown">
-                            <button class="import-sdk-btn import-sdk-btn-secondary import-sdk-dropdown-btn" id="import-sdk-export-btn">
-                                ${this.t('downloadResults')} ▼
-                            </button>
-                            <div class="import-sdk-dropdown-content" id="import-sdk-export-menu">
-                                <!-- Export options will be added dynamically -->
-                            </div>
-                        </div>
-                    </div>
-                </div>
-
-                <div class="import-sdk-logs-container">
-                    <div class="import-sdk-logs-header">
-                        <span>${this.t('logs')}</span>
-                        <button class="import-sdk-clear-btn" id="import-sdk-clear-logs">${this.t('clearLogs')}</button>
-                    </div>
-                    <div class="import-sdk-logs" id="import-sdk-logs">
-                        <div class="import-sdk-log import-sdk-log-info">${this.t('ready')}</div>
-                    </div>
-                </div>
-            </div>
-        `;
-    }
-
-    attachEventListeners() {
-        const fileInput = document.getElementById('import-sdk-file-input');
-        const dropZone = document.getElementById('import-sdk-dropzone');
-        const uploadPrompt = document.getElementById('import-sdk-upload-prompt');
-        const removeBtn = document.getElementById('import-sdk-remove-file');
-        const startBtn = document.getElementById('import-sdk-start-btn');
-        const checkBtn = document.getElementById('import-sdk-check-btn');
-        const clearLogsBtn = document.getElementById('import-sdk-clear-logs');
-
-        // In some advanced demos/pages, a custom UI might be used and the
-        // default ImportSDK template may not be present. In that case the
-        // elements above will be null; bail out safely instead of throwing.
-        if (!fileInput || !dropZone || !uploadPrompt || !removeBtn || !startBtn || !checkBtn || !clearLogsBtn) {
-            return;
-        }
-
-        // Click to upload
-        uploadPrompt.addEventListener('click', () => fileInput.click());
-
-        // File selection
-        fileInput.addEventListener('change', (e) => this.handleFileSelect(e.target.files[0]));
-
-        // Drag & Drop
-        dropZone.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            dropZone.classList.add('import-sdk-dragover');
-        });
-
-        dropZone.addEventListener('dragleave', () => {
-            dropZone.classList.remove('import-sdk-dragover');
-        });
-
-        dropZone.addEventListener('drop', (e) => {
-            e.preventDefault();
-            dropZone.classList.remove('import-sdk-dragover');
-            this.handleFileSelect(e.dataTransfer.files[0]);
-        });
-
-        // Remove file
-        removeBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.handleFileRemove();
-        });
-
-        // Start import
-        startBtn.addEventListener('click', () => this.startImport('import'));
-        
-        // Check file
-        checkBtn.addEventListener('click', () => this.startImport('check'));
-
-        // Clear logs
-        clearLogsBtn.addEventListener('click', () => this.clearLogs());
-    }
-
     handleFileSelect(file) {
-        if (!file) return;
-        if (!file.name.endsWith('.csv')) {
+        if (!file) return false;
+        if (!file.name.endsWith('.csv') && !this.isSpreadsheetFile(file) && !this.isJsonFile(file)) {
             this.log(this.t('errorCsvOnly'), 'error');
-            return;
+            return false;
         }
 
         // Select appropriate file mapping based on filename
         this.selectFileMapping(file.name);
 
         this.state.selectedFile = file;
-        document.getElementById('import-sdk-file-name').textContent = file.name;
-        document.getElementById('import-sdk-file-info').style.display = 'flex';
-        document.getElementById('import-sdk-upload-prompt').style.display = 'none';
-        
-        // Flow control: if forceCheck is enabled, keep start disabled until check passes
-        const startBtn = document.getElementById('import-sdk-start-btn');
-        startBtn.disabled = this.config.flow.forceCheck;
-        
-        document.getElementById('import-sdk-check-btn').disabled = false;
+        this.state.resumeCheckpoint = null;
+        this.state.sheets = [];
+        this.state.selectedSheet = null;
+        this.state.detectedColumns = [];
+        this.state.columnMapping = null;
+        this.state.preview = null;
+        this.workbookLookup = null;
+        this.columnLookup = null;
+        this.previewSample = null;
+        this.emit('fileSelected', { file, mapping: this.activeMapping });
         
         const mappingInfo = this.activeMapping.name 
             ? this.t('mappingInfo', { name: this.activeMapping.name }) 
@@ -720,9 +1328,28 @@ class ImportSDK {
             size: (file.size / 1024).toFixed(2),
             mapping: mappingInfo
         }));
+
+        // List the sheets of a workbook so one can be picked before importing
+        if (this.isSpreadsheetFile(file)) {
+            this.workbookLookup = this.openWorkbook(file);
+        }
+
+        // Read the headers so they can be mapped before parsing starts
+        if (this.config.columnMapping.enabled) {
+            this.columnLookup = this.detectColumns(file);
+        }
+        if (this.config.preview.enabled) {
+            this.loadPreview(file);
+        }
+
+        // Look for a checkpoint left by an interrupted import of the same file
+        if (this.config.checkpoint.enabled && this.config.checkpoint.store) {
+            this.fileFingerprint = this.computeFileFingerprint(file);
+            this.checkpointLookup = this.checkForCheckpoint(file);
+        }
         
         // Call plugin onFileSelect hooks
-        ImportSDK.plugins.forEach(plugin => {
+        ImportEngine.plugins.forEach(plugin => {
             if (plugin.onFileSelect) {
                 try {
                     plugin.onFileSelect(file, this, plugin.config || {});
@@ -747,6 +1374,8 @@ class ImportSDK {
                 }
             });
         }
+
+        return true;
     }
 
     selectFileMapping(filename) {
@@ -785,132 +1414,579 @@ class ImportSDK {
 
     handleFileRemove() {
         this.state.selectedFile = null;
-        document.getElementById('import-sdk-file-input').value = '';
-        document.getElementById('import-sdk-file-info').style.display = 'none';
-        document.getElementById('import-sdk-upload-prompt').style.display = 'block';
-        document.getElementById('import-sdk-start-btn').disabled = true;
-        document.getElementById('import-sdk-check-btn').disabled = true;
+        this.state.resumeCheckpoint = null;
+        this.state.sheets = [];
+        this.state.selectedSheet = null;
+        this.state.detectedColumns = [];
+        this.state.columnMapping = null;
+        this.state.preview = null;
+        this.fileFingerprint = null;
+        this.workbookLookup = null;
+        this.columnLookup = null;
+        this.previewSample = null;
+        this.emit('fileRemoved');
         this.log(this.t('fileRemoved'));
     }
 
-    log(message, type = 'info') {
-        const logsContainer = document.getElementById('import-sdk-logs');
-        const logEntry = document.createElement('div');
-        logEntry.className = `import-sdk-log import-sdk-log-${type}`;
-        
-        const timestamp = new Date().toLocaleTimeString();
-        logEntry.innerHTML = `<span class="import-sdk-log-time">[${timestamp}]</span> ${message}`;
-        
-        logsContainer.appendChild(logEntry);
-        logsContainer.scrollTop = logsContainer.scrollHeight;
+    /**
+     * Whether a file is an Excel workbook (.xlsx)
+     * @param {File} file - Selected file
+     * @returns {boolean}
+     */
+    isSpreadsheetFile(file) {
+        return /\.xlsx$/i.test(file.name);
+    }
 
-        this.state.logs.push({ timestamp, message, type });
+    /**
+     * Whether a file holds JSON records: a JSON array (.json) or one JSON
+     * object per line (.ndjson)
+     * @param {File} file - Selected file
+     * @returns {boolean}
+     */
+    isJsonFile(file) {
+        return /\.(json|ndjson)$/i.test(file.name);
     }
 
-    clearLogs() {
-        document.getElementById('import-sdk-logs').innerHTML = 
-            `<div class="import-sdk-log import-sdk-log-info">${this.t('logsCleared')}</div>`;
-        this.state.logs = [];
+    /**
+     * Read the sheets of a selected workbook and pick the first visible one
+     * (state.sheets, state.selectedSheet, 'sheetsAvailable' event)
+     * @param {File} file - Selected .xlsx file
+     * @returns {Promise<XlsxWorkbook|null>} - Workbook, null if it could not be read
+     */
+    async openWorkbook(file) {
+        try {
+            const workbook = await XlsxWorkbook.open(await this.readFileAsArrayBuffer(file));
+
+            // Ignore stale lookups (another file selected meanwhile)
+            if (this.state.selectedFile !== file) {
+                return null;
+            }
+
+            const firstSheet = workbook.sheets.find(sheet => !sheet.hidden) || workbook.sheets[0];
+            this.state.sheets = workbook.sheets.map(sheet => sheet.name);
+            this.state.selectedSheet = firstSheet ? firstSheet.name : null;
+
+            this.log(this.t('sheetsFound', { count: this.state.sheets.length, sheet: this.state.selectedSheet }));
+            this.emit('sheetsAvailable', { sheets: this.state.sheets, selectedSheet: this.state.selectedSheet });
+            return workbook;
+        } catch (err) {
+            this.log(this.t('workbookError', { message: err.message }), 'error');
+            return null;
+        }
     }
 
     /**
-     * Reset metrics for a new import
+     * Pick the sheet of the selected workbook to check or import
+     * @param {string} name - Sheet name (one of state.sheets)
+     * @returns {boolean} - Whether the sheet exists
      */
-    resetMetrics() {
-        this.metrics = {
-            ...this.metrics,
-            startTime: null,
-            endTime: null,
-            totalDuration: 0,
-            parseStartTime: null,
-            parseEndTime: null,
-            parseDuration: 0,
-            normalizationTime: 0,
-            rowProcessingTimes: [],
-            avgRowProcessingTime: 0,
-            maxRowProcessingTime: 0,
-            minRowProcessingTime: Infinity,
-            totalRowsProcessed: 0,
-            chunkTimes: [],
-            avgChunkLatency: 0,
-            maxChunkLatency: 0,
-            minChunkLatency: Infinity,
-            totalChunks: 0,
-            chunkSizes: [],
-            activeBatches: 0,
-            peakConcurrency: 0,
-            concurrencyHistory: [],
-            concurrencyTimeline: [],
-            apiCalls: 0,
-            apiRetries: 0,
-            apiFailures: 0,
-            apiSuccesses: 0,
-            totalApiTime: 0,
-            avgApiLatency: 0,
-            apiLatencies: [],
-            pluginExecutionTimes: {},
-            pluginCallCounts: {},
-            validationTime: 0,
-            transformTime: 0,
-            filterTime: 0,
-            fileSize: 0,
-            estimatedRows: 0,
-            actualRows: 0
-        };
-        
-        // Reset unique errors tracking for new import
-        this.uniqueErrors = new Set();
-        this.errorPatternCounts = new Map();
+    selectSheet(name) {
+        if (!this.state.sheets.includes(name) || this.state.isProcessing) return false;
+
+        this.state.selectedSheet = name;
+        this.log(this.t('sheetSelected', { sheet: name }));
+        this.emit('sheetSelected', { sheet: name });
+
+        // Each sheet has its own header row
+        if (this.config.columnMapping.enabled) {
+            this.columnLookup = this.detectColumns(this.state.selectedFile);
+        }
+        if (this.config.preview.enabled) {
+            this.loadPreview(this.state.selectedFile);
+        }
+        return true;
     }
 
     /**
-     * Start timing for a specific operation
-     * @param {string} operation - Operation name
-     * @returns {function} - Function to call when operation completes
+     * Columns file headers can be mapped to: columnMapping.targets, else
+     * requiredColumns, allowedColumns and schema properties, else the keys
+     * of the field mapping
+     * @returns {Array<string>}
      */
-    startTiming(operation) {
-        const startTime = performance.now();
-        
-        return (metadata = {}) => {
-            const duration = performance.now() - startTime;
-            this.recordTiming(operation, duration, metadata);
-            return duration;
-        };
+    getTargetColumns() {
+        if (this.config.columnMapping.targets) {
+            return [...this.config.columnMapping.targets];
+        }
+
+        const targets = [...new Set([
+            ...this.config.requiredColumns,
+            ...this.config.allowedColumns,
+            ...Object.keys(this.schemaRules)
+        ])];
+        return targets.length > 0 ? targets : Object.keys(this.activeMapping.fieldMapping);
     }
 
     /**
-     * Record timing for an operation
-     * @param {string} operation - Operation name
-     * @param {number} duration - Duration in milliseconds
-     * @param {Object} metadata - Additional metadata
+     * Read the headers of the selected file and suggest a column mapping
+     * (state.detectedColumns, state.columnMapping, 'columnsDetected' event).
+     * startImport waits for it, so the mapping applies to the first row.
+     * @param {File} file - Selected file
+     * @returns {Promise<Object|null>} - Suggested mapping, null if the headers could not be read
      */
-    recordTiming(operation, duration, metadata = {}) {
-        switch (operation) {
-            case 'rowProcessing':
-                this.metrics.rowProcessingTimes.push(duration);
-                this.metrics.totalRowsProcessed++;
-                this.updateRowMetrics();
-                break;
-                
-            case 'chunkProcessing':
-                this.metrics.chunkTimes.push(duration);
-                this.metrics.totalChunks++;
-                if (metadata.chunkSize) {
-                    this.metrics.chunkSizes.push(metadata.chunkSize);
-                }
-                this.updateChunkMetrics();
-                break;
-                
-            case 'apiCall':
-                this.metrics.apiLatencies.push(duration);
-                this.metrics.totalApiTime += duration;
-                this.metrics.apiCalls++;
-                if (metadata.success) {
-                    this.metrics.apiSuccesses++;
-                } else if (metadata.error) {
-                    this.metrics.apiFailures++;
-                }
-                this.updateApiMetrics();
+    async detectColumns(file) {
+        await this.workbookLookup; // sheet picked once the workbook is read
+        const sheet = this.state.selectedSheet;
+        try {
+            const { fields: headers } = await this.readSample(file, 0);
+
+            // Ignore stale lookups (another file or sheet selected meanwhile)
+            if (this.state.selectedFile !== file || this.state.selectedSheet !== sheet) {
+                return null;
+            }
+
+            const targets = this.getTargetColumns();
+            const mapping = this.suggestColumnMapping(headers, targets);
+            this.state.detectedColumns = headers;
+            this.state.columnMapping = mapping;
+
+            this.log(this.t('columnsDetected', {
+                count: headers.length,
+                mapped: Object.values(mapping).filter(Boolean).length
+            }));
+            this.emit('columnsDetected', { headers, targets, mapping });
+            return mapping;
+        } catch (err) {
+            this.log(this.t('columnDetectionError', { message: err.message }), 'warning');
+            return null;
+        }
+    }
+
+    /**
+     * Read the header and first rows of a file the way the parser will see
+     * them: normalized CSV, first non-empty row of the selected sheet and
+     * the rows below it, or keys of the first JSON record and the records
+     * @private
+     * @param {File} file - Selected file
+     * @param {number} count - Rows to read (0: header only)
+     * @returns {Promise<{fields: Array<string>, rows: Array<{line: number, row: Object, error?: string}>}>}
+     */
+    async readSample(file, count) {
+        if (this.isSpreadsheetFile(file)) {
+            const workbook = await this.workbookLookup;
+            if (!workbook || !this.state.selectedSheet) return { fields: [], rows: [] };
+
+            const [header, ...sheetRows] = await workbook.readSheet(this.state.selectedSheet);
+            const fields = header ? header.values.map(value => value.trim()) : [];
+            return {
+                fields: fields.filter(Boolean),
+                rows: sheetRows.slice(0, count).map(({ line, values }) => ({ line, row: this.buildSheetRow(fields, values) }))
+            };
+        }
+
+        if (this.isJsonFile(file)) {
+            const reader = /\.ndjson$/i.test(file.name) ? this.createNdjsonReader() : this.createJsonArrayReader();
+            const records = [];
+            for await (const { text, last } of this.readFileChunks(file)) {
+                records.push(...reader.push(text), ...(last ? reader.flush() : []));
+                if (records.length >= Math.max(count, 1)) break;
+            }
+
+            const rows = records.slice(0, Math.max(count, 1)).map(({ line, text }) => {
+                try {
+                    const row = JSON.parse(text);
+                    if (row && typeof row === 'object' && !Array.isArray(row)) {
+                        return { line, row };
+                    }
+                    return { line, row: { _raw: text }, error: this.t('jsonRecordNotObject') };
+                } catch (err) {
+                    return { line, row: { _raw: text }, error: this.t('invalidJsonRecord', { message: err.message }) };
+                }
+            });
+            return { fields: rows.length > 0 && !rows[0].error ? Object.keys(rows[0].row) : [], rows: rows.slice(0, count) };
+        }
+
+        // Slices are normalized as streamFile does it, until enough rows are read
+        const normalizer = this.config.csvNormalization.enabled ? this.createStreamNormalizer() : null;
+        let content = '';
+        let results = { data: [], meta: {} };
+        for await (const { text, last } of this.readFileChunks(file)) {
+            content += normalizer ? normalizer.push(text) + (last ? normalizer.flush() : '') : text;
+            results = Papa.parse(content, {
+                header: true,
+                skipEmptyLines: true,
+                preview: Math.max(count, 1),
+                delimiter: normalizer && normalizer.delimiter !== ',' ? normalizer.delimiter : undefined
+            });
+            if (results.data.length >= count) break;
+        }
+
+        return {
+            fields: results.meta.fields || [],
+            // Header is line 1, rows are numbered like startImport does
+            rows: results.data.slice(0, count).map((row, index) => ({ line: index + 2, row }))
+        };
+    }
+
+    /**
+     * Suggest a target for each file header: saved choices first, then the
+     * most similar header/target pairs, each target used once
+     * @param {Array<string>} headers - File headers
+     * @param {Array<string>} targets - Expected columns
+     * @returns {Object} - { fileColumn: targetColumn|null } (null: column ignored)
+     */
+    suggestColumnMapping(headers, targets) {
+        const saved = this.config.columnMapping.saved;
+        const mapping = {};
+        const used = new Set();
+
+        headers.forEach(header => {
+            const target = saved[header];
+            if (target === null || target === header || (targets.includes(target) && !used.has(target))) {
+                mapping[header] = target;
+                if (target) used.add(target);
+            }
+        });
+
+        // A target also matches the API field it is mapped to (e.g. tankNumber)
+        const pairs = [];
+        headers.filter(header => !(header in mapping)).forEach(header => {
+            targets.filter(target => !used.has(target)).forEach(target => {
+                const apiField = this.activeMapping.fieldMapping[target];
+                const score = Math.max(
+                    this.columnSimilarity(header, target),
+                    apiField ? this.columnSimilarity(header, apiField) : 0
+                );
+                if (score >= this.config.columnMapping.minScore) {
+                    pairs.push({ header, target, score });
+                }
+            });
+        });
+
+        pairs.sort((a, b) => b.score - a.score);
+        for (const { header, target } of pairs) {
+            if (header in mapping || used.has(target)) continue;
+            mapping[header] = target;
+            used.add(target);
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Similarity of two column names or labels from 0 to 1 (Dice coefficient of
+     * character pairs), ignoring case, accents, separators and camelCase
+     * @param {string} a - Column name
+     * @param {string} b - Column name
+     * @returns {number}
+     */
+    columnSimilarity(a, b) {
+        const simplify = (name) => String(name)
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '');
+        const left = simplify(a);
+        const right = simplify(b);
+
+        if (left === right) return 1;
+        if (left.length < 2 || right.length < 2) return 0;
+
+        const pairs = new Map();
+        for (let i = 0; i < left.length - 1; i++) {
+            const pair = left.slice(i, i + 2);
+            pairs.set(pair, (pairs.get(pair) || 0) + 1);
+        }
+
+        let shared = 0;
+        for (let i = 0; i < right.length - 1; i++) {
+            const pair = right.slice(i, i + 2);
+            if (pairs.get(pair) > 0) {
+                pairs.set(pair, pairs.get(pair) - 1);
+                shared++;
+            }
+        }
+
+        return (2 * shared) / (left.length + right.length - 2);
+    }
+
+    /**
+     * Change the column mapping before starting an import
+     * @param {Object} mapping - { fileColumn: targetColumn|null }; columns left out keep their name
+     * @returns {boolean} - Whether the mapping was accepted
+     */
+    setColumnMapping(mapping) {
+        if (this.state.isProcessing) return false;
+
+        this.state.columnMapping = { ...mapping };
+        this.emit('columnMappingChanged', { mapping: this.state.columnMapping });
+
+        if (this.previewSample) {
+            this.buildPreview();
+        }
+        return true;
+    }
+
+    /**
+     * Name a file column is imported under with the column mapping
+     * @private
+     * @param {string} column - File header
+     * @returns {string|null} - Target column, null if the column is ignored
+     */
+    mapColumnName(column) {
+        const mapping = this.state.columnMapping;
+        return mapping && Object.prototype.hasOwnProperty.call(mapping, column) ? mapping[column] : column;
+    }
+
+    /**
+     * Read the first rows of the selected file (preview.rows) and build the
+     * preview once the column mapping is known
+     * @param {File} file - Selected file
+     * @returns {Promise<Object|null>} - Preview, null if the file could not be read
+     */
+    async loadPreview(file) {
+        await this.workbookLookup;
+        await this.columnLookup;
+        const sheet = this.state.selectedSheet;
+        try {
+            const sample = await this.readSample(file, this.config.preview.rows);
+
+            // Ignore stale lookups (another file or sheet selected meanwhile)
+            if (this.state.selectedFile !== file || this.state.selectedSheet !== sheet) {
+                return null;
+            }
+
+            this.previewSample = sample;
+            return this.buildPreview();
+        } catch (err) {
+            this.log(this.t('previewError', { message: err.message }), 'warning');
+            return null;
+        }
+    }
+
+    /**
+     * Run the preview rows through the column mapping, filters, transforms
+     * and validation without counting them ('previewUpdated' event).
+     * Each row gets a status: 'valid', 'invalid' (error and invalidFields)
+     * or 'filtered' (reason); values are the transformed row.
+     * @returns {{columns: Array<string>, rows: Array<Object>}|Promise<Object>|null} - A promise when a
+     *   validator or transformer returned one
+     */
+    buildPreview() {
+        if (!this.previewSample) return null;
+        return this.runSteps(this.buildPreviewSteps(this.previewSample));
+    }
+
+    /**
+     * Steps of buildPreview (see runSteps)
+     * @private
+     */
+    *buildPreviewSteps(sample) {
+        const columns = new Set();
+        const failed = (err) => ({ error: err.message });
+
+        const entries = sample.rows.map(({ line, row: fileRow, error }) => {
+            if (error) return { line, fileRow, error };
+            try {
+                const row = this.mapColumns(fileRow);
+                return { line, fileRow, row, filterResult: this.filterRow(row) };
+            } catch (err) {
+                return { line, fileRow, error: err.message };
+            }
+        });
+
+        const transformed = yield* this.mapLimited(entries, ({ row, error }) => {
+            if (error) return { error };
+            try {
+                const resolved = this.whenResolved(this.transformRow(row), values => this.applyLookups(values));
+                return this.whenResolved(resolved, lookup => ({ values: lookup.row, lookupErrors: lookup.errors }), failed);
+            } catch (err) {
+                return failed(err);
+            }
+        });
+        entries.forEach((entry, index) => Object.assign(entry, transformed[index]));
+
+        // Unique values seen in the preview must not count for the import
+        const uniqueValues = this.schemaUniqueValues;
+        this.schemaUniqueValues = {};
+        entries.forEach(entry => {
+            if (entry.error || !entry.filterResult.passed) return;
+            try {
+                entry.schemaErrors = [...this.validateSchema(entry.values, entry.line), ...entry.lookupErrors];
+            } catch (err) {
+                entry.error = err.message;
+            }
+        });
+        this.schemaUniqueValues = uniqueValues;
+
+        const validations = yield* this.mapLimited(entries, ({ values, schemaErrors }) => {
+            if (!schemaErrors) return null;
+            try {
+                return this.whenResolved(this.validateRow(values, schemaErrors), validation => ({ validation }), failed);
+            } catch (err) {
+                return failed(err);
+            }
+        });
+
+        // Ignore stale previews (another file selected meanwhile)
+        if (this.previewSample !== sample) {
+            return null;
+        }
+
+        const rows = entries.map(({ line, fileRow, filterResult, values, schemaErrors, error }, index) => {
+            if (values) {
+                Object.keys(values).forEach(column => columns.add(column));
+            }
+            error = error || (validations[index] && validations[index].error);
+            if (error) {
+                return { line, status: 'invalid', values: fileRow, error, invalidFields: [] };
+            }
+
+            if (!filterResult.passed) {
+                return { line, status: 'filtered', values, reason: filterResult.reason };
+            }
+
+            const { validation } = validations[index];
+            if (validation.isValid) {
+                return { line, status: 'valid', values };
+            }
+
+            const invalidFields = [...new Set([...schemaErrors.map(schemaError => schemaError.field), validation.field])]
+                .filter(Boolean);
+            return { line, status: 'invalid', values, error: validation.error, invalidFields };
+        });
+
+        this.state.preview = { columns: [...columns], rows };
+        this.emit('previewUpdated', this.state.preview);
+        return this.state.preview;
+    }
+
+    /**
+     * Rename the keys of a parsed row with the column mapping
+     * @private
+     * @param {Object} row - Row keyed by file headers
+     * @returns {Object}
+     */
+    mapColumns(row) {
+        if (!this.state.columnMapping) return row;
+
+        const mapped = {};
+        Object.keys(row).forEach(key => {
+            const target = this.mapColumnName(key);
+            if (target !== null) {
+                mapped[target] = row[key];
+            }
+        });
+        return mapped;
+    }
+
+    log(message, type = 'info') {
+        const timestamp = new Date().toLocaleTimeString();
+        const entry = { timestamp, message, type };
+
+        this.state.logs.push(entry);
+        this.emit('log', entry);
+    }
+
+    clearLogs() {
+        this.state.logs = [];
+        this.emit('logsCleared');
+    }
+
+    /**
+     * Reset metrics for a new import
+     */
+    resetMetrics() {
+        this.metrics = {
+            ...this.metrics,
+            startTime: null,
+            endTime: null,
+            totalDuration: 0,
+            parseStartTime: null,
+            parseEndTime: null,
+            parseDuration: 0,
+            normalizationTime: 0,
+            encoding: null, // encoding the file was decoded with
+            totalRowProcessingTime: 0,
+            avgRowProcessingTime: 0,
+            maxRowProcessingTime: 0,
+            minRowProcessingTime: Infinity,
+            totalRowsProcessed: 0,
+            totalChunkTime: 0,
+            avgChunkLatency: 0,
+            maxChunkLatency: 0,
+            minChunkLatency: Infinity,
+            totalChunks: 0,
+            chunkSizes: [],
+            activeBatches: 0,
+            peakConcurrency: 0,
+            concurrencyHistory: [],
+            concurrencyTimeline: [],
+            apiCalls: 0,
+            apiRetries: 0,
+            apiFailures: 0,
+            apiSuccesses: 0,
+            totalApiTime: 0,
+            avgApiLatency: 0,
+            apiLatencies: [],
+            rateLimitWaits: 0, // requests delayed by rateLimit
+            requestBytes: 0, // JSON bodies sent by defaultSendHandler, before compression
+            requestBytesSent: 0, // the same bodies as sent (gzipped when compression applies)
+            compressedRequests: 0,
+            rateLimitWaitTime: 0, // ms spent waiting for rateLimit, not counted in API latency
+            pluginExecutionTimes: {},
+            pluginCallCounts: {},
+            validationTime: 0,
+            transformTime: 0,
+            filterTime: 0,
+            fileSize: 0,
+            estimatedRows: 0,
+            actualRows: 0
+        };
+        
+        // Reset unique errors tracking for new import
+        this.uniqueErrors = new Set();
+        this.errorPatternCounts = new Map();
+    }
+
+    /**
+     * Start timing for a specific operation
+     * @param {string} operation - Operation name
+     * @returns {function} - Function to call when operation completes
+     */
+    startTiming(operation) {
+        const startTime = performance.now();
+        
+        return (metadata = {}) => {
+            const duration = performance.now() - startTime;
+            this.recordTiming(operation, duration, metadata);
+            return duration;
+        };
+    }
+
+    /**
+     * Record timing for an operation
+     * @param {string} operation - Operation name
+     * @param {number} duration - Duration in milliseconds
+     * @param {Object} metadata - Additional metadata
+     */
+    recordTiming(operation, duration, metadata = {}) {
+        switch (operation) {
+            case 'rowProcessing':
+                this.updateRowMetrics({ count: 1, total: duration, min: duration, max: duration });
+                break;
+                
+            case 'chunkProcessing':
+                this.metrics.totalChunks++;
+                this.metrics.totalChunkTime += duration;
+                this.metrics.maxChunkLatency = Math.max(this.metrics.maxChunkLatency, duration);
+                this.metrics.minChunkLatency = Math.min(this.metrics.minChunkLatency, duration);
+                if (metadata.chunkSize) {
+                    this.metrics.chunkSizes.push(metadata.chunkSize);
+                }
+                this.updateChunkMetrics();
+                break;
+                
+            case 'apiCall':
+                this.metrics.apiLatencies.push(duration);
+                this.metrics.totalApiTime += duration;
+                this.metrics.apiCalls++;
+                if (metadata.success) {
+                    this.metrics.apiSuccesses++;
+                } else if (metadata.error) {
+                    this.metrics.apiFailures++;
+                }
+                this.updateApiMetrics();
                 break;
                 
             case 'validation':
@@ -926,7 +2002,7 @@ class ImportSDK {
                 break;
                 
             case 'normalization':
-                this.metrics.normalizationTime = duration;
+                this.metrics.normalizationTime += duration;
                 break;
                 
             case 'parse':
@@ -953,10 +2029,11 @@ class ImportSDK {
         this.metrics.activeBatches = activeBatches;
         this.metrics.peakConcurrency = Math.max(this.metrics.peakConcurrency, activeBatches);
         
-        // Record concurrency timeline
+        // Record concurrency timeline, with the current pool size
         this.metrics.concurrencyTimeline.push({
             timestamp: performance.now() - this.metrics.startTime,
-            activeBatches: activeBatches
+            activeBatches: activeBatches,
+            level: this.concurrencyLevel
         });
         
         // Keep history for the last 100 measurements
@@ -967,16 +2044,19 @@ class ImportSDK {
     }
 
     /**
-     * Update row processing metrics
+     * Add row timings to the running row processing metrics. Only count,
+     * sum, min and max are kept, so the cost per row stays constant on
+     * files of any size.
      * @private
+     * @param {{count: number, total: number, min: number, max: number}} timings - Rows timed and their durations
      */
-    updateRowMetrics() {
-        const times = this.metrics.rowProcessingTimes;
-        if (times.length > 0) {
-            this.metrics.avgRowProcessingTime = times.reduce((a, b) => a + b, 0) / times.length;
-            this.metrics.maxRowProcessingTime = Math.max(...times);
-            this.metrics.minRowProcessingTime = Math.min(...times);
-        }
+    updateRowMetrics({ count, total, min, max }) {
+        if (count === 0) return;
+        this.metrics.totalRowsProcessed += count;
+        this.metrics.totalRowProcessingTime += total;
+        this.metrics.avgRowProcessingTime = this.metrics.totalRowProcessingTime / this.metrics.totalRowsProcessed;
+        this.metrics.maxRowProcessingTime = Math.max(this.metrics.maxRowProcessingTime, max);
+        this.metrics.minRowProcessingTime = Math.min(this.metrics.minRowProcessingTime, min);
     }
 
     /**
@@ -984,11 +2064,8 @@ class ImportSDK {
      * @private
      */
     updateChunkMetrics() {
-        const times = this.metrics.chunkTimes;
-        if (times.length > 0) {
-            this.metrics.avgChunkLatency = times.reduce((a, b) => a + b, 0) / times.length;
-            this.metrics.maxChunkLatency = Math.max(...times);
-            this.metrics.minChunkLatency = Math.min(...times);
+        if (this.metrics.totalChunks > 0) {
+            this.metrics.avgChunkLatency = this.metrics.totalChunkTime / this.metrics.totalChunks;
         }
     }
 
@@ -997,9 +2074,8 @@ class ImportSDK {
      * @private
      */
     updateApiMetrics() {
-        const latencies = this.metrics.apiLatencies;
-        if (latencies.length > 0) {
-            this.metrics.avgApiLatency = latencies.reduce((a, b) => a + b, 0) / latencies.length;
+        if (this.metrics.apiCalls > 0) {
+            this.metrics.avgApiLatency = this.metrics.totalApiTime / this.metrics.apiCalls;
         }
     }
 
@@ -1101,6 +2177,7 @@ class ImportSDK {
             successRate: this.state.totalCount > 0 ? (this.state.successCount / this.state.totalCount) * 100 : 0,
             errorRate: this.state.totalCount > 0 ? (this.state.errorCount / this.state.totalCount) * 100 : 0,
             filterRate: this.state.totalCount > 0 ? (this.state.filteredCount / this.state.totalCount) * 100 : 0,
+            compressionRatio: this.metrics.requestBytes > 0 ? this.metrics.requestBytesSent / this.metrics.requestBytes : 1,
             
             // Performance indicators
             performanceScore: this.calculatePerformanceScore(),
@@ -1166,6 +2243,11 @@ class ImportSDK {
             bottlenecks.push(`High memory usage: ${(this.metrics.memoryUsageEstimate / 1024 / 1024).toFixed(1)}MB estimated`);
         }
         
+        // Check for time lost to the client-side quota
+        if (this.metrics.totalDuration > 0 && this.metrics.rateLimitWaitTime > this.metrics.totalDuration * 0.5) {
+            bottlenecks.push(`Rate limited: ${this.metrics.rateLimitWaitTime.toFixed(0)}ms spent waiting for the quota`);
+        }
+
         // Check for low concurrency utilization
         const avgConcurrency = this.metrics.concurrencyHistory.length > 0 ? 
                               this.metrics.concurrencyHistory.reduce((a, b) => a + b, 0) / this.metrics.concurrencyHistory.length : 0;
@@ -1193,19 +2275,10 @@ class ImportSDK {
 
         // 1. Trim BOM (Byte Order Mark)
         if (config.trimBOM && content.length > 0) {
-            const bomPatterns = [
-                '\uFEFF', // UTF-8 BOM
-                '\uFFFE', // UTF-16 BE BOM  
-                '\u0000\uFEFF', // UTF-16 LE BOM
-                '\uEFBBBF' // UTF-8 BOM as bytes
-            ];
-            
-            for (const bom of bomPatterns) {
-                if (content.startsWith(bom)) {
-                    content = content.slice(bom.length);
-                    issues.push(`Removed ${bom.length}-byte BOM`);
-                    break;
-                }
+            const bomResult = this.trimBOM(content);
+            content = bomResult.content;
+            if (bomResult.issue) {
+                issues.push(bomResult.issue);
             }
         }
 
@@ -1220,10 +2293,7 @@ class ImportSDK {
         // 3. Remove invisible Unicode junk
         if (config.removeUnicodeJunk) {
             const originalLength = content.length;
-            // Remove common invisible/control characters but preserve newlines and tabs
-            content = content.replace(/[\u200B-\u200D\uFEFF\u00A0\u2060\u180E]/g, ''); // Zero-width chars
-            content = content.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, ''); // Control chars except \t, \n, \r
-            content = content.replace(/[\u2000-\u200A\u202F\u205F\u3000]/g, ' '); // Various Unicode spaces -> regular space
+            content = this.removeUnicodeJunk(content);
             
             if (content.length !== originalLength) {
                 issues.push(`Removed ${originalLength - content.length} invisible/control characters`);
@@ -1261,37 +2331,7 @@ class ImportSDK {
             const lines = content.split('\n');
             if (lines.length > 0) {
                 const originalHeader = lines[0];
-                let sanitizedHeader = originalHeader;
-                
-                // Split by detected delimiter for proper header processing
-                const headerCells = this.parseCSVRow(originalHeader, detectedDelimiter);
-                const sanitizedCells = headerCells.map(cell => {
-                    let sanitized = cell.trim();
-                    
-                    // Remove quotes if they wrap the entire cell
-                    if ((sanitized.startsWith('"') && sanitized.endsWith('"')) || 
-                        (sanitized.startsWith("'") && sanitized.endsWith("'"))) {
-                        sanitized = sanitized.slice(1, -1);
-                    }
-                    
-                    // Replace problematic characters in headers
-                    sanitized = sanitized.replace(/[\n\r\t]/g, ' '); // Replace newlines/tabs with space
-                    sanitized = sanitized.replace(/\s+/g, ' '); // Collapse multiple spaces
-                    sanitized = sanitized.trim();
-                    
-                    return sanitized;
-                });
-                
-                // Rebuild header with proper quoting if needed
-                sanitizedHeader = sanitizedCells
-                    .map(cell => {
-                        // Quote cells that contain the delimiter or quotes
-                        if (cell.includes(detectedDelimiter) || cell.includes('"') || cell.includes('\n')) {
-                            return `"${cell.replace(/"/g, '""')}"`;
-                        }
-                        return cell;
-                    })
-                    .join(detectedDelimiter);
+                const sanitizedHeader = this.sanitizeHeaderLine(originalHeader, detectedDelimiter);
                 
                 if (sanitizedHeader !== originalHeader) {
                     lines[0] = sanitizedHeader;
@@ -1305,17 +2345,189 @@ class ImportSDK {
     }
 
     /**
-     * Detect CSV delimiter by analyzing the first few lines
+     * Remove a leading Byte Order Mark
      * @param {string} content - CSV content
-     * @returns {string} - Detected delimiter
+     * @returns {{content: string, issue: string|null}}
      */
-    detectDelimiter(content) {
-        const lines = content.split('\n').slice(0, 5); // Analyze first 5 lines
-        const delimiters = [',', ';', '\t', '|'];
-        const scores = {};
+    trimBOM(content) {
+        const bomPatterns = [
+            '\uFEFF', // UTF-8 BOM
+            '\uFFFE', // UTF-16 BE BOM  
+            '\u0000\uFEFF', // UTF-16 LE BOM
+            '\uEFBBBF' // UTF-8 BOM as bytes
+        ];
 
-        delimiters.forEach(delimiter => {
-            scores[delimiter] = 0;
+        for (const bom of bomPatterns) {
+            if (content.startsWith(bom)) {
+                return { content: content.slice(bom.length), issue: `Removed ${bom.length}-byte BOM` };
+            }
+        }
+        return { content, issue: null };
+    }
+
+    /**
+     * Remove common invisible/control characters but preserve newlines and tabs
+     * @param {string} content - CSV content
+     * @returns {string}
+     */
+    removeUnicodeJunk(content) {
+        return content
+            .replace(/[\u200B-\u200D\uFEFF\u00A0\u2060\u180E]/g, '') // Zero-width chars
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '') // Control chars except \t, \n, \r
+            .replace(/[\u2000-\u200A\u202F\u205F\u3000]/g, ' '); // Various Unicode spaces -> regular space
+    }
+
+    /**
+     * Trim, unquote and collapse whitespace in header cells
+     * @param {string} header - Header line
+     * @param {string} delimiter - Delimiter to use
+     * @returns {string} - Sanitized header line
+     */
+    sanitizeHeaderLine(header, delimiter) {
+        // Split by detected delimiter for proper header processing
+        const headerCells = this.parseCSVRow(header, delimiter);
+        const sanitizedCells = headerCells.map(cell => {
+            let sanitized = cell.trim();
+            
+            // Remove quotes if they wrap the entire cell
+            if ((sanitized.startsWith('"') && sanitized.endsWith('"')) || 
+                (sanitized.startsWith("'") && sanitized.endsWith("'"))) {
+                sanitized = sanitized.slice(1, -1);
+            }
+            
+            // Replace problematic characters in headers
+            sanitized = sanitized.replace(/[\n\r\t]/g, ' '); // Replace newlines/tabs with space
+            sanitized = sanitized.replace(/\s+/g, ' '); // Collapse multiple spaces
+            sanitized = sanitized.trim();
+            
+            return sanitized;
+        });
+        
+        // Rebuild header with proper quoting if needed
+        return sanitizedCells
+            .map(cell => {
+                // Quote cells that contain the delimiter or quotes
+                if (cell.includes(delimiter) || cell.includes('"') || cell.includes('\n')) {
+                    return `"${cell.replace(/"/g, '""')}"`;
+                }
+                return cell;
+            })
+            .join(delimiter);
+    }
+
+    /**
+     * Incremental counterpart of normalizeCSV for streamed input. Chunks are
+     * pushed as they are read; only complete lines are returned, the partial
+     * last line (and a trailing \r that may start a \r\n) is held back until
+     * the next push. BOM trimming, delimiter detection and header
+     * sanitization run once, on the first chunk holding a complete line.
+     * @returns {{push: Function, flush: Function, delimiter: string, issues: Array<string>}}
+     */
+    createStreamNormalizer() {
+        const config = this.config.csvNormalization;
+        const counts = { junk: 0, lineEndings: false, emptyLines: 0 };
+        let tail = '';
+        let first = true;
+
+        const normalizer = {
+            delimiter: ',',
+            issues: []
+        };
+
+        const process = (text, final) => {
+            let content = tail + text;
+            tail = '';
+
+            // Hold back the partial last line (a trailing \r may be half of \r\n)
+            if (!final) {
+                const searchEnd = content.length - (content.endsWith('\r') ? 2 : 1);
+                const cut = searchEnd < 0
+                    ? 0
+                    : Math.max(content.lastIndexOf('\n', searchEnd), content.lastIndexOf('\r', searchEnd)) + 1;
+                tail = content.slice(cut);
+                content = content.slice(0, cut);
+                if (!content) return '';
+            }
+
+            if (first && config.trimBOM) {
+                const bomResult = this.trimBOM(content);
+                content = bomResult.content;
+                if (bomResult.issue) normalizer.issues.push(bomResult.issue);
+            }
+
+            if (first && config.autoDetectDelimiter) {
+                normalizer.delimiter = this.detectDelimiter(content);
+                if (normalizer.delimiter !== ',') {
+                    normalizer.issues.push(`Auto-detected delimiter: '${normalizer.delimiter}'`);
+                }
+            }
+
+            if (config.removeUnicodeJunk) {
+                const originalLength = content.length;
+                content = this.removeUnicodeJunk(content);
+                counts.junk += originalLength - content.length;
+            }
+
+            if (config.normalizeLineEndings && content.includes('\r')) {
+                content = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+                counts.lineEndings = true;
+            }
+
+            if (config.stripEmptyLines || (first && config.sanitizeHeaders)) {
+                const endsWithNewline = content.endsWith('\n');
+                const lines = content.split('\n');
+                if (endsWithNewline) {
+                    lines.pop();
+                }
+
+                if (first && config.sanitizeHeaders && lines.length > 0) {
+                    const sanitizedHeader = this.sanitizeHeaderLine(lines[0], normalizer.delimiter);
+                    if (sanitizedHeader !== lines[0]) {
+                        lines[0] = sanitizedHeader;
+                        normalizer.issues.push('Sanitized header row');
+                    }
+                }
+
+                let keptLines = lines;
+                if (config.stripEmptyLines) {
+                    keptLines = lines.filter((line, index) => (first && index === 0) || line.trim().length > 0);
+                    counts.emptyLines += lines.length - keptLines.length;
+                }
+
+                content = keptLines.length > 0
+                    ? keptLines.join('\n') + (endsWithNewline ? '\n' : '')
+                    : '';
+            }
+
+            first = false;
+            return content;
+        };
+
+        normalizer.push = (text) => process(text, false);
+
+        normalizer.flush = () => {
+            const content = tail ? process('', true) : '';
+            if (counts.junk > 0) normalizer.issues.push(`Removed ${counts.junk} invisible/control characters`);
+            if (counts.lineEndings) normalizer.issues.push('Normalized line endings to LF');
+            if (counts.emptyLines > 0) normalizer.issues.push(`Removed ${counts.emptyLines} empty lines`);
+            return content;
+        };
+
+        return normalizer;
+    }
+
+    /**
+     * Detect CSV delimiter by analyzing the first few lines
+     * @param {string} content - CSV content
+     * @returns {string} - Detected delimiter
+     */
+    detectDelimiter(content) {
+        const lines = content.split('\n').slice(0, 5); // Analyze first 5 lines
+        const delimiters = [',', ';', '\t', '|'];
+        const scores = {};
+
+        delimiters.forEach(delimiter => {
+            scores[delimiter] = 0;
             
             const lineCounts = lines.map(line => {
                 // Don't count delimiters inside quotes
@@ -1387,17 +2599,66 @@ class ImportSDK {
         return cells;
     }
 
-    startImport(mode = 'import') {
+    /**
+     * Start an import or a check of the selected file
+     * @param {string} mode - 'import' or 'check'
+     * @param {Object} options
+     * @param {boolean} options.resume - Continue from the checkpoint found for this file
+     */
+    startImport(mode = 'import', options = {}) {
         if (!this.state.selectedFile || this.state.isProcessing) return;
 
+        const resumeCheckpoint = options.resume && mode === 'import'
+            ? this.state.resumeCheckpoint
+            : null;
+
         this.state.isProcessing = true;
+        this.state.isPaused = false;
+        this.state.isCancelled = false;
         this.state.mode = mode;
         this.state.successCount = 0;
         this.state.errorCount = 0;
         this.state.totalCount = 0;
         this.state.filteredCount = 0;
+        this.state.unsentCount = 0;
         this.state.currentCsvLine = 2; // reset CSV line counter (header is line 1)
+        this.state.resumeCheckpoint = null;
+        this.state.successRows = [];
+        this.state.errorRows = [];
+        this.state.filteredRows = [];
         this.rowBuffer = [];
+        this.abortController = new AbortController();
+        this.resumeWaiters = [];
+        this.unackedBatches = [];
+        this.checkpointLedger = [];
+        this.lastCheckpointAt = Date.now();
+        this.resumeFromLine = null;
+        this.schemaUniqueValues = {};
+        this.duplicateKeyLines = null;
+        this.crossRowRows = [];
+        this.asyncCache = new Map();
+        this.concurrencyLevel = this.initialConcurrency();
+        this.congestionSignals = 0;
+        this.concurrencyWindow = null;
+        this.inFlightBatches = new Set();
+
+        // Tables that failed to load are fetched again
+        if (this.lookupTables instanceof Map && [...this.lookupTables.values()].some(table => table.error)) {
+            this.lookupTables = null;
+        }
+
+        // Restore counters and error rows acknowledged before the interruption
+        if (resumeCheckpoint) {
+            this.resumeFromLine = resumeCheckpoint.lastAckedLine + 1;
+            this.state.successCount = resumeCheckpoint.successCount;
+            this.state.errorCount = resumeCheckpoint.errorCount;
+            this.state.totalCount = resumeCheckpoint.totalCount;
+            this.state.filteredCount = resumeCheckpoint.filteredCount;
+            this.state.errorRows = [...(resumeCheckpoint.errorRows || [])];
+            if (resumeCheckpoint.sheet && this.state.sheets.includes(resumeCheckpoint.sheet)) {
+                this.state.selectedSheet = resumeCheckpoint.sheet;
+            }
+        }
         
         // Initialize metrics for this import
         this.resetMetrics();
@@ -1405,8 +2666,11 @@ class ImportSDK {
         this.metrics.fileSize = this.state.selectedFile.size;
         this.metrics.estimatedRows = Math.max(1, Math.floor(this.metrics.fileSize / 100)); // rough estimate
         
-        // Generate unique import ID and send initial audit log
-        this.currentImportId = this.generateSessionId();
+        // Generate unique import ID and send initial audit log. A resumed import keeps its ID and
+        // batch numbers, so batches sent again have the idempotency keys of their first send
+        this.currentImportId = resumeCheckpoint?.importId || this.generateSessionId();
+        this.batchSequence = resumeCheckpoint?.importId ? resumeCheckpoint.batchSequence || 0 : 0;
+        this.batchNumbers = new WeakMap();
         this.sendAuditLog('info', `Import started: ${this.state.selectedFile.name}`, {
             fileName: this.state.selectedFile.name,
             fileSize: this.metrics.fileSize,
@@ -1414,896 +2678,4303 @@ class ImportSDK {
             estimatedRows: this.metrics.estimatedRows
         });
 
-        const startBtn = document.getElementById('import-sdk-start-btn');
-        const checkBtn = document.getElementById('import-sdk-check-btn');
-        
-        startBtn.disabled = true;
-        checkBtn.disabled = true;
-        
-        if (mode === 'check') {
-            checkBtn.textContent = this.t('checking');
-            document.getElementById('import-sdk-progress-title').textContent = this.t('validationProgress');
-        } else {
-            startBtn.textContent = this.t('importing');
-            document.getElementById('import-sdk-progress-title').textContent = this.t('importProgress');
-        }
-        
-        document.getElementById('import-sdk-progress').style.display = 'block';
+        this.emit('start', { mode, file: this.state.selectedFile });
 
         this.updateStats();
         this.log(`${mode === 'check' ? this.t('checking') : this.t('importing')} Chunk size: ${this.config.chunkSize}`);
+        if (this.resumeFromLine) {
+            this.log(this.t('resumingImport', { line: this.resumeFromLine }));
+        }
 
-        // Read file as text first for normalization
-        const fileReader = new FileReader();
-        fileReader.onload = (e) => {
-            try {
-                let csvContent = e.target.result;
-                let headersChecked = false;
-                let papaConfig = {
-                    header: true,
-                    skipEmptyLines: true,
-                    dynamicTyping: false, // Keep as strings for custom transformers
-                    chunk: async (results, parser) => {
-                        // Validate columns on first chunk
-                        if (!headersChecked) {
-                            headersChecked = true;
-                            const fileColumns = results.meta.fields || [];
-
-                            // Check required columns
-                            if (this.config.requiredColumns && this.config.requiredColumns.length > 0) {
-                                const missingColumns = this.config.requiredColumns.filter(col => !fileColumns.includes(col));
-                                
-                                if (missingColumns.length > 0) {
-                                    const msg = `Missing required columns: ${missingColumns.join(', ')}`;
-                                    this.log(msg, 'error');
-                                    this.state.errorCount++;
-                                    this.sendErrorSample(msg, 'validation', { missingColumns });
-                                }
-                            }
+        // Start parse timing
+        this.metrics.parseStartTime = performance.now();
 
-                            // Check allowed columns
-                            if (this.config.allowedColumns && this.config.allowedColumns.length > 0) {
-                                const unknownColumns = fileColumns.filter(col => !this.config.allowedColumns.includes(col));
-                                
-                                if (unknownColumns.length > 0) {
-                                    const msg = `Unknown columns found: ${unknownColumns.join(', ')}`;
-                                    // Treat as error to ensure check fails
-                                    this.log(msg, 'error');
-                                    this.state.errorCount++;
-                                    
-                                    // Send error sample
-                                    this.sendErrorSample(msg, 'validation', { unknownColumns });
-                                    
-                                    if (this.config.warnUnknownColumns) {
-                                       // Already logged as error above
-                                    }
-                                }
-                            }
-                        }
+        if (this.columnLookup) {
+            // Parse once the headers are read and the column mapping is known
+            this.columnLookup
+                .then(() => this.parseSelectedFile(resumeCheckpoint))
+                .catch((err) => this.handleParseError(err));
+        } else {
+            this.parseSelectedFile(resumeCheckpoint);
+        }
+    }
 
-                        parser.pause();
-                        await this.processRows(results.data, parser);
-                        parser.resume();
-                    },
-                    complete: async () => {
-                        this.log(this.t('parsingComplete'));
-                        if (this.rowBuffer.length > 0 && this.state.mode === 'import') {
-                            // Send remaining rows
-                            const batch = [...this.rowBuffer];
-                            const result = await this.sendBatch(this.rowBuffer);
-                            this.handleBatchResult(result, batch);
-                            this.rowBuffer = [];
-                        }
-                        this.finishImport();
-                    },
-                    error: (err) => {
-                        this.log(this.t('parsingError', { message: err.message }), 'error');
-                        
-                        // Send parsing error sample to metrics backend
-                        this.sendErrorSample(err.message, 'parsing', {
-                            fileName: this.state.selectedFile?.name
-                        });
-                        
-                        this.finishImport();
-                    }
-                };
+    /**
+     * Parse the selected file with the reader matching its type
+     * @private
+     * @param {Object|null} resumeCheckpoint - Checkpoint the import resumes from
+     */
+    parseSelectedFile(resumeCheckpoint) {
+        // Rows already imported were mapped this way
+        if (resumeCheckpoint && resumeCheckpoint.columnMapping) {
+            this.state.columnMapping = resumeCheckpoint.columnMapping;
+        }
+        if (this.state.columnMapping) {
+            this.applyColumnMapping();
+        }
 
-                // Apply CSV normalization if enabled
-                if (this.config.csvNormalization.enabled) {
-                    const stopNormalizationTiming = this.startTiming('normalization');
-                    const normalizationResult = this.normalizeCSV(csvContent);
-                    stopNormalizationTiming();
-                    
-                    csvContent = normalizationResult.content;
-                    this.metrics.normalizationIssues = normalizationResult.issues;
-                    
-                    // Log normalization issues
-                    if (normalizationResult.issues.length > 0) {
-                        this.log(`CSV Normalization: ${normalizationResult.issues.join(', ')}`, 'info');
-                    }
-                    
-                    // Use detected delimiter
-                    if (normalizationResult.delimiter !== ',') {
-                        papaConfig.delimiter = normalizationResult.delimiter;
-                    }
+        // The kept duplicates must be known before the first row is sent; the worker scans the file itself
+        if (this.scansDuplicateKeys() && !this.readsInWorker(this.state.selectedFile)) {
+            this.scanDuplicateKeys().then(
+                () => this.isCancelled() ? this.finishImport() : this.readSelectedFile(),
+                (err) => this.handleParseError(err)
+            );
+            return;
+        }
+
+        this.readSelectedFile();
+    }
+
+    /**
+     * Whether the selected file is parsed in a Web Worker (CSV files with worker.enabled)
+     * @private
+     * @param {File} file - Selected file
+     * @returns {boolean}
+     */
+    readsInWorker(file) {
+        return !this.isSpreadsheetFile(file) && !this.isJsonFile(file)
+            && this.config.worker.enabled && typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Run the rows of the selected file through the pipeline
+     * @private
+     */
+    readSelectedFile() {
+        if (this.isSpreadsheetFile(this.state.selectedFile)) {
+            this.parseSpreadsheet();
+            return;
+        }
+
+        if (this.isJsonFile(this.state.selectedFile)) {
+            this.parseJsonFile();
+            return;
+        }
+
+        if (this.readsInWorker(this.state.selectedFile)) {
+            // Parse, transform and validate off the main thread
+            this.parseInWorker(this.state.selectedFile);
+            return;
+        }
+
+        let headersChecked = false;
+        const papaConfig = {
+            header: true,
+            skipEmptyLines: true,
+            dynamicTyping: false, // Keep as strings for custom transformers
+            chunk: async (results, parser) => {
+                parser.pause();
+
+                // Validate columns on first chunk
+                if (!headersChecked) {
+                    headersChecked = true;
+                    this.checkColumns(results.meta.fields || []);
                 }
 
-                // Start parse timing
-                this.metrics.parseStartTime = performance.now();
-                
-                // Parse the normalized content
-                Papa.parse(csvContent, papaConfig);
-                
+                await this.processRows(results.data);
+                await this.waitWhilePaused();
+
+                if (this.isCancelled()) {
+                    // Triggers complete() with meta.aborted
+                    parser.abort();
+                    return;
+                }
+                parser.resume();
+            },
+            complete: () => this.completeParsing(),
+            error: (err) => this.handleParseError(err)
+        };
+
+        // Stream the file through normalization into the parser
+        this.streamFile(this.state.selectedFile, papaConfig);
+    }
+
+    /**
+     * Report the column mapping an import starts with ('columnMappingApplied'
+     * event, onColumnMapping callback) so the host app can save it
+     * @private
+     */
+    applyColumnMapping() {
+        const mapping = this.state.columnMapping;
+        const changes = Object.entries(mapping)
+            .filter(([column, target]) => column !== target)
+            .map(([column, target]) => `${column} → ${target === null ? this.t('ignoredColumn') : target}`);
+        if (changes.length > 0) {
+            this.log(this.t('columnMappingApplied', { mapping: changes.join(', ') }));
+        }
+
+        const payload = { mapping, file: this.state.selectedFile, headers: this.state.detectedColumns };
+        this.emit('columnMappingApplied', payload);
+
+        if (this.config.onColumnMapping) {
+            try {
+                this.config.onColumnMapping(mapping, payload);
             } catch (err) {
-                this.log(`File reading error: ${err.message}`, 'error');
-                this.finishImport();
+                this.log(`Column mapping callback error: ${err.message}`, 'error');
             }
-        };
-        
-        fileReader.onerror = () => {
-            this.log('Failed to read file', 'error');
-            this.finishImport();
-        };
-        
-        fileReader.readAsText(this.state.selectedFile);
+        }
     }
 
-    async processRows(newRows, parser) {
-        // Filter, Transform, and Validate rows
-        for (const row of newRows) {
-            // Compute CSV line number for this row (header is line 1)
-            const csvLineNumber = this.state.currentCsvLine;
-            this.state.currentCsvLine += 1;
+    /**
+     * Check the file header against requiredColumns and allowedColumns
+     * @param {Array<string>} fileColumns - Column names of the parsed file
+     */
+    checkColumns(fileColumns) {
+        // Compare the columns as renamed by the column mapping
+        if (this.state.columnMapping) {
+            fileColumns = fileColumns.map(column => this.mapColumnName(column)).filter(column => column !== null);
+        }
 
-            const stopRowTiming = this.startTiming('rowProcessing');
-            
-            // 1. Apply filters first (before transform)
-            const stopFilterTiming = this.startTiming('filter');
-            const filterResult = this.filterRow(row);
-            stopFilterTiming();
+        // Check required columns
+        if (this.config.requiredColumns && this.config.requiredColumns.length > 0) {
+            const missingColumns = this.config.requiredColumns.filter(col => !fileColumns.includes(col));
             
-            if (!filterResult.passed) {
-                this.state.filteredCount++;
-                this.state.filteredRows.push({ ...row, _filterReason: filterResult.reason, _csvLineNumber: csvLineNumber });
-                this.log(
-                    this.t('rowFiltered', { reason: filterResult.reason }) + ` [Line ${csvLineNumber}]`,
-                    'info'
-                );
-                stopRowTiming();
-                continue; // Skip this row
+            if (missingColumns.length > 0) {
+                const msg = `Missing required columns: ${missingColumns.join(', ')}`;
+                this.log(msg, 'error');
+                this.state.errorCount++;
+                this.sendErrorSample(msg, 'validation', { missingColumns });
             }
+        }
 
-            // 2. Transform
-            const stopTransformTiming = this.startTiming('transform');
-            const transformed = this.transformRow(row);
-            stopTransformTiming();
-            
-            // 3. Validate
-            const stopValidationTiming = this.startTiming('validation');
-            const validation = this.validateRow(transformed);
-            stopValidationTiming();
+        // Check allowed columns
+        if (this.config.allowedColumns && this.config.allowedColumns.length > 0) {
+            const unknownColumns = fileColumns.filter(col => !this.config.allowedColumns.includes(col));
             
-            stopRowTiming();
-
-            if (validation.isValid) {
-                if (this.state.mode === 'import') {
-                    // Keep CSV line number on rows we send to the API
-                    this.rowBuffer.push({ ...transformed, _csvLineNumber: csvLineNumber });
-                } else {
-                    // In check mode, just count success
-                    this.state.successCount++;
-                    this.state.totalCount++;
-                    this.state.successRows.push({ ...transformed, _csvLineNumber: csvLineNumber });
-                }
-            } else {
-                // Invalid row - store only if resultExport includes 'errors'
+            if (unknownColumns.length > 0) {
+                const msg = `Unknown columns found: ${unknownColumns.join(', ')}`;
+                // Treat as error to ensure check fails
+                this.log(msg, 'error');
                 this.state.errorCount++;
-                this.state.totalCount++;
-                
-                if (this.config.resultExport.includes('errors')) {
-                    const errorRow = {
-                        ...transformed,
-                        _error: validation.error,
-                        _errorType: 'client-validation',
-                        _csvLineNumber: csvLineNumber
-                    };
-                    this.state.errorRows.push(errorRow);
-                }
                 
-                this.log(
-                    this.t('validationError', { error: validation.error }) + ` [Line ${csvLineNumber}]`,
-                    'error'
-                );
+                // Send error sample
+                this.sendErrorSample(msg, 'validation', { unknownColumns });
                 
-                // Send validation error sample to metrics backend
-                this.sendErrorSample(validation.error, 'client-validation', {
-                    row: transformed,
-                    field: validation.field || 'unknown',
-                    csvLineNumber
-                });
+                if (this.config.warnUnknownColumns) {
+                   // Already logged as error above
+                }
             }
         }
+    }
+
+    /**
+     * End of parsing: send the remaining rows and finish the import
+     */
+    async completeParsing() {
+        if (!this.isCancelled()) {
+            this.log(this.t('parsingComplete'));
+        }
+        // Send remaining rows, then wait for the batches in flight
+        await this.drainBatches();
+        if (this.state.mode === 'check' && !this.isCancelled()) {
+            await this.validateCrossRows();
+        }
+        this.finishImport();
+    }
+
+    /**
+     * @private
+     */
+    async handleParseError(err) {
+        this.log(this.t('parsingError', { message: err.message }), 'error');
         
-        // Update stats periodically
-        this.updateStats();
-        
-        // Send progress update to metrics backend
-        this.sendProgressUpdate({
-            totalCount: this.state.totalCount,
-            successCount: this.state.successCount,
-            errorCount: this.state.errorCount,
-            filteredCount: this.state.filteredCount
+        // Send parsing error sample to metrics backend
+        this.sendErrorSample(err.message, 'parsing', {
+            fileName: this.state.selectedFile?.name
         });
-
-        // If in check mode, we don't send batches
-        if (this.state.mode === 'check') {
-            return;
+        
+        // Rows sent before the error are still acknowledged
+        while (this.inFlightBatches.size > 0) {
+            await Promise.race(this.inFlightBatches);
         }
+        this.finishImport();
+    }
 
-        // While we have enough data for at least one batch
-        while (this.rowBuffer.length >= this.config.chunkSize) {
-            const batchesToSend = [];
-            
-            // Prepare up to 'concurrency' batches
-            for (let i = 0; i < this.config.concurrency; i++) {
-                if (this.rowBuffer.length >= this.config.chunkSize) {
-                    const batch = this.rowBuffer.splice(0, this.config.chunkSize);
-                    batchesToSend.push(batch);
-                } else {
-                    break;
-                }
+    /**
+     * Run parsing, normalization, filters, transforms and validation in a
+     * Web Worker (import-sdk-worker.js). The worker posts the outcome of each
+     * parsed chunk and waits for an ack, so pause, cancel and backpressure
+     * work as on the main thread; batches are still sent from here.
+     * @param {File} file - File to import
+     */
+    parseInWorker(file) {
+        const workerConfig = this.config.worker;
+        const base = typeof location !== 'undefined' ? location.href : undefined;
+        const resolveURL = (url) => url ? new URL(url, base).href : null;
+        const scriptURL = resolveURL(workerConfig.scriptURL);
+
+        const worker = new Worker(scriptURL);
+        this.worker = worker;
+
+        let headersChecked = false;
+        const stopWorker = () => {
+            worker.terminate();
+            if (this.worker === worker) {
+                this.worker = null;
             }
+        };
 
-            if (batchesToSend.length > 0) {
-                // Track concurrency
-                this.updateConcurrency(batchesToSend.length);
-                
-                // Send batches in parallel
-                const results = await Promise.all(batchesToSend.map(batch => {
-                    const stopChunkTiming = this.startTiming('chunkProcessing');
-                    return this.sendBatch(batch).then(result => {
-                        stopChunkTiming({ chunkSize: batch.length });
-                        return { result, batch };
-                    });
-                }));
-                
-                // Process results
-                results.forEach(({ result, batch }) => this.handleBatchResult(result, batch));
+        worker.onmessage = async ({ data: message }) => {
+            switch (message.type) {
+                case 'log':
+                    this.log(message.message, message.logType);
+                    break;
 
-                // Wait if configured and we still have data to process (or just wait between parallel bursts)
-                if (this.config.waitBetweenChunks > 0) {
-                    await new Promise(resolve => setTimeout(resolve, this.config.waitBetweenChunks));
-                }
+                case 'rows':
+                    if (!headersChecked) {
+                        headersChecked = true;
+                        this.checkColumns(message.fields || []);
+                    }
+                    this.mergeWorkerMetrics(message.metrics);
+                    this.applyRowOutcome(message.outcome);
+                    if (this.state.mode === 'import') {
+                        await this.sendBufferedBatches();
+                    }
+                    await this.waitWhilePaused();
+                    worker.postMessage({ type: 'ack', cancelled: this.isCancelled() });
+                    break;
+
+                case 'done':
+                    stopWorker();
+                    this.mergeWorkerMetrics(message.metrics);
+                    if (message.normalizationIssues) {
+                        this.metrics.normalizationIssues = message.normalizationIssues;
+                    }
+                    this.metrics.encoding = message.encoding;
+                    this.completeParsing();
+                    break;
+
+                case 'error':
+                    stopWorker();
+                    this.handleParseError(new Error(message.message));
+                    break;
             }
-        }
+        };
+
+        worker.onerror = (event) => {
+            if (event.preventDefault) event.preventDefault();
+            stopWorker();
+            this.handleParseError(new Error(event.message || 'Worker failed to start'));
+        };
+
+        worker.postMessage({
+            type: 'start',
+            file,
+            scripts: [
+                resolveURL(workerConfig.papaparseURL),
+                // Default: import-sdk.js next to the worker script
+                workerConfig.sdkURL ? resolveURL(workerConfig.sdkURL) : new URL('import-sdk.js', scriptURL).href,
+                resolveURL(workerConfig.moduleURL)
+            ].filter(Boolean),
+            config: {
+                streamChunkSize: this.config.streamChunkSize,
+                encoding: this.config.encoding,
+                schema: this.config.schema,
+                duplicateKeys: this.config.duplicateKeys,
+                // Reference tables are fetched by the worker, relative to the page
+                lookups: Object.fromEntries(Object.entries(this.config.lookups)
+                    .map(([field, lookup]) => [field, lookup.url ? { ...lookup, url: resolveURL(lookup.url) } : lookup])),
+                headers: this.config.headers,
+                csvNormalization: this.config.csvNormalization,
+                collectAllErrors: this.config.collectAllErrors,
+                locale: this.config.locale,
+                translations: this.config.translations
+            },
+            currentCsvLine: this.state.currentCsvLine,
+            resumeFromLine: this.resumeFromLine,
+            columnMapping: this.state.columnMapping
+        });
     }
 
-    filterRow(row) {
-        // First apply built-in filters
-        if (this.config.filters && Object.keys(this.config.filters).length > 0) {
-            for (const [field, filterFn] of Object.entries(this.config.filters)) {
-                const value = row[field];
-                if (!filterFn(value)) {
-                    return { 
-                        passed: false, 
-                        reason: `${field}=${value}` 
-                    };
-                }
+    /**
+     * Read the selected sheet of a workbook and run its rows through the
+     * same pipeline as CSV rows. The first non-empty row is the header;
+     * line numbers are the sheet row numbers.
+     */
+    async parseSpreadsheet() {
+        let sheetRows;
+        try {
+            const workbook = await this.workbookLookup;
+            if (!workbook) {
+                throw new Error(this.t('workbookError', { message: this.state.selectedFile.name }));
             }
+            sheetRows = await workbook.readSheet(this.state.selectedSheet);
+        } catch (err) {
+            this.handleParseError(err);
+            return;
         }
 
-        // Then apply plugin filters
-        for (const plugin of this.activePlugins.row) {
-            if (plugin.filter) {
-                try {
-                    const result = plugin.filter(row, plugin.config || {});
-                    if (result && !result.passed) {
-                        return { 
-                            passed: false, 
-                            reason: result.reason || `Plugin '${plugin.name}' filtered row` 
-                        };
-                    }
-                    // Handle boolean return for backward compatibility
-                    if (typeof result === 'boolean' && !result) {
-                        return { 
-                            passed: false, 
-                            reason: `Plugin '${plugin.name}' filtered row` 
-                        };
-                    }
-                } catch (err) {
-                    this.log(`Plugin '${plugin.name}' filter error: ${err.message}`, 'error');
-                    // On filter error, exclude the row for safety
-                    return { 
-                        passed: false, 
-                        reason: `Plugin filter error: ${err.message}` 
-                    };
-                }
+        const [header, ...rows] = sheetRows;
+        const fields = header ? header.values.map(value => value.trim()) : [];
+        this.state.currentCsvLine = header ? header.line + 1 : 2;
+        this.checkColumns(fields.filter(Boolean));
+
+        // Rows are handed over in chunks so pause and cancel apply between them
+        const rowsPerChunk = 1000;
+        try {
+            for (let start = 0; start < rows.length && !this.isCancelled(); start += rowsPerChunk) {
+                const chunk = rows.slice(start, start + rowsPerChunk);
+                const rowObjects = chunk.map(({ values }) => this.buildSheetRow(fields, values));
+
+                await this.processRows(rowObjects, chunk.map(({ line }) => line));
+                await this.waitWhilePaused();
             }
+        } catch (err) {
+            this.handleParseError(err);
+            return;
         }
 
-        return { passed: true };
+        this.completeParsing();
     }
 
-    validateRow(row) {
-        let validator = this.activeMapping.validate;
-
-        // If no mapping-specific validator, check global config
-        if (!validator && this.config.validate) {
-            validator = this.config.validate;
-        }
+    /**
+     * Key the cell values of a sheet row by header (columns without a header are dropped)
+     * @private
+     * @param {Array<string>} fields - Header row
+     * @param {Array<string>} values - Cell values
+     * @returns {Object}
+     */
+    buildSheetRow(fields, values) {
+        const row = {};
+        fields.forEach((field, index) => {
+            if (field) {
+                row[field] = values[index] !== undefined ? values[index] : '';
+            }
+        });
+        return row;
+    }
 
-        // Determine if we should collect all errors
-        const collectAll = this.config.collectAllErrors;
-        const errors = [];
+    /**
+     * Stream a .json or .ndjson file and run its objects through the same
+     * pipeline as CSV rows. NDJSON records are numbered by file line (from
+     * 1), JSON array elements by index (from 0); the number is kept in
+     * _csvLineNumber. Records that are not valid JSON objects count as errors.
+     */
+    async parseJsonFile() {
+        const file = this.state.selectedFile;
+        const reader = /\.ndjson$/i.test(file.name) ? this.createNdjsonReader() : this.createJsonArrayReader();
+        this.jsonColumnsChecked = false; // first record checked by processJsonRecords
 
-        // Helper to handle error result
-        const handleError = (msg) => {
-            if (collectAll) {
-                errors.push(msg);
-                return true; // Continue validation
+        try {
+            for await (const { text } of this.readFileChunks(file)) {
+                if (this.isCancelled()) break;
+                await this.processJsonRecords(reader.push(text));
             }
-            return false; // Stop validation
-        };
-
-        // Helper to handle result object
-        const handleResult = (result, defaultMsg) => {
-            let shouldContinue = true;
-            if (result && !result.isValid) {
-                // Handle multiple errors array
-                if (result.errors && Array.isArray(result.errors)) {
-                    for (const err of result.errors) {
-                        shouldContinue = handleError(err);
-                        if (!shouldContinue) return { isValid: false, error: err };
-                    }
-                }
-                
-                // Handle single error string (fallback or additional to errors array)
-                if (result.error) {
-                    shouldContinue = handleError(result.error);
-                    if (!shouldContinue) return { isValid: false, error: result.error };
-                }
-                
-                // Handle generic error if no message provided
-                if (!result.error && (!result.errors || result.errors.length === 0)) {
-                    shouldContinue = handleError(defaultMsg);
-                    if (!shouldContinue) return { isValid: false, error: defaultMsg };
-                }
+            if (!this.isCancelled()) {
+                await this.processJsonRecords(reader.flush());
             }
-            return shouldContinue; // Return generic continue flag (true if we are collecting errors or if valid)
-        };
+        } catch (err) {
+            this.handleParseError(err);
+            return;
+        }
 
-        // 1. Function-based validation (new style)
-        if (typeof validator === 'function') {
+        this.completeParsing();
+    }
+
+    /**
+     * Parse JSON records and send their rows down the pipeline
+     * @private
+     * @param {Array<{line: number, text: string}>} records - Records from a JSON/NDJSON reader
+     */
+    async processJsonRecords(records) {
+        const rows = [];
+        const lineNumbers = [];
+        const invalidRows = [];
+
+        for (const { line, text } of records) {
+            let row = null;
+            let error = null;
             try {
-                const result = validator(row);
-                const shouldContinue = handleResult(result, 'Validation failed');
-                if (!collectAll && !shouldContinue && !result.isValid) {
-                     // We already returned inside handleResult if not collecting all
-                     // But just in case logic slips through
-                     return result; 
-                }
-                // If not collecting all, and result was invalid, handleResult handles returning early if needed
-                if (!collectAll && result && !result.isValid) {
-                    return result; 
+                row = JSON.parse(text);
+                if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                    error = this.t('jsonRecordNotObject');
                 }
             } catch (err) {
-                const errorMsg = `Validator error: ${err.message}`;
-                if (!handleError(errorMsg)) {
-                    return { isValid: false, error: errorMsg };
-                }
+                error = this.t('invalidJsonRecord', { message: err.message });
             }
-        }
-        // 2. Object-based validation (old style)
-        else if (typeof validator === 'object') {
-            for (const [field, validationDef] of Object.entries(validator)) {
-                // Normalize to array of validators: [[fn, msg], ...]
-                // If it's a single validator [fn, msg], validationDef[0] will be the function
-                // If it's multiple [[fn, msg], ...], validationDef[0] will be an array
-                const validators = Array.isArray(validationDef[0]) ? validationDef : [validationDef];
 
-                for (const [validatorFn, msg] of validators) {
-                    if (typeof validatorFn === 'function' && !validatorFn(row[field], row)) {
-                        const errorMsg = msg || `Invalid ${field}`;
-                        if (!handleError(errorMsg)) {
-                            return { isValid: false, error: errorMsg };
-                        }
-                    }
-                }
+            // Column checks use the keys of the first record
+            if (!this.jsonColumnsChecked && !error) {
+                this.jsonColumnsChecked = true;
+                this.checkColumns(Object.keys(row));
             }
-        }
-
-        // 3. Run field-level plugin validations
-        for (const plugin of this.activePlugins.field) {
-            if (plugin.validate) {
-                for (const [field, value] of Object.entries(row)) {
-                    try {
-                        const result = plugin.validate(value, field, row, plugin.config || {});
-                        const shouldContinue = handleResult(result, `Plugin '${plugin.name}' validation failed for ${field}`);
-                        
-                        // Handle boolean return for backward compatibility
-                        if (typeof result === 'boolean' && !result) {
-                            const errorMsg = `Plugin '${plugin.name}' validation failed for ${field}`;
-                            if (!handleError(errorMsg)) {
-                                return { isValid: false, error: errorMsg };
-                            }
-                        } else if (!collectAll && result && !result.isValid) {
-                             return { isValid: false, error: result.error || 'Plugin validation failed' };
-                        }
 
-                    } catch (err) {
-                        this.log(`Plugin '${plugin.name}' validate error on field '${field}': ${err.message}`, 'error');
-                        const errorMsg = `Plugin validation error: ${err.message}`;
-                        if (!handleError(errorMsg)) {
-                            return { isValid: false, error: errorMsg };
-                        }
-                    }
-                }
+            if (!error) {
+                rows.push(row);
+                lineNumbers.push(line);
+            } else if (!(this.resumeFromLine && line < this.resumeFromLine)) {
+                invalidRows.push({ status: 'invalid', row: { _raw: text }, error, csvLineNumber: line });
             }
         }
 
-        // 4. Run row-level plugin validations
-        for (const plugin of this.activePlugins.row) {
-            if (plugin.validate) {
-                try {
-                    const result = plugin.validate(row, this, plugin.config || {});
-                    
-                     // Handle boolean return for backward compatibility
-                    if (typeof result === 'boolean' && !result) {
-                         const errorMsg = `Plugin '${plugin.name}' row validation failed`;
-                         if (!handleError(errorMsg)) {
-                             return { isValid: false, error: errorMsg };
-                         }
-                    } else {
-                         const shouldContinue = handleResult(result, `Plugin '${plugin.name}' row validation failed`);
-                         if (!collectAll && result && !result.isValid) {
-                             // Correctly handle the return if handleResult didn't already
-                             return { isValid: false, error: result.error || 'Plugin validation failed' };
-                         }
-                    }
+        // Records evaluated together (async validators run concurrently), then put back in line order
+        const outcome = await this.evaluateRows(rows, lineNumbers);
+        const lineOf = entry => entry.csvLineNumber || entry.row._csvLineNumber;
+        outcome.rows = [...outcome.rows, ...invalidRows].sort((a, b) => lineOf(a) - lineOf(b));
+        if (records.length > 0) {
+            outcome.nextCsvLine = records[records.length - 1].line + 1;
+        }
 
-                } catch (err) {
-                    this.log(`Plugin '${plugin.name}' row validate error: ${err.message}`, 'error');
-                    const errorMsg = `Plugin validation error: ${err.message}`;
-                    if (!handleError(errorMsg)) {
-                        return { isValid: false, error: errorMsg };
-                    }
+        this.applyRowOutcome(outcome);
+        if (this.state.mode === 'import') {
+            await this.sendBufferedBatches();
+        }
+        await this.waitWhilePaused();
+    }
+
+    /**
+     * Split NDJSON text into records, one per non-blank line. A line cut
+     * between two chunks is held back until its end arrives.
+     * @returns {{push: function(string): Array<{line: number, text: string}>, flush: function(): Array}}
+     */
+    createNdjsonReader() {
+        let tail = '';
+        let lineNumber = 0;
+
+        const take = (lines) => {
+            const records = [];
+            for (const line of lines) {
+                lineNumber++;
+                if (line.trim() !== '') {
+                    records.push({ line: lineNumber, text: line });
                 }
             }
-        }
-        
-        // Final check
-        if (errors.length > 0) {
-            return {
-                isValid: false,
-                error: errors.join('; '), // Main error message (joined)
-                errors: errors // Detailed errors array
-            };
-        }
+            return records;
+        };
 
-        return { isValid: true };
+        return {
+            push(text) {
+                const lines = (tail + text).split('\n');
+                tail = lines.pop();
+                return take(lines);
+            },
+            flush() {
+                const lines = tail === '' ? [] : [tail];
+                tail = '';
+                return take(lines);
+            }
+        };
     }
 
+    /**
+     * Split a JSON array into the text of its elements as chunks arrive, so
+     * large arrays are never parsed as a whole. Elements are numbered by
+     * index; each one is parsed on its own.
+     * @returns {{push: function(string): Array<{line: number, text: string}>, flush: function(): Array}}
+     */
+    createJsonArrayReader() {
+        let position = 'before'; // 'before' the opening bracket, 'inside' the array, 'after' it
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        let current = '';
+        let index = 0;
 
-    transformRow(row) {
-        const transformed = {};
+        return {
+            push(text) {
+                const records = [];
+                const emit = () => {
+                    if (current.trim() !== '') {
+                        records.push({ line: index, text: current });
+                    }
+                    index++;
+                    current = '';
+                };
+                let start = 0;
 
-        // Apply field mapping from active mapping
-        Object.keys(row).forEach(key => {
-            const mappedKey = this.activeMapping.fieldMapping[key] || key;
-            let value = row[key];
+                for (let i = 0; i < text.length; i++) {
+                    const char = text[i];
 
-            // Apply transformer if exists in active mapping
-            if (this.activeMapping.transformers[mappedKey]) {
-                value = this.activeMapping.transformers[mappedKey](value);
-            }
+                    if (position !== 'inside') {
+                        if (position === 'before' && char === '[') {
+                            position = 'inside';
+                            start = i + 1;
+                        } else if (!/\s/.test(char)) {
+                            throw new Error(position === 'before' ? 'Expected a JSON array' : 'Unexpected data after the JSON array');
+                        }
+                        continue;
+                    }
 
-            // Apply field-level plugins
-            this.activePlugins.field.forEach(plugin => {
-                if (plugin.transform) {
-                    try {
-                        value = plugin.transform(value, mappedKey, row, plugin.config || {});
-                    } catch (err) {
-                        this.log(`Plugin '${plugin.name}' transform error on field '${mappedKey}': ${err.message}`, 'error');
+                    if (inString) {
+                        if (escaped) {
+                            escaped = false;
+                        } else if (char === '\\') {
+                            escaped = true;
+                        } else if (char === '"') {
+                            inString = false;
+                        }
+                    } else if (char === '"') {
+                        inString = true;
+                    } else if (char === '{' || char === '[') {
+                        depth++;
+                    } else if ((char === '}' || char === ']') && depth > 0) {
+                        depth--;
+                    } else if (char === ',' && depth === 0) {
+                        current += text.slice(start, i);
+                        emit();
+                        start = i + 1;
+                    } else if (char === ']') {
+                        // End of the top-level array
+                        current += text.slice(start, i);
+                        emit();
+                        position = 'after';
                     }
                 }
-            });
 
-            transformed[mappedKey] = value;
-        });
-
-        // Apply row-level plugin transforms
-        let finalTransformed = transformed;
-        this.activePlugins.row.forEach(plugin => {
-            if (plugin.transform) {
-                try {
-                    finalTransformed = plugin.transform(finalTransformed, row, this, plugin.config || {}) || finalTransformed;
-                } catch (err) {
-                    this.log(`Plugin '${plugin.name}' row transform error: ${err.message}`, 'error');
+                if (position === 'inside') {
+                    current += text.slice(start);
+                }
+                return records;
+            },
+            flush() {
+                if (position !== 'after') {
+                    throw new Error('Unexpected end of JSON array');
                 }
+                return [];
             }
-        });
+        };
+    }
 
-        return finalTransformed;
+    /**
+     * Add the timings measured by the worker since its last message
+     * @private
+     */
+    mergeWorkerMetrics(workerMetrics) {
+        if (!workerMetrics) return;
+
+        this.metrics.normalizationTime += workerMetrics.normalizationTime;
+        this.metrics.filterTime += workerMetrics.filterTime;
+        this.metrics.transformTime += workerMetrics.transformTime;
+        this.metrics.validationTime += workerMetrics.validationTime;
+        this.updateRowMetrics(workerMetrics.rows);
     }
 
     /**
-     * Default send handler using Fetch API
-     * @param {Array} batch - Batch of transformed and validated rows
-     * @param {Object} config - SDK configuration
-     * @returns {Promise<{success: number, errors: Array}>}
+     * Read a file as text. Uses FileReader where available (browsers, workers)
+     * and falls back to Blob#text() elsewhere (Node 18+).
+     * @param {Blob} file - File or Blob to read
+     * @returns {Promise<string>} - File content
      */
-    async defaultSendHandler(batch, config) {
-        // Generic payload: send batch under a neutral key
-        const payload = { items: batch };
+    readFileAsText(file) {
+        if (typeof FileReader === 'undefined') {
+            return file.text();
+        }
 
-        // Merge default headers with custom headers
-        const headers = {
-            'Content-Type': 'application/json',
-            ...config.headers
-        };
+        return new Promise((resolve, reject) => {
+            const fileReader = new FileReader();
+            fileReader.onload = (e) => resolve(e.target.result);
+            fileReader.onerror = () => reject(fileReader.error);
+            fileReader.readAsText(file);
+        });
+    }
 
-        // Merge default fetch options with custom options
-        const fetchOptions = {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(payload),
-            ...config.fetchOptions
-        };
+    /**
+     * Read a file (or a slice of it) as an ArrayBuffer
+     * @param {Blob} file - File or Blob to read
+     * @returns {Promise<ArrayBuffer>}
+     */
+    readFileAsArrayBuffer(file) {
+        if (typeof FileReader === 'undefined') {
+            return file.arrayBuffer();
+        }
 
-        const response = await fetch(config.apiEndpoint, fetchOptions);
+        return new Promise((resolve, reject) => {
+            const fileReader = new FileReader();
+            fileReader.onload = (e) => resolve(e.target.result);
+            fileReader.onerror = () => reject(fileReader.error);
+            fileReader.readAsArrayBuffer(file);
+        });
+    }
 
-        const data = await response.json();
-        const result = { success: 0, errors: [] };
+    /**
+     * Read a file as decoded text chunks of about streamChunkSize bytes.
+     * Multi-byte characters split between two slices are kept intact by the
+     * streaming TextDecoder. Without TextDecoder the file is read at once.
+     *
+     * With `encoding: 'auto'` the decoder is chosen at the first slice that
+     * is not plain ASCII (see detectEncoding); ASCII reads the same in every
+     * supported encoding. The chosen encoding is stored in metrics.encoding
+     * and yielded once, with the slice it was chosen on.
+     * @param {File} file - File to read
+     * @returns {AsyncGenerator<{text: string, last: boolean, encoding?: string}>}
+     */
+    async *readFileChunks(file) {
+        if (typeof TextDecoder === 'undefined') {
+            yield { text: await this.readFileAsText(file), last: true };
+            return;
+        }
 
-        if (response.ok || response.status === 422) {
-            // Try to locate an array of per-row results in a generic way
-            let items = [];
-            if (data && Array.isArray(data.items)) {
-                items = data.items;
-            } else if (Array.isArray(data)) {
-                items = data;
+        const forced = this.config.encoding !== 'auto';
+        let decoder = forced ? new TextDecoder(this.config.encoding) : null;
+        const asciiDecoder = new TextDecoder('utf-8');
+        const chunkSize = this.config.streamChunkSize;
+        let start = 0;
+
+        do {
+            const end = Math.min(start + chunkSize, file.size);
+            const bytes = new Uint8Array(await this.readFileAsArrayBuffer(file.slice(start, end)));
+            const last = end >= file.size;
+            let encoding;
+
+            if (forced && start === 0) {
+                encoding = this.config.encoding;
+            } else if (!decoder) {
+                // Plain ASCII so far: a file with no other bytes is reported as UTF-8
+                encoding = this.detectEncoding(bytes, start === 0, last) || (last ? 'utf-8' : undefined);
+                if (encoding) {
+                    decoder = new TextDecoder(encoding);
+                }
+            }
+            if (encoding) {
+                this.metrics.encoding = encoding;
             }
 
-            if (items.length > 0) {
-                items.forEach((res, index) => {
-                    const originalRow = batch[index] || {};
-                    const csvLineNumber = originalRow._csvLineNumber;
+            let text = decoder
+                ? decoder.decode(bytes, { stream: !last })
+                : asciiDecoder.decode(bytes);
+            if (decoder && decoder.encoding === 'windows-1252') {
+                // Some runtimes (Node.js) decode windows-1252 as ISO-8859-1
+                text = text.replace(/[\u0080-\u009F]/g, char => ImportEngine.windows1252Extras[char.charCodeAt(0) - 0x80]);
+            }
+            yield encoding ? { text, last, encoding } : { text, last };
+            start = end;
+        } while (start < file.size);
+    }
 
-                    const hasErrorFlag = !!res && res.error === true;
-                    const hasErrorMessage = !!res && typeof res.errorMessage === 'string';
-                    const isError = hasErrorFlag || hasErrorMessage;
+    /**
+     * Guess the encoding of a slice of bytes: byte order mark, then valid
+     * UTF-8, otherwise a single-byte Western encoding. Bytes 0x80-0x9F are
+     * printable characters (€, œ, ’...) in Windows-1252 and unused control
+     * codes in ISO-8859-1, which tells the two apart.
+     * @param {Uint8Array} bytes - Slice of the file
+     * @param {boolean} isFirst - Whether the slice starts the file (BOM check)
+     * @param {boolean} isLast - Whether the slice ends the file (a cut UTF-8 sequence is invalid)
+     * @returns {string|null} - TextDecoder label, null for plain ASCII
+     */
+    detectEncoding(bytes, isFirst, isLast) {
+        if (isFirst) {
+            if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+            if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+            if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+        }
 
-                    if (isError) {
-                        const message = res.message || res.errorMessage || this.t('serverErrorGeneric');
-                        result.errors.push({
-                            message,
-                            data: {
-                                ...res,
-                                _csvLineNumber: csvLineNumber,
-                                originalRow
-                            }
-                        });
-                    } else {
-                        result.success++;
-                    }
-                });
-            } else if (response.ok) {
-                // No per-row info: assume whole batch succeeded
-                result.success = batch.length;
+        let ascii = true;
+        let validUtf8 = true;
+        for (let i = 0; i < bytes.length && validUtf8;) {
+            const byte = bytes[i];
+            if (byte < 0x80) {
+                i++;
+                continue;
+            }
+            ascii = false;
+
+            let length = 0;
+            if (byte >= 0xC2 && byte <= 0xDF) length = 2;
+            else if (byte >= 0xE0 && byte <= 0xEF) length = 3;
+            else if (byte >= 0xF0 && byte <= 0xF4) length = 4;
+
+            if (length === 0) {
+                validUtf8 = false;
+            } else if (i + length > bytes.length) {
+                // Sequence cut by the end of the slice
+                validUtf8 = !isLast;
+                break;
             } else {
-                // Validation-style HTTP status but no detailed items
-                result.errors = batch.map(() => ({
-                    message: this.t('batchValidationFailed', { status: response.status }),
-                    data: null
-                }));
+                for (let k = 1; k < length; k++) {
+                    if ((bytes[i + k] & 0xC0) !== 0x80) validUtf8 = false;
+                }
             }
-        } else {
-            // Server error (non-2xx / non-422)
-            result.errors = batch.map(() => ({
-                message: this.t('serverError', { status: response.status, statusText: response.statusText }),
-                data: null
-            }));
+            i += length;
         }
 
-        return result;
+        if (ascii) return null;
+        if (validUtf8) return 'utf-8';
+        return bytes.some(byte => byte >= 0x80 && byte <= 0x9F) ? 'windows-1252' : 'iso-8859-1';
     }
 
-    async sendBatch(batch) {
-        try {
-            // Apply batch-level plugin beforeSend hooks
-            let processedBatch = batch;
-            for (const plugin of this.activePlugins.batch) {
-                if (plugin.beforeSend) {
-                    try {
-                        const result = plugin.beforeSend(processedBatch, this, plugin.config || {});
-                        if (result) {
-                            processedBatch = result;
-                        }
-                    } catch (err) {
-                        this.log(`Plugin '${plugin.name}' beforeSend error: ${err.message}`, 'error');
-                    }
-                }
-            }
+    /**
+     * Stream a file into Papa.parse without holding it in memory: slices are
+     * read, decoded and normalized one at a time, and the next slice is only
+     * read once the chunk callback has processed the previous one (the
+     * callback pauses the parser while rows are validated and sent).
+     * @param {File} file - File to parse
+     * @param {Object} papaConfig - Papa.parse config with chunk/complete/error callbacks
+     * @param {Object} [options]
+     * @param {boolean} [options.quiet] - Extra read of the file: no normalization logs or metrics
+     */
+    async streamFile(file, papaConfig, options = {}) {
+        const normalizer = this.config.csvNormalization.enabled ? this.createStreamNormalizer() : null;
+
+        // Minimal readable stream accepted by Papa.parse; data is pushed below
+        const handlers = {};
+        const source = {
+            readable: true,
+            read() {},
+            pause() {},
+            resume() {},
+            on(event, handler) { handlers[event] = handler; },
+            removeListener(event) { delete handlers[event]; }
+        };
 
-            // Use custom send handler if provided, otherwise use default
-            const sendHandler = this.config.sendHandler || this.defaultSendHandler.bind(this);
-            
-            let result;
-            const stopApiTiming = this.startTiming('apiCall');
+        // Resolved when the chunk callback for the last pushed data finished
+        let chunkDone = () => {};
+        // Error thrown by the chunk callback (processRows, a validator...)
+        let failure = null;
+        const onChunk = papaConfig.chunk;
+        papaConfig.chunk = async (results, parser) => {
             try {
-                result = await sendHandler(processedBatch, this.config);
-                stopApiTiming({ success: true, batchSize: processedBatch.length });
-            } catch (handlerError) {
-                stopApiTiming({ success: false, error: handlerError.message });
-                this.log(this.t('sendHandlerError', { message: handlerError.message }), 'error');
-                // Safe default on handler error
-                result = {
-                    success: 0,
-                    errors: batch.map(() => ({
-                        message: this.t('handlerError', { message: handlerError.message }),
-                        data: null
-                    }))
-                };
+                await onChunk(results, parser);
+            } catch (err) {
+                // Papa does not await this callback: stop parsing and report the error instead of completing
+                failure = err;
+                parser.abort();
+            } finally {
+                chunkDone();
             }
+        };
 
-            // Validate result structure and apply safe defaults
-            if (!result || typeof result !== 'object') {
-                this.log(this.t('invalidHandlerResponse'), 'error');
-                result = { success: 0, errors: [] };
+        // Set once the parser completed (end of file, or aborted on cancel or failure)
+        let completed = false;
+        const onComplete = papaConfig.complete;
+        papaConfig.complete = (...args) => {
+            completed = true;
+            return failure ? papaConfig.error(failure) : onComplete(...args);
+        };
+
+        let started = false;
+        let loggedIssues = 0;
+        const start = () => {
+            if (normalizer) {
+                if (normalizer.delimiter !== ',') {
+                    papaConfig.delimiter = normalizer.delimiter;
+                }
+                if (!options.quiet) this.logNormalizationIssues(normalizer.issues);
+                loggedIssues = normalizer.issues.length;
             }
-            if (typeof result.success !== 'number') result.success = 0;
-            if (!Array.isArray(result.errors)) result.errors = [];
+            started = true;
+            Papa.parse(source, papaConfig);
+        };
+        const push = (content) => new Promise(resolve => {
+            chunkDone = resolve;
+            handlers.data(content);
+        });
 
-            // Apply batch-level plugin afterSend hooks
-            for (const plugin of this.activePlugins.batch) {
-                if (plugin.afterSend) {
-                    try {
-                        const pluginResult = plugin.afterSend(result, processedBatch, this, plugin.config || {});
-                        if (pluginResult) {
-                            result = pluginResult;
-                        }
-                    } catch (err) {
-                        this.log(`Plugin '${plugin.name}' afterSend error: ${err.message}`, 'error');
+        try {
+            for await (const { text, last, encoding } of this.readFileChunks(file)) {
+                if (this.isCancelled()) break;
+
+                if (encoding && normalizer) {
+                    normalizer.issues.push(this.config.encoding === 'auto'
+                        ? `Detected encoding: ${encoding}`
+                        : `Encoding: ${encoding} (configured)`);
+                }
+
+                const stopNormalizationTiming = options.quiet ? () => {} : this.startTiming('normalization');
+                let content = text;
+                if (normalizer) {
+                    content = normalizer.push(text);
+                    if (last) {
+                        content += normalizer.flush();
                     }
                 }
+                stopNormalizationTiming();
+
+                // Terminate the last line so it is parsed with this chunk
+                // rather than held back until the end of the stream
+                if (last && content && !/[\r\n]$/.test(content)) {
+                    content += '\n';
+                }
+
+                if (!started && (content || last)) start();
+                if (content) await push(content);
+                if (failure) return;
             }
 
-            return result;
+            if (this.isCancelled()) {
+                // An empty chunk lets the chunk callback abort the parser
+                if (!started) {
+                    if (options.quiet) {
+                        papaConfig.complete();
+                    } else {
+                        this.finishImport();
+                    }
+                } else if (!completed) {
+                    await push('');
+                }
+                return;
+            }
 
+            if (normalizer && !options.quiet) {
+                this.logNormalizationIssues(normalizer.issues.slice(loggedIssues));
+                this.metrics.normalizationIssues = normalizer.issues;
+            }
+            handlers.end();
         } catch (err) {
-            // Network or unexpected error
-            this.state.errorCount += batch.length;
-            this.log(this.t('networkError', { message: err.message }), 'error');
+            if (started && handlers.error) {
+                handlers.error(err);
+            } else {
+                papaConfig.error(err);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    logNormalizationIssues(issues) {
+        if (issues.length > 0) {
+            this.log(`CSV Normalization: ${issues.join(', ')}`, 'info');
+        }
+    }
+
+    /**
+     * Pause the running import. Parsing stops after the current chunk and no
+     * new batches are sent; batches already in flight complete normally.
+     */
+    pause() {
+        if (!this.state.isProcessing || this.state.isPaused || this.isCancelled()) return;
+
+        this.state.isPaused = true;
+        this.log(this.t('importPaused'), 'warning');
+        this.saveCheckpoint();
+        this.emit('paused');
+    }
+
+    /**
+     * Resume a paused import
+     */
+    resume() {
+        if (!this.state.isPaused) return;
+
+        this.state.isPaused = false;
+        this.log(this.t('importResumed'));
+        this.emit('resumed');
+        this.releaseResumeWaiters();
+    }
+
+    /**
+     * Cancel the running import. Aborts in-flight requests, stops parsing and
+     * finishes with a partial completion summary (completionStats.cancelled).
+     */
+    cancel() {
+        if (!this.state.isProcessing || this.isCancelled()) return;
+
+        this.state.isCancelled = true;
+        this.state.isPaused = false;
+        this.log(this.t('importCancelling'), 'warning');
+        this.abortController.abort();
+        this.emit('cancelled');
+        this.releaseResumeWaiters();
+    }
+
+    /**
+     * Whether the current import has been cancelled
+     * @returns {boolean}
+     */
+    isCancelled() {
+        return !!(this.abortController && this.abortController.signal.aborted);
+    }
+
+    /**
+     * Resolve once the import is no longer paused (immediately if not paused)
+     * @returns {Promise<void>}
+     */
+    waitWhilePaused() {
+        if (!this.state.isPaused) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.resumeWaiters.push(resolve));
+    }
+
+    /**
+     * @private
+     */
+    releaseResumeWaiters() {
+        const waiters = this.resumeWaiters;
+        this.resumeWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * Filter, transform and validate rows, then send the full batches
+     * @param {Array<Object>} newRows - Parsed rows
+     * @param {Array<number>} [lineNumbers] - Source line of each row (default: consecutive lines)
+     */
+    async processRows(newRows, lineNumbers) {
+        const outcome = await this.evaluateRows(newRows, lineNumbers);
+        this.applyRowOutcome(outcome);
+
+        // If in check mode, we don't send batches
+        if (this.state.mode === 'check') {
+            return;
+        }
+
+        await this.sendBufferedBatches();
+    }
+
+    /**
+     * Filter, transform and validate parsed rows. Pure row work with no side
+     * effects besides the CSV line counter and timings, so it can also run in
+     * a worker (see import-sdk-worker.js).
+     * @param {Array<Object>} newRows - Rows parsed by Papa
+     * @param {Array<number>} [lineNumbers] - Source line of each row (default: consecutive lines)
+     * @returns {{rows: Array<{status: string, row: Object}>, nextCsvLine: number}|Promise<Object>} - A promise
+     *   when a validator or transformer returned one
+     */
+    evaluateRows(newRows, lineNumbers) {
+        return this.runSteps(this.evaluateRowsSteps(newRows, lineNumbers));
+    }
+
+    /**
+     * Steps of evaluateRows (see runSteps). Rows are transformed, then
+     * validated, asyncValidation.concurrency at a time when validators or
+     * transformers return promises; schema unique values and duplicate
+     * keys are claimed in file order in between.
+     * @private
+     */
+    *evaluateRowsSteps(newRows, lineNumbers) {
+        const outcome = { rows: [], nextCsvLine: this.state.currentCsvLine };
+        const candidates = [];
+
+        for (const [index, fileRow] of newRows.entries()) {
+            // Compute CSV line number for this row (header is line 1)
+            const csvLineNumber = lineNumbers ? lineNumbers[index] : this.state.currentCsvLine;
+            this.state.currentCsvLine = csvLineNumber + 1;
+
+            // Rows before the resume line were handled by the interrupted import
+            if (this.resumeFromLine && csvLineNumber < this.resumeFromLine) {
+                continue;
+            }
+
+            const stopRowTiming = this.startTiming('rowProcessing');
+            const row = this.mapColumns(fileRow);
             
-            // Send network error sample to metrics backend
-            this.sendErrorSample(err.message, 'network', {
-                batchSize: batch.length,
-                url: this.config.apiEndpoint
-            });
+            // 1. Apply filters first (before transform)
+            const stopFilterTiming = this.startTiming('filter');
+            const filterResult = this.filterRow(row);
+            stopFilterTiming();
             
-            return {
-                success: 0,
-                errors: batch.map(() => ({
-                    message: this.t('networkError', { message: err.message }),
-                    data: null
-                }))
-            };
+            if (!filterResult.passed) {
+                outcome.rows.push({
+                    status: 'filtered',
+                    row: { ...row, _filterReason: filterResult.reason, _csvLineNumber: csvLineNumber }
+                });
+                stopRowTiming();
+                continue; // Skip this row
+            }
+
+            // Slot kept so that rows stay in file order
+            candidates.push({ slot: outcome.rows.length, row, csvLineNumber, stopRowTiming });
+            outcome.rows.push(null);
         }
+        outcome.nextCsvLine = this.state.currentCsvLine;
+
+        // 2. Transform (a failing transformer makes the row invalid)
+        const transformedRows = yield* this.mapLimited(candidates, ({ row }) => {
+            const stopTransformTiming = this.startTiming('transform');
+            const done = (result) => {
+                stopTransformTiming();
+                return result;
+            };
+            const failed = (err) => done({ error: `Transformer error: ${err.message}` });
+            try {
+                const resolved = this.whenResolved(this.transformRow(row), transformed => this.whenResolved(
+                    this.applyLookups(transformed),
+                    lookup => ({ transformed, resolved: lookup.row, lookupErrors: lookup.errors })
+                ));
+                return this.whenResolved(resolved, done, failed);
+            } catch (err) {
+                return failed(err);
+            }
+        });
+
+        // Duplicate keys are tracked in file order too
+        candidates.forEach(({ csvLineNumber }, index) => {
+            const { transformed } = transformedRows[index];
+            if (transformed) this.trackDuplicateKeys(transformed, csvLineNumber);
+        });
+
+        // 3. Validate (labels resolved by the lookups, unresolved ones are errors)
+        const schemaErrors = candidates.map(({ csvLineNumber }, index) => {
+            const { resolved, lookupErrors } = transformedRows[index];
+            return resolved ? [...this.validateSchema(resolved, csvLineNumber), ...lookupErrors] : null;
+        });
+        const validations = yield* this.mapLimited(candidates, ({ csvLineNumber }, index) => {
+            const { resolved, error } = transformedRows[index];
+            if (error) return { isValid: false, error };
+
+            const stopValidationTiming = this.startTiming('validation');
+            return this.whenResolved(this.validateRow(resolved, schemaErrors[index]), validation => {
+                validation = this.checkDuplicateKeys(validation, resolved, csvLineNumber);
+                stopValidationTiming();
+                return validation;
+            });
+        });
+
+        candidates.forEach(({ slot, row, csvLineNumber, stopRowTiming }, index) => {
+            stopRowTiming();
+            const { transformed = row, resolved } = transformedRows[index];
+            const validation = validations[index];
+
+            if (validation.isValid) {
+                // Keep CSV line number on rows we send to the API
+                outcome.rows[slot] = { status: 'valid', row: { ...resolved, _csvLineNumber: csvLineNumber } };
+            } else {
+                // Error rows keep the labels, so they can be corrected
+                outcome.rows[slot] = {
+                    status: 'invalid',
+                    row: transformed,
+                    error: validation.error,
+                    field: validation.field,
+                    csvLineNumber
+                };
+            }
+        });
+
+        return outcome;
+    }
+
+    /**
+     * Run a generator that yields the results of validators and
+     * transformers: synchronously as long as they return plain values,
+     * asynchronously from the first promise on. Sync pipelines keep sync
+     * results (validateRow, transformRow, evaluateRows), async ones return
+     * a promise of the same result.
+     * @private
+     * @param {Generator} steps - Receives each yielded value once resolved
+     * @returns {*|Promise<*>} - Return value of the generator
+     */
+    runSteps(steps, step = steps.next()) {
+        while (!step.done) {
+            if (this.isThenable(step.value)) {
+                return step.value.then(
+                    value => this.runSteps(steps, steps.next(value)),
+                    err => this.runSteps(steps, steps.throw(err))
+                );
+            }
+            step = steps.next(step.value);
+        }
+        return step.value;
+    }
+
+    /**
+     * @private
+     */
+    isThenable(value) {
+        return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+    }
+
+    /**
+     * Call onValue with a value, once resolved if it is a promise
+     * @private
+     * @param {*|Promise<*>} value
+     * @param {function(*): *} onValue
+     * @param {function(Error): *} [onError] - Rejections of a promise
+     * @returns {*|Promise<*>}
+     */
+    whenResolved(value, onValue, onError) {
+        return this.isThenable(value) ? value.then(onValue, onError) : onValue(value);
+    }
+
+    /**
+     * Steps mapping items with a function that may return promises (see
+     * runSteps), at most asyncValidation.concurrency of them pending at a
+     * time. Results keep the order of the items.
+     * @private
+     * @param {Array} items
+     * @param {function(*, number): *|Promise<*>} fn
+     * @returns {Generator<*, Array>}
+     */
+    *mapLimited(items, fn) {
+        const results = new Array(items.length);
+        const pending = new Set();
+        let failure = null;
+
+        for (const [index, item] of items.entries()) {
+            const result = fn(item, index);
+            if (!this.isThenable(result)) {
+                results[index] = result;
+                continue;
+            }
+
+            const task = result
+                .then(value => { results[index] = value; }, err => { failure = failure || err; })
+                .then(() => pending.delete(task));
+            pending.add(task);
+            if (pending.size >= this.config.asyncValidation.concurrency) {
+                yield Promise.race(pending);
+            }
+            if (failure) break;
+        }
+
+        if (pending.size > 0) {
+            yield Promise.all(pending);
+        }
+        if (failure) throw failure;
+        return results;
+    }
+
+    /**
+     * Call a field transformer or validator, memoizing the promises it
+     * returns by field and value (asyncValidation.cache) so that a value
+     * repeated in the file is looked up once. Plain results are not cached,
+     * rejected promises are dropped so the value is looked up again.
+     * @private
+     * @param {Function} fn - Transformer or validator, the cache key
+     * @param {string} field - Field the value belongs to
+     * @param {*} value - Inputs of fn the result depends on
+     * @param {function(): *} call - Calls fn
+     * @returns {*|Promise<*>}
+     */
+    cachedCall(fn, field, value, call) {
+        const { cache, cacheSize } = this.config.asyncValidation;
+        if (!cache) return call();
+
+        const key = `${field}:${JSON.stringify(value)}`;
+        let values = this.asyncCache.get(fn);
+        if (values && values.has(key)) {
+            return values.get(key);
+        }
+
+        const result = call();
+        if (this.isThenable(result)) {
+            if (!values) {
+                values = new Map();
+                this.asyncCache.set(fn, values);
+            }
+            if (values.size >= cacheSize) {
+                values.delete(values.keys().next().value); // oldest value
+            }
+            values.set(key, result);
+            result.then(null, () => values.delete(key));
+        }
+        return result;
+    }
+
+    /**
+     * Record the outcome of evaluateRows: counters, stored rows, logs and
+     * the row buffer of valid rows waiting to be sent
+     * @param {Object} outcome - Result of evaluateRows
+     */
+    applyRowOutcome(outcome) {
+        this.state.currentCsvLine = outcome.nextCsvLine;
+
+        for (const { status, row, error, field, csvLineNumber } of outcome.rows) {
+            if (status === 'filtered') {
+                this.state.filteredCount++;
+                this.state.filteredRows.push(row);
+                if (this.checkpointsActive()) {
+                    this.checkpointLedger.push({ line: row._csvLineNumber, type: 'filtered' });
+                }
+                this.log(
+                    this.t('rowFiltered', { reason: row._filterReason }) + ` [Line ${row._csvLineNumber}]`,
+                    'info'
+                );
+            } else if (status === 'valid') {
+                if (this.state.mode === 'import') {
+                    this.rowBuffer.push(row);
+                } else {
+                    // In check mode, just count success
+                    this.state.successCount++;
+                    this.state.totalCount++;
+                    this.state.successRows.push(row);
+                    if (this.config.crossRowValidation.validate) {
+                        this.crossRowRows.push(row);
+                    }
+                }
+            } else {
+                // Invalid row - stored for the errors export and the error editor
+                this.state.errorCount++;
+                this.state.totalCount++;
+                if (this.checkpointsActive()) {
+                    this.checkpointLedger.push({ line: csvLineNumber, type: 'error' });
+                }
+                
+                if (this.keepsErrorRows('client-validation')) {
+                    const errorRow = {
+                        ...row,
+                        _error: error,
+                        _errorType: 'client-validation',
+                        _csvLineNumber: csvLineNumber
+                    };
+                    this.state.errorRows.push(errorRow);
+                }
+                
+                this.log(
+                    this.t('validationError', { error }) + ` [Line ${csvLineNumber}]`,
+                    'error'
+                );
+                
+                // Send validation error sample to metrics backend
+                this.sendErrorSample(error, 'client-validation', {
+                    row,
+                    field: field || 'unknown',
+                    csvLineNumber
+                });
+            }
+        }
+        
+        // Update stats periodically
+        this.updateStats();
+        
+        // Send progress update to metrics backend
+        this.sendProgressUpdate({
+            totalCount: this.state.totalCount,
+            successCount: this.state.successCount,
+            errorCount: this.state.errorCount,
+            filteredCount: this.state.filteredCount
+        });
+    }
+
+    /**
+     * Run crossRowValidation.validate over the valid rows of a check, all at
+     * once or chunkSize rows at a time, and move the rows it flags from the
+     * successes to the errors (errorRows, exports)
+     * @returns {Promise<number>} - Rows flagged
+     */
+    async validateCrossRows() {
+        const { validate, scope } = this.config.crossRowValidation;
+        const rows = this.crossRowRows;
+        this.crossRowRows = [];
+        if (!validate || rows.length === 0) return 0;
+
+        // row -> messages and field it was flagged with
+        const flagged = new Map();
+        const flag = (row, error, field) => {
+            const entry = flagged.get(row) || { errors: [], field };
+            entry.errors.push(error);
+            flagged.set(row, entry);
+        };
+
+        const size = scope === 'batch' ? this.config.chunkSize : rows.length;
+        for (let start = 0; start < rows.length; start += size) {
+            const batch = rows.slice(start, start + size);
+            try {
+                const results = await validate(batch, { scope, batchIndex: start / size, mode: this.state.mode });
+                const byLine = new Map(batch.map(row => [row._csvLineNumber, row]));
+                for (const { line, error, field } of results || []) {
+                    if (byLine.has(line)) {
+                        flag(byLine.get(line), error || 'Validation failed', field);
+                    }
+                }
+            } catch (err) {
+                // Rows the rules could not check are not reported as valid
+                const error = this.t('crossRowValidationError', { message: err.message });
+                this.log(error, 'error');
+                batch.forEach(row => flag(row, error));
+            }
+        }
+
+        this.state.successRows = this.state.successRows.filter(row => !flagged.has(row));
+        for (const [row, { errors, field }] of flagged) {
+            const error = errors.join('; ');
+            this.state.successCount--;
+            this.state.errorCount++;
+
+            if (this.keepsErrorRows('cross-row-validation')) {
+                this.state.errorRows.push({
+                    ...row,
+                    _error: error,
+                    _errorType: 'cross-row-validation',
+                    _csvLineNumber: row._csvLineNumber
+                });
+            }
+
+            this.log(this.t('validationError', { error }) + ` [Line ${row._csvLineNumber}]`, 'error');
+            this.sendErrorSample(error, 'cross-row-validation', {
+                row,
+                field: field || 'unknown',
+                csvLineNumber: row._csvLineNumber
+            });
+        }
+
+        this.log(this.t('crossRowValidated', { count: flagged.size }), flagged.size > 0 ? 'warning' : 'info');
+        this.updateStats();
+        return flagged.size;
+    }
+
+    /**
+     * Level an import starts with: `concurrency`, kept within
+     * adaptiveConcurrency.min/max in adaptive mode
+     * @returns {number}
+     */
+    initialConcurrency() {
+        const adaptive = this.config.adaptiveConcurrency;
+        if (!adaptive.enabled) return this.config.concurrency;
+        return Math.min(adaptive.max, Math.max(adaptive.min, this.config.concurrency));
+    }
+
+    /**
+     * AIMD step in adaptive mode, once `level` batches are acknowledged:
+     * `increase` more batches when the API kept up, the level multiplied by
+     * `decrease` when a 429, a 5xx or a network error was seen, or when these
+     * batches were `latencySpike` times slower than the average before them.
+     * @param {Object} window - { latency, baseline, congested }
+     */
+    adjustConcurrency({ latency, baseline, congested }) {
+        const adaptive = this.config.adaptiveConcurrency;
+        const previous = this.concurrencyLevel;
+        let reason = 'stable';
+        if (congested) {
+            reason = 'throttled';
+        } else if (baseline > 0 && latency > baseline * adaptive.latencySpike) {
+            reason = 'latency';
+        }
+
+        this.concurrencyLevel = reason === 'stable'
+            ? Math.min(adaptive.max, previous + adaptive.increase)
+            : Math.max(adaptive.min, Math.floor(previous * adaptive.decrease));
+
+        if (this.concurrencyLevel !== previous) {
+            if (reason !== 'stable') {
+                this.log(this.t('concurrencyDecreased', { reason, level: this.concurrencyLevel }), 'warning');
+            }
+            this.emit('concurrencyChanged', { level: this.concurrencyLevel, previous, reason, latency, baseline });
+        }
+    }
+
+    /**
+     * Send full batches from the row buffer through a pool of `concurrency`
+     * slots (the adaptive level when adaptiveConcurrency is enabled): a batch
+     * is sent as soon as a slot frees, so one slow batch does not idle the
+     * others. Returns once the buffer holds less than a batch, with up to
+     * `concurrency` batches still in flight; the parser waits until then.
+     */
+    async sendBufferedBatches() {
+        // While we have enough data for at least one batch
+        while (this.batchSize(this.rowBuffer) > 0) {
+            // Honor pause/cancel before each batch
+            await this.waitWhilePaused();
+            if (this.isCancelled()) {
+                return;
+            }
+
+            if (this.inFlightBatches.size >= this.concurrencyLevel) {
+                await Promise.race(this.inFlightBatches);
+                continue;
+            }
+
+            this.dispatchBatch(this.rowBuffer.splice(0, this.batchSize(this.rowBuffer)));
+        }
+    }
+
+    /**
+     * Number of rows of the next batch taken from the head of `rows`:
+     * chunkSize rows, fewer when their serialized JSON reaches maxBatchBytes
+     * first (a row larger than maxBatchBytes is sent alone). 0 while `rows`
+     * holds less than a full batch, unless `flush` (end of the file).
+     * @param {Array<Object>} rows - Rows waiting to be sent
+     * @param {boolean} [flush] - Take the rows left even if the batch is not full
+     * @returns {number}
+     */
+    batchSize(rows, flush = false) {
+        const limit = Math.min(this.config.chunkSize, rows.length);
+        if (this.config.maxBatchBytes) {
+            let bytes = 2; // [ and ] around the rows
+            for (let i = 0; i < limit; i++) {
+                let size = this.rowSizes.get(rows[i]);
+                if (size === undefined) {
+                    size = new TextEncoder().encode(JSON.stringify(rows[i])).length;
+                    this.rowSizes.set(rows[i], size);
+                }
+                bytes += size + (i > 0 ? 1 : 0);
+                if (bytes > this.config.maxBatchBytes) {
+                    return Math.max(1, i);
+                }
+            }
+        }
+        return rows.length >= this.config.chunkSize || flush ? limit : 0;
+    }
+
+    /**
+     * Send the rows left in the buffer (the last, partial batch) and wait
+     * for every batch still in flight
+     */
+    async drainBatches() {
+        while (this.rowBuffer.length > 0 && this.state.mode === 'import' && !this.isCancelled()) {
+            if (this.inFlightBatches.size >= this.concurrencyLevel) {
+                await Promise.race(this.inFlightBatches);
+                continue;
+            }
+            this.dispatchBatch(this.rowBuffer.splice(0, this.batchSize(this.rowBuffer, true)));
+        }
+        while (this.inFlightBatches.size > 0) {
+            await Promise.race(this.inFlightBatches);
+        }
+    }
+
+    /**
+     * Start sending a batch in a free slot of the pool. The slot is released
+     * once the result is handled (and waitBetweenChunks has elapsed).
+     * @private
+     * @param {Array<Object>} batch - Rows to send
+     */
+    dispatchBatch(batch) {
+        this.unackedBatches.push(batch);
+
+        // Adaptive mode: the next `level` acknowledged batches are judged together
+        if (this.config.adaptiveConcurrency.enabled && !this.concurrencyWindow) {
+            this.concurrencyWindow = {
+                size: this.concurrencyLevel,
+                settled: 0,
+                baseline: this.metrics.avgApiLatency,
+                firstLatency: this.metrics.apiLatencies.length,
+                congestionSignals: this.congestionSignals
+            };
+        }
+
+        const stopChunkTiming = this.startTiming('chunkProcessing');
+        const sending = this.sendBatch(batch).then(async (result) => {
+            stopChunkTiming({ chunkSize: batch.length });
+            this.handleBatchResult(result, batch);
+            this.settleConcurrencyWindow();
+
+            if (this.config.waitBetweenChunks > 0 && !this.isCancelled()) {
+                await this.wait(this.config.waitBetweenChunks);
+            }
+        }).finally(() => this.inFlightBatches.delete(sending));
+
+        this.inFlightBatches.add(sending);
+        this.updateConcurrency(this.inFlightBatches.size);
+    }
+
+    /**
+     * Count an acknowledged batch in the adaptive window, and take the AIMD
+     * step once `level` batches of the window are acknowledged
+     * @private
+     */
+    settleConcurrencyWindow() {
+        const window = this.concurrencyWindow;
+        if (!window || ++window.settled < window.size) return;
+
+        this.concurrencyWindow = null;
+        const latencies = this.metrics.apiLatencies.slice(window.firstLatency);
+        if (latencies.length > 0 && !this.isCancelled()) {
+            this.adjustConcurrency({
+                latency: latencies.reduce((a, b) => a + b, 0) / latencies.length,
+                baseline: window.baseline,
+                congested: this.congestionSignals > window.congestionSignals
+            });
+        }
+    }
+
+    filterRow(row) {
+        // First apply built-in filters
+        if (this.config.filters && Object.keys(this.config.filters).length > 0) {
+            for (const [field, filterFn] of Object.entries(this.config.filters)) {
+                const value = row[field];
+                if (!filterFn(value)) {
+                    return { 
+                        passed: false, 
+                        reason: `${field}=${value}` 
+                    };
+                }
+            }
+        }
+
+        // Then apply plugin filters
+        for (const plugin of this.activePlugins.row) {
+            if (plugin.filter) {
+                try {
+                    const result = plugin.filter(row, plugin.config || {});
+                    if (result && !result.passed) {
+                        return { 
+                            passed: false, 
+                            reason: result.reason || `Plugin '${plugin.name}' filtered row` 
+                        };
+                    }
+                    // Handle boolean return for backward compatibility
+                    if (typeof result === 'boolean' && !result) {
+                        return { 
+                            passed: false, 
+                            reason: `Plugin '${plugin.name}' filtered row` 
+                        };
+                    }
+                } catch (err) {
+                    this.log(`Plugin '${plugin.name}' filter error: ${err.message}`, 'error');
+                    // On filter error, exclude the row for safety
+                    return { 
+                        passed: false, 
+                        reason: `Plugin filter error: ${err.message}` 
+                    };
+                }
+            }
+        }
+
+        return { passed: true };
+    }
+
+    /**
+     * Compile a declarative schema into per-column rules, and merge its
+     * required and allowed columns into requiredColumns/allowedColumns.
+     * The schema is plain JSON so it can be stored server-side:
+     *
+     * @example
+     * {
+     *   "properties": {
+     *     "Tank ID": { "type": "string", "pattern": "^T-\\d+$", "unique": true },
+     *     "Volume": { "type": "number", "minimum": 0 },
+     *     "Status": { "enum": ["active", "archived"] },
+     *     "Contact": { "type": "string", "format": "email" }
+     *   },
+     *   "required": ["Tank ID", "Volume"],
+     *   "additionalProperties": false
+     * }
+     *
+     * Property names are file columns (after the column mapping); rules are
+     * checked on the transformed row, under the fieldMapping name.
+     * @param {Object|null} schema - Schema config
+     * @returns {Object} - Rules keyed by column
+     */
+    compileSchema(schema) {
+        if (!schema) return {};
+
+        const properties = schema.properties || {};
+        const required = schema.required || [];
+        const rules = {};
+
+        Object.entries(properties).forEach(([column, definition]) => {
+            if (definition.type && !ImportEngine.schemaTypes.includes(definition.type)) {
+                throw new Error(`Schema type for '${column}' must be one of: ${ImportEngine.schemaTypes.join(', ')}`);
+            }
+            if (definition.format && !ImportEngine.schemaFormats[definition.format]) {
+                throw new Error(`Schema format for '${column}' must be one of: ${Object.keys(ImportEngine.schemaFormats).join(', ')}`);
+            }
+
+            rules[column] = {
+                ...definition,
+                column,
+                required: required.includes(column),
+                pattern: definition.pattern ? new RegExp(definition.pattern) : null
+            };
+        });
+
+        // Required columns without a definition only need to be present
+        required.filter(column => !rules[column]).forEach(column => {
+            rules[column] = { column, required: true, pattern: null };
+        });
+
+        this.config.requiredColumns = [...new Set([...this.config.requiredColumns, ...required])];
+        if (schema.additionalProperties === false) {
+            this.config.allowedColumns = [...new Set([...this.config.allowedColumns, ...Object.keys(rules)])];
+        }
+
+        return rules;
+    }
+
+    /**
+     * Convert a parsed value to the type of its schema rule; values that
+     * cannot be converted are kept as they are and fail validation
+     * @private
+     */
+    coerceSchemaValue(value, rule) {
+        if (typeof value !== 'string') {
+            return rule.type === 'string' && value !== null && value !== undefined ? String(value) : value;
+        }
+
+        const text = value.trim();
+        if (text === '') return text;
+
+        if (rule.type === 'number' || rule.type === 'integer') {
+            // Accept a decimal comma (1,5) as well as a decimal point
+            const number = Number(/^-?\d+,\d+$/.test(text) ? text.replace(',', '.') : text);
+            return Number.isNaN(number) ? value : number;
+        }
+        if (rule.type === 'boolean') {
+            const lower = text.toLowerCase();
+            if (['true', '1', 'yes'].includes(lower)) return true;
+            if (['false', '0', 'no'].includes(lower)) return false;
+        }
+        return rule.type === 'string' ? text : value;
+    }
+
+    /**
+     * Check a transformed row against the schema rules
+     * @private
+     * @param {Object} row - Transformed row
+     * @param {number} [line] - Source line; a row checked again is not a duplicate of itself
+     * @returns {Array<{field: string, message: string}>} - Errors, empty when the row is valid
+     */
+    validateSchema(row, line) {
+        const errors = [];
+
+        for (const rule of Object.values(this.schemaRules)) {
+            const field = this.activeMapping.fieldMapping[rule.column] || rule.column;
+            const value = row[field];
+            const fail = (key, params = {}) => errors.push({ field, message: this.t(key, { field: rule.column, ...params }) });
+
+            if (value === undefined || value === null || value === '') {
+                if (rule.required) fail('schemaRequired');
+                continue;
+            }
+
+            const typeValid = {
+                string: () => typeof value === 'string',
+                number: () => typeof value === 'number' && Number.isFinite(value),
+                integer: () => Number.isInteger(value),
+                boolean: () => typeof value === 'boolean'
+            };
+            if (rule.type && !typeValid[rule.type]()) {
+                fail('schemaType', { type: `a${rule.type === 'integer' ? 'n' : ''} ${rule.type}` });
+                continue;
+            }
+
+            if (rule.enum && !rule.enum.includes(value)) {
+                fail('schemaEnum', { values: rule.enum.join(', ') });
+            }
+            if (rule.minimum !== undefined && value < rule.minimum) {
+                fail('schemaMinimum', { limit: rule.minimum });
+            }
+            if (rule.maximum !== undefined && value > rule.maximum) {
+                fail('schemaMaximum', { limit: rule.maximum });
+            }
+            if (rule.minLength !== undefined && String(value).length < rule.minLength) {
+                fail('schemaMinLength', { limit: rule.minLength });
+            }
+            if (rule.maxLength !== undefined && String(value).length > rule.maxLength) {
+                fail('schemaMaxLength', { limit: rule.maxLength });
+            }
+            if (rule.pattern && !rule.pattern.test(String(value))) {
+                fail('schemaPattern');
+            }
+            if (rule.format && !ImportEngine.schemaFormats[rule.format](String(value))) {
+                fail('schemaFormat', { format: rule.format });
+            }
+
+            if (rule.unique) {
+                const seen = this.schemaUniqueValues[rule.column] || (this.schemaUniqueValues[rule.column] = new Map());
+                if (!seen.has(value)) {
+                    seen.set(value, line);
+                } else if (line === undefined || seen.get(value) !== line) {
+                    fail('schemaUnique', { value });
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a transformed row: schema rules, validate option, then
+     * field and row plugins
+     * @param {Object} row - Transformed row
+     * @param {Array<{field: string, message: string}>} [schemaErrors] - Result of validateSchema, if already computed
+     * @returns {{isValid: boolean, error?: string, errors?: Array<string>, field?: string}|Promise<Object>} - A promise
+     *   when a validator returned one
+     */
+    validateRow(row, schemaErrors = this.validateSchema(row)) {
+        return this.runSteps(this.validateRowSteps(row, schemaErrors));
+    }
+
+    /**
+     * Steps of validateRow, yielding each validator result (see runSteps)
+     * @private
+     */
+    *validateRowSteps(row, schemaErrors) {
+        let validator = this.activeMapping.validate;
+
+        // If no mapping-specific validator, check global config
+        if (!validator && this.config.validate) {
+            validator = this.config.validate;
+        }
+
+        // Determine if we should collect all errors
+        const collectAll = this.config.collectAllErrors;
+        const errors = [];
+
+        // Helper to handle error result
+        const handleError = (msg) => {
+            if (collectAll) {
+                errors.push(msg);
+                return true; // Continue validation
+            }
+            return false; // Stop validation
+        };
+
+        // Helper to handle result object
+        const handleResult = (result, defaultMsg) => {
+            let shouldContinue = true;
+            if (result && !result.isValid) {
+                // Handle multiple errors array
+                if (result.errors && Array.isArray(result.errors)) {
+                    for (const err of result.errors) {
+                        shouldContinue = handleError(err);
+                        if (!shouldContinue) return { isValid: false, error: err };
+                    }
+                }
+                
+                // Handle single error string (fallback or additional to errors array)
+                if (result.error) {
+                    shouldContinue = handleError(result.error);
+                    if (!shouldContinue) return { isValid: false, error: result.error };
+                }
+                
+                // Handle generic error if no message provided
+                if (!result.error && (!result.errors || result.errors.length === 0)) {
+                    shouldContinue = handleError(defaultMsg);
+                    if (!shouldContinue) return { isValid: false, error: defaultMsg };
+                }
+            }
+            return shouldContinue; // Return generic continue flag (true if we are collecting errors or if valid)
+        };
+
+        // 0. Schema rules
+        for (const error of schemaErrors) {
+            if (!handleError(error.message)) {
+                return { isValid: false, error: error.message, field: error.field };
+            }
+        }
+
+        // 1. Function-based validation (new style)
+        if (typeof validator === 'function') {
+            try {
+                const result = yield validator(row);
+                const shouldContinue = handleResult(result, 'Validation failed');
+                if (!collectAll && !shouldContinue && !result.isValid) {
+                     // We already returned inside handleResult if not collecting all
+                     // But just in case logic slips through
+                     return result; 
+                }
+                // If not collecting all, and result was invalid, handleResult handles returning early if needed
+                if (!collectAll && result && !result.isValid) {
+                    return result; 
+                }
+            } catch (err) {
+                const errorMsg = `Validator error: ${err.message}`;
+                if (!handleError(errorMsg)) {
+                    return { isValid: false, error: errorMsg };
+                }
+            }
+        }
+        // 2. Object-based validation (old style)
+        else if (typeof validator === 'object') {
+            for (const [field, validationDef] of Object.entries(validator)) {
+                // Normalize to array of validators: [[fn, msg], ...]
+                // If it's a single validator [fn, msg], validationDef[0] will be the function
+                // If it's multiple [[fn, msg], ...], validationDef[0] will be an array
+                const validators = Array.isArray(validationDef[0]) ? validationDef : [validationDef];
+
+                for (const [validatorFn, msg] of validators) {
+                    if (typeof validatorFn !== 'function') continue;
+
+                    let errorMsg = null;
+                    try {
+                        // A validator declaring the row parameter is cached per value and row
+                        const input = validatorFn.length > 1 ? [row[field], row] : row[field];
+                        const valid = yield this.cachedCall(validatorFn, field, input, () => validatorFn(row[field], row));
+                        errorMsg = valid ? null : msg || `Invalid ${field}`;
+                    } catch (err) {
+                        errorMsg = `Validator error: ${err.message}`;
+                    }
+                    if (errorMsg && !handleError(errorMsg)) {
+                        return { isValid: false, error: errorMsg };
+                    }
+                }
+            }
+        }
+
+        // 3. Run field-level plugin validations
+        for (const plugin of this.activePlugins.field) {
+            if (plugin.validate) {
+                for (const [field, value] of Object.entries(row)) {
+                    try {
+                        const result = yield plugin.validate(value, field, row, plugin.config || {});
+                        const shouldContinue = handleResult(result, `Plugin '${plugin.name}' validation failed for ${field}`);
+                        
+                        // Handle boolean return for backward compatibility
+                        if (typeof result === 'boolean' && !result) {
+                            const errorMsg = `Plugin '${plugin.name}' validation failed for ${field}`;
+                            if (!handleError(errorMsg)) {
+                                return { isValid: false, error: errorMsg };
+                            }
+                        } else if (!collectAll && result && !result.isValid) {
+                             return { isValid: false, error: result.error || 'Plugin validation failed' };
+                        }
+
+                    } catch (err) {
+                        this.log(`Plugin '${plugin.name}' validate error on field '${field}': ${err.message}`, 'error');
+                        const errorMsg = `Plugin validation error: ${err.message}`;
+                        if (!handleError(errorMsg)) {
+                            return { isValid: false, error: errorMsg };
+                        }
+                    }
+                }
+            }
+        }
+
+        // 4. Run row-level plugin validations
+        for (const plugin of this.activePlugins.row) {
+            if (plugin.validate) {
+                try {
+                    const result = yield plugin.validate(row, this, plugin.config || {});
+                    
+                     // Handle boolean return for backward compatibility
+                    if (typeof result === 'boolean' && !result) {
+                         const errorMsg = `Plugin '${plugin.name}' row validation failed`;
+                         if (!handleError(errorMsg)) {
+                             return { isValid: false, error: errorMsg };
+                         }
+                    } else {
+                         const shouldContinue = handleResult(result, `Plugin '${plugin.name}' row validation failed`);
+                         if (!collectAll && result && !result.isValid) {
+                             // Correctly handle the return if handleResult didn't already
+                             return { isValid: false, error: result.error || 'Plugin validation failed' };
+                         }
+                    }
+
+                } catch (err) {
+                    this.log(`Plugin '${plugin.name}' row validate error: ${err.message}`, 'error');
+                    const errorMsg = `Plugin validation error: ${err.message}`;
+                    if (!handleError(errorMsg)) {
+                        return { isValid: false, error: errorMsg };
+                    }
+                }
+            }
+        }
+        
+        // Final check
+        if (errors.length > 0) {
+            return {
+                isValid: false,
+                error: errors.join('; '), // Main error message (joined)
+                errors: errors // Detailed errors array
+            };
+        }
+
+        return { isValid: true };
+    }
+
+    /**
+     * Whether the file must be read once before the import to find its
+     * duplicate keys: with duplicateKeys.keep 'last' or 'none' a row is
+     * rejected for a later one, and a resumed import skips the rows
+     * already sent. Otherwise keys are tracked while the rows are
+     * processed (see trackDuplicateKeys).
+     * @returns {boolean}
+     */
+    scansDuplicateKeys() {
+        return this.config.duplicateKeys.keys.length > 0
+            && (this.config.duplicateKeys.keep !== 'first' || Boolean(this.resumeFromLine));
+    }
+
+    /**
+     * Record the duplicate keys of a transformed row, rows being processed
+     * in file order, unless scanDuplicateKeys already found them all
+     * @private
+     * @param {Object} row - Transformed row
+     * @param {number} line - Line of the row
+     */
+    trackDuplicateKeys(row, line) {
+        if (this.config.duplicateKeys.keys.length === 0 || this.scansDuplicateKeys()) return;
+
+        const keys = this.config.duplicateKeys.keys.map(key => [].concat(key));
+        if (!this.duplicateKeyLines) {
+            this.duplicateKeyLines = keys.map(() => new Map());
+        }
+
+        keys.forEach((fields, keyIndex) => {
+            const value = this.duplicateKeyValue(row, fields);
+            if (value === null) return;
+
+            const group = this.duplicateKeyLines[keyIndex].get(value);
+            if (group) {
+                group.push(line);
+            } else {
+                this.duplicateKeyLines[keyIndex].set(value, [line]);
+            }
+        });
+    }
+
+    /**
+     * Read the whole selected file once to find the duplicateKeys values
+     * held by several rows (after column mapping, filters and transforms),
+     * so each duplicate can be flagged before the first batch is sent
+     * whichever row is kept (see scansDuplicateKeys). Sets duplicateKeyLines.
+     * @returns {Promise<void>}
+     */
+    async scanDuplicateKeys() {
+        const keys = this.config.duplicateKeys.keys.map(key => [].concat(key));
+        const lines = keys.map(() => new Map());
+
+        await this.readAllRows((rows, lineNumbers) => {
+            const transformed = this.runSteps(this.mapLimited(rows, fileRow => {
+                try {
+                    const row = this.mapColumns(fileRow);
+                    if (!this.filterRow(row).passed) return null;
+                    return this.whenResolved(this.transformRow(row), values => values, () => null);
+                } catch (err) {
+                    return null; // reported when the row is processed
+                }
+            }));
+
+            return this.whenResolved(transformed, values => values.forEach((row, index) => {
+                if (!row) return;
+
+                keys.forEach((fields, keyIndex) => {
+                    const value = this.duplicateKeyValue(row, fields);
+                    if (value === null) return;
+
+                    const group = lines[keyIndex].get(value);
+                    if (group) {
+                        group.push(lineNumbers[index]);
+                    } else {
+                        lines[keyIndex].set(value, [lineNumbers[index]]);
+                    }
+                });
+            }));
+        });
+
+        // Only values held by several rows are kept
+        this.duplicateKeyLines = lines.map(values => new Map([...values].filter(([, group]) => group.length > 1)));
+
+        const count = this.duplicateKeyLines.reduce((sum, values) => sum + values.size, 0);
+        this.log(this.t('duplicateKeysScanned', { count }), count > 0 ? 'warning' : 'info');
+    }
+
+    /**
+     * Read every row of the selected file without processing it: the sheet
+     * rows of a workbook, the valid records of a JSON file, or the rows
+     * of a CSV file streamed through normalization
+     * @private
+     * @param {function(Array<Object>, Array<number>): (void|Promise<void>)} onRows - Called with each chunk of rows
+     *   and their lines, the next chunk is read once its promise resolves
+     * @returns {Promise<void>}
+     */
+    async readAllRows(onRows) {
+        const file = this.state.selectedFile;
+
+        if (this.isSpreadsheetFile(file)) {
+            const workbook = await this.workbookLookup;
+            if (!workbook) {
+                throw new Error(this.t('workbookError', { message: file.name }));
+            }
+            const [header, ...sheetRows] = await workbook.readSheet(this.state.selectedSheet);
+            const fields = header ? header.values.map(value => value.trim()) : [];
+            await onRows(sheetRows.map(({ values }) => this.buildSheetRow(fields, values)), sheetRows.map(({ line }) => line));
+            return;
+        }
+
+        if (this.isJsonFile(file)) {
+            const reader = /\.ndjson$/i.test(file.name) ? this.createNdjsonReader() : this.createJsonArrayReader();
+            for await (const { text, last } of this.readFileChunks(file)) {
+                if (this.isCancelled()) return;
+
+                const records = [...reader.push(text), ...(last ? reader.flush() : [])];
+                const rows = [];
+                const lineNumbers = [];
+                records.forEach(({ line, text: record }) => {
+                    try {
+                        const row = JSON.parse(record);
+                        if (row && typeof row === 'object' && !Array.isArray(row)) {
+                            rows.push(row);
+                            lineNumbers.push(line);
+                        }
+                    } catch (err) {
+                        // Invalid records are reported when the file is processed
+                    }
+                });
+                await onRows(rows, lineNumbers);
+            }
+            return;
+        }
+
+        // Rows are numbered like evaluateRows does it (header is line 1)
+        let nextLine = 2;
+        await new Promise((resolve, reject) => {
+            this.streamFile(file, {
+                header: true,
+                skipEmptyLines: true,
+                dynamicTyping: false,
+                chunk: async (results, parser) => {
+                    if (this.isCancelled()) {
+                        parser.abort();
+                        return;
+                    }
+                    parser.pause();
+                    await onRows(results.data, results.data.map(() => nextLine++));
+                    parser.resume();
+                },
+                complete: resolve,
+                error: reject
+            }, { quiet: true });
+        });
+    }
+
+    /**
+     * Value of a duplicate key in a row, null when one of its fields is empty
+     * @private
+     * @param {Object} row - Transformed row
+     * @param {Array<string>} fields - Fields of the key
+     * @returns {string|null}
+     */
+    duplicateKeyValue(row, fields) {
+        const values = fields.map(field => row[field]);
+        if (values.some(value => value === undefined || value === null || value === '')) {
+            return null;
+        }
+        return fields.length === 1 ? String(values[0]) : JSON.stringify(values.map(String));
+    }
+
+    /**
+     * Whether a row holds a duplicate key it may not keep, according to
+     * duplicateKeys.keep: the first row, the last row or none of them
+     * @private
+     * @param {Object} row - Transformed row
+     * @param {number} line - Line of the row
+     * @returns {{field: string, error: string}|null}
+     */
+    findDuplicateKey(row, line) {
+        if (!this.duplicateKeyLines) return null;
+
+        const keep = this.config.duplicateKeys.keep;
+        const keys = this.config.duplicateKeys.keys.map(key => [].concat(key));
+
+        for (const [keyIndex, fields] of keys.entries()) {
+            const group = this.duplicateKeyLines[keyIndex].get(this.duplicateKeyValue(row, fields));
+            if (!group) continue;
+
+            let lines = group;
+            if (keep === 'first') {
+                if (group[0] === line) continue;
+                lines = [group[0], line];
+            } else if (keep === 'last') {
+                if (group[group.length - 1] === line) continue;
+                lines = [line, group[group.length - 1]];
+            }
+
+            return {
+                field: fields[0],
+                error: this.t('duplicateKey', {
+                    key: fields.join(' + '),
+                    value: fields.map(field => row[field]).join(' / '),
+                    lines: lines.join(', ')
+                })
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Add the duplicate key error of a row to its validation result
+     * @private
+     * @param {Object} validation - Result of validateRow
+     * @param {Object} row - Transformed row
+     * @param {number} line - Line of the row
+     * @returns {Object} - Validation result
+     */
+    checkDuplicateKeys(validation, row, line) {
+        const duplicate = this.findDuplicateKey(row, line);
+        if (!duplicate) return validation;
+
+        if (validation.isValid) {
+            return { isValid: false, error: duplicate.error, field: duplicate.field };
+        }
+        if (!this.config.collectAllErrors) return validation;
+        return {
+            ...validation,
+            error: `${validation.error}; ${duplicate.error}`,
+            errors: [...(validation.errors || [validation.error]), duplicate.error]
+        };
+    }
+
+
+    /**
+     * Resolve the lookups of a transformed row, once the reference tables
+     * are loaded
+     * @param {Object} row - Transformed row
+     * @returns {{row: Object, errors: Array<{field: string, message: string}>}|Promise<Object>} - A promise
+     *   while the tables are fetched
+     */
+    applyLookups(row) {
+        if (Object.keys(this.config.lookups).length === 0) {
+            return { row, errors: [] };
+        }
+        return this.whenResolved(this.loadLookupTables(), tables => this.resolveLookups(row, tables));
+    }
+
+    /**
+     * Load the reference tables of the lookups option once: inline data,
+     * or fetched from their url (GET, with the headers option). A table that
+     * fails to load makes its values errors; it is fetched again by the
+     * next startImport.
+     * @returns {Map<string, Object>|Promise<Map<string, Object>>} - field -> table, a promise while fetching
+     */
+    loadLookupTables() {
+        if (this.lookupTables) return this.lookupTables;
+
+        const lookups = Object.entries(this.config.lookups);
+        const buildTables = (tables) => {
+            this.lookupTables = new Map(tables.map(([field, rows, error]) => [field, this.buildLookupTable(field, rows, error)]));
+            return this.lookupTables;
+        };
+
+        if (!lookups.some(([, lookup]) => !Array.isArray(lookup.data))) {
+            return buildTables(lookups.map(([field, lookup]) => [field, lookup.data]));
+        }
+
+        this.lookupTables = Promise.all(lookups.map(async ([field, lookup]) => {
+            if (Array.isArray(lookup.data)) return [field, lookup.data];
+            try {
+                return [field, await this.fetchLookupTable(lookup.url)];
+            } catch (err) {
+                const error = this.t('lookupLoadError', { field, message: err.message });
+                this.log(error, 'error');
+                return [field, [], error];
+            }
+        })).then(buildTables);
+        return this.lookupTables;
+    }
+
+    /**
+     * @private
+     * @param {string} url - Endpoint returning an array of rows (or { items: [...] })
+     * @returns {Promise<Array<Object>>}
+     */
+    async fetchLookupTable(url) {
+        await this.acquireRateLimit(url, 0);
+        const response = await fetch(url, { headers: { Accept: 'application/json', ...this.config.headers } });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const data = await response.json();
+        if (Array.isArray(data)) return data;
+        if (data && Array.isArray(data.items)) return data.items;
+        throw new Error('Expected an array of rows');
+    }
+
+    /**
+     * Index the rows of a reference table by label, folded label and id
+     * @private
+     */
+    buildLookupTable(field, rows, error) {
+        const { valueKey, labelKey } = this.config.lookups[field];
+        const table = { error, labels: [], byLabel: new Map(), byFolded: new Map(), ids: new Map(), matches: new Map() };
+
+        rows.forEach(row => {
+            if (!row || row[labelKey] == null) return;
+            const label = String(row[labelKey]).trim();
+            const folded = this.foldLabel(label);
+            if (!table.byLabel.has(label)) {
+                table.labels.push(label);
+                table.byLabel.set(label, row[valueKey]);
+            }
+            if (!table.byFolded.has(folded)) {
+                table.byFolded.set(folded, row[valueKey]);
+            }
+            table.ids.set(String(row[valueKey]), row[valueKey]);
+        });
+
+        if (!error) {
+            this.log(this.t('lookupLoaded', { field, count: table.labels.length }));
+        }
+        return table;
+    }
+
+    /**
+     * @private
+     */
+    foldLabel(label) {
+        return label.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Replace the labels of a row by the ids of the reference tables. Empty
+     * values are not looked up, values already holding an id of the table
+     * are kept; unresolved labels stay in the row and are reported as errors
+     * naming the closest labels.
+     * @param {Object} row - Transformed row
+     * @param {Map<string, Object>} tables - Result of loadLookupTables
+     * @returns {{row: Object, errors: Array<{field: string, message: string}>}}
+     */
+    resolveLookups(row, tables) {
+        let resolved = row;
+        const errors = [];
+
+        for (const [field, lookup] of Object.entries(this.config.lookups)) {
+            const value = row[field];
+            if (value === undefined || value === null || value === '') {
+                if (lookup.target !== field && field in row) {
+                    if (resolved === row) resolved = { ...row };
+                    delete resolved[field];
+                }
+                continue;
+            }
+
+            const table = tables.get(field);
+            const match = table.error ? { error: table.error } : this.matchLookup(field, table, value);
+            if (match.error) {
+                errors.push({ field, message: match.error });
+                continue;
+            }
+
+            if (resolved === row) resolved = { ...row };
+            if (lookup.target !== field) delete resolved[field];
+            resolved[lookup.target] = match.value;
+        }
+
+        return { row: resolved, errors };
+    }
+
+    /**
+     * Find the id of a label: exact label, then (caseInsensitive, fuzzy)
+     * the label ignoring case and accents, then (fuzzy) the only most
+     * similar label above minScore. Results are memoized per table.
+     * @private
+     * @returns {{value?: *, error?: string}}
+     */
+    matchLookup(field, table, value) {
+        const label = String(value).trim();
+        if (table.matches.has(label)) return table.matches.get(label);
+
+        const { match, minScore } = this.config.lookups[field];
+        let result = null;
+        if (table.byLabel.has(label)) {
+            result = { value: table.byLabel.get(label) };
+        } else if (table.ids.has(label)) {
+            result = { value: table.ids.get(label) };
+        } else if (match !== 'exact' && table.byFolded.has(this.foldLabel(label))) {
+            result = { value: table.byFolded.get(this.foldLabel(label)) };
+        }
+
+        if (!result) {
+            const scored = table.labels
+                .map(candidate => ({ candidate, score: this.columnSimilarity(label, candidate) }))
+                .filter(({ score }) => score > 0)
+                .sort((a, b) => b.score - a.score);
+            const [best, second] = scored;
+
+            if (match === 'fuzzy' && best && best.score >= minScore && !(second && second.score === best.score)) {
+                result = { value: table.byLabel.get(best.candidate) };
+            } else {
+                const candidates = scored.slice(0, 3).map(({ candidate }) => candidate);
+                result = {
+                    error: candidates.length > 0
+                        ? this.t('lookupCandidates', { field, value: label, candidates: candidates.join(', ') })
+                        : this.t('lookupNotFound', { field, value: label })
+                };
+            }
+        }
+
+        table.matches.set(label, result);
+        return result;
+    }
+
+    /**
+     * Apply field mapping, schema coercions, transformers and plugin
+     * transforms to a row
+     * @param {Object} row - Row keyed by file columns
+     * @returns {Object|Promise<Object>} - Transformed row, a promise when a transformer returned one
+     */
+    transformRow(row) {
+        return this.runSteps(this.transformRowSteps(row));
+    }
+
+    /**
+     * Steps of transformRow, yielding each transformer result (see runSteps)
+     * @private
+     */
+    *transformRowSteps(row) {
+        const transformed = {};
+
+        // Apply field mapping from active mapping
+        for (const key of Object.keys(row)) {
+            const mappedKey = this.activeMapping.fieldMapping[key] || key;
+            let value = row[key];
+
+            // Coerce to the type declared in the schema
+            if (this.schemaRules[key]) {
+                value = this.coerceSchemaValue(value, this.schemaRules[key]);
+            }
+
+            // Apply transformer if exists in active mapping
+            const transformers = this.activeMapping.transformers;
+            if (transformers[mappedKey]) {
+                const input = value;
+                value = yield this.cachedCall(transformers[mappedKey], mappedKey, input, () => transformers[mappedKey](input));
+            }
+
+            // Apply field-level plugins
+            for (const plugin of this.activePlugins.field) {
+                if (plugin.transform) {
+                    try {
+                        value = yield plugin.transform(value, mappedKey, row, plugin.config || {});
+                    } catch (err) {
+                        this.log(`Plugin '${plugin.name}' transform error on field '${mappedKey}': ${err.message}`, 'error');
+                    }
+                }
+            }
+
+            transformed[mappedKey] = value;
+        }
+
+        // Apply row-level plugin transforms
+        let finalTransformed = transformed;
+        for (const plugin of this.activePlugins.row) {
+            if (plugin.transform) {
+                try {
+                    finalTransformed = (yield plugin.transform(finalTransformed, row, this, plugin.config || {})) || finalTransformed;
+                } catch (err) {
+                    this.log(`Plugin '${plugin.name}' row transform error: ${err.message}`, 'error');
+                }
+            }
+        }
+
+        return finalTransformed;
+    }
+
+    /**
+     * POST a JSON payload to config.apiEndpoint, gzipped according to
+     * config.compression, with the batch headers (options.headers) and the
+     * configured ones. Counts requestBytes, requestBytesSent and
+     * compressedRequests; a compressed body refused with 415 is sent again
+     * as is and compression stays off. Send handler overrides call it too.
+     * @param {Object} payload - Request body
+     * @param {Object} config - SDK configuration
+     * @param {Object} [options] - Send options of the send handler (signal, headers)
+     * @returns {Promise<Response>}
+     */
+    async postPayload(payload, config, options = {}) {
+        const json = JSON.stringify(payload);
+        let body = json;
+
+        // Merge default headers with custom headers
+        const headers = {
+            'Content-Type': 'application/json',
+            ...options.headers,
+            ...config.headers
+        };
+
+        const rawBytes = new TextEncoder().encode(json).length;
+        let sentBytes = rawBytes;
+        const compress = config.compression.enabled && !this.compressionFallback && rawBytes >= config.compression.minBytes;
+        if (compress && typeof CompressionStream === 'undefined') {
+            this.compressionFallback = true;
+            this.log(this.t('compressionUnsupported'), 'warning');
+        } else if (compress) {
+            body = await this.gzip(json);
+            sentBytes = body.length;
+            headers['Content-Encoding'] = 'gzip';
+        }
+
+        // Merge default fetch options with custom options
+        const fetchOptions = {
+            method: 'POST',
+            headers: headers,
+            body,
+            signal: options.signal,
+            ...config.fetchOptions
+        };
+
+        const response = await fetch(config.apiEndpoint, fetchOptions);
+        this.metrics.requestBytes += rawBytes;
+        this.metrics.requestBytesSent += sentBytes;
+        if (headers['Content-Encoding'] === 'gzip') {
+            this.metrics.compressedRequests++;
+
+            // Compressed bodies not understood: send this payload and the next ones as is
+            if (response.status === 415) {
+                this.compressionFallback = true;
+                this.log(this.t('compressionRefused'), 'warning');
+                return this.postPayload(payload, config, options);
+            }
+        }
+
+        return response;
+    }
+
+    /**
+     * Default send handler using Fetch API
+     * @param {Array} batch - Batch of transformed and validated rows
+     * @param {Object} config - SDK configuration
+     * @param {Object} [options] - Send options
+     * @param {AbortSignal} [options.signal] - Aborts the request when the import is cancelled
+     * @param {Object} [options.headers] - Idempotency and correlation headers of the batch
+     * @returns {Promise<{success: number, errors: Array}>}
+     */
+    async defaultSendHandler(batch, config, options = {}) {
+        // Generic payload: send batch under a neutral key
+        const payload = { items: batch };
+        const response = await this.postPayload(payload, config, options);
+
+        // Error pages (e.g. a 502 from a proxy) are often not JSON
+        const data = response.ok || response.status === 422
+            ? await response.json()
+            : await response.json().catch(() => null);
+        // status/retryAfter let sendBatch decide whether to retry
+        const result = { success: 0, errors: [], status: response.status };
+
+        if (response.ok || response.status === 422) {
+            // Try to locate an array of per-row results in a generic way
+            let items = [];
+            if (data && Array.isArray(data.items)) {
+                items = data.items;
+            } else if (Array.isArray(data)) {
+                items = data;
+            }
+
+            if (items.length > 0) {
+                items.forEach((res, index) => {
+                    const originalRow = batch[index] || {};
+                    const csvLineNumber = originalRow._csvLineNumber;
+
+                    const hasErrorFlag = !!res && res.error === true;
+                    const hasErrorMessage = !!res && typeof res.errorMessage === 'string';
+                    const isError = hasErrorFlag || hasErrorMessage;
+
+                    if (isError) {
+                        const message = res.message || res.errorMessage || this.t('serverErrorGeneric');
+                        result.errors.push({
+                            message,
+                            data: {
+                                ...res,
+                                _csvLineNumber: csvLineNumber,
+                                originalRow
+                            }
+                        });
+                    } else {
+                        result.success++;
+                    }
+                });
+            } else if (response.ok) {
+                // No per-row info: assume whole batch succeeded
+                result.success = batch.length;
+            } else {
+                // Validation-style HTTP status but no detailed items
+                result.errors = batch.map(() => ({
+                    message: this.t('batchValidationFailed', { status: response.status }),
+                    data: null
+                }));
+            }
+        } else {
+            // Server error (non-2xx / non-422)
+            result.retryAfter = response.headers.get('Retry-After');
+            result.errors = batch.map(() => ({
+                message: this.t('serverError', { status: response.status, statusText: response.statusText }),
+                data: null
+            }));
+        }
+
+        return result;
+    }
+
+    /**
+     * @private
+     * @param {string} text - Request body
+     * @returns {Promise<Uint8Array>} - Gzipped body
+     */
+    async gzip(text) {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Idempotency key of a batch: import id, batch sequence and CSV line
+     * range. Retries of the batch send the same key, so an API that already
+     * committed it can answer with the stored response instead of
+     * creating the rows twice.
+     * @private
+     * @param {Array<Object>} batch - Rows of the batch
+     * @returns {string}
+     */
+    createIdempotencyKey(batch) {
+        const first = batch[0]?._csvLineNumber ?? '';
+        const last = batch[batch.length - 1]?._csvLineNumber ?? '';
+        this.batchNumbers.set(batch, ++this.batchSequence);
+        return `${this.currentImportId}:${this.batchSequence}:${first}-${last}`;
+    }
+
+    /**
+     * Send a batch through the send handler, retrying transient failures
+     * according to config.retry with the same idempotency key.
+     * @param {Array<Object>} batch - Rows to send
+     * @param {Object} [options]
+     * @param {string} [options.idempotencyKey] - Key of an earlier send of the same rows (see resendRows)
+     * @returns {Promise<Object>} - Batch result, with the `idempotencyKey` used
+     */
+    async sendBatch(batch, options = {}) {
+        const idempotencyKey = options.idempotencyKey || this.createIdempotencyKey(batch);
+        try {
+            // Apply batch-level plugin beforeSend hooks
+            let processedBatch = batch;
+            for (const plugin of this.activePlugins.batch) {
+                if (plugin.beforeSend) {
+                    try {
+                        const result = plugin.beforeSend(processedBatch, this, plugin.config || {});
+                        if (result) {
+                            processedBatch = result;
+                        }
+                    } catch (err) {
+                        this.log(`Plugin '${plugin.name}' beforeSend error: ${err.message}`, 'error');
+                    }
+                }
+            }
+
+            // Use custom send handler if provided, otherwise use default
+            const sendHandler = this.config.sendHandler || this.defaultSendHandler.bind(this);
+            const signal = this.abortController ? this.abortController.signal : undefined;
+            const headers = this.config.idempotency.enabled ? {
+                'Idempotency-Key': idempotencyKey,
+                'X-Import-Id': this.currentImportId,
+                'X-Session-Id': this.config.metricsBackend.sessionId
+            } : {};
+
+            if (this.isCancelled()) {
+                return this.abortedBatchResult(batch);
+            }
+            
+            let result;
+            let handlerError = null;
+            for (let attempt = 1; ; attempt++) {
+                result = undefined;
+                handlerError = null;
+
+                await this.acquireRateLimit(this.config.apiEndpoint, processedBatch.length);
+                if (this.isCancelled()) {
+                    return this.abortedBatchResult(batch);
+                }
+
+                const stopApiTiming = this.startTiming('apiCall');
+                try {
+                    result = await sendHandler(processedBatch, this.config, { signal, idempotencyKey, headers });
+                } catch (err) {
+                    handlerError = err;
+                }
+
+                if (this.isCancelled()) {
+                    stopApiTiming({ success: false, error: 'cancelled' });
+                    return this.abortedBatchResult(batch);
+                }
+
+                const transientStatus = !handlerError && result && this.config.retry.retryOn.includes(result.status);
+                const failureReason = handlerError
+                    ? handlerError.message
+                    : (transientStatus ? `HTTP ${result.status}` : null);
+
+                if (handlerError || (result && (result.status === 429 || result.status >= 500))) {
+                    this.congestionSignals++;
+                }
+
+                if (failureReason) {
+                    stopApiTiming({ success: false, error: failureReason });
+                } else {
+                    stopApiTiming({ success: true, batchSize: processedBatch.length });
+                }
+
+                const retryDelay = this.getRetryDelay(attempt, result, handlerError);
+                if (retryDelay === null) break;
+
+                // Transient failure: back off and send the same batch again
+                this.metrics.apiRetries++;
+                this.log(this.t('retryingBatch', {
+                    reason: failureReason,
+                    delay: retryDelay,
+                    attempt: attempt + 1,
+                    maxAttempts: this.config.retry.maxAttempts
+                }), 'warning');
+
+                await this.wait(retryDelay);
+                if (this.isCancelled()) {
+                    return this.abortedBatchResult(batch);
+                }
+            }
+
+            // Body too large for the server: send each half on its own
+            if (!handlerError && result && result.status === 413 && batch.length > 1) {
+                this.log(this.t('batchTooLarge', { count: batch.length }), 'warning');
+                return this.sendSplitBatch(batch);
+            }
+
+            if (handlerError) {
+                this.log(this.t('sendHandlerError', { message: handlerError.message }), 'error');
+                // Safe default on handler error; the rows are kept for retryFailed()
+                result = {
+                    success: 0,
+                    errors: batch.map(row => ({
+                        message: this.t('handlerError', { message: handlerError.message }),
+                        data: row,
+                        type: 'network'
+                    }))
+                };
+            }
+
+            // Validate result structure and apply safe defaults
+            if (!result || typeof result !== 'object') {
+                this.log(this.t('invalidHandlerResponse'), 'error');
+                result = { success: 0, errors: [] };
+            }
+            if (typeof result.success !== 'number') result.success = 0;
+            if (!Array.isArray(result.errors)) result.errors = [];
+
+            // Batch refused with an HTTP error and no per-row details: keep the rows for retryFailed()
+            if (result.status >= 400 && result.status !== 422) {
+                result.errors = result.errors.map((err, index) => (err && err.data == null && batch[index]
+                    ? { ...err, data: batch[index], type: 'server-error' }
+                    : err));
+            }
+
+            // Apply batch-level plugin afterSend hooks
+            for (const plugin of this.activePlugins.batch) {
+                if (plugin.afterSend) {
+                    try {
+                        const pluginResult = plugin.afterSend(result, processedBatch, this, plugin.config || {});
+                        if (pluginResult) {
+                            result = pluginResult;
+                        }
+                    } catch (err) {
+                        this.log(`Plugin '${plugin.name}' afterSend error: ${err.message}`, 'error');
+                    }
+                }
+            }
+
+            return { ...result, idempotencyKey };
+
+        } catch (err) {
+            // Network or unexpected error
+            this.state.errorCount += batch.length;
+            this.log(this.t('networkError', { message: err.message }), 'error');
+            
+            // Send network error sample to metrics backend
+            this.sendErrorSample(err.message, 'network', {
+                batchSize: batch.length,
+                url: this.config.apiEndpoint
+            });
+            
+            return {
+                success: 0,
+                errors: batch.map(row => ({
+                    message: this.t('networkError', { message: err.message }),
+                    data: row,
+                    type: 'network'
+                })),
+                idempotencyKey
+            };
+        }
+    }
+
+    /**
+     * Decide whether a send attempt should be retried according to config.retry.
+     * Retryable: results whose `status` is in retryOn (set by defaultSendHandler),
+     * handler errors carrying such a `status`, and network errors (no status).
+     * @param {number} attempt - Attempt that just finished (1-based)
+     * @param {Object} [result] - Send handler result
+     * @param {Error} [error] - Error thrown by the send handler
+     * @returns {number|null} - Delay in ms before the next attempt, or null to stop
+     */
+    getRetryDelay(attempt, result, error) {
+        const policy = this.config.retry;
+        if (attempt >= policy.maxAttempts) return null;
+
+        let retryAfter = null;
+        if (error) {
+            const retryable = error.status
+                ? policy.retryOn.includes(error.status)
+                : policy.retryNetworkErrors;
+            if (!retryable) return null;
+            retryAfter = error.retryAfter;
+        } else if (result && policy.retryOn.includes(result.status)) {
+            retryAfter = result.retryAfter;
+        } else {
+            return null;
+        }
+
+        // Exponential backoff with full jitter
+        const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.backoffMultiplier, attempt - 1));
+        let delay = policy.jitter ? Math.random() * backoff : backoff;
+
+        if (policy.respectRetryAfter && retryAfter != null) {
+            const retryAfterMs = this.parseRetryAfter(retryAfter);
+            if (retryAfterMs !== null) {
+                delay = Math.min(policy.maxDelay, Math.max(delay, retryAfterMs));
+            }
+        }
+
+        return Math.round(delay);
+    }
+
+    /**
+     * Parse a Retry-After header value (delay in seconds or HTTP date)
+     * @param {string|number} value - Header value
+     * @returns {number|null} - Delay in ms, or null if unparseable
+     */
+    parseRetryAfter(value) {
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        if (!isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+
+        return null;
+    }
+
+    /**
+     * Sleep that ends early when the import is cancelled
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise<void>}
+     */
+    wait(ms) {
+        const signal = this.abortController ? this.abortController.signal : null;
+
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', done);
+                resolve();
+            };
+            const timer = setTimeout(done, ms);
+            if (signal) signal.addEventListener('abort', done);
+        });
+    }
+
+    /**
+     * Send the two halves of a batch refused with a 413, one after the other
+     * (halves still too large are split again), and merge their results.
+     * When the import is cancelled in between, the whole batch counts as
+     * never sent, like any batch in flight.
+     * @private
+     * @param {Array<Object>} batch - Rows of the refused batch
+     * @returns {Promise<Object>} - Batch result, with `successRows`
+     */
+    async sendSplitBatch(batch) {
+        const unsentCount = this.state.unsentCount;
+        const middle = Math.ceil(batch.length / 2);
+        const merged = { success: 0, errors: [], successRows: [] };
+
+        for (const half of [batch.slice(0, middle), batch.slice(middle)]) {
+            const result = await this.sendBatch(half);
+            if (result.aborted || this.isCancelled()) {
+                this.state.unsentCount = unsentCount;
+                return this.abortedBatchResult(batch);
+            }
+            merged.success += result.success;
+            merged.errors.push(...result.errors);
+            merged.successRows.push(...(result.successRows || half.slice(0, result.success)));
+        }
+        return merged;
+    }
+
+    /**
+     * Wait until the rateLimit quota of an endpoint allows one more request
+     * carrying `rows` rows. Every batch of the instance (retries, retryFailed
+     * and re-submitted rows included) takes from the same buckets; the time
+     * waited is reported in metrics.rateLimitWaitTime, outside apiCall timing.
+     * @param {string} endpoint - URL the request is sent to
+     * @param {number} rows - Rows sent (0 for reads)
+     */
+    async acquireRateLimit(endpoint, rows) {
+        if (!this.rateLimiters.has(endpoint)) {
+            const { endpoints, ...defaults } = this.config.rateLimit;
+            const limits = { ...defaults, ...endpoints[endpoint] };
+            const bucket = (rate) => rate ? new TokenBucket(rate, rate * limits.burst) : null;
+            const buckets = { requests: bucket(limits.requestsPerSecond), rows: bucket(limits.rowsPerSecond) };
+            this.rateLimiters.set(endpoint, buckets.requests || buckets.rows ? buckets : null);
+        }
+
+        const buckets = this.rateLimiters.get(endpoint);
+        if (!buckets) return;
+
+        const delay = Math.max(
+            buckets.requests ? buckets.requests.take(1) : 0,
+            buckets.rows && rows > 0 ? buckets.rows.take(rows) : 0
+        );
+        if (delay <= 0) return;
+
+        this.metrics.rateLimitWaits++;
+        const start = performance.now();
+        await this.wait(delay);
+        this.metrics.rateLimitWaitTime += performance.now() - start;
+    }
+
+    /**
+     * Result for a batch that was never acknowledged because the import was cancelled
+     * @private
+     */
+    abortedBatchResult(batch) {
+        this.state.unsentCount += batch.length;
+        return { success: 0, errors: [], aborted: true };
+    }
+
+    /**
+     * Whether failed rows of this type are stored in state.errorRows: all of
+     * them for the errors export and the error editor, otherwise only the
+     * rows retryFailed() can send again
+     * @param {string} errorType - _errorType of the row
+     * @returns {boolean}
+     */
+    keepsErrorRows(errorType) {
+        return this.config.resultExport.includes('errors')
+            || this.config.errorEditor.enabled
+            || errorType === 'network'
+            || errorType === 'server-error';
+    }
+
+    handleBatchResult(result, batch) {
+        this.state.successCount += result.success;
+        this.state.errorCount += result.errors.length;
+        this.state.totalCount += (result.success + result.errors.length);
+
+        // Store success rows (if resultExport includes 'success')
+        if (this.config.resultExport.includes('success') && batch) {
+            // Rows of split batches are known, otherwise assume first N rows were successful
+            const successRows = result.successRows || batch.slice(0, result.success);
+            this.state.successRows.push(...successRows);
+        }
+
+        // Whole batch failed at the network or HTTP level: retryFailed() may send it again under the same key
+        const retryable = (err) => err && (err.type === 'network' || err.type === 'server-error');
+        const failedBatch = result.idempotencyKey && batch && result.success === 0
+            && result.errors.length === batch.length && result.errors.every(retryable)
+            ? { key: result.idempotencyKey, size: batch.length }
+            : null;
+
+        // Store error rows for the errors export, the error editor and retryFailed()
+        result.errors.forEach(err => {
+            // Generic error row: use err.data as base without assuming its shape
+            const baseData = (err && typeof err.data === 'object' && err.data !== null)
+                ? err.data
+                : {};
+            // Rows rejected through defaultSendHandler: keep the values sent, not the fields of the API response
+            const rowData = baseData.originalRow && typeof baseData.originalRow === 'object'
+                ? baseData.originalRow
+                : baseData;
+
+            const errorRow = {
+                ...rowData,
+                _error: err.message,
+                _errorType: err.type || 'server-validation' // 'network' and 'server-error' can be retried
+            };
+
+            if (baseData._csvLineNumber != null) {
+                errorRow._csvLineNumber = baseData._csvLineNumber;
+            }
+            if (failedBatch) {
+                this.errorRowBatches.set(errorRow, failedBatch);
+            }
+            
+            if (this.keepsErrorRows(errorRow._errorType)) {
+                this.state.errorRows.push(errorRow);
+            }
+
+            const lineSuffix = errorRow._csvLineNumber != null
+                ? ` [Line ${errorRow._csvLineNumber}]`
+                : '';
+            this.log(`Error: ${err.message}${lineSuffix}`, 'error');
+            
+            // Send error detail to metrics backend (sample unique errors)
+            this.sendErrorSample(err.message, 'validation', errorRow);
+            
+            if (this.config.onError) {
+                try {
+                    this.config.onError(err);
+                } catch (callbackErr) {
+                    this.log(`Error callback error: ${callbackErr.message}`, 'error');
+                }
+            }
+        });
+
+        this.updateStats();
+        this.recordCheckpoint(result, batch);
+
+        // A throwing callback must not fail the batch and stop the pool
+        if (this.config.onProgress) {
+            try {
+                this.config.onProgress({
+                    successCount: this.state.successCount,
+                    errorCount: this.state.errorCount,
+                    totalCount: this.state.totalCount,
+                    filteredCount: this.state.filteredCount
+                });
+            } catch (err) {
+                this.log(`Progress callback error: ${err.message}`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Values of a stored error row, without the fields the SDK added to it
+     * @private
+     * @param {Object} errorRow - Row of state.errorRows
+     * @param {boolean} [keepLine] - Keep _csvLineNumber, as on rows sent to the API
+     * @returns {Object}
+     */
+    errorRowValues(errorRow, keepLine = false) {
+        const { _error, _errorType, _corrected, _csvLineNumber, ...values } = errorRow;
+        return keepLine && _csvLineNumber != null ? { ...values, _csvLineNumber } : values;
+    }
+
+    /**
+     * Validate a stored error row again. Besides the fields failing the
+     * schema, fields named in the error message (custom validators, API
+     * errors) are reported as invalid.
+     * @param {number} index - Index in state.errorRows
+     * @returns {{isValid: boolean, error?: string, invalidFields: Array<string>}|Promise<Object>|null} - A promise
+     *   when a validator returned one
+     */
+    validateErrorRow(index) {
+        const errorRow = this.state.errorRows[index];
+        if (!errorRow) return null;
+        return this.runSteps(this.validateErrorRowSteps(errorRow));
+    }
+
+    /**
+     * Steps of validateErrorRow (see runSteps)
+     * @private
+     */
+    *validateErrorRowSteps(errorRow) {
+        const values = this.errorRowValues(errorRow);
+        const lookup = yield this.applyLookups(values);
+        const schemaErrors = [...this.validateSchema(lookup.row, errorRow._csvLineNumber), ...lookup.errors];
+        const validation = this.checkDuplicateKeys(
+            yield this.validateRow(lookup.row, schemaErrors),
+            lookup.row,
+            errorRow._csvLineNumber
+        );
+        const message = validation.isValid ? errorRow._error : validation.error;
+
+        const named = Object.keys(values).filter(field => {
+            const escaped = field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return message && new RegExp(`(^|\\W)${escaped}(\\W|$)`).test(message);
+        });
+        const invalidFields = [...new Set([...schemaErrors.map(schemaError => schemaError.field), validation.field, ...named])]
+            .filter(Boolean);
+
+        return { isValid: validation.isValid, error: validation.error, invalidFields };
+    }
+
+    /**
+     * Correct values of a stored error row and validate it again
+     * ('errorRowUpdated' event). Edited values get the schema coercions;
+     * transformers are not run again, the row already holds transformed
+     * values. A row that passes validation is marked ready to re-submit
+     * (_corrected), otherwise its _error is replaced by the new error.
+     * @param {number} index - Index in state.errorRows
+     * @param {Object} changes - { field: value }, keyed like the row
+     * @returns {{isValid: boolean, error?: string, invalidFields: Array<string>}|Promise<Object>|null} - A promise
+     *   when a validator returned one
+     */
+    updateErrorRow(index, changes) {
+        const errorRow = this.state.errorRows[index];
+        if (!errorRow || this.state.isProcessing) return null;
+
+        Object.entries(changes).forEach(([field, value]) => {
+            const rule = Object.values(this.schemaRules)
+                .find(candidate => (this.activeMapping.fieldMapping[candidate.column] || candidate.column) === field);
+
+            // Release the unique value the row held before the edit
+            const seen = rule && rule.unique ? this.schemaUniqueValues[rule.column] : null;
+            if (seen && errorRow._csvLineNumber != null && seen.get(errorRow[field]) === errorRow._csvLineNumber) {
+                seen.delete(errorRow[field]);
+            }
+
+            errorRow[field] = rule ? this.coerceSchemaValue(value, rule) : value;
+        });
+
+        return this.whenResolved(this.validateErrorRow(index), result => {
+            if (result.isValid) {
+                errorRow._corrected = true;
+                result.invalidFields = [];
+            } else {
+                delete errorRow._corrected;
+                errorRow._error = result.error;
+            }
+
+            this.emit('errorRowUpdated', { index, row: errorRow, ...result });
+            return result;
+        });
+    }
+
+    /**
+     * Send the corrected error rows (see updateErrorRow) to the API. They
+     * count for the same import: they leave the error counter and the batch
+     * results count them again, rows the API rejects are stored as new
+     * error rows ('resubmitted' event).
+     * @returns {Promise<Object|null>} - Counts of the re-submit, null if nothing was sent
+     */
+    async resubmitErrorRows() {
+        if (this.state.isProcessing) return null;
+        if (this.state.mode !== 'import') {
+            this.log(this.t('resendNeedsImport'), 'warning');
+            return null;
+        }
+
+        const rows = this.state.errorRows.filter(row => row._corrected);
+        if (rows.length === 0) return null;
+
+        this.log(this.t('resubmitStarted', { count: rows.length }));
+        // Corrected labels are resolved to ids (rows already holding ids keep them)
+        const stats = await this.resendRows(rows, async (values) => (await this.applyLookups(values)).row);
+
+        this.log(this.t('resubmitFinished', { success: stats.success, errors: stats.errors }),
+            stats.errors > 0 ? 'warning' : 'success');
+        this.emit('resubmitted', stats);
+        return stats;
+    }
+
+    /**
+     * Error rows whose batch failed at the network or HTTP level (not
+     * rejected by validation), which can be sent again as they are
+     * @returns {Array<Object>} - Rows of state.errorRows
+     */
+    getFailedRows() {
+        return this.state.errorRows.filter(row => row._errorType === 'network' || row._errorType === 'server-error');
+    }
+
+    /**
+     * Send the rows of batches that failed at the network or HTTP level
+     * again, with their original _csvLineNumber. Results are merged into
+     * the counters of the same import; rows failing again stay error rows
+     * ('retried' event).
+     * @returns {Promise<Object|null>} - Counts of the retry, null if nothing was sent
+     */
+    async retryFailed() {
+        if (this.state.isProcessing) return null;
+        if (this.state.mode !== 'import') {
+            this.log(this.t('resendNeedsImport'), 'warning');
+            return null;
+        }
+
+        const rows = this.getFailedRows();
+        if (rows.length === 0) return null;
+
+        this.log(this.t('retryStarted', { count: rows.length }));
+        const stats = await this.resendRows(rows);
+
+        this.log(this.t('retryFinished', { success: stats.success, errors: stats.errors }),
+            stats.errors > 0 ? 'warning' : 'success');
+        this.emit('retried', stats);
+        return stats;
+    }
+
+    /**
+     * Send stored error rows again in batches of chunkSize, moving them out
+     * of state.errorRows and the error counter before each batch result is
+     * counted. A batch that failed as a whole is sent again as it was, with
+     * the same idempotency key. Rows not sent because of cancel() stay error rows.
+     * @private
+     * @param {Array<Object>} rows - Rows of state.errorRows
+     * @param {function(Object): Promise<Object>} [prepareRow] - Rewrites the values of a row before it is sent
+     * @returns {Promise<{sent: number, success: number, errors: number, successCount: number, errorCount: number, totalCount: number}>}
+     */
+    async resendRows(rows, prepareRow = async (values) => values) {
+        this.state.isProcessing = true;
+        this.state.isResubmitting = true;
+        this.state.isCancelled = false;
+        this.abortController = new AbortController();
+
+        const stats = { sent: 0, success: 0, errors: 0 };
+        try {
+            for (let start = 0; start < rows.length && !this.isCancelled(); ) {
+                // Rows of a failed batch, all still there and unchanged, are sent again under its idempotency key
+                const failedBatch = this.errorRowBatches.get(rows[start]);
+                const group = failedBatch ? rows.slice(start, start + failedBatch.size) : [];
+                const sameBatch = group.length === failedBatch?.size
+                    && group.every(row => this.errorRowBatches.get(row) === failedBatch && !row._corrected);
+
+                const prepared = await Promise.all(rows.slice(start, start + (sameBatch ? failedBatch.size : this.config.chunkSize))
+                    .map(row => prepareRow(this.errorRowValues(row, true))));
+                // Cut by maxBatchBytes too
+                const size = this.batchSize(prepared, true);
+                const rowsToSend = rows.slice(start, start + size);
+                const batch = prepared.slice(0, size);
+                start += size;
+
+                this.state.errorRows = this.state.errorRows.filter(row => !rowsToSend.includes(row));
+                this.state.errorCount -= batch.length;
+                this.state.totalCount -= batch.length;
+
+                const result = await this.sendBatch(batch, sameBatch && size === failedBatch.size
+                    ? { idempotencyKey: failedBatch.key }
+                    : {});
+                if (result.aborted) {
+                    this.state.unsentCount -= batch.length;
+                    this.state.errorRows.push(...rowsToSend);
+                    this.state.errorCount += batch.length;
+                    this.state.totalCount += batch.length;
+                    break;
+                }
+
+                this.handleBatchResult(result, batch);
+                stats.sent += batch.length;
+                stats.success += result.success;
+                stats.errors += result.errors.length;
+            }
+        } finally {
+            this.state.isProcessing = false;
+            this.state.isResubmitting = false;
+        }
+
+        return {
+            ...stats,
+            successCount: this.state.successCount,
+            errorCount: this.state.errorCount,
+            totalCount: this.state.totalCount
+        };
+    }
+
+    /**
+     * Whether progress checkpoints are saved for the running import
+     * @returns {boolean}
+     */
+    checkpointsActive() {
+        return this.state.mode === 'import'
+            && !this.state.isResubmitting
+            && this.config.checkpoint.enabled
+            && !!this.config.checkpoint.store
+            && !!this.fileFingerprint;
+    }
+
+    /**
+     * Identify a file across sessions: name, size, modification date and a
+     * hash (FNV-1a) of its first 64 KB
+     * @param {File} file - Selected file
+     * @returns {Promise<string>} - Fingerprint used as checkpoint key
+     */
+    async computeFileFingerprint(file) {
+        const head = await this.readFileAsText(file.slice(0, 64 * 1024));
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < head.length; i++) {
+            hash ^= head.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${file.name}:${file.size}:${file.lastModified || 0}:${(hash >>> 0).toString(16)}`;
+    }
+
+    /**
+     * Look up a checkpoint for the selected file and offer to resume from it
+     * (state.resumeCheckpoint, 'resumeAvailable' event)
+     * @param {File} file - Selected file
+     * @returns {Promise<Object|null>} - Checkpoint found, if any
+     */
+    async checkForCheckpoint(file) {
+        try {
+            const key = await this.fileFingerprint;
+            const checkpoint = await this.config.checkpoint.store.get(key);
+
+            // Ignore stale lookups (file changed or import already started)
+            if (!checkpoint || this.state.selectedFile !== file || this.state.isProcessing) {
+                return null;
+            }
+
+            this.state.resumeCheckpoint = checkpoint;
+            this.log(this.t('resumeAvailable', {
+                lastLine: checkpoint.lastAckedLine,
+                success: checkpoint.successCount,
+                errors: checkpoint.errorCount
+            }), 'warning');
+            this.emit('resumeAvailable', { checkpoint, resumeLine: checkpoint.lastAckedLine + 1 });
+            return checkpoint;
+        } catch (err) {
+            this.log(this.t('checkpointError', { message: err.message }), 'warning');
+            return null;
+        }
+    }
+
+    /**
+     * Resume the import of the selected file from its checkpoint
+     */
+    resumeImport() {
+        return this.startImport('import', { resume: true });
+    }
+
+    /**
+     * Snapshot of the running import up to the last acknowledged CSV line.
+     * Rows after that line (in flight, buffered, or filtered/invalid while
+     * batches before them were pending) are processed again on resume, so
+     * they are left out of the counters.
+     * @private
+     */
+    buildCheckpoint() {
+        const pendingLines = [...this.unackedBatches, this.rowBuffer]
+            .filter(rows => rows.length > 0)
+            .map(rows => rows[0]._csvLineNumber);
+        const resumeLine = pendingLines.length > 0
+            ? Math.min(...pendingLines)
+            : this.state.currentCsvLine;
+        // Batches are numbered again from the first one not acknowledged
+        const pendingNumbers = this.unackedBatches
+            .map(batch => this.batchNumbers.get(batch))
+            .filter(number => number !== undefined);
+        const batchSequence = pendingNumbers.length > 0
+            ? Math.min(...pendingNumbers) - 1
+            : this.batchSequence;
+
+        this.checkpointLedger = this.checkpointLedger.filter(entry => entry.line >= resumeLine);
+        const pendingFiltered = this.checkpointLedger.filter(entry => entry.type === 'filtered').length;
+        const pendingErrors = this.checkpointLedger.length - pendingFiltered;
+        const file = this.state.selectedFile;
+
+        return {
+            fileName: file.name,
+            fileSize: file.size,
+            lastModified: file.lastModified || 0,
+            sheet: this.state.selectedSheet,
+            columnMapping: this.state.columnMapping,
+            lastAckedLine: resumeLine - 1,
+            successCount: this.state.successCount,
+            errorCount: this.state.errorCount - pendingErrors,
+            totalCount: this.state.totalCount - pendingErrors,
+            filteredCount: this.state.filteredCount - pendingFiltered,
+            errorRows: this.state.errorRows.filter(row => !(row._csvLineNumber >= resumeLine)),
+            importId: this.currentImportId,
+            batchSequence,
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Persist a checkpoint for the running import. Writes are serialized;
+     * a checkpoint with nothing acknowledged removes the stored one.
+     * @returns {Promise<void>} - Resolves once the checkpoint is written
+     */
+    saveCheckpoint() {
+        if (!this.checkpointsActive()) {
+            return this.pendingCheckpointWrite;
+        }
+
+        const checkpoint = this.buildCheckpoint();
+        const store = this.config.checkpoint.store;
+        const fingerprint = this.fileFingerprint;
+        this.lastCheckpointAt = Date.now();
+
+        return this.queueCheckpointWrite(async () => {
+            const key = await fingerprint;
+            if (checkpoint.lastAckedLine < 2) {
+                await store.delete(key);
+            } else {
+                await store.set(key, checkpoint);
+            }
+        });
+    }
+
+    /**
+     * Remove the stored checkpoint of the selected file
+     * @returns {Promise<void>}
+     */
+    discardCheckpoint() {
+        this.state.resumeCheckpoint = null;
+        if (!this.config.checkpoint.store || !this.fileFingerprint) {
+            return this.pendingCheckpointWrite;
+        }
+
+        const store = this.config.checkpoint.store;
+        const fingerprint = this.fileFingerprint;
+        return this.queueCheckpointWrite(async () => store.delete(await fingerprint));
+    }
+
+    /**
+     * @private
+     */
+    queueCheckpointWrite(write) {
+        this.pendingCheckpointWrite = this.pendingCheckpointWrite
+            .then(write)
+            .catch(err => this.log(this.t('checkpointError', { message: err.message }), 'warning'));
+        return this.pendingCheckpointWrite;
+    }
+
+    /**
+     * Mark a batch as acknowledged and save a checkpoint, at most once per
+     * checkpoint.minInterval. Called at the end of handleBatchResult.
+     * @param {Object} result - Batch result
+     * @param {Array} batch - Rows of the batch
+     */
+    recordCheckpoint(result, batch) {
+        // Aborted batches were never acknowledged: resume must send them again
+        if (!result || result.aborted) return;
+
+        const index = this.unackedBatches.indexOf(batch);
+        if (index !== -1) {
+            this.unackedBatches.splice(index, 1);
+        }
+
+        if (this.checkpointsActive() && Date.now() - this.lastCheckpointAt >= this.config.checkpoint.minInterval) {
+            this.saveCheckpoint();
+        }
+    }
+
+    updateStats() {
+        const progress = this.state.totalCount > 0 
+            ? Math.round((this.state.totalCount / (this.state.totalCount + this.rowBuffer.length)) * 100)
+            : 0;
+
+        this.emit('progress', {
+            successCount: this.state.successCount,
+            errorCount: this.state.errorCount,
+            totalCount: this.state.totalCount,
+            filteredCount: this.state.filteredCount,
+            progress
+        });
+    }
+
+    finishImport() {
+        const cancelled = this.isCancelled();
+
+        this.state.isProcessing = false;
+        this.state.isPaused = false;
+
+        // Keep the checkpoint of a cancelled import so it can be resumed,
+        // drop it once the file has been imported completely
+        if (cancelled && this.checkpointsActive()) {
+            const file = this.state.selectedFile;
+            this.checkpointLookup = this.saveCheckpoint().then(() => this.checkForCheckpoint(file));
+        } else if (this.checkpointsActive()) {
+            this.discardCheckpoint();
+        }
+
+        // Rows still buffered when cancelled were never sent
+        if (cancelled) {
+            this.state.unsentCount += this.rowBuffer.length;
+            this.rowBuffer = [];
+        }
+        
+        // Flow control: Prevent start if check failed
+        let startBlocked = false;
+        if (this.state.mode === 'check') {
+            if (this.config.flow.preventStartOnErrors && this.state.errorCount > 0) {
+                startBlocked = true;
+                this.log(this.t('validationError', { error: 'Fix errors before importing' }), 'warning');
+            }
+        }
+        
+        if (cancelled) {
+            this.log(this.t('importCancelled', {
+                success: this.state.successCount,
+                errors: this.state.errorCount,
+                unsent: this.state.unsentCount
+            }), 'warning');
+        } else {
+            const finishMsg = this.state.mode === 'check' 
+                ? this.t('validationFinished') 
+                : this.t('importFinished');
+                
+            this.log(finishMsg, 'success');
+        }
+
+        this.emit('finish', { mode: this.state.mode, startBlocked, cancelled });
+
+        // Finalize metrics
+        this.metrics.endTime = performance.now();
+        this.metrics.totalDuration = this.metrics.endTime - this.metrics.startTime;
+        this.metrics.actualRows = this.state.totalCount + this.state.filteredCount;
+        
+        if (this.metrics.parseStartTime) {
+            this.metrics.parseEndTime = this.metrics.endTime;
+            this.recordTiming('parse', this.metrics.parseEndTime - this.metrics.parseStartTime);
+        }
+        
+        // Reset concurrency tracking
+        this.updateConcurrency(0);
+        
+        // Get final metrics
+        const finalMetrics = this.getMetrics();
+
+        // Call plugin onComplete hooks
+        const completionStats = {
+            successCount: this.state.successCount,
+            errorCount: this.state.errorCount,
+            totalCount: this.state.totalCount,
+            filteredCount: this.state.filteredCount,
+            cancelled,
+            unsentCount: this.state.unsentCount,
+            resumedFromLine: this.resumeFromLine,
+            logs: this.state.logs,
+            metrics: finalMetrics // Include metrics in completion stats
+        };
+
+        ImportEngine.plugins.forEach(plugin => {
+            if (plugin.onComplete) {
+                try {
+                    plugin.onComplete(completionStats, this, plugin.config || {});
+                } catch (err) {
+                    this.log(`Plugin '${plugin.name}' completion error: ${err.message}`, 'error');
+                }
+            }
+        });
+
+        // Send final metrics to backend
+        this.sendToMetricsBackend(this.config.metricsBackend.endpoints.metrics, {
+            importId: this.currentImportId,
+            fileName: this.state.selectedFile?.name,
+            metrics: finalMetrics,
+            stats: {
+                totalCount: this.state.totalCount,
+                successCount: this.state.successCount,
+                errorCount: this.state.errorCount,
+                filteredCount: this.state.filteredCount
+            }
+        });
+
+        // Send completion audit log
+        this.sendAuditLog('info', `Import ${cancelled ? 'cancelled' : 'completed'}: ${this.state.selectedFile?.name}`, {
+            fileName: this.state.selectedFile?.name,
+            cancelled,
+            totalRows: this.state.totalCount,
+            successRows: this.state.successCount,
+            errorRows: this.state.errorCount,
+            filteredRows: this.state.filteredCount,
+            duration: finalMetrics.totalDurationSeconds,
+            throughput: finalMetrics.rowsPerSecond,
+            performanceScore: finalMetrics.performanceScore
+        });
+
+        // Send error pattern summary if there were errors
+        if (this.errorPatternCounts && this.errorPatternCounts.size > 0) {
+            const errorSummary = Array.from(this.errorPatternCounts.entries())
+                .map(([key, count]) => {
+                    const [errorType, pattern] = key.split(':', 2);
+                    return { errorType, pattern, count };
+                })
+                .sort((a, b) => b.count - a.count); // Sort by frequency
+            
+            this.sendAuditLog('warning', `Error patterns summary: ${errorSummary.length} unique patterns`, {
+                errorSummary,
+                totalPatterns: errorSummary.length,
+                totalErrors: Array.from(this.errorPatternCounts.values()).reduce((sum, count) => sum + count, 0)
+            });
+        }
+
+        // Call metrics callback if provided
+        if (this.config.onMetrics) {
+            try {
+                this.config.onMetrics(finalMetrics);
+            } catch (err) {
+                this.log(`Metrics callback error: ${err.message}`, 'error');
+            }
+        }
+
+        this.emit('complete', completionStats);
+
+        if (this.config.onComplete) {
+            try {
+                this.config.onComplete(completionStats);
+            } catch (err) {
+                this.log(`Complete callback error: ${err.message}`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Serialize collected result rows the way the export downloads them
+     * @param {string} type - 'errors', 'success', 'filtered' or 'logs'
+     * @returns {{content: string, filename: string, mimeType: string}}
+     */
+    buildExport(type) {
+        if (type === 'logs') {
+            return {
+                content: JSON.stringify(this.state.logs, null, 2),
+                filename: 'import-logs.json',
+                mimeType: 'application/json'
+            };
+        }
+
+        const rows = {
+            errors: this.state.errorRows,
+            success: this.state.successRows,
+            filtered: this.state.filteredRows
+        }[type];
+
+        if (!rows) {
+            throw new Error(`Unknown export type: ${type}`);
+        }
+
+        // Clean up rows for export - ensure all values are serializable
+        const cleanRows = rows.map(row => {
+            const cleanRow = {};
+            Object.keys(row).forEach(key => {
+                const value = row[key];
+                // Convert complex objects to strings, handle null/undefined
+                if (value === null || value === undefined) {
+                    cleanRow[key] = '';
+                } else if (typeof value === 'object') {
+                    cleanRow[key] = JSON.stringify(value);
+                } else {
+                    cleanRow[key] = String(value);
+                }
+            });
+            return cleanRow;
+        });
+
+        return {
+            content: Papa.unparse(cleanRows),
+            filename: `import-${type}.csv`,
+            mimeType: 'text/csv'
+        };
+    }
+
+    /**
+     * Destroy the engine and clean up resources
+     */
+    destroy() {
+        // Stop any ongoing operations
+        this.cancel();
+        this.state.isProcessing = false;
+        
+        // Clear timers and intervals
+        if (this.progressTimer) {
+            clearInterval(this.progressTimer);
+        }
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        
+        // Reset state
+        this.state = this.createInitialState();
+        
+        // Clear metrics
+        this.resetMetrics();
+        
+        // Clear references
+        this.currentSDK = null;
+        this.activePlugins = null;
+        this.rowBuffer = [];
+        this.listeners = {};
+        
+        console.log('ImportSDK instance destroyed');
+    }
+}
+
+/**
+ * ImportSDK widget - renders the upload/progress/logs UI and delegates all
+ * import work to ImportEngine. DOM updates are driven by engine events.
+ */
+class ImportSDK extends ImportEngine {
+    constructor(container, config) {
+        super(config);
+        this.container = container;
+        this.previewPage = 0; // page of the preview grid shown
+        this.errorEditorPage = 0; // page of the error editor shown
+
+        this.render();
+        this.attachEventListeners();
+        this.attachEngineListeners();
+    }
+
+
+    /**
+     * Initialize the SDK
+     * @param {HTMLElement} container - DOM element to inject the UI into
+     * @param {Object} config - Configuration object
+     */
+    static init(container, config) {
+        return new ImportSDK(container, config);
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="import-sdk-container">
+                <div class="import-sdk-upload-area" id="import-sdk-dropzone">
+                    <input type="file" id="import-sdk-file-input" accept=".csv,.xlsx,.json,.ndjson" style="display: none;">
+                    <div class="import-sdk-upload-content" id="import-sdk-upload-prompt">
+                        <svg class="import-sdk-upload-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4M17 8l-5-5-5 5M12 3v12"/>
+                        </svg>
+                        <p class="import-sdk-upload-text">${this.t('uploadPrompt')}</p>
+                        <p class="import-sdk-upload-hint">${this.t('uploadHint')}</p>
+                    </div>
+                    <div class="import-sdk-file-info" id="import-sdk-file-info" style="display: none;">
+                        <span class="import-sdk-file-name" id="import-sdk-file-name"></span>
+                        <select class="import-sdk-sheet-select" id="import-sdk-sheet-select" title="${this.t('sheet')}" style="display: none;"></select>
+                        <button class="import-sdk-remove-btn" id="import-sdk-remove-file">&times;</button>
+                    </div>
+                </div>
+
+                <div class="import-sdk-column-mapping" id="import-sdk-column-mapping" style="display: none;">
+                    <div class="import-sdk-column-mapping-title">${this.t('columnMappingTitle')}</div>
+                    <table class="import-sdk-column-mapping-table">
+                        <thead>
+                            <tr><th>${this.t('fileColumn')}</th><th>${this.t('targetColumn')}</th></tr>
+                        </thead>
+                        <tbody id="import-sdk-column-mapping-body"></tbody>
+                    </table>
+                </div>
+
+                <div class="import-sdk-preview" id="import-sdk-preview" style="display: none;">
+                    <div class="import-sdk-preview-header">
+                        <span class="import-sdk-preview-title">${this.t('previewTitle')}</span>
+                        <span class="import-sdk-preview-summary" id="import-sdk-preview-summary"></span>
+                    </div>
+                    <div class="import-sdk-preview-scroll">
+                        <table class="import-sdk-preview-table" id="import-sdk-preview-table"></table>
+                    </div>
+                    <div class="import-sdk-preview-pager">
+                        <button class="import-sdk-clear-btn" id="import-sdk-preview-prev">&lsaquo;</button>
+                        <span id="import-sdk-preview-page"></span>
+                        <button class="import-sdk-clear-btn" id="import-sdk-preview-next">&rsaquo;</button>
+                    </div>
+                </div>
+
+                <div class="import-sdk-actions">
+                    <button class="import-sdk-btn import-sdk-btn-secondary" id="import-sdk-check-btn" disabled>
+                        ${this.t('checkFile')}
+                    </button>
+                    <button class="import-sdk-btn import-sdk-btn-primary" id="import-sdk-start-btn" disabled>
+                        ${this.t('startImport')}
+                    </button>
+                    <button class="import-sdk-btn import-sdk-btn-secondary" id="import-sdk-resume-import-btn" style="display: none;">
+                    </button>
+                    <button class="import-sdk-btn import-sdk-btn-secondary" id="import-sdk-pause-btn" style="display: none;">
+                        ${this.t('pause')}
+                    </button>
+                    <button class="import-sdk-btn import-sdk-btn-danger" id="import-sdk-cancel-btn" style="display: none;">
+                        ${this.t('cancel')}
+                    </button>
+                </div>
+
+                <div class="import-sdk-progress" id="import-sdk-progress" style="display: none;">
+                    <div class="import-sdk-progress-header">
+                        <span id="import-sdk-progress-title">${this.t('progressTitle')}</span>
+                        <span id="import-sdk-progress-text">0%</span>
+                    </div>
+                    <div class="import-sdk-progress-bar-bg">
+                        <div class="import-sdk-progress-bar" id="import-sdk-progress-bar"></div>
+                    </div>
+                    <div class="import-sdk-stats">
+                        <div class="import-sdk-stat import-sdk-stat-success">
+                            <div class="import-sdk-stat-value" id="import-sdk-success-count">0</div>
+                            <div class="import-sdk-stat-label">${this.t('success')}</div>
+                        </div>
+                        <div class="import-sdk-stat import-sdk-stat-error">
+                            <div class="import-sdk-stat-value" id="import-sdk-error-count">0</div>
+                            <div class="import-sdk-stat-label">${this.t('errors')}</div>
+                        </div>
+                        <div class="import-sdk-stat import-sdk-stat-filtered" id="import-sdk-filtered-stat" style="display: none;">
+                            <div class="import-sdk-stat-value" id="import-sdk-filtered-count">0</div>
+                            <div class="import-sdk-stat-label">${this.t('filtered')}</div>
+                        </div>
+                        <div class="import-sdk-stat import-sdk-stat-total">
+                            <div class="import-sdk-stat-value" id="import-sdk-total-count">0</div>
+                            <div class="import-sdk-stat-label">${this.t('total')}</div>
+                        </div>
+                    </div>
+                    <div class="import-sdk-export-actions" id="import-sdk-export-actions" style="display: none;">
+                        <div class="import-sdk-dropdown">
+                            <button class="import-sdk-btn import-sdk-btn-secondary import-sdk-dropdown-btn" id="import-sdk-export-btn">
+                                ${this.t('downloadResults')} ▼
+                            </button>
+                            <div class="import-sdk-dropdown-content" id="import-sdk-export-menu">
+                                <!-- Export options will be added dynamically -->
+                            </div>
+                        </div>
+                        <button class="import-sdk-btn import-sdk-btn-secondary" id="import-sdk-retry-failed-btn" style="display: none;">
+                        </button>
+                    </div>
+                </div>
+
+                <div class="import-sdk-error-editor" id="import-sdk-error-editor" style="display: none;">
+                    <div class="import-sdk-preview-header">
+                        <span class="import-sdk-preview-title">${this.t('errorEditorTitle')}</span>
+                        <span class="import-sdk-preview-summary" id="import-sdk-error-editor-summary"></span>
+                    </div>
+                    <div class="import-sdk-preview-scroll">
+                        <table class="import-sdk-preview-table" id="import-sdk-error-editor-table"></table>
+                    </div>
+                    <div class="import-sdk-preview-pager">
+                        <button class="import-sdk-clear-btn" id="import-sdk-error-editor-prev">&lsaquo;</button>
+                        <span id="import-sdk-error-editor-page"></span>
+                        <button class="import-sdk-clear-btn" id="import-sdk-error-editor-next">&rsaquo;</button>
+                        <button class="import-sdk-btn import-sdk-btn-primary" id="import-sdk-resubmit-btn" disabled></button>
+                    </div>
+                </div>
+
+                <div class="import-sdk-logs-container">
+                    <div class="import-sdk-logs-header">
+                        <span>${this.t('logs')}</span>
+                        <button class="import-sdk-clear-btn" id="import-sdk-clear-logs">${this.t('clearLogs')}</button>
+                    </div>
+                    <div class="import-sdk-logs" id="import-sdk-logs">
+                        <div class="import-sdk-log import-sdk-log-info">${this.t('ready')}</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    attachEventListeners() {
+        const fileInput = document.getElementById('import-sdk-file-input');
+        const dropZone = document.getElementById('import-sdk-dropzone');
+        const uploadPrompt = document.getElementById('import-sdk-upload-prompt');
+        const removeBtn = document.getElementById('import-sdk-remove-file');
+        const startBtn = document.getElementById('import-sdk-start-btn');
+        const checkBtn = document.getElementById('import-sdk-check-btn');
+        const clearLogsBtn = document.getElementById('import-sdk-clear-logs');
+
+        // In some advanced demos/pages, a custom UI might be used and the
+        // default ImportSDK template may not be present. In that case the
+        // elements above will be null; bail out safely instead of throwing.
+        if (!fileInput || !dropZone || !uploadPrompt || !removeBtn || !startBtn || !checkBtn || !clearLogsBtn) {
+            return;
+        }
+
+        // Click to upload
+        uploadPrompt.addEventListener('click', () => fileInput.click());
+
+        // File selection
+        fileInput.addEventListener('change', (e) => this.handleFileSelect(e.target.files[0]));
+
+        // Drag & Drop
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('import-sdk-dragover');
+        });
+
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('import-sdk-dragover');
+        });
+
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('import-sdk-dragover');
+            this.handleFileSelect(e.dataTransfer.files[0]);
+        });
+
+        // Remove file
+        removeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.handleFileRemove();
+        });
+
+        // Start import
+        startBtn.addEventListener('click', () => this.startImport('import'));
+        
+        // Check file
+        checkBtn.addEventListener('click', () => this.startImport('check'));
+
+        // Clear logs
+        clearLogsBtn.addEventListener('click', () => this.clearLogs());
+
+        // Pause/resume and cancel (not present in custom templates)
+        const pauseBtn = document.getElementById('import-sdk-pause-btn');
+        const cancelBtn = document.getElementById('import-sdk-cancel-btn');
+
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => {
+                if (this.state.isPaused) {
+                    this.resume();
+                } else {
+                    this.pause();
+                }
+            });
+        }
+
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.cancel());
+        }
+
+        // Resume from checkpoint (not present in custom templates)
+        const resumeImportBtn = document.getElementById('import-sdk-resume-import-btn');
+
+        if (resumeImportBtn) {
+            resumeImportBtn.addEventListener('click', () => this.resumeImport());
+        }
+
+        // Sheet picker for .xlsx workbooks (not present in custom templates)
+        const sheetSelect = document.getElementById('import-sdk-sheet-select');
+
+        if (sheetSelect) {
+            sheetSelect.addEventListener('change', () => this.selectSheet(sheetSelect.value));
+        }
+
+        // Preview grid pages (not present in custom templates)
+        const previewPrev = document.getElementById('import-sdk-preview-prev');
+        const previewNext = document.getElementById('import-sdk-preview-next');
+
+        if (previewPrev && previewNext) {
+            previewPrev.addEventListener('click', () => this.renderPreview(this.state.preview, this.previewPage - 1));
+            previewNext.addEventListener('click', () => this.renderPreview(this.state.preview, this.previewPage + 1));
+        }
+
+        // Error editor pages and re-submit (not present in custom templates)
+        const errorEditorPrev = document.getElementById('import-sdk-error-editor-prev');
+        const errorEditorNext = document.getElementById('import-sdk-error-editor-next');
+        const resubmitBtn = document.getElementById('import-sdk-resubmit-btn');
+
+        if (errorEditorPrev && errorEditorNext && resubmitBtn) {
+            errorEditorPrev.addEventListener('click', () => this.renderErrorEditor(this.errorEditorPage - 1));
+            errorEditorNext.addEventListener('click', () => this.renderErrorEditor(this.errorEditorPage + 1));
+            resubmitBtn.addEventListener('click', () => {
+                resubmitBtn.disabled = true;
+                this.resubmitErrorRows();
+            });
+        }
+
+        // Retry rows that could not be sent (not present in custom templates)
+        const retryFailedBtn = document.getElementById('import-sdk-retry-failed-btn');
+
+        if (retryFailedBtn) {
+            retryFailedBtn.addEventListener('click', () => {
+                retryFailedBtn.disabled = true;
+                this.retryFailed();
+            });
+        }
+    }
+
+    /**
+     * Reflect engine events in the rendered widget
+     */
+    attachEngineListeners() {
+        this.on('log', (entry) => this.renderLog(entry));
+
+        this.on('logsCleared', () => {
+            document.getElementById('import-sdk-logs').innerHTML = 
+                `<div class="import-sdk-log import-sdk-log-info">${this.t('logsCleared')}</div>`;
+        });
+
+        this.on('fileSelected', ({ file }) => {
+            document.getElementById('import-sdk-file-name').textContent = file.name;
+            document.getElementById('import-sdk-file-info').style.display = 'flex';
+            document.getElementById('import-sdk-upload-prompt').style.display = 'none';
+            
+            // Flow control: if forceCheck is enabled, keep start disabled until check passes
+            const startBtn = document.getElementById('import-sdk-start-btn');
+            startBtn.disabled = this.config.flow.forceCheck;
+            
+            document.getElementById('import-sdk-check-btn').disabled = false;
+            this.toggleResumeButton(null);
+            this.renderSheetPicker([], null);
+            this.renderColumnMapping([], [], {});
+            this.renderPreview(null, 0);
+            this.renderErrorEditor(null);
+        });
+
+        this.on('resumeAvailable', ({ resumeLine }) => this.toggleResumeButton(resumeLine));
+
+        this.on('sheetsAvailable', ({ sheets, selectedSheet }) => this.renderSheetPicker(sheets, selectedSheet));
+
+        this.on('columnsDetected', ({ headers, targets, mapping }) => this.renderColumnMapping(headers, targets, mapping));
+
+        this.on('previewUpdated', (preview) => this.renderPreview(preview, this.previewPage));
+
+        this.on('fileRemoved', () => {
+            document.getElementById('import-sdk-file-input').value = '';
+            document.getElementById('import-sdk-file-info').style.display = 'none';
+            document.getElementById('import-sdk-upload-prompt').style.display = 'block';
+            document.getElementById('import-sdk-start-btn').disabled = true;
+            document.getElementById('import-sdk-check-btn').disabled = true;
+            this.toggleResumeButton(null);
+            this.renderSheetPicker([], null);
+            this.renderColumnMapping([], [], {});
+            this.renderPreview(null, 0);
+            this.renderErrorEditor(null);
+        });
+
+        this.on('start', ({ mode }) => {
+            const startBtn = document.getElementById('import-sdk-start-btn');
+            const checkBtn = document.getElementById('import-sdk-check-btn');
+            
+            startBtn.disabled = true;
+            checkBtn.disabled = true;
+            
+            if (mode === 'check') {
+                checkBtn.textContent = this.t('checking');
+                document.getElementById('import-sdk-progress-title').textContent = this.t('validationProgress');
+            } else {
+                startBtn.textContent = this.t('importing');
+                document.getElementById('import-sdk-progress-title').textContent = this.t('importProgress');
+            }
+            
+            document.getElementById('import-sdk-progress').style.display = 'block';
+            this.toggleRunControls(true);
+            this.toggleResumeButton(null);
+
+            const sheetSelect = document.getElementById('import-sdk-sheet-select');
+            if (sheetSelect) sheetSelect.disabled = true;
+            this.toggleColumnMapping(false);
+            this.renderErrorEditor(null);
+            this.toggleRetryFailedButton(false);
+        });
+
+        this.on('paused', () => {
+            const pauseBtn = document.getElementById('import-sdk-pause-btn');
+            if (pauseBtn) pauseBtn.textContent = this.t('resume');
+        });
+
+        this.on('resumed', () => {
+            const pauseBtn = document.getElementById('import-sdk-pause-btn');
+            if (pauseBtn) pauseBtn.textContent = this.t('pause');
+        });
+
+        this.on('cancelled', () => {
+            const pauseBtn = document.getElementById('import-sdk-pause-btn');
+            const cancelBtn = document.getElementById('import-sdk-cancel-btn');
+            if (pauseBtn) pauseBtn.disabled = true;
+            if (cancelBtn) cancelBtn.disabled = true;
+        });
+
+        this.on('progress', (stats) => this.renderStats(stats));
+
+        this.on('finish', ({ startBlocked }) => {
+            const startBtn = document.getElementById('import-sdk-start-btn');
+            const checkBtn = document.getElementById('import-sdk-check-btn');
+            
+            checkBtn.disabled = false;
+            startBtn.disabled = startBlocked;
+            startBtn.textContent = this.t('startImport');
+            checkBtn.textContent = this.t('checkFile');
+            
+            document.getElementById('import-sdk-progress-bar').style.width = '100%';
+            document.getElementById('import-sdk-progress-text').textContent = '100%';
+            this.toggleRunControls(false);
+
+            const sheetSelect = document.getElementById('import-sdk-sheet-select');
+            if (sheetSelect) sheetSelect.disabled = false;
+            this.toggleColumnMapping(true);
+
+            // Show export button if resultExport is configured
+            if (this.config.resultExport.length > 0) {
+                this.setupExportMenu();
+                document.getElementById('import-sdk-export-actions').style.display = 'block';
+            }
+
+            this.renderErrorEditor(0);
+            this.toggleRetryFailedButton(true);
+        });
+
+        // Rows sent again left the error rows; API errors may have added new ones
+        ['resubmitted', 'retried'].forEach(event => this.on(event, () => {
+            this.setupExportMenu();
+            this.renderErrorEditor(this.errorEditorPage);
+            this.toggleRetryFailedButton(true);
+        }));
+    }
+
+    /**
+     * Show pause/cancel buttons while an import runs, hide them afterwards
+     * @param {boolean} running - Whether an import is running
+     */
+    toggleRunControls(running) {
+        const pauseBtn = document.getElementById('import-sdk-pause-btn');
+        const cancelBtn = document.getElementById('import-sdk-cancel-btn');
+        if (!pauseBtn || !cancelBtn) return;
+
+        pauseBtn.style.display = running ? 'inline-block' : 'none';
+        cancelBtn.style.display = running ? 'inline-block' : 'none';
+        pauseBtn.disabled = false;
+        cancelBtn.disabled = false;
+        pauseBtn.textContent = this.t('pause');
+    }
+
+    /**
+     * Show the "Retry failed rows" button after an import that left rows
+     * the API could not receive
+     * @param {boolean} visible - Whether the button may be shown
+     */
+    toggleRetryFailedButton(visible) {
+        const retryFailedBtn = document.getElementById('import-sdk-retry-failed-btn');
+        if (!retryFailedBtn) return;
+
+        const count = visible && this.state.mode === 'import' ? this.getFailedRows().length : 0;
+        retryFailedBtn.style.display = count > 0 ? 'inline-block' : 'none';
+        retryFailedBtn.textContent = this.t('retryFailed', { count });
+        retryFailedBtn.disabled = false;
+    }
+
+    /**
+     * Show the "Resume from line N" button, or hide it when line is null
+     * @param {number|null} line - CSV line the import would resume from
+     */
+    toggleResumeButton(line) {
+        const resumeImportBtn = document.getElementById('import-sdk-resume-import-btn');
+        if (!resumeImportBtn) return;
+
+        resumeImportBtn.style.display = line ? 'inline-block' : 'none';
+        resumeImportBtn.textContent = line ? this.t('resumeFromLine', { line }) : '';
+    }
+
+    /**
+     * Fill the sheet picker, shown only for workbooks with several sheets
+     * @param {Array<string>} sheets - Sheet names
+     * @param {string|null} selectedSheet - Sheet currently selected
+     */
+    renderSheetPicker(sheets, selectedSheet) {
+        const sheetSelect = document.getElementById('import-sdk-sheet-select');
+        if (!sheetSelect) return;
+
+        sheetSelect.innerHTML = '';
+        sheets.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = name === selectedSheet;
+            sheetSelect.appendChild(option);
+        });
+        sheetSelect.style.display = sheets.length > 1 ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Show the detected headers with a target picker each, pre-filled with
+     * the suggested mapping; hidden when no header was detected
+     * @param {Array<string>} headers - File headers
+     * @param {Array<string>} targets - Expected columns
+     * @param {Object} mapping - { fileColumn: targetColumn|null }
+     */
+    renderColumnMapping(headers, targets, mapping) {
+        const panel = document.getElementById('import-sdk-column-mapping');
+        const body = document.getElementById('import-sdk-column-mapping-body');
+        if (!panel || !body) return;
+
+        body.innerHTML = '';
+        const selects = headers.map(header => {
+            // Keep the file name, ignore the column, or rename it to a target
+            const choices = [
+                { label: this.t('keepColumn'), target: header },
+                { label: this.t('ignoreColumn'), target: null },
+                ...targets.filter(target => target !== header).map(target => ({ label: target, target }))
+            ];
+            const current = Object.prototype.hasOwnProperty.call(mapping, header) ? mapping[header] : header;
+
+            const select = document.createElement('select');
+            choices.forEach(({ label, target }) => {
+                const option = document.createElement('option');
+                option.textContent = label;
+                option.selected = target === current;
+                select.appendChild(option);
+            });
+
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            const picker = document.createElement('td');
+            name.textContent = header;
+            picker.appendChild(select);
+            row.append(name, picker);
+            body.appendChild(row);
+            return { header, select, choices };
+        });
+
+        selects.forEach(({ select }) => {
+            select.addEventListener('change', () => {
+                const chosen = {};
+                selects.forEach(({ header, select, choices }) => {
+                    chosen[header] = choices[select.selectedIndex].target;
+                });
+                this.setColumnMapping(chosen);
+            });
+        });
+
+        panel.style.display = headers.length > 0 ? 'block' : 'none';
     }
 
-    handleBatchResult(result, batch) {
-        this.state.successCount += result.success;
-        this.state.errorCount += result.errors.length;
-        this.state.totalCount += (result.success + result.errors.length);
+    /**
+     * Enable or disable the column mapping pickers (disabled while an import runs)
+     * @param {boolean} enabled - Whether the mapping can be changed
+     */
+    toggleColumnMapping(enabled) {
+        const body = document.getElementById('import-sdk-column-mapping-body');
+        if (!body) return;
 
-        // Store success rows (if resultExport includes 'success')
-        if (this.config.resultExport.includes('success') && batch) {
-            // Assume first N rows were successful
-            const successRows = batch.slice(0, result.success);
-            this.state.successRows.push(...successRows);
-        }
+        body.querySelectorAll('select').forEach(select => {
+            select.disabled = !enabled;
+        });
+    }
 
-        // Store error rows (if resultExport includes 'errors')
-        if (this.config.resultExport.includes('errors')) {
-            result.errors.forEach(err => {
-                // Generic error row: use err.data as base without assuming its shape
-                const baseData = (err && typeof err.data === 'object' && err.data !== null)
-                    ? err.data
-                    : {};
+    /**
+     * Show one page of the preview grid: invalid cells highlighted with the
+     * row error, filtered rows greyed out with the filter reason
+     * @param {Object|null} preview - state.preview, null hides the grid
+     * @param {number} page - Page to show (clamped to the available pages)
+     */
+    renderPreview(preview, page) {
+        const panel = document.getElementById('import-sdk-preview');
+        const table = document.getElementById('import-sdk-preview-table');
+        if (!panel || !table) return;
+
+        if (!preview || preview.rows.length === 0) {
+            panel.style.display = 'none';
+            this.previewPage = 0;
+            return;
+        }
 
-                const errorRow = {
-                    ...baseData,
-                    _error: err.message,
-                    _errorType: 'server-validation'
-                };
+        const pageSize = this.config.preview.pageSize;
+        const pages = Math.ceil(preview.rows.length / pageSize);
+        this.previewPage = Math.min(Math.max(page, 0), pages - 1);
 
-                if (baseData._csvLineNumber != null) {
-                    errorRow._csvLineNumber = baseData._csvLineNumber;
-                }
-                
-                this.state.errorRows.push(errorRow);
+        const format = (value) => {
+            if (value === null || value === undefined) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        };
+        const cell = (tag, text) => {
+            const element = document.createElement(tag);
+            element.textContent = text;
+            return element;
+        };
 
-                const lineSuffix = errorRow._csvLineNumber != null
-                    ? ` [Line ${errorRow._csvLineNumber}]`
-                    : '';
-                this.log(`Error: ${err.message}${lineSuffix}`, 'error');
-                
-                // Send error detail to metrics backend (sample unique errors)
-                this.sendErrorSample(err.message, 'validation', errorRow);
-                
-                if (this.config.onError) {
-                    this.config.onError(err);
-                }
-            });
-        } else {
-            result.errors.forEach(err => {
-                this.log(`Error: ${err.message}`, 'error');
-                
-                // Send error detail to metrics backend (sample unique errors)
-                this.sendErrorSample(err.message, 'api', err);
-                
-                if (this.config.onError) {
-                    this.config.onError(err);
+        table.innerHTML = '';
+        const head = document.createElement('tr');
+        [this.t('previewLine'), ...preview.columns, this.t('previewStatus')]
+            .forEach(title => head.appendChild(cell('th', title)));
+        table.appendChild(head);
+
+        const start = this.previewPage * pageSize;
+        preview.rows.slice(start, start + pageSize).forEach(({ line, status, values, error, reason, invalidFields }) => {
+            const message = status === 'filtered' ? this.t('rowFiltered', { reason }) : (error || '');
+            const row = document.createElement('tr');
+            row.className = `import-sdk-preview-row-${status}`;
+            row.appendChild(cell('td', line));
+
+            preview.columns.forEach(column => {
+                const td = cell('td', format(values[column]));
+                if (status === 'invalid' && invalidFields.includes(column)) {
+                    td.className = 'import-sdk-preview-cell-invalid';
+                    td.title = message;
                 }
+                row.appendChild(td);
             });
-        }
 
-        this.updateStats();
+            row.appendChild(cell('td', message));
+            table.appendChild(row);
+        });
 
-        if (this.config.onProgress) {
-            this.config.onProgress({
-                successCount: this.state.successCount,
-                errorCount: this.state.errorCount,
-                totalCount: this.state.totalCount,
-                filteredCount: this.state.filteredCount
-            });
-        }
+        const count = (status) => preview.rows.filter(row => row.status === status).length;
+        document.getElementById('import-sdk-preview-summary').textContent = this.t('previewSummary', {
+            count: preview.rows.length,
+            valid: count('valid'),
+            invalid: count('invalid'),
+            filtered: count('filtered')
+        });
+        document.getElementById('import-sdk-preview-page').textContent = this.t('previewPage', {
+            page: this.previewPage + 1,
+            pages
+        });
+        document.getElementById('import-sdk-preview-prev').disabled = this.previewPage === 0;
+        document.getElementById('import-sdk-preview-next').disabled = this.previewPage >= pages - 1;
+        panel.style.display = 'block';
     }
 
-    updateStats() {
-        document.getElementById('import-sdk-success-count').textContent = this.state.successCount;
-        document.getElementById('import-sdk-error-count').textContent = this.state.errorCount;
-        document.getElementById('import-sdk-total-count').textContent = this.state.totalCount;
-
-        // Show/update filtered count if filters are configured
-        if (Object.keys(this.config.filters).length > 0) {
-            document.getElementById('import-sdk-filtered-stat').style.display = 'block';
-            document.getElementById('import-sdk-filtered-count').textContent = this.state.filteredCount;
+    /**
+     * Show one page of the failed rows of an import as editable cells.
+     * Each edit is validated live (updateErrorRow): invalid cells stay
+     * highlighted, corrected rows are marked ready to re-submit. Shown when
+     * errorEditor is enabled and the import left rows with values to fix.
+     * @param {number|null} page - Page to show (clamped), null hides the editor
+     */
+    renderErrorEditor(page) {
+        const panel = document.getElementById('import-sdk-error-editor');
+        const table = document.getElementById('import-sdk-error-editor-table');
+        if (!panel || !table) return;
+
+        // Rows without values (API errors without row data) have nothing to correct
+        const editable = this.state.errorRows
+            .map((errorRow, index) => ({ index, values: this.errorRowValues(errorRow) }))
+            .filter(({ values }) => Object.keys(values).length > 0);
+
+        if (page === null || !this.config.errorEditor.enabled || this.state.isProcessing
+            || this.state.mode !== 'import' || editable.length === 0) {
+            panel.style.display = 'none';
+            this.errorEditorPage = 0;
+            return;
         }
 
-        const progress = this.state.totalCount > 0 
-            ? Math.round((this.state.totalCount / (this.state.totalCount + this.rowBuffer.length)) * 100)
-            : 0;
-        
-        document.getElementById('import-sdk-progress-bar').style.width = `${progress}%`;
-        document.getElementById('import-sdk-progress-text').textContent = `${progress}%`;
-    }
-
-    finishImport() {
-        this.state.isProcessing = false;
-        
-        const startBtn = document.getElementById('import-sdk-start-btn');
-        const checkBtn = document.getElementById('import-sdk-check-btn');
-        
-        checkBtn.disabled = false;
-        
-        // Flow control: Prevent start if check failed
-        let shouldEnableStart = true;
-        if (this.state.mode === 'check') {
-            if (this.config.flow.preventStartOnErrors && this.state.errorCount > 0) {
-                shouldEnableStart = false;
-                this.log(this.t('validationError', { error: 'Fix errors before importing' }), 'warning');
-            }
-        }
-        
-        startBtn.disabled = !shouldEnableStart;
-        startBtn.textContent = this.t('startImport');
-        checkBtn.textContent = this.t('checkFile');
-        
-        document.getElementById('import-sdk-progress-bar').style.width = '100%';
-        document.getElementById('import-sdk-progress-text').textContent = '100%';
-        
-        const finishMsg = this.state.mode === 'check' 
-            ? this.t('validationFinished') 
-            : this.t('importFinished');
-            
-        this.log(finishMsg, 'success');
+        const pageSize = this.config.errorEditor.pageSize;
+        const pages = Math.ceil(editable.length / pageSize);
+        this.errorEditorPage = Math.min(Math.max(page, 0), pages - 1);
 
-        // Show export button if resultExport is configured
-        if (this.config.resultExport.length > 0) {
-            this.setupExportMenu();
-            document.getElementById('import-sdk-export-actions').style.display = 'block';
-        }
+        const columns = [...new Set(editable.flatMap(({ values }) => Object.keys(values)))];
+        const format = (value) => {
+            if (value === null || value === undefined) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        };
+        const cell = (tag, text) => {
+            const element = document.createElement(tag);
+            element.textContent = text;
+            return element;
+        };
 
-        // Finalize metrics
-        this.metrics.endTime = performance.now();
-        this.metrics.totalDuration = this.metrics.endTime - this.metrics.startTime;
-        this.metrics.actualRows = this.state.totalCount + this.state.filteredCount;
-        
-        if (this.metrics.parseStartTime) {
-            this.metrics.parseEndTime = this.metrics.endTime;
-            this.recordTiming('parse', this.metrics.parseEndTime - this.metrics.parseStartTime);
-        }
-        
-        // Reset concurrency tracking
-        this.updateConcurrency(0);
-        
-        // Get final metrics
-        const finalMetrics = this.getMetrics();
+        const updateSummary = () => {
+            const ready = this.state.errorRows.filter(errorRow => errorRow._corrected).length;
+            document.getElementById('import-sdk-error-editor-summary').textContent = this.t('errorEditorSummary', {
+                count: editable.length,
+                ready
+            });
+            const resubmitBtn = document.getElementById('import-sdk-resubmit-btn');
+            resubmitBtn.textContent = this.t('resubmitRows', { count: ready });
+            resubmitBtn.disabled = ready === 0;
+        };
 
-        // Call plugin onComplete hooks
-        const completionStats = {
-            successCount: this.state.successCount,
-            errorCount: this.state.errorCount,
-            totalCount: this.state.totalCount,
-            filteredCount: this.state.filteredCount,
-            logs: this.state.logs,
-            metrics: finalMetrics // Include metrics in completion stats
+        const showStatus = (row, inputs, errorRow, { invalidFields }) => {
+            row.className = errorRow._corrected ? 'import-sdk-preview-row-valid' : 'import-sdk-preview-row-invalid';
+            row.lastChild.textContent = errorRow._corrected ? this.t('errorRowReady') : errorRow._error;
+            inputs.forEach((input, column) => {
+                const invalid = invalidFields.includes(column);
+                input.parentNode.className = invalid ? 'import-sdk-preview-cell-invalid' : '';
+                input.parentNode.title = invalid ? errorRow._error : '';
+            });
         };
 
-        ImportSDK.plugins.forEach(plugin => {
-            if (plugin.onComplete) {
-                try {
-                    plugin.onComplete(completionStats, this, plugin.config || {});
-                } catch (err) {
-                    this.log(`Plugin '${plugin.name}' completion error: ${err.message}`, 'error');
-                }
-            }
-        });
+        table.innerHTML = '';
+        const head = document.createElement('tr');
+        [this.t('previewLine'), ...columns, this.t('previewStatus')]
+            .forEach(title => head.appendChild(cell('th', title)));
+        table.appendChild(head);
+
+        const start = this.errorEditorPage * pageSize;
+        editable.slice(start, start + pageSize).forEach(({ index }) => {
+            const errorRow = this.state.errorRows[index];
+            const row = document.createElement('tr');
+            const inputs = new Map();
+            row.appendChild(cell('td', errorRow._csvLineNumber != null ? errorRow._csvLineNumber : ''));
+
+            columns.forEach(column => {
+                const input = document.createElement('input');
+                input.className = 'import-sdk-error-editor-input';
+                input.value = format(errorRow[column]);
+                input.addEventListener('input', () => {
+                    this.whenResolved(this.updateErrorRow(index, { [column]: input.value }), result => {
+                        if (result) {
+                            showStatus(row, inputs, errorRow, result);
+                            updateSummary();
+                        }
+                    });
+                });
+                inputs.set(column, input);
 
-        // Send final metrics to backend
-        this.sendToMetricsBackend(this.config.metricsBackend.endpoints.metrics, {
-            importId: this.currentImportId,
-            fileName: this.state.selectedFile?.name,
-            metrics: finalMetrics,
-            stats: {
-                totalCount: this.state.totalCount,
-                successCount: this.state.successCount,
-                errorCount: this.state.errorCount,
-                filteredCount: this.state.filteredCount
-            }
+                const td = document.createElement('td');
+                td.appendChild(input);
+                row.appendChild(td);
+            });
+
+            row.appendChild(cell('td', ''));
+            this.whenResolved(errorRow._corrected ? { invalidFields: [] } : this.validateErrorRow(index),
+                status => showStatus(row, inputs, errorRow, status));
+            table.appendChild(row);
         });
 
-        // Send completion audit log
-        this.sendAuditLog('info', `Import completed: ${this.state.selectedFile?.name}`, {
-            fileName: this.state.selectedFile?.name,
-            totalRows: this.state.totalCount,
-            successRows: this.state.successCount,
-            errorRows: this.state.errorCount,
-            filteredRows: this.state.filteredCount,
-            duration: finalMetrics.totalDurationSeconds,
-            throughput: finalMetrics.rowsPerSecond,
-            performanceScore: finalMetrics.performanceScore
+        updateSummary();
+        document.getElementById('import-sdk-error-editor-page').textContent = this.t('previewPage', {
+            page: this.errorEditorPage + 1,
+            pages
         });
+        document.getElementById('import-sdk-error-editor-prev').disabled = this.errorEditorPage === 0;
+        document.getElementById('import-sdk-error-editor-next').disabled = this.errorEditorPage >= pages - 1;
+        panel.style.display = 'block';
+    }
 
-        // Send error pattern summary if there were errors
-        if (this.errorPatternCounts && this.errorPatternCounts.size > 0) {
-            const errorSummary = Array.from(this.errorPatternCounts.entries())
-                .map(([key, count]) => {
-                    const [errorType, pattern] = key.split(':', 2);
-                    return { errorType, pattern, count };
-                })
-                .sort((a, b) => b.count - a.count); // Sort by frequency
-            
-            this.sendAuditLog('warning', `Error patterns summary: ${errorSummary.length} unique patterns`, {
-                errorSummary,
-                totalPatterns: errorSummary.length,
-                totalErrors: Array.from(this.errorPatternCounts.values()).reduce((sum, count) => sum + count, 0)
-            });
-        }
+    renderLog({ timestamp, message, type }) {
+        const logsContainer = document.getElementById('import-sdk-logs');
+        const logEntry = document.createElement('div');
+        logEntry.className = `import-sdk-log import-sdk-log-${type}`;
+        logEntry.innerHTML = `<span class="import-sdk-log-time">[${timestamp}]</span> ${message}`;
+        
+        logsContainer.appendChild(logEntry);
+        logsContainer.scrollTop = logsContainer.scrollHeight;
+    }
 
-        // Call metrics callback if provided
-        if (this.config.onMetrics) {
-            try {
-                this.config.onMetrics(finalMetrics);
-            } catch (err) {
-                this.log(`Metrics callback error: ${err.message}`, 'error');
-            }
-        }
+    renderStats(stats) {
+        document.getElementById('import-sdk-success-count').textContent = stats.successCount;
+        document.getElementById('import-sdk-error-count').textContent = stats.errorCount;
+        document.getElementById('import-sdk-total-count').textContent = stats.totalCount;
 
-        if (this.config.onComplete) {
-            this.config.onComplete(completionStats);
+        // Show/update filtered count if filters are configured
+        if (Object.keys(this.config.filters).length > 0) {
+            document.getElementById('import-sdk-filtered-stat').style.display = 'block';
+            document.getElementById('import-sdk-filtered-count').textContent = stats.filteredCount;
         }
+        
+        document.getElementById('import-sdk-progress-bar').style.width = `${stats.progress}%`;
+        document.getElementById('import-sdk-progress-text').textContent = `${stats.progress}%`;
     }
 
     setupExportMenu() {
@@ -2357,75 +7028,26 @@ class ImportSDK {
     }
 
     exportErrors() {
-        // Clean up error rows for export - ensure all values are serializable
-        const cleanErrorRows = this.state.errorRows.map(row => {
-            const cleanRow = {};
-            Object.keys(row).forEach(key => {
-                const value = row[key];
-                // Convert complex objects to strings, handle null/undefined
-                if (value === null || value === undefined) {
-                    cleanRow[key] = '';
-                } else if (typeof value === 'object') {
-                    cleanRow[key] = JSON.stringify(value);
-                } else {
-                    cleanRow[key] = String(value);
-                }
-            });
-            return cleanRow;
-        });
-        
-        const csv = Papa.unparse(cleanErrorRows);
-        this.downloadFile(csv, 'import-errors.csv', 'text/csv');
+        const { content, filename, mimeType } = this.buildExport('errors');
+        this.downloadFile(content, filename, mimeType);
         this.log('Downloaded errors CSV', 'success');
     }
 
     exportSuccess() {
-        // Clean up success rows for export
-        const cleanSuccessRows = this.state.successRows.map(row => {
-            const cleanRow = {};
-            Object.keys(row).forEach(key => {
-                const value = row[key];
-                if (value === null || value === undefined) {
-                    cleanRow[key] = '';
-                } else if (typeof value === 'object') {
-                    cleanRow[key] = JSON.stringify(value);
-                } else {
-                    cleanRow[key] = String(value);
-                }
-            });
-            return cleanRow;
-        });
-        
-        const csv = Papa.unparse(cleanSuccessRows);
-        this.downloadFile(csv, 'import-success.csv', 'text/csv');
+        const { content, filename, mimeType } = this.buildExport('success');
+        this.downloadFile(content, filename, mimeType);
         this.log('Downloaded success CSV', 'success');
     }
 
     exportFiltered() {
-        // Clean up filtered rows for export
-        const cleanFilteredRows = this.state.filteredRows.map(row => {
-            const cleanRow = {};
-            Object.keys(row).forEach(key => {
-                const value = row[key];
-                if (value === null || value === undefined) {
-                    cleanRow[key] = '';
-                } else if (typeof value === 'object') {
-                    cleanRow[key] = JSON.stringify(value);
-                } else {
-                    cleanRow[key] = String(value);
-                }
-            });
-            return cleanRow;
-        });
-        
-        const csv = Papa.unparse(cleanFilteredRows);
-        this.downloadFile(csv, 'import-filtered.csv', 'text/csv');
+        const { content, filename, mimeType } = this.buildExport('filtered');
+        this.downloadFile(content, filename, mimeType);
         this.log('Downloaded filtered CSV', 'success');
     }
 
     exportLogs() {
-        const json = JSON.stringify(this.state.logs, null, 2);
-        this.downloadFile(json, 'import-logs.json', 'application/json');
+        const { content, filename, mimeType } = this.buildExport('logs');
+        this.downloadFile(content, filename, mimeType);
         this.log('Downloaded logs JSON', 'success');
     }
 
@@ -2440,59 +7062,27 @@ class ImportSDK {
     }
 
     /**
-     * Destroy the SDK instance and clean up resources
+     * Destroy the widget and the underlying engine
      */
     destroy() {
         // Clear the container
         if (this.container) {
             this.container.innerHTML = '';
         }
-        
-        // Clear any ongoing operations
-        this.state.isProcessing = false;
-        
-        // Clear timers and intervals
-        if (this.progressTimer) {
-            clearInterval(this.progressTimer);
-        }
-        
-        // Clear event listeners
-        if (this.fileInput) {
-            this.fileInput.removeEventListener('change', this.handleFileSelect);
-        }
-        
-        // Reset state
-        this.state = {
-            isProcessing: false,
-            selectedFile: null,
-            successCount: 0,
-            errorCount: 0,
-            totalCount: 0,
-            filteredCount: 0,
-            logs: [],
-            successRows: [],
-            errorRows: [],
-            filteredRows: []
-        };
-        
-        // Clear metrics
-        this.resetMetrics();
-        
-        // Clear references
-        this.currentSDK = null;
-        this.activePlugins = null;
-        this.rowBuffer = [];
-        
-        console.log('ImportSDK instance destroyed');
+
+        super.destroy();
     }
 }
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ImportSDK;
+    module.exports.ImportSDK = ImportSDK;
+    module.exports.ImportEngine = ImportEngine;
 }
 
 // Export for browser
 if (typeof window !== 'undefined') {
     window.ImportSDK = ImportSDK;
+    window.ImportEngine = ImportEngine;
 }
@@ -34,6 +34,32 @@ run_test "Column Validation Tests" "tests/column-validation-test.js"
 run_test "Transform Tests" "tests/transform-test.js"
 run_test "Filter Tests" "tests/filter-test.js"
 run_test "Flow Control Tests" "tests/flow-control-test.js"
+run_test "Headless Engine Tests" "tests/engine-test.js"
+run_test "Pause/Cancel Tests" "tests/pause-cancel-test.js"
+run_test "Retry Tests" "tests/retry-test.js"
+run_test "Checkpoint Tests" "tests/checkpoint-test.js"
+run_test "Streaming Tests" "tests/streaming-test.js"
+run_test "Worker Mode Tests" "tests/worker-test.js"
+run_test "Excel Input Tests" "tests/xlsx-test.js"
+run_test "JSON Input Tests" "tests/json-test.js"
+run_test "Encoding Tests" "tests/encoding-test.js"
+run_test "Column Mapping Tests" "tests/column-mapping-test.js"
+run_test "Schema Tests" "tests/schema-test.js"
+run_test "Preview Tests" "tests/preview-test.js"
+run_test "Error Editor Tests" "tests/error-editor-test.js"
+run_test "Retry Failed Rows Tests" "tests/retry-failed-test.js"
+run_test "Duplicate Key Tests" "tests/duplicate-keys-test.js"
+run_test "Cross-Row Validation Tests" "tests/cross-row-test.js"
+run_test "Async Validation Tests" "tests/async-validation-test.js"
+run_test "Reference Lookup Tests" "tests/lookups-test.js"
+run_test "Adaptive Concurrency Tests" "tests/adaptive-concurrency-test.js"
+run_test "Rate Limit Tests" "tests/rate-limit-test.js"
+run_test "Batch Pool Tests" "tests/batch-pool-test.js"
+run_test "Batch Size in Bytes Tests" "tests/batch-bytes-test.js"
+run_test "Compression Tests" "tests/compression-test.js"
+run_test "Idempotency Tests" "tests/idempotency-test.js"
+run_test "Contenant Overrides Tests" "tests/contenant-test.js"
+run_test "CLI Tests" "tests/cli-test.js"
 
 echo "======================================"
 echo "  Test Summary"
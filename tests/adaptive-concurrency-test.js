@@ -0,0 +1,109 @@
+const { ImportEngine, delay, runSuite, importFile } = require('./harness');
+
+// One row per batch: rows 1..count
+function rows(count) {
+    return ['name', ...Array.from({ length: count }, (_, i) => `row-${i + 1}`)].join('\n');
+}
+
+// respond(requestNumber) -> { latency, status }; the API answers 200 after `latency` ms otherwise
+function runImport(config, respond, count = 24) {
+    const api = { calls: 0, inFlight: 0, maxInFlight: 0 };
+    const engine = new ImportEngine({
+        checkpoint: { enabled: false },
+        chunkSize: 1,
+        sendHandler: async (batch) => {
+            const { latency = 20, status = 200 } = respond(++api.calls) || {};
+            api.inFlight++;
+            api.maxInFlight = Math.max(api.maxInFlight, api.inFlight);
+            await delay(latency);
+            api.inFlight--;
+            return status === 200
+                ? { success: batch.length, errors: [], status }
+                : { success: 0, errors: batch.map(() => ({ message: `HTTP ${status}`, data: null })), status };
+        },
+        ...config
+    });
+    const logs = [];
+    const changes = [];
+    engine.log = (message, type) => logs.push({ message, type });
+    engine.on('concurrencyChanged', (change) => changes.push(change));
+    return importFile(engine, new File([rows(count)], 'rows.csv')).then((stats) => ({
+        engine,
+        stats,
+        api,
+        logs,
+        changes,
+        // Level in force when each batch was sent (the last entry closes the import)
+        levels: engine.metrics.concurrencyTimeline.slice(0, -1).map(entry => entry.level)
+    }));
+}
+
+runSuite('Adaptive Concurrency Tests', async (check) => {
+    // Test 1: Additive increase up to max while latency is stable
+    console.log("Test 1: Stable API");
+    {
+        const { engine, stats, api, changes, levels } = await runImport({
+            adaptiveConcurrency: { enabled: true, max: 5 }
+        }, () => ({ latency: 20 }));
+
+        check(changes.map(change => change.level).join(',') === '2,3,4,5' && levels[0] === 1
+            && levels[levels.length - 1] === 5 && stats.successCount === 24,
+            "One more batch in flight each time a level's worth of batches is acknowledged, up to max",
+            `levels=${levels.join(',')} success=${stats.successCount}`);
+        check(api.maxInFlight === 5 && engine.metrics.peakConcurrency === 5,
+            "Never more than max batches sent at the same time",
+            `maxInFlight=${api.maxInFlight} peak=${engine.metrics.peakConcurrency}`);
+        const timeline = engine.metrics.concurrencyTimeline;
+        check(timeline[0].level === 1 && timeline[1].level === 2 && timeline[timeline.length - 1].level === 5
+            && changes.every(change => change.reason === 'stable'),
+            "Chosen level recorded in concurrencyTimeline",
+            `timeline=${JSON.stringify(timeline.slice(0, 3))} changes=${JSON.stringify(changes)}`);
+    }
+
+    // Test 2: Multiplicative decrease on 429, 5xx and latency spikes
+    console.log("\nTest 2: Congestion");
+    {
+        // Request 8 is throttled once, then accepted by the retry
+        const throttled = await runImport({
+            adaptiveConcurrency: { enabled: true, max: 8 },
+            retry: { maxAttempts: 2, baseDelay: 1, jitter: false }
+        }, (call) => call === 8 ? { status: 429 } : { latency: 20 });
+        check(throttled.changes.slice(0, 5).map(change => change.level).join(',') === '2,3,4,2,3'
+            && throttled.stats.successCount === 24 && throttled.changes[3].reason === 'throttled'
+            && throttled.logs.some(entry => entry.type === 'warning' && entry.message === 'API congested (throttled), sending 2 batch(es) at a time'),
+            "Level halved after a 429, even when the retry succeeded",
+            `levels=${throttled.levels.join(',')} changes=${JSON.stringify(throttled.changes.slice(0, 4))}`);
+
+        // Requests 4 to 6 take ten times longer
+        const slow = await runImport({
+            adaptiveConcurrency: { enabled: true, max: 8 }
+        }, (call) => call >= 4 && call <= 6 ? { latency: 200 } : { latency: 20 });
+        check(slow.changes.slice(0, 4).map(change => change.level).join(',') === '2,3,1,2' && slow.changes[2].reason === 'latency',
+            "Level cut on a latency spike",
+            `levels=${slow.levels.join(',')} changes=${JSON.stringify(slow.changes.slice(0, 3))}`);
+
+        // Every response is a 503: the level never goes below min
+        const down = await runImport({
+            concurrency: 4,
+            adaptiveConcurrency: { enabled: true, min: 2, max: 8 }
+        }, () => ({ status: 503, latency: 5 }), 12);
+        check(down.changes.map(change => change.level).join(',') === '2' && Math.min(...down.levels) === 2
+            && down.stats.errorCount === 12,
+            "Level kept at min when the API keeps failing",
+            `levels=${down.levels.join(',')} errors=${down.stats.errorCount}`);
+    }
+
+    // Test 3: Fixed concurrency and invalid configuration
+    console.log("\nTest 3: Fixed mode");
+    {
+        const fixed = await runImport({ concurrency: 3 }, (call) => call === 2 ? { status: 503 } : { latency: 5 }, 9);
+        check(fixed.levels.length === 9 && fixed.changes.length === 0 && fixed.api.maxInFlight === 3
+            && fixed.engine.metrics.concurrencyTimeline.every(entry => entry.level === 3),
+            "concurrency used as is without adaptiveConcurrency",
+            `levels=${fixed.levels.join(',')}`);
+
+        let error = null;
+        try { new ImportEngine({ adaptiveConcurrency: { enabled: true, min: 4, max: 2 } }); } catch (err) { error = err.message; }
+        check(error && error.includes('min <= max'), "Invalid bounds rejected", `error=${error}`);
+    }
+});
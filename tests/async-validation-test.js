@@ -0,0 +1,178 @@
+const { ImportEngine, delay, runSuite, importFile } = require('./harness');
+
+// Type labels looked up in a catalog API; "Cuve" is repeated, "Unknown" is not in the catalog
+const csv = [
+    'Tank;Type;Volume',
+    'T-1;Cuve;100',
+    'T-2;Silo;200',
+    'T-3;Cuve;300',
+    'T-4;Unknown;400',
+    'T-5;Cuve;500',
+    'T-6;Silo;600'
+].join('\n');
+
+const catalog = { Cuve: 'type-1', Silo: 'type-2' };
+
+function createCatalog() {
+    const api = { calls: [], inFlight: 0, maxInFlight: 0 };
+    api.lookup = async (label) => {
+        api.calls.push(label);
+        api.inFlight++;
+        api.maxInFlight = Math.max(api.maxInFlight, api.inFlight);
+        await delay(20);
+        api.inFlight--;
+        return catalog[label] || null;
+    };
+    return api;
+}
+
+function runImport(config, content = csv, mode = 'import') {
+    const sent = [];
+    const engine = new ImportEngine({
+        checkpoint: { enabled: false },
+        resultExport: ['errors'],
+        sendHandler: async (batch) => {
+            sent.push(...batch);
+            return { success: batch.length, errors: [] };
+        },
+        ...config
+    });
+    engine.log = () => {};
+    return importFile(engine, new File([content], 'tanks.csv'), mode).then((stats) => ({
+        engine,
+        stats,
+        sent,
+        errors: Object.fromEntries(engine.state.errorRows.map(row => [row._csvLineNumber, row._error]))
+    }));
+}
+
+runSuite('Async Validation Tests', async (check) => {
+    // Test 1: Async transformers and validators, cache and concurrency
+    console.log("Test 1: Catalog lookups");
+    {
+        const api = createCatalog();
+        const volumeChecks = { inFlight: 0, maxInFlight: 0 };
+        ImportEngine.use({
+            name: 'volume-check',
+            type: 'row',
+            validate: async (row) => {
+                volumeChecks.inFlight++;
+                volumeChecks.maxInFlight = Math.max(volumeChecks.maxInFlight, volumeChecks.inFlight);
+                await delay(10);
+                volumeChecks.inFlight--;
+                return Number(row.Volume) <= 500 ? { isValid: true } : { isValid: false, error: 'Volume over capacity' };
+            }
+        });
+        const { engine, stats, sent, errors } = await runImport({
+            asyncValidation: { concurrency: 2 },
+            transformers: { Type: (label) => api.lookup(label).then(id => id || label) },
+            validate: {
+                Type: [(value) => delay(5, /^type-/.test(value)), 'Unknown type']
+            }
+        });
+        ImportEngine.removePlugin('volume-check');
+
+        check(sent.map(row => `${row._csvLineNumber}:${row.Type}`).join(',') === '2:type-1,3:type-2,4:type-1,6:type-1'
+            && JSON.stringify(errors) === JSON.stringify({ 5: 'Unknown type', 7: 'Volume over capacity' }),
+            "Rows transformed and validated by promises, in file order",
+            `sent=${JSON.stringify(sent)} errors=${JSON.stringify(errors)}`);
+        check(api.calls.join(',') === 'Cuve,Silo,Unknown',
+            "Repeated values looked up once",
+            `calls=${api.calls.join(',')}`);
+        check(api.maxInFlight === 2 && volumeChecks.maxInFlight === 2,
+            "At most asyncValidation.concurrency rows pending",
+            `lookups=${api.maxInFlight} checks=${volumeChecks.maxInFlight}`);
+        check(engine.metrics.transformTime >= 40 && engine.metrics.validationTime >= 40 && stats.successCount === 4,
+            "Waiting time counted in transformTime and validationTime",
+            `transform=${engine.metrics.transformTime} validation=${engine.metrics.validationTime}`);
+    }
+
+    // Test 2: Rejections, cache disabled, unique values in file order
+    console.log("\nTest 2: Failures and ordering");
+    {
+        let attempts = 0;
+        const { errors, stats } = await runImport({
+            validate: async (row) => {
+                if (row.Type === 'Unknown') {
+                    attempts++;
+                    throw new Error('catalog unavailable');
+                }
+                return { isValid: true };
+            }
+        });
+        check(errors[5] === 'Validator error: catalog unavailable' && stats.successCount === 5 && attempts === 1,
+            "Rejected validator reported on its row",
+            `errors=${JSON.stringify(errors)}`);
+
+        const lookups = await runImport({
+            transformers: { Type: (label) => label === 'Unknown' ? Promise.reject(new Error('timeout')) : delay(1, label) },
+            validate: { Volume: [(value) => value === '600' ? Promise.reject(new Error('timeout')) : true, 'Invalid volume'] }
+        });
+        check(lookups.errors[5] === 'Transformer error: timeout' && lookups.errors[7] === 'Validator error: timeout'
+            && lookups.stats.successCount === 4,
+            "Rejected transformers and field validators reported on their row",
+            `errors=${JSON.stringify(lookups.errors)}`);
+
+        const api = createCatalog();
+        await runImport({
+            asyncValidation: { cache: false },
+            transformers: { Type: (label) => api.lookup(label) }
+        }, csv, 'check');
+        check(api.calls.length === 6, "Every value looked up without the cache", `calls=${api.calls.length}`);
+
+        // Cuve tanks hold at most 400: the result depends on the row, not only on the type
+        const rowChecks = [];
+        const capacity = await runImport({
+            validate: {
+                Type: [(value, row) => {
+                    rowChecks.push(row.Tank);
+                    return delay(1, value !== 'Cuve' || Number(row.Volume) <= 400);
+                }, 'Over Cuve capacity']
+            }
+        }, csv, 'check');
+        check(JSON.stringify(capacity.errors) === JSON.stringify({ 6: 'Over Cuve capacity' }) && rowChecks.length === 6,
+            "Validators reading the row cached per row, not per value",
+            `errors=${JSON.stringify(capacity.errors)} checks=${rowChecks.join(',')}`);
+
+        // The first rows resolve last: T-1 must still be kept on line 2
+        const unique = await runImport({
+            schema: { properties: { Tank: { type: 'string', unique: true } } },
+            transformers: { Volume: (value) => delay(50 - Number(value) / 10, value) }
+        }, 'Tank;Volume\nT-1;100\nT-1;200\nT-2;300\n', 'check');
+        check(JSON.stringify(unique.errors) === JSON.stringify({ 3: 'Duplicate Tank: T-1' }),
+            "Unique values claimed in file order",
+            `errors=${JSON.stringify(unique.errors)}`);
+    }
+
+    // Test 3: Sync validators keep sync results
+    console.log("\nTest 3: Sync and async results");
+    {
+        const engine = new ImportEngine({
+            checkpoint: { enabled: false },
+            validate: (row) => row.Volume > 0 ? { isValid: true } : { isValid: false, error: 'Volume must be positive' }
+        });
+        const result = engine.validateRow({ Volume: -1 });
+        check(result.isValid === false && result.error === 'Volume must be positive' && !(result instanceof Promise),
+            "validateRow returns its result directly when validators are sync",
+            `result=${JSON.stringify(result)}`);
+
+        const asyncEngine = new ImportEngine({
+            checkpoint: { enabled: false },
+            validate: async (row) => row.Volume > 0 ? { isValid: true } : { isValid: false, error: 'Volume must be positive' }
+        });
+        const pending = asyncEngine.validateRow({ Volume: -1 });
+        const resolved = await pending;
+        check(pending instanceof Promise && resolved.error === 'Volume must be positive',
+            "validateRow returns a promise when a validator does",
+            `resolved=${JSON.stringify(resolved)}`);
+
+        const { engine: editorEngine } = await runImport({
+            resultExport: ['errors'],
+            validate: async (row) => row.Type !== 'Unknown' ? { isValid: true } : { isValid: false, error: 'Unknown type' }
+        });
+        const updated = editorEngine.updateErrorRow(0, { Type: 'Silo' });
+        check(updated instanceof Promise && (await updated).isValid && editorEngine.state.errorRows[0]._corrected,
+            "Error rows validated again by async validators",
+            `errorRows=${JSON.stringify(editorEngine.state.errorRows)}`);
+    }
+});
@@ -0,0 +1,106 @@
+const http = require('http');
+
+const { ImportEngine, runSuite, importFile } = require('./harness');
+
+// Comments from 10 to 3500 characters; T-6 (line 7) alone is over 3000 bytes
+const comments = [10, 2000, 10, 10, 1500, 3500, 10, 800, 10, 10];
+const csv = ['tank;comment', ...comments.map((length, i) => `T-${i + 1};${'x'.repeat(length)}`)].join('\n');
+
+function runImport(config, mode = 'import') {
+    const engine = new ImportEngine({
+        checkpoint: { enabled: false },
+        resultExport: ['errors', 'success'],
+        ...config
+    });
+    const logs = [];
+    engine.log = (message, type) => logs.push({ message, type });
+    return importFile(engine, new File([csv], 'tanks.csv'), mode).then((stats) => ({ engine, stats, logs }));
+}
+
+// Answers 413 to bodies over maxBytes, 200 otherwise
+function startServer(maxBytes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const tanks = JSON.parse(body).items.map(row => row.tank);
+            const status = Buffer.byteLength(body) > maxBytes ? 413 : 200;
+            requests.push({ status, tanks: tanks.join(',') });
+            res.writeHead(status, { 'Content-Type': status === 200 ? 'application/json' : 'text/html' });
+            res.end(status === 200 ? '{}' : '<html>Payload Too Large</html>');
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, () => resolve({ server, requests, url: `http://localhost:${server.address().port}/import` }));
+    });
+}
+
+runSuite('Batch Size in Bytes Tests', async (check) => {
+    // Test 1: Batches cut by row count and by size
+    console.log("Test 1: maxBatchBytes");
+    {
+        const batches = [];
+        const { stats } = await runImport({
+            chunkSize: 4,
+            maxBatchBytes: 3000,
+            sendHandler: async (batch) => {
+                batches.push({ tanks: batch.map(row => row.tank).join(','), bytes: Buffer.byteLength(JSON.stringify(batch)) });
+                return { success: batch.length, errors: [] };
+            }
+        });
+
+        check(batches.map(batch => batch.tanks).join(' | ') === 'T-1,T-2,T-3,T-4 | T-5 | T-6 | T-7,T-8,T-9,T-10'
+            && stats.successCount === 10,
+            "Batch closed before the rows it would make too large",
+            `batches=${batches.map(batch => `${batch.tanks} (${batch.bytes}B)`).join(' | ')}`);
+        check(batches.every(batch => batch.bytes <= 3000 || !batch.tanks.includes(',')),
+            "Every batch within maxBatchBytes, a larger row sent alone",
+            `sizes=${batches.map(batch => batch.bytes).join(',')}`);
+    }
+
+    // Test 2: 413 answers split the batch in half
+    console.log("\nTest 2: Payload Too Large");
+    {
+        const { server, requests, url } = await startServer(2500);
+        const { engine, stats, logs } = await runImport({ apiEndpoint: url, chunkSize: 5 });
+
+        check(requests.map(request => `${request.status}:${request.tanks}`).join(' ') === [
+            '413:T-1,T-2,T-3,T-4,T-5', '200:T-1,T-2,T-3', '200:T-4,T-5',
+            '413:T-6,T-7,T-8,T-9,T-10', '413:T-6,T-7,T-8', '413:T-6,T-7', '413:T-6', '200:T-7', '200:T-8', '200:T-9,T-10'
+        ].join(' '), "Refused batches split in half until each part is accepted",
+            `requests=${requests.map(request => `${request.status}:${request.tanks}`).join(' ')}`);
+        check(stats.successCount === 9 && stats.errorCount === 1 && stats.totalCount === 10
+            && engine.state.errorRows[0].tank === 'T-6' && engine.state.errorRows[0]._errorType === 'server-error'
+            && engine.state.successRows.map(row => row.tank).join(',') === 'T-1,T-2,T-3,T-4,T-5,T-7,T-8,T-9,T-10',
+            "Only a single row still too large reported, success rows of each part kept",
+            `success=${stats.successCount} errors=${JSON.stringify(engine.state.errorRows.map(row => row.tank))}`);
+        check(logs.some(entry => entry.type === 'warning' && entry.message === 'Batch of 5 rows too large for the API (413), sending it in two halves'),
+            "Split logged as a warning",
+            `logs=${JSON.stringify(logs.filter(entry => entry.type === 'warning'))}`);
+        server.close();
+    }
+
+    // Test 3: Rows sent again are cut by size as well
+    console.log("\nTest 3: Retried rows");
+    {
+        let apiDown = true;
+        const batches = [];
+        const { engine } = await runImport({
+            chunkSize: 10,
+            maxBatchBytes: 3000,
+            sendHandler: async (batch) => {
+                if (apiDown) throw new TypeError('fetch failed');
+                batches.push(batch.map(row => row.tank).join(','));
+                return { success: batch.length, errors: [] };
+            }
+        });
+
+        apiDown = false;
+        const result = await engine.retryFailed();
+        check(result.success === 10 && batches.join(' | ') === 'T-1,T-2,T-3,T-4 | T-5 | T-6 | T-7,T-8,T-9,T-10',
+            "retryFailed() batches within maxBatchBytes",
+            `batches=${batches.join(' | ')}`);
+    }
+});
@@ -0,0 +1,124 @@
+const { ImportEngine, delay, runSuite, importFile } = require('./harness');
+
+function rows(count) {
+    return ['name', ...Array.from({ length: count }, (_, i) => `row-${i + 1}`)].join('\n');
+}
+
+// latencyOf(requestNumber) -> ms; each request records when it started and ended
+function createEngine(config, latencyOf = () => 20) {
+    const requests = [];
+    const api = { inFlight: 0, maxInFlight: 0, maxBuffered: 0 };
+    const engine = new ImportEngine({
+        checkpoint: { enabled: false },
+        chunkSize: 1,
+        sendHandler: async (batch) => {
+            const request = { start: performance.now(), rows: batch.map(row => row.name) };
+            requests.push(request);
+            api.inFlight++;
+            api.maxInFlight = Math.max(api.maxInFlight, api.inFlight);
+            api.maxBuffered = Math.max(api.maxBuffered, engine.rowBuffer.length);
+            await delay(latencyOf(requests.length));
+            api.inFlight--;
+            request.end = performance.now();
+            return { success: batch.length, errors: [] };
+        },
+        ...config
+    });
+    engine.log = () => {};
+    return { engine, requests, api };
+}
+
+runSuite('Batch Pool Tests', async (check) => {
+    // Test 1: A slow batch does not hold the other slots
+    console.log("Test 1: Slow batches");
+    {
+        // Requests 1, 4 and 7 take 200ms: three waves of 200ms if each wave waited for its slowest batch
+        const { engine, requests, api } = createEngine({ concurrency: 3 }, (n) => [1, 4, 7].includes(n) ? 200 : 20);
+        await importFile(engine, rows(9));
+
+        check(requests[3].start < requests[0].end && requests[5].start < requests[0].end,
+            "Next batches sent as soon as a slot frees",
+            `starts=${requests.map(request => request.start.toFixed(0)).join(',')}`);
+        const metrics = engine.getMetrics();
+        check(metrics.totalDuration < 450 && metrics.rowsPerSecond > 9 / 0.6 && engine.state.successCount === 9,
+            "Import shorter than waves waiting for their slowest batch (600ms), rowsPerSecond and efficiency raised",
+            `duration=${metrics.totalDuration.toFixed(0)}ms rowsPerSecond=${metrics.rowsPerSecond.toFixed(1)} efficiency=${metrics.efficiency.toFixed(2)}`);
+        const timeline = engine.metrics.concurrencyTimeline.slice(2, -1);
+        check(api.maxInFlight === 3 && timeline.every(entry => entry.activeBatches === 3),
+            "Exactly concurrency requests in flight while rows remain",
+            `maxInFlight=${api.maxInFlight} active=${timeline.map(entry => entry.activeBatches).join(',')}`);
+    }
+
+    // Test 2: Backpressure on the parser
+    console.log("\nTest 2: Backpressure");
+    {
+        const { engine, requests, api } = createEngine({ concurrency: 2, chunkSize: 2, streamChunkSize: 64 }, () => 5);
+        const stats = await importFile(engine, rows(80));
+
+        check(stats.successCount === 80 && requests.length === 40 && api.maxInFlight === 2,
+            "Every row sent, never more than concurrency requests",
+            `success=${stats.successCount} requests=${requests.length} maxInFlight=${api.maxInFlight}`);
+        check(api.maxBuffered <= 12,
+            "Parsing held while the pool is full: the buffer stays under a parse chunk and a batch",
+            `maxBuffered=${api.maxBuffered}`);
+    }
+
+    // Test 3: Last partial batch, cancellation
+    console.log("\nTest 3: Draining the pool");
+    {
+        const { engine, requests } = createEngine({ concurrency: 2, chunkSize: 3 }, (n) => n === 1 ? 100 : 10);
+        const stats = await importFile(engine, rows(10));
+        check(stats.successCount === 10 && requests.map(request => request.rows.length).join(',') === '3,3,3,1'
+            && requests.every(request => request.end <= performance.now()),
+            "Last partial batch sent through the pool, import completed after every batch",
+            `batches=${requests.map(request => request.rows.length).join(',')} success=${stats.successCount}`);
+
+        const cancelled = createEngine({ concurrency: 3, chunkSize: 2 }, () => 50);
+        cancelled.engine.handleFileSelect(new File([rows(20)], 'rows.csv'));
+        let completions = 0;
+        let countedAfterComplete = false;
+        const completed = new Promise(resolve => cancelled.engine.on('complete', (result) => {
+            completions++;
+            resolve(result);
+        }));
+        cancelled.engine.on('progress', () => { if (completions > 0) countedAfterComplete = true; });
+        cancelled.engine.startImport('import');
+        await delay(20);
+        cancelled.engine.cancel();
+        const result = await completed;
+        await delay(100);
+
+        check(completions === 1 && !countedAfterComplete && cancelled.requests.length === 3
+            && result.totalCount + cancelled.engine.state.unsentCount === 20,
+            "Batches in flight settled before the cancelled import completes",
+            `requests=${cancelled.requests.length} total=${result.totalCount} unsent=${cancelled.engine.state.unsentCount}`);
+    }
+
+    // Test 4: Throwing callbacks
+    console.log("\nTest 4: Callbacks");
+    {
+        const { engine, requests } = createEngine({
+            concurrency: 3,
+            chunkSize: 2,
+            sendHandler: async (batch) => {
+                requests.push(batch);
+                await delay(10);
+                return { success: batch.length - 1, errors: [{ message: 'Refused', data: batch[batch.length - 1] }] };
+            },
+            onProgress: () => { throw new Error('progress bar gone'); },
+            onError: () => { throw new Error('toast failed'); },
+            onComplete: () => { throw new Error('redirect failed'); }
+        });
+        const logs = [];
+        engine.log = (message, type) => logs.push({ message, type });
+        const stats = await importFile(engine, rows(20));
+
+        check(requests.length === 10 && stats.successCount === 10 && stats.errorCount === 10,
+            "Every batch sent and counted despite throwing callbacks",
+            `requests=${requests.length} success=${stats.successCount} errors=${stats.errorCount}`);
+        check(['Progress callback error: progress bar gone', 'Error callback error: toast failed', 'Complete callback error: redirect failed']
+            .every(message => logs.some(entry => entry.message === message && entry.type === 'error')),
+            "Callback errors logged",
+            `logs=${JSON.stringify(logs.filter(entry => entry.message.includes('callback')))}`);
+    }
+});
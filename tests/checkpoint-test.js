@@ -0,0 +1,197 @@
+const { ImportEngine, delay, runSuite, runImport } = require('./harness');
+
+// Stands in for IndexedDB (same async get/set/delete contract)
+class MemoryCheckpointStore {
+    constructor() {
+        this.records = new Map();
+    }
+    async get(key) {
+        return this.records.get(key) || null;
+    }
+    async set(key, checkpoint) {
+        this.records.set(key, JSON.parse(JSON.stringify(checkpoint)));
+    }
+    async delete(key) {
+        this.records.delete(key);
+    }
+}
+
+function buildCsv(rowCount) {
+    const lines = ['name,value'];
+    for (let i = 1; i <= rowCount; i++) {
+        lines.push(`row${i},${i}`);
+    }
+    return lines.join('\n');
+}
+
+// Row 13 is filtered, rows 7 and 22 are invalid: 27 valid rows out of 30
+function buildConfig(store, sendHandler) {
+    return {
+        chunkSize: 4,
+        resultExport: ['errors'],
+        filters: { value: (value) => value !== '13' },
+        validate: (row) => (row.value === '7' || row.value === '22')
+            ? { isValid: false, error: 'Rejected value' }
+            : { isValid: true },
+        checkpoint: { enabled: true, store, minInterval: 0 },
+        sendHandler
+    };
+}
+
+function selectFile(engine, content) {
+    engine.log = () => {};
+    engine.handleFileSelect(new File([content], 'rows.csv', { lastModified: 1700000000000 }));
+    return engine.checkpointLookup;
+}
+
+runSuite('Checkpoint / Resume Tests', async (check) => {
+    const store = new MemoryCheckpointStore();
+    const csvContent = buildCsv(30);
+    const sentValues = [];
+    const sentKeys = [];
+
+    // Test 1: Checkpoint is persisted as batches are acknowledged
+    console.log("Test 1: Checkpoint saved on acknowledged batches");
+    {
+        let calls = 0;
+        // The third batch never returns, like a tab that crashed mid-request
+        const engine = new ImportEngine(buildConfig(store, (batch, config, options) => {
+            calls++;
+            sentKeys.push(options.idempotencyKey);
+            if (calls === 3) return new Promise(() => {});
+            sentValues.push(...batch.map(row => row.value));
+            return Promise.resolve({ success: batch.length, errors: [] });
+        }));
+
+        await selectFile(engine, csvContent);
+        engine.startImport('import');
+        await delay(50);
+        await engine.pendingCheckpointWrite;
+
+        const [checkpoint] = Array.from(store.records.values());
+        check(checkpoint && checkpoint.lastAckedLine === 10,
+            "Last acknowledged line is the line before the pending batch",
+            `checkpoint=${JSON.stringify(checkpoint && { ...checkpoint, errorRows: undefined })}`);
+        check(checkpoint && checkpoint.successCount === 8 && checkpoint.errorCount === 1
+            && checkpoint.filteredCount === 0 && checkpoint.totalCount === 9,
+            "Counters exclude rows after the acknowledged line",
+            `counters=${checkpoint && [checkpoint.successCount, checkpoint.errorCount, checkpoint.filteredCount, checkpoint.totalCount]}`);
+        check(checkpoint && checkpoint.errorRows.length === 1 && checkpoint.errorRows[0]._csvLineNumber === 8,
+            "Error rows up to the acknowledged line are stored",
+            `errorRows=${JSON.stringify(checkpoint && checkpoint.errorRows)}`);
+    }
+
+    // Test 2: Selecting the same file again offers to resume
+    console.log("\nTest 2: Resume from line N in a new session");
+    {
+        const engine = new ImportEngine(buildConfig(store, async (batch, config, options) => {
+            sentKeys.push(options.idempotencyKey);
+            sentValues.push(...batch.map(row => row.value));
+            return { success: batch.length, errors: [] };
+        }));
+
+        let offeredLine = null;
+        engine.on('resumeAvailable', ({ resumeLine }) => offeredLine = resumeLine);
+        await selectFile(engine, csvContent);
+
+        check(offeredLine === 11 && engine.state.resumeCheckpoint,
+            "resumeAvailable emitted with resume line 11",
+            `offeredLine=${offeredLine}`);
+
+        const stats = await new Promise(resolve => {
+            engine.on('complete', resolve);
+            engine.resumeImport();
+        });
+        await engine.pendingCheckpointWrite;
+
+        const uniqueValues = new Set(sentValues);
+        check(stats.successCount === 27 && stats.errorCount === 2 && stats.filteredCount === 1 && stats.totalCount === 29,
+            "Final counters cover the whole file",
+            `success=${stats.successCount} errors=${stats.errorCount} filtered=${stats.filteredCount} total=${stats.totalCount}`);
+        check(sentValues.length === 27 && uniqueValues.size === 27,
+            "Every valid row sent exactly once across both sessions",
+            `sent=${sentValues.length} unique=${uniqueValues.size}`);
+        check(engine.state.errorRows.map(row => row._csvLineNumber).join(',') === '8,23',
+            "Error rows restored and completed",
+            `errorLines=${engine.state.errorRows.map(row => row._csvLineNumber)}`);
+        const importId = sentKeys[0].split(':')[0];
+        check(sentKeys.every(key => key.startsWith(`${importId}:`)) && engine.currentImportId === importId
+            && sentKeys.indexOf(sentKeys[2], 3) !== -1 && new Set(sentKeys).size === sentKeys.length - 1,
+            "Import id and batch numbers restored: the pending batch sent again under its key",
+            `keys=${sentKeys.join(' ')}`);
+        check(stats.resumedFromLine === 11 && store.records.size === 0,
+            "Checkpoint removed after a complete import",
+            `resumedFromLine=${stats.resumedFromLine} stored=${store.records.size}`);
+    }
+
+    // Test 3: A different file is not offered a resume
+    console.log("\nTest 3: Fingerprint mismatch");
+    {
+        let calls = 0;
+        const crashedEngine = new ImportEngine(buildConfig(store, (batch) => calls++ === 0
+            ? Promise.resolve({ success: batch.length, errors: [] })
+            : new Promise(() => {})));
+        await selectFile(crashedEngine, csvContent);
+        crashedEngine.startImport('import');
+        await delay(20);
+        await crashedEngine.pendingCheckpointWrite;
+
+        const engine = new ImportEngine(buildConfig(store, async (batch) => ({ success: batch.length, errors: [] })));
+        await selectFile(engine, buildCsv(31));
+
+        check(store.records.size === 1 && !engine.state.resumeCheckpoint,
+            "No resume offered for a different file",
+            `stored=${store.records.size} resumeCheckpoint=${!!engine.state.resumeCheckpoint}`);
+    }
+
+    // Test 4: Cancelled import can be resumed in the same session
+    console.log("\nTest 4: Resume after cancel");
+    {
+        store.records.clear();
+        let calls = 0;
+        const engine = new ImportEngine(buildConfig(store, (batch, config, options = {}) => {
+            calls++;
+            if (calls < 3) {
+                return Promise.resolve({ success: batch.length, errors: [] });
+            }
+            return new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+            });
+        }));
+
+        let offeredLine = null;
+        engine.on('resumeAvailable', ({ resumeLine }) => offeredLine = resumeLine);
+        await selectFile(engine, csvContent);
+
+        const stats = await new Promise(resolve => {
+            engine.on('complete', resolve);
+            engine.startImport('import');
+            setTimeout(() => engine.cancel(), 30);
+        });
+        await engine.checkpointLookup;
+
+        check(stats.cancelled && offeredLine === 11 && engine.state.resumeCheckpoint,
+            "Cancelled import offers resume from the first unacknowledged line",
+            `cancelled=${stats.cancelled} offeredLine=${offeredLine}`);
+    }
+
+    // Test 5: Checkpoints are opt-in
+    console.log("\nTest 5: Disabled by default");
+    {
+        const records = new MemoryCheckpointStore();
+        let saved = 0;
+        records.set = async () => {
+            saved++;
+        };
+        const engine = new ImportEngine({
+            ...buildConfig(records, async (batch) => ({ success: batch.length, errors: [] })),
+            checkpoint: { store: records, minInterval: 0 }
+        });
+        await selectFile(engine, csvContent);
+        await runImport(engine);
+
+        check(!engine.config.checkpoint.enabled && saved === 0 && !engine.checkpointLookup,
+            "No checkpoint looked up or saved without checkpoint.enabled",
+            `enabled=${engine.config.checkpoint.enabled} saved=${saved}`);
+    }
+});
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+
+const { runSuite, buildZip } = require('./harness');
+
+const cliPath = path.resolve(__dirname, '../cli/import-sdk-cli.js');
+const { parseArgs } = require(cliPath);
+
+// T-2 is invalid, T-3 filtered out
+const csv = `tank,volume,status
+T-1,10,active
+T-2,-5,active
+T-3,7,archived
+T-4,3,active
+`;
+
+const configSource = `module.exports = {
+    chunkSize: 2,
+    filters: { status: (value) => value !== 'archived' },
+    validate: (row) => Number(row.volume) > 0 ? { isValid: true } : { isValid: false, error: 'volume must be positive' }
+};
+`;
+
+const sheetXml = (rows) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows}</sheetData></worksheet>`;
+const inlineRow = (line, values) => `<row r="${line}">${values.map((value, i) =>
+    `<c r="${String.fromCharCode(65 + i)}${line}" t="inlineStr"><is><t>${value}</t></is></c>`).join('')}</row>`;
+
+// Two sheets: a summary first, the tanks second
+const workbookFiles = {
+    '[Content_Types].xml': '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>',
+    'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="Summary" sheetId="1" r:id="rId1"/><sheet name="Tanks" sheetId="2" r:id="rId2"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="worksheet" Target="worksheets/sheet2.xml"/>
+</Relationships>`,
+    'xl/worksheets/sheet1.xml': sheetXml(inlineRow(1, ['total', 'volume']) + inlineRow(2, ['4', '15'])),
+    'xl/worksheets/sheet2.xml': sheetXml(inlineRow(1, ['tank', 'volume', 'status'])
+        + inlineRow(2, ['T-1', '10', 'active']) + inlineRow(3, ['T-2', '-5', 'active']))
+};
+
+// Accepts every batch and records the rows received
+function startServer() {
+    const rows = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            rows.push(...JSON.parse(body).items);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({}));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, () => resolve({ server, rows, url: `http://localhost:${server.address().port}/import` }));
+    });
+}
+
+// Runs the CLI in its own process and resolves with its exit code and output
+function runCli(args, cwd) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [cliPath, ...args], { cwd, timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+runSuite('CLI Tests', async (check) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-sdk-cli-'));
+    const file = (name) => path.join(dir, name);
+    const read = (name) => fs.readFileSync(file(name), 'utf8').trim().split(/\r?\n/);
+    fs.writeFileSync(file('tanks.csv'), csv);
+    fs.writeFileSync(file('tanks.config.js'), configSource);
+    fs.writeFileSync(file('tanks.xlsx'), await buildZip(workbookFiles));
+    const { server, rows, url } = await startServer();
+
+    try {
+        // Test 1: Argument parser
+        console.log("Test 1: Argument parser");
+        {
+            const defaults = parseArgs(['tanks.csv']);
+            check(defaults.csvFile === 'tanks.csv' && defaults.mode === 'import' && defaults.outDir === process.cwd()
+                && defaults.exports.join() === 'errors,success,filtered' && defaults.chunkSize === null && !defaults.verbose,
+                "Defaults applied to a bare file argument",
+                `options=${JSON.stringify(defaults)}`);
+
+            const options = parseArgs(['--endpoint', url, 'tanks.xlsx', '--config', 'c.js', '--check', '--out', 'results',
+                '--export', 'errors, logs', '--chunk-size', '50', '--concurrency', '3', '--sheet', 'Tanks', '--verbose']);
+            check(options.csvFile === 'tanks.xlsx' && options.endpoint === url && options.configFile === 'c.js'
+                && options.mode === 'check' && options.outDir === 'results' && options.exports.join() === 'errors,logs'
+                && options.chunkSize === 50 && options.concurrency === 3 && options.sheet === 'Tanks' && options.verbose,
+                "Every option parsed, the file found between options",
+                `options=${JSON.stringify(options)}`);
+            check(parseArgs(['-h']).help && parseArgs(['--help']).help, "-h and --help ask for the usage", "Help not set");
+
+            const failure = (argv) => {
+                try {
+                    parseArgs(argv);
+                    return null;
+                } catch (err) {
+                    return err.message;
+                }
+            };
+            check(failure(['--bogus']) === 'Unknown option: --bogus'
+                && failure(['tanks.csv', '--out']) === 'Missing value for --out'
+                && failure(['a.csv', 'b.csv']) === 'Unexpected argument: b.csv',
+                "Unknown options, missing values and extra files refused",
+                `errors=${[failure(['--bogus']), failure(['tanks.csv', '--out']), failure(['a.csv', 'b.csv'])].join(' | ')}`);
+        }
+
+        // Test 2: Import with row errors, exports written
+        console.log("\nTest 2: Import");
+        {
+            const { code, stdout } = await runCli(['tanks.csv', '--endpoint', url, '--config', 'tanks.config.js', '--out', 'results'], dir);
+
+            check(code === 1 && stdout.includes('Success:  2') && stdout.includes('Errors:   1') && stdout.includes('Filtered: 1'),
+                "Exit code 1 when the import finished with row errors, summary printed",
+                `code=${code} stdout=${stdout}`);
+            check(rows.map(row => row.tank).join() === 'T-1,T-4',
+                "Valid rows sent to the endpoint",
+                `rows=${JSON.stringify(rows)}`);
+            check(read('results/import-errors.csv').join('|') === 'tank,volume,status,_error,_errorType,_csvLineNumber|T-2,-5,active,volume must be positive,client-validation,3'
+                && read('results/import-success.csv').slice(1).map(line => line.split(',')[0]).join() === 'T-1,T-4'
+                && read('results/import-filtered.csv').slice(1).map(line => line.split(',')[0]).join() === 'T-3'
+                && stdout.includes(`✓ Wrote ${file('results/import-filtered.csv')}`),
+                "Errors, success and filtered exports written to --out",
+                `files=${fs.readdirSync(file('results')).join()}`);
+        }
+
+        // Test 3: Check mode, selected exports
+        console.log("\nTest 3: --check and --export");
+        {
+            const sent = rows.length;
+            const { code, stdout } = await runCli(['tanks.csv', '--check', '--config', 'tanks.config.js', '--out', 'checked', '--export', 'errors,logs'], dir);
+            const logs = JSON.parse(fs.readFileSync(file('checked/import-logs.json'), 'utf8'));
+
+            check(code === 1 && rows.length === sent && stdout.startsWith('Checking') && stdout.includes('Validation finished'),
+                "Rows checked without an endpoint, nothing sent",
+                `code=${code} sent=${rows.length - sent}`);
+            check(fs.readdirSync(file('checked')).sort().join() === 'import-errors.csv,import-logs.json'
+                && read('checked/import-errors.csv').length === 2 && logs.some(log => log.message.includes('volume must be positive')),
+                "Only the requested exports written",
+                `files=${fs.readdirSync(file('checked')).join()}`);
+
+            fs.writeFileSync(file('valid.csv'), 'tank,volume,status\nT-9,1,active\n');
+            const valid = await runCli(['valid.csv', '--check', '--config', 'tanks.config.js', '--out', 'valid', '--export', 'success'], dir);
+            check(valid.code === 0 && read('valid/import-success.csv').join('|') === 'tank,volume,status,_csvLineNumber|T-9,1,active,2',
+                "Exit code 0 without row errors",
+                `code=${valid.code} stderr=${valid.stderr}`);
+        }
+
+        // Test 4: Sheet of a workbook
+        console.log("\nTest 4: --sheet");
+        {
+            const { code, stdout } = await runCli(['tanks.xlsx', '--check', '--config', 'tanks.config.js', '--sheet', 'Tanks', '--out', 'sheet'], dir);
+            check(code === 1 && stdout.includes('Success:  1') && stdout.includes('Errors:   1')
+                && read('sheet/import-errors.csv')[1].startsWith('T-2,-5,active'),
+                "Rows read from the selected sheet",
+                `code=${code} stdout=${stdout}`);
+
+            const missing = await runCli(['tanks.xlsx', '--check', '--sheet', 'Archive', '--out', 'sheet'], dir);
+            check(missing.code === 2 && missing.stderr.includes('sheet not found: Archive (available: Summary, Tanks)'),
+                "Unknown sheet refused with the available ones",
+                `code=${missing.code} stderr=${missing.stderr}`);
+        }
+
+        // Test 5: Usage and fatal errors
+        console.log("\nTest 5: Exit code 2");
+        {
+            const results = await Promise.all([
+                runCli([], dir),
+                runCli(['missing.csv', '--check'], dir),
+                runCli(['tanks.csv'], dir),
+                runCli(['tanks.csv', '--bogus'], dir),
+                runCli(['tanks.csv', '--check', '--config', 'missing.config.js'], dir),
+                runCli(['tanks.csv', '--check', '--export', 'everything', '--out', 'bogus'], dir)
+            ]);
+            const [noFile, notFound, noEndpoint, unknown, noConfig, badExport] = results;
+
+            check(results.every(result => result.code === 2),
+                "Exit code 2 for usage and fatal errors",
+                `codes=${results.map(result => result.code).join()}`);
+            check(noFile.stderr.includes('CSV file is required') && noFile.stdout.includes('Usage: import-sdk')
+                && notFound.stderr.includes('CSV file not found') && noEndpoint.stderr.includes('--endpoint is required')
+                && unknown.stderr.includes('Unknown option: --bogus') && noConfig.stderr.includes('Configuration file not found')
+                && badExport.stderr.includes('Unknown export type: everything'),
+                "Each error explained on stderr",
+                `stderr=${results.map(result => result.stderr.trim()).join(' | ')}`);
+
+            const help = await runCli(['--help'], dir);
+            check(help.code === 0 && help.stdout.includes('--sheet <name>'), "--help prints the usage", `code=${help.code}`);
+        }
+    } finally {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,161 @@
+const { ImportEngine, runSuite, createWidget, runImport } = require('./harness');
+
+const csv = [
+    'tank id;Volme;Numéro cuve;Status',
+    'x;100;T-1;active',
+    'x;250;T-2;archived',
+    'x;75;T-3;active'
+].join('\n');
+
+function buildEngine(config = {}) {
+    const sent = [];
+    const engine = new ImportEngine({
+        checkpoint: { enabled: false },
+        requiredColumns: ['Tank ID', 'Volume'],
+        allowedColumns: ['Tank ID', 'Volume', 'Status', 'Comment'],
+        fieldMapping: { 'Tank ID': 'tankNumber' },
+        columnMapping: { enabled: true },
+        sendHandler: async (batch) => {
+            sent.push(...batch);
+            return { success: batch.length, errors: [] };
+        },
+        ...config
+    });
+    engine.log = () => {};
+    return { engine, sent };
+}
+
+function selectFile(engine, content, name = 'tanks.csv') {
+    return new Promise(resolve => {
+        engine.on('columnsDetected', resolve);
+        engine.handleFileSelect(new File([content], name));
+    });
+}
+
+
+runSuite('Column Mapping Tests', async (check) => {
+    // Test 1: Headers detected and matched to expected columns
+    console.log("Test 1: Suggestions");
+    {
+        const { engine } = buildEngine();
+        const { headers, targets, mapping } = await selectFile(engine, csv);
+
+        check(headers.join('|') === 'tank id|Volme|Numéro cuve|Status',
+            "Headers read from the normalized first slice",
+            `headers=${JSON.stringify(headers)}`);
+        check(targets.join('|') === 'Tank ID|Volume|Status|Comment',
+            "Targets from requiredColumns and allowedColumns",
+            `targets=${JSON.stringify(targets)}`);
+        check(JSON.stringify(mapping) === JSON.stringify({ 'tank id': 'Tank ID', Status: 'Status', Volme: 'Volume' }),
+            "Similar headers suggested, unrelated header left unmapped",
+            `mapping=${JSON.stringify(mapping)}`);
+
+        const byApiField = engine.suggestColumnMapping(['tank_number', 'Comments'], engine.getTargetColumns());
+        check(byApiField.tank_number === 'Tank ID' && byApiField.Comments === 'Comment',
+            "Headers also matched against the API field of a target",
+            `mapping=${JSON.stringify(byApiField)}`);
+    }
+
+    // Test 2: Adjusted mapping used by the import and reported
+    console.log("\nTest 2: Import with an adjusted mapping");
+    {
+        const reported = [];
+        const { engine, sent } = buildEngine({
+            filters: { Status: (value) => value !== 'archived' },
+            onColumnMapping: (mapping, { file, headers }) => reported.push({ mapping, file: file.name, headers })
+        });
+        await selectFile(engine, csv);
+        engine.setColumnMapping({ ...engine.state.columnMapping, 'Numéro cuve': 'Tank ID', 'tank id': null });
+
+        const checkStats = await runImport(engine, 'check');
+        check(checkStats.errorCount === 0 && checkStats.successCount === 2 && checkStats.filteredCount === 1,
+            "Column checks and filters use the mapped names",
+            `success=${checkStats.successCount} errors=${checkStats.errorCount} filtered=${checkStats.filteredCount}`);
+
+        const stats = await runImport(engine);
+        check(stats.successCount === 2
+            && JSON.stringify(sent[0]) === JSON.stringify({ Volume: '100', tankNumber: 'T-1', Status: 'active', _csvLineNumber: 2 }),
+            "Rows renamed, ignored column dropped, field mapping applied after",
+            `sent=${JSON.stringify(sent)}`);
+        check(reported.length === 2 && reported[1].mapping['Numéro cuve'] === 'Tank ID' && reported[1].mapping['tank id'] === null
+            && reported[1].file === 'tanks.csv' && reported[1].headers.length === 4,
+            "onColumnMapping called with the mapping each run starts with",
+            `reported=${JSON.stringify(reported)}`);
+
+        const { engine: plain, sent: plainSent } = buildEngine({ columnMapping: { enabled: false } });
+        plain.handleFileSelect(new File([csv], 'tanks.csv'));
+        const plainStats = await runImport(plain);
+        check(plain.columnLookup === null && plainStats.errorCount === 2 && 'tank id' in plainSent[0],
+            "Headers kept as is when the mapping step is disabled",
+            `errors=${plainStats.errorCount} first=${JSON.stringify(plainSent[0])}`);
+    }
+
+    // Test 3: Saved mapping, explicit targets and JSON headers
+    console.log("\nTest 3: Saved mapping and other file types");
+    {
+        const { engine } = buildEngine({
+            columnMapping: { enabled: true, saved: { 'Numéro cuve': 'Tank ID', Volme: 'Volme', Status: null } }
+        });
+        const { mapping } = await selectFile(engine, csv);
+        check(Object.keys(mapping).length === 3 && mapping['Numéro cuve'] === 'Tank ID' && mapping.Volme === 'Volme' && mapping.Status === null,
+            "Saved choices applied before suggestions, their targets not suggested again",
+            `mapping=${JSON.stringify(mapping)}`);
+
+        const { engine: jsonEngine, sent } = buildEngine({ columnMapping: { enabled: true, targets: ['Tank ID', 'Volume'] } });
+        const ndjson = '{"tank_id": "T-9", "volume": "5"}\n{"tank_id": "T-10", "volume": "6"}\n';
+        const detected = await selectFile(jsonEngine, ndjson, 'tanks.ndjson');
+        const stats = await runImport(jsonEngine);
+        check(detected.targets.join('|') === 'Tank ID|Volume' && stats.successCount === 2 && sent[1].tankNumber === 'T-10' && sent[1].Volume === '6',
+            "Keys of the first JSON record mapped to configured targets",
+            `detected=${JSON.stringify(detected)} sent=${JSON.stringify(sent)}`);
+
+        // Header lookup failing: the import ends with the error instead of staying in progress
+        const { engine: failing, sent: failingSent } = buildEngine();
+        const logs = [];
+        failing.log = (message, type) => logs.push({ message, type });
+        await selectFile(failing, csv);
+        failing.columnLookup = Promise.reject(new Error('Headers unavailable'));
+        const failedStats = await runImport(failing);
+        check(!failing.state.isProcessing && failedStats.totalCount === 0 && failingSent.length === 0
+            && logs.some(entry => entry.type === 'error' && entry.message.includes('Headers unavailable')),
+            "Failed column lookup logged, import state reset",
+            `processing=${failing.state.isProcessing} logs=${JSON.stringify(logs.filter(entry => entry.type === 'error'))}`);
+    }
+
+    // Test 4: Mapping step in the widget
+    console.log("\nTest 4: Widget");
+    {
+        const { window, sdk } = createWidget({
+            checkpoint: { enabled: false },
+            requiredColumns: ['Tank ID', 'Volume'],
+            columnMapping: { enabled: true }
+        });
+        await new Promise(resolve => {
+            sdk.on('columnsDetected', resolve);
+            sdk.handleFileSelect(new window.File([csv], 'tanks.csv'));
+        });
+
+        const panel = window.document.getElementById('import-sdk-column-mapping');
+        const rows = [...panel.querySelectorAll('tbody tr')];
+        const selected = rows.map(row => row.querySelector('select').selectedOptions[0].textContent);
+        check(panel.style.display === 'block' && rows.length === 4
+            && selected.join('|') === 'Tank ID|Volume|(keep as is)|(keep as is)',
+            "Detected headers shown with the suggested targets",
+            `display=${panel.style.display} selected=${JSON.stringify(selected)}`);
+
+        const select = rows[2].querySelector('select');
+        select.selectedIndex = [...select.options].findIndex(option => option.textContent === 'Tank ID');
+        select.dispatchEvent(new window.Event('change'));
+        const ignore = rows[0].querySelector('select');
+        ignore.selectedIndex = 1;
+        ignore.dispatchEvent(new window.Event('change'));
+
+        check(JSON.stringify(sdk.state.columnMapping) === JSON.stringify({ 'tank id': null, Volme: 'Volume', 'Numéro cuve': 'Tank ID', Status: 'Status' }),
+            "Changing a picker updates the mapping",
+            `mapping=${JSON.stringify(sdk.state.columnMapping)}`);
+
+        sdk.handleFileRemove();
+        check(panel.style.display === 'none', "Panel hidden when the file is removed", `display=${panel.style.display}`);
+        window.close();
+    }
+});
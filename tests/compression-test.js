@@ -0,0 +1,113 @@
+const http = require('http');
+const zlib = require('zlib');
+
+const { ImportEngine, runSuite, importFile } = require('./harness');
+
+// Repetitive rows, like most exports: 50 rows per batch compress well
+const csv = ['tankNumber;type;site;comment', ...Array.from({ length: 100 },
+    (_, i) => `T-${i + 1};Bin 240L;North depot;Collected every Monday, access code at the gate`)].join('\n');
+
+// Inflates gzip bodies like the mock backend; refuses them with 415 when acceptGzip is false
+function startServer(acceptGzip = true) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks);
+            const encoding = req.headers['content-encoding'] || null;
+            if (encoding === 'gzip' && !acceptGzip) {
+                requests.push({ encoding, bytes: raw.length });
+                res.writeHead(415);
+                res.end();
+                return;
+            }
+            const body = encoding === 'gzip' ? zlib.gunzipSync(raw) : raw;
+            const items = JSON.parse(body.toString('utf8')).items;
+            requests.push({ encoding, bytes: raw.length, inflated: body.length, rows: items.length, first: items[0].tankNumber });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ items: items.map(() => ({ ok: true })) }));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, () => resolve({ server, requests, url: `http://localhost:${server.address().port}/import` }));
+    });
+}
+
+function runImport(config) {
+    const engine = new ImportEngine({
+        checkpoint: { enabled: false },
+        chunkSize: 50,
+        ...config
+    });
+    const logs = [];
+    engine.log = (message, type) => logs.push({ message, type });
+    return importFile(engine, new File([csv], 'tanks.csv')).then((stats) => ({ engine, stats, logs, metrics: engine.getMetrics() }));
+}
+
+runSuite('Compression Tests', async (check) => {
+    // Test 1: Gzipped bodies, end to end
+    console.log("Test 1: Gzip bodies");
+    {
+        const { server, requests, url } = await startServer();
+        const { stats, metrics } = await runImport({ apiEndpoint: url, compression: { enabled: true } });
+
+        check(stats.successCount === 100 && requests.length === 2
+            && requests.every(request => request.encoding === 'gzip' && request.rows === 50),
+            "Batches sent with Content-Encoding: gzip and read back by the server",
+            `success=${stats.successCount} requests=${JSON.stringify(requests)}`);
+        check(metrics.requestBytes === requests.reduce((sum, request) => sum + request.inflated, 0)
+            && metrics.requestBytesSent === requests.reduce((sum, request) => sum + request.bytes, 0)
+            && metrics.compressedRequests === 2 && metrics.compressionRatio < 0.2,
+            "Raw and compressed bytes reported in the metrics",
+            `raw=${metrics.requestBytes} sent=${metrics.requestBytesSent} ratio=${metrics.compressionRatio}`);
+        server.close();
+    }
+
+    // Test 2: Small bodies and compression off
+    console.log("\nTest 2: Uncompressed bodies");
+    {
+        const { server, requests, url } = await startServer();
+        const small = await runImport({ apiEndpoint: url, chunkSize: 5, compression: { enabled: true, minBytes: 4096 } });
+        check(small.stats.successCount === 100 && requests.every(request => request.encoding === null)
+            && small.metrics.requestBytes === small.metrics.requestBytesSent && small.metrics.compressionRatio === 1,
+            "Bodies under minBytes sent as is",
+            `encodings=${[...new Set(requests.map(request => request.encoding))]} ratio=${small.metrics.compressionRatio}`);
+
+        requests.length = 0;
+        const off = await runImport({ apiEndpoint: url });
+        check(requests.every(request => request.encoding === null) && off.metrics.compressedRequests === 0
+            && off.metrics.requestBytes > 0,
+            "No compression unless enabled, raw bytes still reported",
+            `encodings=${[...new Set(requests.map(request => request.encoding))]}`);
+        server.close();
+    }
+
+    // Test 3: Fallbacks
+    console.log("\nTest 3: Fallbacks");
+    {
+        const { server, requests, url } = await startServer(false);
+        const refused = await runImport({ apiEndpoint: url, compression: { enabled: true } });
+        check(refused.stats.successCount === 100
+            && requests.map(request => request.encoding || 'identity').join(',') === 'gzip,identity,identity'
+            && refused.logs.some(entry => entry.type === 'warning' && entry.message.includes('(415)')),
+            "Batch refused with 415 sent again uncompressed, later batches too",
+            `requests=${requests.map(request => request.encoding || 'identity').join(',')}`);
+        server.close();
+
+        const { CompressionStream } = global;
+        delete global.CompressionStream;
+        try {
+            const plain = await startServer();
+            const unsupported = await runImport({ apiEndpoint: plain.url, compression: { enabled: true } });
+            check(unsupported.stats.successCount === 100 && plain.requests.every(request => request.encoding === null)
+                && unsupported.logs.filter(entry => entry.message.includes('CompressionStream is not available')).length === 1,
+                "Sent uncompressed where CompressionStream is missing, warned once",
+                `requests=${JSON.stringify(plain.requests)}`);
+            plain.server.close();
+        } finally {
+            global.CompressionStream = CompressionStream;
+        }
+    }
+});
@@ -0,0 +1,134 @@
+const zlib = require('zlib');
+
+const { runSuite, importFile, createWidget } = require('./harness');
+
+const csv = [
+    'tankNumber;volume;city',
+    'T-1;120;Lyon',
+    'T-2;240;Lyon',
+    'T-3;660;Paris',
+    'T-4;120;Nantes'
+].join('\n');
+
+// Widget with the bin/containers overrides, as loaded by the demo pages
+function createBinWidget(config) {
+    const widget = createWidget({
+        checkpoint: { enabled: false },
+        apiEndpoint: 'http://localhost:3000/geored/bin/service/import',
+        chunkSize: 2,
+        resultExport: ['errors', 'success'],
+        ...config
+    }, ['frontend/import-sdk-contenant.js']);
+    widget.sdk.log = () => {};
+    return widget;
+}
+
+const runImport = (sdk, window) => importFile(sdk, new window.File([csv], 'bins.csv'));
+
+// Answers like backend/server.js: { bins: [{ bin, error, errorMessage }] }, 422 when a bin is refused
+function backendResponse(bins, refused = []) {
+    const results = bins.map(bin => refused.includes(bin.tankNumber)
+        ? { id: null, error: true, errorMessage: `tankNumber '${bin.tankNumber}' already exists`, bin: { ...bin, id: null } }
+        : { id: 1, error: false, errorMessage: '', bin: { ...bin, id: 1 } });
+    return new Response(JSON.stringify({ bins: results }), {
+        status: refused.some(tankNumber => bins.some(bin => bin.tankNumber === tankNumber)) ? 422 : 201,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+runSuite('Contenant Overrides Tests', async (check) => {
+    // Test 1: Error rows of the bin API
+    console.log("Test 1: Error rows");
+    {
+        let apiDown = true;
+        const { window, sdk } = createBinWidget();
+        window.fetch = async (url, options) => {
+            const { bins } = JSON.parse(options.body);
+            if (apiDown && bins[0].tankNumber === 'T-1') {
+                return new Response('<html>Service Unavailable</html>', { status: 503, statusText: 'Service Unavailable' });
+            }
+            return backendResponse(bins, ['T-3']);
+        };
+        const stats = await runImport(sdk, window);
+
+        const [down1, down2, refused] = sdk.state.errorRows;
+        check(stats.successCount === 1 && stats.errorCount === 3
+            && down1._errorType === 'server-error' && down2._errorType === 'server-error' && sdk.getFailedRows().length === 2,
+            "Rows of a batch refused with 503 kept as retryable",
+            `errorRows=${JSON.stringify(sdk.state.errorRows)}`);
+        check(refused._errorType === 'server-validation' && refused._csvLineNumber === 4
+            && JSON.stringify(sdk.errorRowValues(refused)) === JSON.stringify({ tankNumber: 'T-3', volume: '660', city: 'Paris' }),
+            "Bins refused by the API stored with the values sent",
+            `errorRow=${JSON.stringify(refused)}`);
+
+        const $ = (id) => window.document.getElementById(id);
+        check($('import-sdk-retry-failed-btn').style.display === 'inline-block',
+            "Retry failed rows button shown",
+            `button=${$('import-sdk-retry-failed-btn').outerHTML}`);
+
+        apiDown = false;
+        const result = await sdk.retryFailed();
+        check(result.success === 2 && sdk.state.successCount === 3 && sdk.getFailedRows().length === 0,
+            "Failed rows sent again through the contenant handler",
+            `result=${JSON.stringify(result)}`);
+        window.close();
+    }
+
+    // Test 2: Idempotency headers
+    console.log("\nTest 2: Idempotency headers");
+    {
+        const requests = [];
+        const { window, sdk } = createBinWidget({ idempotency: { enabled: true }, headers: { Authorization: 'Bearer token' } });
+        window.fetch = async (url, options) => {
+            requests.push(options.headers);
+            return backendResponse(JSON.parse(options.body).bins);
+        };
+        await runImport(sdk, window);
+
+        const id = sdk.currentImportId;
+        check(requests.length === 2 && requests[0]['Idempotency-Key'] === `${id}:1:2-3` && requests[1]['Idempotency-Key'] === `${id}:2:4-5`
+            && requests.every(headers => headers['X-Import-Id'] === id && headers.Authorization === 'Bearer token'),
+            "Idempotency-Key and X-Import-Id sent with the configured headers",
+            `headers=${JSON.stringify(requests)}`);
+        window.close();
+    }
+
+    // Test 3: Compressed requests
+    console.log("\nTest 3: Compression");
+    {
+        const requests = [];
+        const { window, sdk } = createBinWidget({ compression: { enabled: true, minBytes: 0 } });
+        Object.assign(window, { Blob, Response, CompressionStream });
+        window.fetch = async (url, options) => {
+            const gzipped = options.headers['Content-Encoding'] === 'gzip';
+            const body = gzipped ? zlib.gunzipSync(options.body).toString() : options.body;
+            requests.push({ gzipped, bytes: gzipped ? options.body.length : Buffer.byteLength(body) });
+            return backendResponse(JSON.parse(body).bins);
+        };
+        await runImport(sdk, window);
+
+        const metrics = sdk.getMetrics();
+        check(requests.length === 2 && requests.every(request => request.gzipped) && metrics.compressedRequests === 2
+            && metrics.requestBytesSent === requests.reduce((sum, request) => sum + request.bytes, 0)
+            && metrics.requestBytes > metrics.requestBytesSent && sdk.state.successCount === 4,
+            "Bins gzipped, raw and sent bytes counted",
+            `requests=${JSON.stringify(requests)} raw=${metrics.requestBytes} sent=${metrics.requestBytesSent}`);
+        window.close();
+
+        const refused = createBinWidget({ compression: { enabled: true, minBytes: 0 } });
+        Object.assign(refused.window, { Blob, Response, CompressionStream });
+        const encodings = [];
+        refused.window.fetch = async (url, options) => {
+            encodings.push(options.headers['Content-Encoding'] || 'identity');
+            if (options.headers['Content-Encoding'] === 'gzip') {
+                return new Response('', { status: 415, statusText: 'Unsupported Media Type' });
+            }
+            return backendResponse(JSON.parse(options.body).bins);
+        };
+        await runImport(refused.sdk, refused.window);
+        check(encodings.join(',') === 'gzip,identity,identity' && refused.sdk.state.successCount === 4,
+            "Bins refused with 415 sent again uncompressed",
+            `encodings=${encodings.join(',')}`);
+        refused.window.close();
+    }
+});
@@ -0,0 +1,136 @@
+const { ImportEngine, runSuite } = require('./harness');
+
+// Line 4 references a missing parent, North exceeds 1000 from line 5,
+// line 6 fails row validation, line 7 breaks both cross-row rules
+const csv = [
+    'Tank;Site;Volume;Parent',
+    'T-1;North;400;',
+    'T-2;North;500;T-1',
+    'T-3;South;100;T-9',
+    'T-4;North;200;',
+    'T-5;South;-1;',
+    'T-6;North;50;T-8'
+].join('\n');
+
+// Sum of volume per site and parents defined earlier in the file
+async function siteRules(rows) {
+    const errors = [];
+    const totals = {};
+    const seen = new Set();
+    for (const row of rows) {
+        if (row.Parent && !seen.has(row.Parent)) {
+            errors.push({ line: row._csvLineNumber, error: `Parent ${row.Parent} not found earlier in the file`, field: 'Parent' });
+        }
+        totals[row.Site] = (totals[row.Site] || 0) + Number(row.Volume);
+        if (totals[row.Site] > 1000) {
+            errors.push({ line: row._csvLineNumber, error: `Site ${row.Site} exceeds 1000`, field: 'Volume' });
+        }
+        seen.add(row.Tank);
+    }
+    return errors;
+}
+
+function runCheck(config = {}, mode = 'check') {
+    const engine = new ImportEngine({
+        checkpoint: { enabled: false },
+        resultExport: ['errors', 'success'],
+        validate: (row) => Number(row.Volume) > 0 ? { isValid: true } : { isValid: false, error: 'Volume must be positive' },
+        sendHandler: async (batch) => ({ success: batch.length, errors: [] }),
+        ...config
+    });
+    engine.log = () => {};
+    engine.handleFileSelect(new File([csv], 'tanks.csv'));
+
+    return new Promise(resolve => {
+        let finish = null;
+        engine.on('finish', (event) => finish = event);
+        engine.on('complete', (stats) => resolve({
+            engine,
+            stats,
+            finish,
+            errors: Object.fromEntries(engine.state.errorRows.map(row => [row._csvLineNumber, `${row._errorType}: ${row._error}`]))
+        }));
+        engine.startImport(mode);
+    });
+}
+
+runSuite('Cross-Row Validation Tests', async (check) => {
+    // Test 1: Rules over the whole file
+    console.log("Test 1: Dataset scope");
+    {
+        const calls = [];
+        const { engine, stats, finish, errors } = await runCheck({
+            crossRowValidation: {
+                validate: (rows, context) => {
+                    calls.push({ lines: rows.map(row => row._csvLineNumber).join(','), context });
+                    return siteRules(rows);
+                }
+            }
+        });
+
+        check(calls.length === 1 && calls[0].lines === '2,3,4,5,7' && calls[0].context.scope === 'dataset',
+            "Hook called once with every valid row",
+            `calls=${JSON.stringify(calls)}`);
+        check(JSON.stringify(errors) === JSON.stringify({
+            4: 'cross-row-validation: Parent T-9 not found earlier in the file',
+            5: 'cross-row-validation: Site North exceeds 1000',
+            6: 'client-validation: Volume must be positive',
+            7: 'cross-row-validation: Parent T-8 not found earlier in the file; Site North exceeds 1000'
+        }), "Flagged rows stored as error rows, messages of one row joined",
+            `errors=${JSON.stringify(errors)}`);
+        check(stats.successCount === 2 && stats.errorCount === 4 && stats.totalCount === 6
+            && engine.state.successRows.map(row => row._csvLineNumber).join(',') === '2,3',
+            "Flagged rows moved out of the successes",
+            `success=${stats.successCount} errors=${stats.errorCount} total=${stats.totalCount}`);
+        check(finish.startBlocked === true, "Import blocked by cross-row errors", `finish=${JSON.stringify(finish)}`);
+    }
+
+    // Test 2: Rules per batch, failing hooks
+    console.log("\nTest 2: Batch scope");
+    {
+        const calls = [];
+        const { stats } = await runCheck({
+            chunkSize: 2,
+            crossRowValidation: {
+                scope: 'batch',
+                validate: async (rows, context) => {
+                    calls.push(`${context.batchIndex}:${rows.map(row => row._csvLineNumber).join('|')}`);
+                    return siteRules(rows);
+                }
+            }
+        });
+
+        // Sums restart with each batch: North stays under 1000
+        check(calls.join(',') === '0:2|3,1:4|5,2:7' && stats.errorCount === 3,
+            "Hook called with chunkSize rows at a time",
+            `calls=${calls.join(',')} errors=${stats.errorCount}`);
+
+        const failing = await runCheck({
+            chunkSize: 3,
+            crossRowValidation: {
+                scope: 'batch',
+                validate: (rows, context) => {
+                    if (context.batchIndex === 1) throw new Error('lookup unavailable');
+                    return [];
+                }
+            }
+        });
+        check(failing.stats.successCount === 3 && failing.errors[7] === 'cross-row-validation: Cross-row validation failed: lookup unavailable',
+            "Rows of a batch the hook failed on reported as errors",
+            `errors=${JSON.stringify(failing.errors)}`);
+    }
+
+    // Test 3: Import mode and invalid configuration
+    console.log("\nTest 3: Import mode");
+    {
+        let called = false;
+        const { stats } = await runCheck({
+            crossRowValidation: { validate: () => { called = true; return []; } }
+        }, 'import');
+        check(!called && stats.successCount === 5, "Hook only runs in check mode", `called=${called}`);
+
+        let error = null;
+        try { new ImportEngine({ crossRowValidation: { scope: 'file' } }); } catch (err) { error = err.message; }
+        check(error && error.includes('dataset, batch'), "Unknown scope rejected", `error=${error}`);
+    }
+});
@@ -0,0 +1,123 @@
+const { ImportEngine, runSuite, importFile } = require('./harness');
+
+// T-1 on lines 2, 4 and 6; chip C-9 on lines 3 and 5 (line 5 is filtered)
+const csv = [
+    'Tank ID;Chip;Site;Status',
+    'T-1;C-1;North;active',
+    'T-2;C-9;North;active',
+    'T-1;C-3;South;active',
+    'T-4;C-9;North;archived',
+    'T-1;C-5;North;active',
+    'T-6;;North;active',
+    'T-7;;North;active'
+].join('\n');
+
+function runImport(content, config = {}, mode = 'import', name = 'tanks.csv') {
+    const sent = [];
+    const engine = new ImportEngine({
+        checkpoint: { enabled: false },
+        resultExport: ['errors'],
+        fieldMapping: { 'Tank ID': 'tankNumber', Chip: 'chipNumber' },
+        filters: { Status: (value) => value !== 'archived' },
+        sendHandler: async (batch) => {
+            sent.push(...batch);
+            return { success: batch.length, errors: [] };
+        },
+        ...config
+    });
+    const logs = [];
+    engine.log = (message, type) => logs.push({ message, type });
+    return importFile(engine, new File([content], name), mode).then((stats) => ({
+        engine,
+        stats,
+        logs,
+        sentLines: sent.map(row => row._csvLineNumber).join(','),
+        errors: Object.fromEntries(engine.state.errorRows.map(row => [row._csvLineNumber, row._error]))
+    }));
+}
+
+runSuite('Duplicate Key Tests', async (check) => {
+    // Test 1: Keep first, last or none
+    console.log("Test 1: Keep strategies");
+    {
+        const reads = [];
+        const streamFile = ImportEngine.prototype.streamFile;
+        ImportEngine.prototype.streamFile = function (...args) {
+            reads.push(args[0].name);
+            return streamFile.apply(this, args);
+        };
+        const first = await runImport(csv, { duplicateKeys: { keys: ['tankNumber'] } });
+        ImportEngine.prototype.streamFile = streamFile;
+        check(first.sentLines === '2,3,7,8' && JSON.stringify(first.errors) === JSON.stringify({
+            4: 'Duplicate tankNumber T-1 on lines 2, 4',
+            6: 'Duplicate tankNumber T-1 on lines 2, 6'
+        }), "Keep first: later duplicates rejected with both lines",
+            `sent=${first.sentLines} errors=${JSON.stringify(first.errors)}`);
+        check(reads.length === 1 && !first.logs.some(entry => entry.message.startsWith('Duplicate keys:')),
+            "Keep first: keys tracked while importing, the file is read once",
+            `reads=${reads.length}`);
+
+        // Corrected in the error editor: the key must change
+        const stillDuplicate = first.engine.updateErrorRow(0, { Site: 'East' });
+        const renamed = first.engine.updateErrorRow(0, { tankNumber: 'T-3' });
+        check(!stillDuplicate.isValid && stillDuplicate.invalidFields.join() === 'tankNumber' && renamed.isValid,
+            "Edited error rows checked against the duplicates of the file",
+            `stillDuplicate=${JSON.stringify(stillDuplicate)} renamed=${JSON.stringify(renamed)}`);
+
+        const last = await runImport(csv, { duplicateKeys: { keys: ['tankNumber'], keep: 'last' } });
+        check(last.sentLines === '3,6,7,8' && last.errors[2] === 'Duplicate tankNumber T-1 on lines 2, 6'
+            && last.errors[4] === 'Duplicate tankNumber T-1 on lines 4, 6',
+            "Keep last: earlier duplicates rejected before anything is sent",
+            `sent=${last.sentLines} errors=${JSON.stringify(last.errors)}`);
+
+        const none = await runImport(csv, { duplicateKeys: { keys: ['tankNumber'], keep: 'none' } });
+        check(none.sentLines === '3,7,8' && none.stats.errorCount === 3
+            && none.errors[4] === 'Duplicate tankNumber T-1 on lines 2, 4, 6',
+            "Keep none: every duplicate rejected with all its lines",
+            `sent=${none.sentLines} errors=${JSON.stringify(none.errors)}`);
+        check(none.logs.some(entry => entry.message === 'Duplicate keys: 1 value(s) found on several lines' && entry.type === 'warning'),
+            "Duplicate values counted before the import",
+            `logs=${JSON.stringify(none.logs.slice(0, 3))}`);
+    }
+
+    // Test 2: Several keys, composite keys, filtered and empty values
+    console.log("\nTest 2: Composite keys");
+    {
+        const { stats, errors } = await runImport(csv, {
+            duplicateKeys: { keys: ['chipNumber', ['Site', 'Status']], keep: 'first' }
+        }, 'check');
+        check(errors[3] === 'Duplicate Site + Status North / active on lines 2, 3'
+            && errors[6] === 'Duplicate Site + Status North / active on lines 2, 6'
+            && stats.errorCount === 4 && errors[8] && !errors[4] && !errors[5],
+            "Composite key values compared together, in check mode too",
+            `errors=${JSON.stringify(errors)}`);
+
+        const chips = await runImport(csv, { duplicateKeys: { keys: ['chipNumber'], keep: 'none' } }, 'check');
+        check(chips.stats.errorCount === 0,
+            "Filtered rows and empty values are not duplicates",
+            `errors=${JSON.stringify(chips.errors)}`);
+    }
+
+    // Test 3: collectAllErrors, JSON files and invalid configuration
+    console.log("\nTest 3: Other inputs");
+    {
+        const { errors } = await runImport(csv, {
+            collectAllErrors: true,
+            duplicateKeys: { keys: ['tankNumber'] },
+            validate: (row) => row.Site === 'South' ? { isValid: false, error: 'South is closed' } : { isValid: true }
+        }, 'check');
+        check(errors[4] === 'South is closed; Duplicate tankNumber T-1 on lines 2, 4',
+            "Duplicate error collected with other errors",
+            `errors=${JSON.stringify(errors)}`);
+
+        const ndjson = '{"Tank ID": "T-1"}\n{"Tank ID": "T-2"}\n\n{"Tank ID": "T-1"}\n';
+        const json = await runImport(ndjson, { duplicateKeys: { keys: ['tankNumber'], keep: 'last' } }, 'import', 'tanks.ndjson');
+        check(json.sentLines === '2,4' && json.errors[1] === 'Duplicate tankNumber T-1 on lines 1, 4',
+            "JSON records numbered by line",
+            `sent=${json.sentLines} errors=${JSON.stringify(json.errors)}`);
+
+        let error = null;
+        try { new ImportEngine({ duplicateKeys: { keys: ['a'], keep: 'newest' } }); } catch (err) { error = err.message; }
+        check(error && error.includes('first, last, none'), "Unknown keep option rejected", `error=${error}`);
+    }
+});
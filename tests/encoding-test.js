@@ -0,0 +1,96 @@
+const { ImportEngine, runSuite, importFile } = require('./harness');
+
+// Windows-1252 bytes for the characters outside ISO-8859-1 used below
+const WINDOWS_1252_EXTRAS = { '€': 0x80, 'Œ': 0x8C, '’': 0x92 };
+
+function encodeSingleByte(text) {
+    return Uint8Array.from(Array.from(text), char => WINDOWS_1252_EXTRAS[char] || char.charCodeAt(0));
+}
+
+function runCheck(bytes, config = {}) {
+    const engine = new ImportEngine({ checkpoint: { enabled: false }, ...config });
+    engine.log = () => {};
+    return importFile(engine, new File([bytes], 'villes.csv'), 'check').then((stats) => ({
+        engine,
+        stats,
+        rows: engine.state.successRows.map(({ _csvLineNumber, ...row }) => row),
+        issues: engine.metrics.normalizationIssues || []
+    }));
+}
+
+runSuite('Encoding Detection Tests', async (check) => {
+    const frenchCsv = 'Nom;Ville;Note\nZoé;Besançon;l’été\nŒuvre;Crèvecœur;5 €\n';
+    const latin1Csv = 'Nom;Ville\nZoé;Besançon\nNaïve;Orléans\n';
+
+    // Test 1: Windows-1252 (French Excel)
+    console.log("Test 1: Windows-1252");
+    {
+        const { engine, rows, issues } = await runCheck(encodeSingleByte(frenchCsv.replace('œ', 'Œ')));
+
+        check(rows[0].Nom === 'Zoé' && rows[0].Ville === 'Besançon' && rows[0].Note === 'l’été'
+            && rows[1].Nom === 'Œuvre' && rows[1].Note === '5 €',
+            "Accents, curly quotes and € decoded",
+            `rows=${JSON.stringify(rows)}`);
+        check(engine.metrics.encoding === 'windows-1252' && issues.includes('Detected encoding: windows-1252'),
+            "Detected encoding in metrics and normalization issues",
+            `encoding=${engine.metrics.encoding} issues=${JSON.stringify(issues)}`);
+    }
+
+    // Test 2: ISO-8859-1 (no byte in the 0x80-0x9F range)
+    console.log("\nTest 2: ISO-8859-1");
+    {
+        const { engine, rows } = await runCheck(encodeSingleByte(latin1Csv));
+
+        check(engine.metrics.encoding === 'iso-8859-1' && rows[1].Ville === 'Orléans' && rows[1].Nom === 'Naïve',
+            "ISO-8859-1 detected and decoded",
+            `encoding=${engine.metrics.encoding} rows=${JSON.stringify(rows)}`);
+    }
+
+    // Test 3: UTF-8, with multi-byte characters cut between slices
+    console.log("\nTest 3: UTF-8");
+    {
+        for (const streamChunkSize of [3, 1024 * 1024]) {
+            const { engine, rows } = await runCheck(new TextEncoder().encode(frenchCsv), { streamChunkSize });
+
+            check(engine.metrics.encoding === 'utf-8' && rows[1].Ville === 'Crèvecœur' && rows[1].Note === '5 €',
+                `UTF-8 detected with ${streamChunkSize}-byte slices`,
+                `encoding=${engine.metrics.encoding} rows=${JSON.stringify(rows)}`);
+        }
+
+        const { engine } = await runCheck(new TextEncoder().encode('a,b\n1,2\n'));
+        check(engine.metrics.encoding === 'utf-8', "Plain ASCII reported as UTF-8", `encoding=${engine.metrics.encoding}`);
+    }
+
+    // Test 4: Non-ASCII bytes only after the first slices
+    console.log("\nTest 4: Late detection");
+    {
+        const lines = ['Nom;Ville'];
+        for (let i = 0; i < 20; i++) lines.push(`Ligne ${i};Paris`);
+        lines.push('Zoé;Besançon');
+        const { engine, rows, issues } = await runCheck(encodeSingleByte(lines.join('\n')), { streamChunkSize: 32 });
+
+        check(engine.metrics.encoding === 'iso-8859-1' && rows[20].Ville === 'Besançon' && rows.length === 21,
+            "Encoding chosen at the first non-ASCII slice",
+            `encoding=${engine.metrics.encoding} last=${JSON.stringify(rows[rows.length - 1])}`);
+        check(issues.filter(issue => issue.startsWith('Detected encoding')).length === 1,
+            "Encoding reported once",
+            `issues=${JSON.stringify(issues)}`);
+    }
+
+    // Test 5: Configured encoding and byte order marks
+    console.log("\nTest 5: Configured encoding and BOM");
+    {
+        // Valid UTF-8 bytes, read as configured
+        const { engine, rows, issues } = await runCheck(new TextEncoder().encode('Nom\nZoé\n'), { encoding: 'windows-1252' });
+        check(engine.metrics.encoding === 'windows-1252' && rows[0].Nom === 'ZoÃ©'
+            && issues.includes('Encoding: windows-1252 (configured)'),
+            "Configured encoding overrides detection",
+            `encoding=${engine.metrics.encoding} rows=${JSON.stringify(rows)} issues=${JSON.stringify(issues)}`);
+
+        const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Nom,Ville\nZoé,Besançon\n', 'utf16le')]);
+        const utf16Result = await runCheck(utf16);
+        check(utf16Result.engine.metrics.encoding === 'utf-16le' && utf16Result.rows[0].Ville === 'Besançon',
+            "UTF-16LE detected from its byte order mark",
+            `encoding=${utf16Result.engine.metrics.encoding} rows=${JSON.stringify(utf16Result.rows)}`);
+    }
+});
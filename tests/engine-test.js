@@ -0,0 +1,140 @@
+const path = require('path');
+const Papa = require('papaparse');
+
+// No JSDOM here: the engine must run in plain Node without any DOM
+global.Papa = Papa;
+
+const { ImportEngine } = require(path.resolve(__dirname, '../frontend/import-sdk.js'));
+
+console.log("Engine Loaded:", !!ImportEngine);
+
+async function runTests() {
+    console.log("\n=== Headless Engine Tests ===\n");
+
+    let allPassed = true;
+
+    // Test 1: Full import pipeline runs without a DOM and emits events
+    console.log("Test 1: Import pipeline without DOM");
+    {
+        const sentBatches = [];
+        const events = { start: 0, progress: 0, log: 0, finish: 0 };
+
+        const engine = new ImportEngine({
+            chunkSize: 2,
+            fieldMapping: { 'Name': 'name', 'Age': 'age' },
+            transformers: { age: (value) => parseInt(value) },
+            filters: { Age: (value) => value !== '' },
+            validate: (row) => row.age >= 18
+                ? { isValid: true }
+                : { isValid: false, error: 'Must be an adult' },
+            resultExport: ['errors', 'success', 'filtered'],
+            sendHandler: async (batch) => {
+                sentBatches.push(batch);
+                return { success: batch.length, errors: [] };
+            }
+        });
+
+        Object.keys(events).forEach(event => engine.on(event, () => events[event]++));
+
+        const csvContent = `Name,Age
+Alice,25
+Bob,17
+Carol,
+Dave,40
+Eve,33`;
+        const file = new File([csvContent], "people.csv", { type: "text/csv" });
+
+        engine.handleFileSelect(file);
+
+        const stats = await new Promise((resolve) => {
+            engine.on('complete', resolve);
+            engine.startImport('import');
+        });
+
+        const sentRows = sentBatches.flat();
+        if (stats.successCount === 3 && stats.errorCount === 1 && stats.filteredCount === 1) {
+            console.log("✅ PASS: Counters match (3 success, 1 error, 1 filtered)");
+        } else {
+            console.log(`❌ FAIL: Unexpected counters ${JSON.stringify(stats)}`);
+            allPassed = false;
+        }
+
+        if (sentBatches.length === 2 && sentRows.map(r => r.name).join(',') === 'Alice,Dave,Eve') {
+            console.log("✅ PASS: Valid rows sent in chunks of 2");
+        } else {
+            console.log(`❌ FAIL: Unexpected batches ${JSON.stringify(sentBatches)}`);
+            allPassed = false;
+        }
+
+        if (engine.state.errorRows[0]?._csvLineNumber === 3) {
+            console.log("✅ PASS: Error row keeps its CSV line number");
+        } else {
+            console.log(`❌ FAIL: Unexpected error rows ${JSON.stringify(engine.state.errorRows)}`);
+            allPassed = false;
+        }
+
+        if (events.start === 1 && events.finish === 1 && events.progress > 0 && events.log > 0) {
+            console.log("✅ PASS: start/progress/log/finish events emitted");
+        } else {
+            console.log(`❌ FAIL: Unexpected event counts ${JSON.stringify(events)}`);
+            allPassed = false;
+        }
+    }
+
+    // Test 2: Unsubscribing stops event delivery
+    console.log("\nTest 2: on() returns an unsubscribe function");
+    {
+        const engine = new ImportEngine({});
+        let received = 0;
+        const unsubscribe = engine.on('log', () => received++);
+
+        engine.log('first');
+        unsubscribe();
+        engine.log('second');
+
+        if (received === 1 && engine.state.logs.length === 2) {
+            console.log("✅ PASS: Listener removed, logs still recorded");
+        } else {
+            console.log(`❌ FAIL: received=${received}, logs=${engine.state.logs.length}`);
+            allPassed = false;
+        }
+    }
+
+    // Test 3: destroy() leaves no state of the previous file
+    console.log("\nTest 3: destroy() resets the state");
+    {
+        const engine = new ImportEngine({ sendHandler: async (batch) => ({ success: batch.length, errors: [] }) });
+        engine.handleFileSelect(new File(['Name,Age\nAlice,25'], 'people.csv'));
+        await new Promise((resolve) => {
+            engine.on('complete', resolve);
+            engine.startImport('import');
+        });
+        engine.state.sheets = ['Sheet1'];
+        engine.state.selectedSheet = 'Sheet1';
+        engine.setColumnMapping({ Name: 'name', Age: null });
+
+        engine.destroy();
+        const fresh = new ImportEngine({}).state;
+        if (JSON.stringify(engine.state) === JSON.stringify(fresh) && engine.state.columnMapping === null
+            && engine.state.sheets.length === 0 && engine.state.mode === null) {
+            console.log("✅ PASS: State back to the one of a new instance");
+        } else {
+            console.log(`❌ FAIL: Unexpected state ${JSON.stringify(engine.state)}`);
+            allPassed = false;
+        }
+    }
+
+    console.log("\n===================");
+    if (allPassed) {
+        console.log("FINAL VERDICT: ALL TESTS PASSED ✅");
+        process.exit(0);
+    } else {
+        console.log("FINAL VERDICT: SOME TESTS FAILED ❌");
+        process.exit(1);
+    }
+}
+
+runTests().catch(e => {
+    console.error("Test Exception:", e);
+    process.exit(1);
+});
@@ -0,0 +1,240 @@
+const { ImportEngine, runSuite, createWidget, runImport, importFile } = require('./harness');
+
+const csv = [
+    'Tank ID;Volume;Status',
+    'T-1;100;active',
+    'T-2;-5;active',
+    'T-1;30;active',
+    'T-4;abc;active',
+    'T-5;50;active'
+].join('\n');
+
+function editorConfig(sent, config = {}) {
+    return {
+        checkpoint: { enabled: false },
+        resultExport: ['errors', 'success'],
+        fieldMapping: { 'Tank ID': 'tankNumber' },
+        schema: {
+            properties: {
+                'Tank ID': { type: 'string', unique: true },
+                Volume: { type: 'number', minimum: 0 }
+            }
+        },
+        errorEditor: { enabled: true, pageSize: 2 },
+        sendHandler: async (batch) => {
+            sent.push(batch);
+            // The API refuses tank T-5
+            const rejected = batch.filter(row => row.tankNumber === 'T-5');
+            return {
+                success: batch.length - rejected.length,
+                errors: rejected.map(row => ({ message: 'tankNumber T-5 already exists', data: row }))
+            };
+        },
+        ...config
+    };
+}
+
+
+runSuite('Error Editor Tests', async (check) => {
+    // Test 1: Live validation of corrected values
+    console.log("Test 1: Correcting error rows");
+    {
+        const sent = [];
+        const engine = new ImportEngine(editorConfig(sent));
+        engine.log = () => {};
+        engine.handleFileSelect(new File([csv], 'tanks.csv'));
+        const stats = await runImport(engine);
+
+        const lines = engine.state.errorRows.map(row => row._csvLineNumber).join(',');
+        check(stats.successCount === 1 && stats.errorCount === 4 && lines === '3,4,5,6',
+            "Client and API errors stored with their line",
+            `success=${stats.successCount} errors=${stats.errorCount} lines=${lines}`);
+
+        const flagged = engine.state.errorRows.map((row, index) => engine.validateErrorRow(index).invalidFields.join('|'));
+        check(flagged.join(',') === 'Volume,tankNumber,Volume,tankNumber',
+            "Cells flagged from schema errors and from fields named in API errors",
+            `flagged=${JSON.stringify(flagged)}`);
+
+        const stillInvalid = engine.updateErrorRow(0, { Volume: '-1' });
+        check(!stillInvalid.isValid && stillInvalid.invalidFields.join() === 'Volume'
+            && engine.state.errorRows[0]._error === 'Volume must be at least 0' && !engine.state.errorRows[0]._corrected,
+            "Invalid correction keeps the row flagged",
+            `result=${JSON.stringify(stillInvalid)}`);
+
+        const updates = [];
+        engine.on('errorRowUpdated', (update) => updates.push(update));
+        const fixed = engine.updateErrorRow(0, { Volume: '12,5' });
+        check(fixed.isValid && engine.state.errorRows[0].Volume === 12.5 && engine.state.errorRows[0]._corrected === true
+            && updates.length === 1 && updates[0].index === 0,
+            "Valid correction coerced by the schema and marked ready",
+            `result=${JSON.stringify(fixed)} row=${JSON.stringify(engine.state.errorRows[0])}`);
+
+        // Line 4 duplicates line 2, which was imported
+        const duplicate = engine.updateErrorRow(1, { Volume: '30' });
+        const renamed = engine.updateErrorRow(1, { tankNumber: 'T-3' });
+        check(!duplicate.isValid && duplicate.error === 'Duplicate Tank ID: T-1' && renamed.isValid,
+            "Unique values checked against the other rows",
+            `duplicate=${JSON.stringify(duplicate)} renamed=${JSON.stringify(renamed)}`);
+        check(engine.updateErrorRow(1, { Volume: '31' }).isValid && engine.updateErrorRow(3, { tankNumber: 'T-3' }).error === 'Duplicate Tank ID: T-3',
+            "A row checked again is not a duplicate of itself",
+            `errorRows=${JSON.stringify(engine.state.errorRows)}`);
+        engine.updateErrorRow(3, { tankNumber: 'T-6' });
+
+        // Test 2: Corrected rows sent through sendBatch and counted in the same import
+        console.log("\nTest 2: Re-submit");
+        const resubmitted = await engine.resubmitErrorRows();
+        const batch = sent[sent.length - 1];
+
+        check(JSON.stringify(batch) === JSON.stringify([
+            { tankNumber: 'T-2', Volume: 12.5, Status: 'active', _csvLineNumber: 3 },
+            { tankNumber: 'T-3', Volume: 31, Status: 'active', _csvLineNumber: 4 },
+            { tankNumber: 'T-6', Volume: 50, Status: 'active', _csvLineNumber: 6 }
+        ]), "Only corrected rows sent, without editor fields",
+            `batch=${JSON.stringify(batch)}`);
+        check(resubmitted.sent === 3 && resubmitted.success === 3 && resubmitted.errors === 0
+            && engine.state.successCount === 4 && engine.state.errorCount === 1 && engine.state.totalCount === 5,
+            "Counters of the same import updated",
+            `resubmitted=${JSON.stringify(resubmitted)}`);
+        check(engine.state.errorRows.length === 1 && engine.state.errorRows[0]._csvLineNumber === 5
+            && engine.state.successRows.length === 4,
+            "Sent rows moved from error rows to success rows",
+            `errorRows=${JSON.stringify(engine.state.errorRows)}`);
+
+        check(await engine.resubmitErrorRows() === null, "Nothing sent without corrected rows", "Re-submit sent rows");
+    }
+
+    // Test 3: Rows the API rejects again, check mode
+    console.log("\nTest 3: Rejected again and check mode");
+    {
+        const sent = [];
+        const engine = new ImportEngine(editorConfig(sent));
+        engine.log = () => {};
+        engine.handleFileSelect(new File(['Tank ID;Volume\nT-5;-1\n'], 'tanks.csv'));
+        await runImport(engine);
+
+        engine.updateErrorRow(0, { Volume: '1' });
+        const resubmitted = await engine.resubmitErrorRows();
+        check(resubmitted.errors === 1 && engine.state.errorCount === 1 && engine.state.totalCount === 1
+            && engine.state.errorRows[0]._errorType === 'server-validation' && !engine.state.errorRows[0]._corrected,
+            "Rows rejected by the API stored as new error rows",
+            `resubmitted=${JSON.stringify(resubmitted)} errorRows=${JSON.stringify(engine.state.errorRows)}`);
+
+        await runImport(engine, 'check');
+        const count = sent.length;
+        engine.updateErrorRow(engine.state.errorRows.length - 1, { Volume: '1' });
+        check(await engine.resubmitErrorRows() === null && sent.length === count,
+            "Re-submit refused after a check",
+            `sent=${sent.length - count}`);
+    }
+
+    // Test 4: Editable table in the widget
+    console.log("\nTest 4: Widget editor");
+    {
+        const sent = [];
+        const { window, sdk } = createWidget(editorConfig(sent));
+        sdk.handleFileSelect(new window.File([csv], 'tanks.csv'));
+        await runImport(sdk);
+
+        const $ = (id) => window.document.getElementById(id);
+        const bodyRows = () => [...$('import-sdk-error-editor-table').querySelectorAll('tr')].slice(1);
+
+        check($('import-sdk-error-editor').style.display === 'block' && bodyRows().length === 2
+            && $('import-sdk-error-editor-page').textContent === 'Page 1 of 2'
+            && $('import-sdk-error-editor-summary').textContent === '4 failed row(s), 0 ready to re-submit'
+            && $('import-sdk-resubmit-btn').disabled,
+            "Editor shown after the import with the first page of failed rows",
+            `display=${$('import-sdk-error-editor').style.display} rows=${bodyRows().length}`);
+
+        const firstRow = bodyRows()[0];
+        const volumeInput = firstRow.querySelectorAll('input')[1];
+        check(volumeInput.value === '-5' && volumeInput.parentNode.className === 'import-sdk-preview-cell-invalid'
+            && firstRow.lastChild.textContent === 'Volume must be at least 0',
+            "Flagged cell highlighted with the row error",
+            `row=${firstRow.outerHTML}`);
+
+        volumeInput.value = '5';
+        volumeInput.dispatchEvent(new window.Event('input'));
+        check(firstRow.className === 'import-sdk-preview-row-valid' && volumeInput.parentNode.className === ''
+            && firstRow.lastChild.textContent === 'Ready to re-submit'
+            && !$('import-sdk-resubmit-btn').disabled && $('import-sdk-resubmit-btn').textContent === 'Re-submit corrected rows (1)',
+            "Edit validated live and row marked ready",
+            `row=${firstRow.outerHTML}`);
+
+        const resubmitted = new Promise(resolve => sdk.on('resubmitted', resolve));
+        $('import-sdk-resubmit-btn').click();
+        await resubmitted;
+        check($('import-sdk-success-count').textContent === '2' && $('import-sdk-error-count').textContent === '3'
+            && $('import-sdk-error-editor-summary').textContent === '3 failed row(s), 0 ready to re-submit',
+            "Stats and editor refreshed after the re-submit",
+            `success=${$('import-sdk-success-count').textContent} summary=${$('import-sdk-error-editor-summary').textContent}`);
+
+        sdk.startImport('check');
+        check($('import-sdk-error-editor').style.display === 'none', "Editor hidden while a new run is in progress",
+            `display=${$('import-sdk-error-editor').style.display}`);
+        await new Promise(resolve => sdk.on('complete', resolve));
+        window.close();
+    }
+
+    // Test 5: Rows rejected through the default send handler
+    console.log("\nTest 5: API responses of the default send handler");
+    {
+        // The API answers 422 with its own fields for T-9, as the mock backend does
+        const bodies = [];
+        const { fetch } = global;
+        global.fetch = async (url, options) => {
+            const { items } = JSON.parse(options.body);
+            bodies.push(items);
+            const results = items.map(row => row.tankNumber === 'T-9'
+                ? { error: true, errorMessage: 'tankNumber exists', tankNumber: 'T-9', id: null }
+                : { error: false, id: 1 });
+            return new Response(JSON.stringify({ items: results }), {
+                status: results.some(result => result.error) ? 422 : 201,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        };
+
+        try {
+            const engine = new ImportEngine({ ...editorConfig([]), sendHandler: null, apiEndpoint: 'http://api.test/import' });
+            engine.log = () => {};
+            engine.handleFileSelect(new File(['Tank ID;Volume;Status\nT-8;10;active\nT-9;20;archived\n'], 'tanks.csv'));
+            await runImport(engine);
+
+            const values = engine.errorRowValues(engine.state.errorRows[0]);
+            check(JSON.stringify(values) === JSON.stringify({ tankNumber: 'T-9', Volume: 20, Status: 'archived' })
+                && engine.state.errorRows[0]._error === 'tankNumber exists' && engine.state.errorRows[0]._csvLineNumber === 3,
+                "Error row holds the values sent, not the API response fields",
+                `errorRow=${JSON.stringify(engine.state.errorRows[0])}`);
+
+            engine.updateErrorRow(0, { tankNumber: 'T-10' });
+            const resubmitted = await engine.resubmitErrorRows();
+            check(resubmitted.success === 1
+                && JSON.stringify(bodies[bodies.length - 1]) === JSON.stringify([{ tankNumber: 'T-10', Volume: 20, Status: 'archived', _csvLineNumber: 3 }]),
+                "Re-submitted body holds the corrected row with all its columns",
+                `body=${JSON.stringify(bodies[bodies.length - 1])}`);
+        } finally {
+            global.fetch = fetch;
+        }
+    }
+
+    // Test 6: Default resultExport, then a check and an import of another file
+    console.log("\nTest 6: Default resultExport and new import");
+    {
+        const sent = [];
+        const { window, sdk } = createWidget(editorConfig(sent, { resultExport: undefined }));
+        await importFile(sdk, new window.File([csv], 'tanks.csv'));
+
+        const $ = (id) => window.document.getElementById(id);
+        check($('import-sdk-error-editor').style.display === 'block'
+            && $('import-sdk-error-editor-summary').textContent === '4 failed row(s), 0 ready to re-submit',
+            "Editor lists the failed rows without the errors export",
+            `summary=${$('import-sdk-error-editor-summary').textContent}`);
+
+        await runImport(sdk, 'check');
+        await importFile(sdk, new window.File(['Tank ID;Volume;Status\nT-7;-7;active\nT-8;8;active\n'], 'other.csv'));
+        check($('import-sdk-error-editor-summary').textContent === '1 failed row(s), 0 ready to re-submit'
+            && sdk.state.errorRows.map(row => row._csvLineNumber).join() === '2',
+            "Only the rows of the last import listed, none from the check or the previous file",
+            `errorRows=${JSON.stringify(sdk.state.errorRows)}`);
+        window.close();
+    }
+});
@@ -0,0 +1,160 @@
+// Shared fixtures of the tests run against ImportEngine (plain Node) and the widget (JSDOM)
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const Papa = require('papaparse');
+
+global.Papa = Papa;
+
+const sdkPath = path.resolve(__dirname, '../frontend/import-sdk.js');
+const { ImportEngine } = require(sdkPath);
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+/**
+ * Run the tests of a file, print the final verdict and exit with 0 when
+ * every check passed, 1 otherwise
+ * @param {string} title - Printed before the tests
+ * @param {function(function(boolean, string, string)): Promise<void>} tests - Receive check(condition, passMsg, failMsg)
+ */
+function runSuite(title, tests) {
+    console.log(`\n=== ${title} ===\n`);
+
+    let allPassed = true;
+    const check = (condition, passMsg, failMsg) => {
+        if (condition) {
+            console.log(`✅ PASS: ${passMsg}`);
+        } else {
+            console.log(`❌ FAIL: ${failMsg}`);
+            allPassed = false;
+        }
+    };
+
+    tests(check).then(() => {
+        console.log("\n===================");
+        if (allPassed) {
+            console.log("FINAL VERDICT: ALL TESTS PASSED ✅");
+            process.exit(0);
+        } else {
+            console.log("FINAL VERDICT: SOME TESTS FAILED ❌");
+            process.exit(1);
+        }
+    }).catch(e => {
+        console.error("Test Exception:", e);
+        process.exit(1);
+    });
+}
+
+/**
+ * Run an import or a check of the selected file
+ * @param {ImportEngine} engine - Engine or widget
+ * @param {string} [mode] - 'import' or 'check'
+ * @returns {Promise<Object>} - Completion stats
+ */
+function runImport(engine, mode = 'import') {
+    return new Promise(resolve => {
+        engine.on('complete', resolve);
+        engine.startImport(mode);
+    });
+}
+
+/**
+ * Select a file, then run an import or a check of it
+ * @param {ImportEngine} engine - Engine or widget
+ * @param {File|string} file - File, or CSV content selected as rows.csv
+ * @param {string} [mode] - 'import' or 'check'
+ * @returns {Promise<Object>} - Completion stats
+ */
+function importFile(engine, file, mode = 'import') {
+    engine.handleFileSelect(typeof file === 'string' ? new File([file], 'rows.csv') : file);
+    return runImport(engine, mode);
+}
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) {
+            crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function deflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Zip archive with deflated entries, as written by Excel
+ * @param {Object<string, string>} files - Entry name to text content
+ * @returns {Promise<Buffer>}
+ */
+async function buildZip(files) {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const [name, text] of Object.entries(files)) {
+        const nameBytes = Buffer.from(name);
+        const data = Buffer.from(text);
+        const compressed = await deflateRaw(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        parts.push(local, nameBytes, compressed);
+        directory.push(central, nameBytes);
+        offset += local.length + nameBytes.length + compressed.length;
+    }
+
+    const directorySize = directory.reduce((size, part) => size + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...parts, ...directory, end]);
+}
+
+/**
+ * Widget in a JSDOM window, with import-sdk.js and the given scripts loaded
+ * @param {Object} config - ImportSDK.init configuration
+ * @param {Array<string>} [scripts] - Other scripts to load, relative to the repository root
+ * @returns {{window: Object, sdk: Object}}
+ */
+function createWidget(config, scripts = []) {
+    const dom = new JSDOM(`<!DOCTYPE html><div id="container"></div>`, { url: "http://localhost/", runScripts: "dangerously" });
+    const { window } = dom;
+    window.Papa = Papa;
+    window.TextDecoder = TextDecoder;
+    window.TextEncoder = TextEncoder;
+    window.eval(fs.readFileSync(sdkPath, 'utf8'));
+    scripts.forEach(script => window.eval(fs.readFileSync(path.resolve(__dirname, '..', script), 'utf8')));
+
+    const sdk = window.ImportSDK.init(window.document.getElementById('container'), config);
+    return { window, sdk };
+}
+
+module.exports = { ImportEngine, delay, runSuite, runImport, importFile, buildZip, createWidget };
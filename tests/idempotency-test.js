@@ -0,0 +1,191 @@
+const http = require('http');
+const path = require('path');
+
+const { ImportEngine, runSuite, importFile } = require('./harness');
+
+const express = require(path.resolve(__dirname, '../backend/node_modules/express'));
+const { replayIdempotent, idempotentResponses } = require(path.resolve(__dirname, '../backend/server.js'));
+
+const csv = ['tankNumber', ...Array.from({ length: 20 }, (_, i) => `T-${i + 1}`)].join('\n');
+
+const listen = (server) => new Promise(resolve => server.listen(0, () => resolve(server.address().port)));
+
+// The idempotency middleware of the mock backend in front of a route committing the items.
+// failure(req, call) may make a call throw (error page) or answer 503 before committing anything.
+// A proxy records each request; those listed in `timeouts` get a 504 once the backend answered,
+// as when a proxy gives up waiting for a batch that was committed.
+async function startServer({ timeouts = [], failure = () => null } = {}) {
+    const requests = [];
+    const committed = [];
+    let calls = 0;
+
+    const app = express();
+    app.set('env', 'test'); // thrown errors answered without their stack
+    app.use(express.json());
+    app.post('/import', replayIdempotent, async (req, res) => {
+        const failed = failure(req, ++calls);
+        if (failed === 'throw') {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            throw new Error('database unavailable');
+        }
+        if (failed) {
+            return res.status(failed).json({ message: 'Try again later' });
+        }
+        const items = req.body.items;
+        committed.push(...items.map(row => row.tankNumber));
+        res.status(201).json({ items: items.map(() => ({ ok: true })) });
+    });
+    const backend = app.listen(0);
+    await new Promise(resolve => backend.once('listening', resolve));
+
+    const proxy = http.createServer((req, res) => {
+        const request = {
+            key: req.headers['idempotency-key'] || null,
+            importId: req.headers['x-import-id'] || null,
+            sessionId: req.headers['x-session-id'] || null
+        };
+        const number = requests.push(request);
+        const upstream = http.request({ port: backend.address().port, path: req.url, method: req.method, headers: req.headers }, (answer) => {
+            let body = '';
+            answer.on('data', chunk => body += chunk);
+            answer.on('end', () => {
+                request.status = answer.statusCode;
+                request.replayed = answer.headers['idempotent-replayed'] === 'true';
+                if (timeouts.includes(number)) {
+                    res.writeHead(504);
+                    res.end();
+                    return;
+                }
+                res.writeHead(answer.statusCode, { 'Content-Type': answer.headers['content-type'] });
+                res.end(body);
+            });
+        });
+        req.pipe(upstream);
+    });
+    const port = await listen(proxy);
+
+    return {
+        requests,
+        committed,
+        url: `http://localhost:${port}/import`,
+        close: () => {
+            proxy.close();
+            backend.close();
+            idempotentResponses.clear();
+        }
+    };
+}
+
+function runImport(config) {
+    const engine = new ImportEngine({
+        checkpoint: { enabled: false },
+        chunkSize: 5,
+        resultExport: ['errors'],
+        idempotency: { enabled: true },
+        ...config
+    });
+    engine.log = () => {};
+    return importFile(engine, new File([csv], 'tanks.csv')).then((stats) => ({ engine, stats }));
+}
+
+runSuite('Idempotency Tests', async (check) => {
+    // Test 1: Retry of a batch the server already committed
+    console.log("Test 1: Retried batches");
+    {
+        const { close, requests, committed, url } = await startServer({ timeouts: [2] });
+        const { engine, stats } = await runImport({
+            apiEndpoint: url,
+            metricsBackend: { sessionId: 'session-1' },
+            retry: { maxAttempts: 2, baseDelay: 1, jitter: false }
+        });
+
+        check(stats.successCount === 20 && requests.length === 5 && requests[2].key === requests[1].key
+            && requests[2].replayed && committed.length === 20 && new Set(committed).size === 20,
+            "Retry sent with the same key, stored response replayed, no row imported twice",
+            `success=${stats.successCount} committed=${committed.length} keys=${requests.map(request => request.key).join(' ')}`);
+        const id = engine.currentImportId;
+        check([`${id}:1:2-6`, `${id}:2:7-11`, `${id}:3:12-16`, `${id}:4:17-21`].every(key => requests.some(request => request.key === key))
+            && new Set(requests.map(request => request.key)).size === 4,
+            "One key per batch: import id, batch sequence and CSV line range",
+            `keys=${[...new Set(requests.map(request => request.key))].join(' ')}`);
+        check(requests.every(request => request.importId === id && request.sessionId === 'session-1'),
+            "X-Import-Id and X-Session-Id sent with every batch",
+            `headers=${JSON.stringify(requests.map(request => [request.importId, request.sessionId]))}`);
+        close();
+    }
+
+    // Test 2: retryFailed() after the import
+    console.log("\nTest 2: retryFailed()");
+    {
+        const { close, requests, committed, url } = await startServer({ timeouts: [1, 3] });
+        const { engine, stats } = await runImport({ apiEndpoint: url });
+        check(stats.errorCount === 10 && committed.length === 20,
+            "Batches answered 504 kept as failed rows",
+            `errors=${stats.errorCount} committed=${committed.length}`);
+
+        const result = await engine.retryFailed();
+        const retried = requests.slice(4);
+        check(result.success === 10 && retried.length === 2 && retried.every(request => request.replayed)
+            && retried[0].key === requests[0].key && retried[1].key === requests[2].key && committed.length === 20,
+            "Failed batches sent again under their keys, nothing imported twice",
+            `success=${result.success} retried=${JSON.stringify(retried)} committed=${committed.length}`);
+        close();
+    }
+
+    // Test 3: Custom send handlers and the default, disabled option
+    console.log("\nTest 3: Options");
+    {
+        const received = [];
+        await runImport({
+            sendHandler: async (batch, config, options) => {
+                received.push(options);
+                return { success: batch.length, errors: [] };
+            }
+        });
+        check(received.length === 4 && received.every(options => options.idempotencyKey
+            && options.headers['Idempotency-Key'] === options.idempotencyKey && options.headers['X-Session-Id']),
+            "Key and headers passed to custom send handlers",
+            `options=${JSON.stringify(received[0])}`);
+
+        const { close, requests, url } = await startServer();
+        const { stats } = await runImport({ apiEndpoint: url, idempotency: undefined });
+        check(stats.successCount === 20 && requests.every(request => !request.key && !request.importId && !request.sessionId),
+            "No headers unless idempotency is enabled",
+            `requests=${JSON.stringify(requests[0])}`);
+        close();
+    }
+
+    // Test 4: Responses the backend does not keep
+    console.log("\nTest 4: Failed responses");
+    {
+        // Second batch: the handler throws, then the backend answers 503 to the retry
+        const { close, requests, committed, url } = await startServer({
+            failure: (req, call) => ({ 2: 'throw', 3: 503 })[call] || null
+        });
+        const { stats } = await runImport({ apiEndpoint: url, retry: { maxAttempts: 3, baseDelay: 1, jitter: false } });
+        check(stats.successCount === 20 && requests.length === 6 && requests.slice(1, 4).every(request => request.key === requests[1].key)
+            && requests[1].status === 500 && requests[2].status === 503 && requests[3].status === 201 && !requests[3].replayed
+            && committed.length === 20 && idempotentResponses.size === 4,
+            "Error pages and 5xx answers not kept: the retry is imported, only committed batches are stored",
+            `requests=${JSON.stringify(requests)} committed=${committed.length} stored=${idempotentResponses.size}`);
+        close();
+
+        // Retries arriving while the first attempt is still processing wait for it: one of them
+        // is imported, the others get its response
+        const pending = await startServer({ failure: (req, call) => call === 1 ? 'throw' : null });
+        const send = () => fetch(pending.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'batch-1' },
+            body: JSON.stringify({ items: [{ tankNumber: 'T-1' }] }),
+            signal: AbortSignal.timeout(2000)
+        }).then(response => response.status, err => err.name);
+        const first = send();
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const statuses = await Promise.all([first, send(), send(), send()]);
+        check(statuses.join(',') === '500,201,201,201' && pending.requests.filter(request => request.replayed).length === 2
+            && pending.committed.join() === 'T-1',
+            "Key of a failed attempt released for one of the retries waiting on it, the others replayed",
+            `statuses=${statuses.join(',')} committed=${pending.committed.join()}`);
+        pending.close();
+    }
+});
@@ -0,0 +1,108 @@
+const { ImportEngine, runSuite, runImport } = require('./harness');
+
+const records = [
+    { 'Tank ID': 'T-1', volume: '100', status: 'active' },
+    { 'Tank ID': 'T-2', volume: '250', status: 'archived', meta: { note: 'braces } and ] in "strings"' } },
+    { 'Tank ID': 'T-3', volume: '-5', status: 'active' },
+    { 'Tank ID': 'T-4, "quoted"', volume: '75', status: 'active', tags: ['a', 'b'] }
+];
+
+// fieldMapping, transformers, validate and filters shared by all tests
+function buildConfig(config = {}) {
+    return {
+        chunkSize: 2,
+        resultExport: ['errors', 'success', 'filtered'],
+        checkpoint: { enabled: false },
+        fieldMapping: { 'Tank ID': 'tankNumber' },
+        transformers: { volume: (value) => Number(value) },
+        filters: { status: (value) => value !== 'archived' },
+        validate: (row) => row.volume < 0 ? { isValid: false, error: 'Negative volume' } : { isValid: true },
+        ...config
+    };
+}
+
+function importRows(content, name, config = {}, mode = 'import') {
+    const sent = [];
+    const engine = new ImportEngine(buildConfig({
+        sendHandler: async (batch) => {
+            sent.push(...batch);
+            return { success: batch.length, errors: [] };
+        },
+        ...config
+    }));
+    engine.log = () => {};
+    const accepted = engine.handleFileSelect(new File([content], name));
+
+    return new Promise(resolve => {
+        engine.on('complete', (stats) => resolve({ engine, stats, sent, accepted }));
+        engine.startImport(mode);
+    });
+}
+
+runSuite('JSON / NDJSON Input Tests', async (check) => {
+    // Test 1: NDJSON streamed line by line, split across slices
+    console.log("Test 1: NDJSON");
+    {
+        const ndjson = '\n' + records.map(record => JSON.stringify(record)).join('\r\n') + '\n\n{"Tank ID": "T-5", broken}\n[1, 2]\n';
+
+        for (const streamChunkSize of [7, 1024 * 1024]) {
+            const { engine, stats, sent, accepted } = await importRows(ndjson, 'tanks.ndjson', { streamChunkSize });
+
+            check(accepted && stats.successCount === 2 && stats.filteredCount === 1 && stats.errorCount === 3,
+                `Counters with ${streamChunkSize}-byte slices`,
+                `success=${stats.successCount} filtered=${stats.filteredCount} errors=${stats.errorCount}`);
+            check(sent.map(row => `${row.tankNumber}:${row.volume}:${row._csvLineNumber}`).join(',') === 'T-1:100:2,T-4, "quoted":75:5',
+                "Rows mapped, transformed and numbered by file line",
+                `sent=${JSON.stringify(sent)}`);
+            check(engine.state.errorRows.map(row => `${row._csvLineNumber}:${row._error}`).join('|')
+                .match(/^4:Negative volume\|7:Invalid JSON: .+\|8:Expected a JSON object$/),
+                "Invalid records reported with their line",
+                `errors=${JSON.stringify(engine.state.errorRows.map(row => [row._csvLineNumber, row._error]))}`);
+            check(engine.state.filteredRows[0]._csvLineNumber === 3 && engine.state.filteredRows[0].meta.note.includes('"strings"'),
+                "Filtered rows keep nested values",
+                `filtered=${JSON.stringify(engine.state.filteredRows)}`);
+        }
+    }
+
+    // Test 2: JSON array split into elements as slices arrive
+    console.log("\nTest 2: JSON array");
+    {
+        const json = JSON.stringify(records, null, 2);
+
+        for (const streamChunkSize of [1, 5, 1024 * 1024]) {
+            const { stats, sent, engine } = await importRows(json, 'tanks.json', { streamChunkSize });
+
+            check(stats.successCount === 2 && stats.filteredCount === 1 && stats.errorCount === 1
+                && sent.map(row => row._csvLineNumber).join(',') === '0,3'
+                && engine.state.errorRows[0]._csvLineNumber === 2,
+                `Elements numbered by array index with ${streamChunkSize}-byte slices`,
+                `success=${stats.successCount} filtered=${stats.filteredCount} errors=${stats.errorCount} lines=${sent.map(row => row._csvLineNumber)}`);
+            check(sent[1] && sent[1].tankNumber === 'T-4, "quoted"' && JSON.stringify(sent[1].tags) === '["a","b"]',
+                "Commas and brackets inside strings and nested values do not split elements",
+                `row=${JSON.stringify(sent[1])}`);
+        }
+    }
+
+    // Test 3: Check mode, column checks and malformed arrays
+    console.log("\nTest 3: Check mode and errors");
+    {
+        const { stats } = await importRows(JSON.stringify(records), 'tanks.json', { requiredColumns: ['Tank ID', 'capacity'] }, 'check');
+        check(stats.successCount === 2 && stats.errorCount === 2,
+            "Required columns checked against the first record",
+            `success=${stats.successCount} errors=${stats.errorCount}`);
+
+        const logs = [];
+        const engine = new ImportEngine(buildConfig());
+        engine.log = (message, type) => logs.push({ message, type });
+        engine.handleFileSelect(new File(['{"not": "an array"}'], 'object.json'));
+        await runImport(engine, 'check');
+        check(logs.some(entry => entry.type === 'error' && entry.message.includes('Expected a JSON array')),
+            "Top-level value other than an array is a parsing error",
+            `logs=${JSON.stringify(logs.filter(entry => entry.type === 'error'))}`);
+
+        const truncated = await importRows('[{"a": 1}, {"a": 2', 'truncated.json', {}, 'check');
+        check(truncated.stats.successCount === 1,
+            "Elements before a truncated end are kept",
+            `success=${truncated.stats.successCount}`);
+    }
+});
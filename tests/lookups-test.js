@@ -0,0 +1,178 @@
+const http = require('http');
+
+const { ImportEngine, runSuite, importFile, runImport } = require('./harness');
+
+const types = [
+    { id: 1, label: 'Bin 120L' },
+    { id: 2, label: 'Bin 240L' },
+    { id: 3, label: 'Container 660L' }
+];
+const categories = [
+    { code: 'HW', name: 'Household waste' },
+    { code: 'RC', name: 'Recycling' },
+    { code: 'GL', name: 'Glass' }
+];
+
+// Line 3 differs in case, line 4 is misspelt, line 5 is unknown, line 6 has no type
+const csv = [
+    'Tank;Type;Category',
+    'T-1;Bin 120L;Glass',
+    'T-2;bin 240l;recycling',
+    'T-3;Containr 660L;Recyclng',
+    'T-4;Tank 5000L;Glass',
+    'T-5;;Household waste'
+].join('\n');
+
+function importRows(config, mode = 'import', content = csv) {
+    const sent = [];
+    const engine = new ImportEngine({
+        checkpoint: { enabled: false },
+        resultExport: ['errors'],
+        fieldMapping: { Type: 'typeLabel', Category: 'categoryId' },
+        sendHandler: async (batch) => {
+            sent.push(...batch);
+            return { success: batch.length, errors: [] };
+        },
+        ...config
+    });
+    const logs = [];
+    engine.log = (message, type) => logs.push({ message, type });
+    return importFile(engine, new File([content], 'tanks.csv'), mode).then((stats) => ({
+        engine,
+        stats,
+        sent,
+        logs,
+        errors: Object.fromEntries(engine.state.errorRows.map(row => [row._csvLineNumber, row._error]))
+    }));
+}
+
+// Serves the types table, failing the first `failures` requests
+function startServer(failures = 0) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, authorization: req.headers.authorization });
+        if (requests.length <= failures) {
+            res.writeHead(503);
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ items: types }));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, () => resolve({ server, requests, url: `http://localhost:${server.address().port}/reference/types` }));
+    });
+}
+
+runSuite('Reference Lookup Tests', async (check) => {
+    // Test 1: Matching modes, target fields and candidates
+    console.log("Test 1: Inline tables");
+    {
+        const exact = await importRows({
+            lookups: {
+                typeLabel: { data: types, target: 'typeId' },
+                categoryId: { data: categories, valueKey: 'code', labelKey: 'name', match: 'caseInsensitive' }
+            }
+        });
+        check(JSON.stringify(exact.sent[0]) === JSON.stringify({ Tank: 'T-1', categoryId: 'GL', typeId: 1, _csvLineNumber: 2 })
+            && exact.sent.map(row => row._csvLineNumber).join(',') === '2,6' && !('typeLabel' in exact.sent[1]),
+            "Labels replaced by ids, in place or in a target field",
+            `sent=${JSON.stringify(exact.sent)}`);
+        check(exact.errors[3] === "typeLabel 'bin 240l' not found, closest: Bin 240L, Bin 120L, Container 660L"
+            && exact.errors[4] === "typeLabel 'Containr 660L' not found, closest: Container 660L, Bin 120L, Bin 240L"
+            && exact.engine.state.errorRows[0].typeLabel === 'bin 240l',
+            "Unresolved labels reported with the closest candidates, kept in the error row",
+            `errors=${JSON.stringify(exact.errors)}`);
+
+        const fuzzy = await importRows({
+            lookups: {
+                typeLabel: { data: types, target: 'typeId', match: 'fuzzy' },
+                categoryId: { data: categories, valueKey: 'code', labelKey: 'name', match: 'fuzzy' }
+            }
+        });
+        check(fuzzy.sent.map(row => `${row._csvLineNumber}:${row.typeId}:${row.categoryId}`).join(',') === '2:1:GL,3:2:RC,4:3:RC,6:undefined:HW'
+            && fuzzy.errors[5] === "typeLabel 'Tank 5000L' not found, closest: Container 660L, Bin 120L, Bin 240L",
+            "Fuzzy matching resolves case and spelling differences, not unrelated labels",
+            `sent=${JSON.stringify(fuzzy.sent)} errors=${JSON.stringify(fuzzy.errors)}`);
+
+        // Two labels as close as each other: no guess
+        const ambiguous = await importRows({
+            lookups: { typeLabel: { data: types, match: 'fuzzy' } }
+        }, 'check', 'Tank;Type\nT-1;Bin 1240L\nT-2;2\n');
+        check(ambiguous.errors[2] === "typeLabel 'Bin 1240L' not found, closest: Bin 120L, Bin 240L, Container 660L"
+            && ambiguous.stats.successCount === 1,
+            "Ties not resolved, values already holding an id kept",
+            `errors=${JSON.stringify(ambiguous.errors)}`);
+
+        let error = null;
+        try { new ImportEngine({ lookups: { typeLabel: { data: types, match: 'closest' } } }); } catch (err) { error = err.message; }
+        let sourceError = null;
+        try { new ImportEngine({ lookups: { typeLabel: { match: 'exact' } } }); } catch (err) { sourceError = err.message; }
+        check(error && error.includes('exact, caseInsensitive, fuzzy') && sourceError && sourceError.includes('data array or a url'),
+            "Invalid lookups rejected when the engine is created",
+            `match=${error} source=${sourceError}`);
+    }
+
+    // Test 2: Tables fetched once from an endpoint
+    console.log("\nTest 2: Remote tables");
+    {
+        const { server, requests, url } = await startServer();
+        const config = {
+            headers: { Authorization: 'Bearer token' },
+            lookups: { typeLabel: { url, target: 'typeId', match: 'caseInsensitive' } }
+        };
+        const first = await importRows(config, 'check');
+        const again = await runImport(first.engine);
+        check(requests.length === 1 && requests[0].authorization === 'Bearer token'
+            && first.stats.successCount === 3 && again.successCount === 3 && first.sent.length === 3,
+            "Table fetched once with the headers option, reused by the next import",
+            `requests=${JSON.stringify(requests)} success=${first.stats.successCount}/${again.successCount}`);
+        server.close();
+
+        const failing = await startServer(1);
+        const failed = await importRows({ lookups: { typeLabel: { url: failing.url } } }, 'check');
+        check(failed.errors[2] === 'Reference table for typeLabel could not be loaded: 503 Service Unavailable'
+            && failed.stats.successCount === 1
+            && failed.logs.some(entry => entry.type === 'error' && entry.message.includes('could not be loaded')),
+            "Values of a table that failed to load reported as errors",
+            `errors=${JSON.stringify(failed.errors)}`);
+
+        const retried = await runImport(failed.engine, 'check');
+        check(failing.requests.length === 2 && retried.errorCount === 3,
+            "Failed table fetched again by the next import",
+            `requests=${failing.requests.length} errors=${retried.errorCount}`);
+        failing.server.close();
+    }
+
+    // Test 3: Preview and error editor
+    console.log("\nTest 3: Preview and error editor");
+    {
+        const engine = new ImportEngine({
+            checkpoint: { enabled: false },
+            fieldMapping: { Type: 'typeLabel' },
+            lookups: { typeLabel: { data: types, target: 'typeId' } },
+            preview: { enabled: true }
+        });
+        engine.log = () => {};
+        const preview = await new Promise(resolve => {
+            engine.on('previewUpdated', resolve);
+            engine.handleFileSelect(new File([csv], 'tanks.csv'));
+        });
+        check(preview.rows[0].values.typeId === 1 && preview.rows[1].status === 'invalid'
+            && preview.rows[1].invalidFields.join() === 'typeLabel',
+            "Preview shows resolved ids and flags unresolved labels",
+            `rows=${JSON.stringify(preview.rows.slice(0, 2))}`);
+
+        const { engine: editor, sent } = await importRows({
+            lookups: { typeLabel: { data: types, target: 'typeId' } }
+        });
+        const invalid = editor.updateErrorRow(0, { typeLabel: 'Bin 24L' });
+        const fixed = editor.updateErrorRow(0, { typeLabel: 'Bin 240L' });
+        await editor.resubmitErrorRows();
+        check(!invalid.isValid && invalid.invalidFields.join() === 'typeLabel' && fixed.isValid
+            && sent[sent.length - 1].typeId === 2 && !('typeLabel' in sent[sent.length - 1]),
+            "Corrected labels resolved when error rows are re-submitted",
+            `invalid=${JSON.stringify(invalid)} sent=${JSON.stringify(sent[sent.length - 1])}`);
+    }
+});
@@ -0,0 +1,164 @@
+const path = require('path');
+const Papa = require('papaparse');
+
+global.Papa = Papa;
+
+const { ImportEngine } = require(path.resolve(__dirname, '../frontend/import-sdk.js'));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function buildCsv(rowCount) {
+    const lines = ['name,value'];
+    for (let i = 1; i <= rowCount; i++) {
+        lines.push(`row${i},${i}`);
+    }
+    return lines.join('\n');
+}
+
+// Send handler that takes `delay` ms per batch and honors the abort signal like fetch does
+function slowSendHandler(sentBatches, delay) {
+    return (batch, config, options = {}) => new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            const err = new Error('The operation was aborted');
+            err.name = 'AbortError';
+            reject(err);
+        };
+        const timer = setTimeout(() => {
+            if (options.signal) options.signal.removeEventListener('abort', onAbort);
+            sentBatches.push(batch);
+            resolve({ success: batch.length, errors: [] });
+        }, delay);
+
+        if (options.signal) {
+            options.signal.addEventListener('abort', onAbort);
+        }
+    });
+}
+
+async function runTests() {
+    console.log("\n=== Pause / Resume / Cancel Tests ===\n");
+
+    let allPassed = true;
+
+    // Test 1: pause stops sending, resume continues to completion
+    console.log("Test 1: pause() and resume()");
+    {
+        const sentBatches = [];
+        const engine = new ImportEngine({
+            chunkSize: 1,
+            sendHandler: slowSendHandler(sentBatches, 10)
+        });
+        engine.log = () => {};
+
+        engine.handleFileSelect(new File([buildCsv(20)], 'rows.csv'));
+        const done = new Promise(resolve => engine.on('complete', resolve));
+        engine.startImport('import');
+
+        await sleep(35);
+        engine.pause();
+        await sleep(30); // let the batch in flight settle
+        const sentWhenPaused = sentBatches.length;
+        await sleep(60);
+        const sentAfterWait = sentBatches.length;
+
+        if (engine.state.isPaused && sentAfterWait === sentWhenPaused && sentWhenPaused < 20) {
+            console.log(`✅ PASS: No batches sent while paused (${sentWhenPaused} sent)`);
+        } else {
+            console.log(`❌ FAIL: paused=${engine.state.isPaused}, sent ${sentWhenPaused} → ${sentAfterWait}`);
+            allPassed = false;
+        }
+
+        engine.resume();
+        const stats = await done;
+
+        if (!stats.cancelled && stats.successCount === 20) {
+            console.log("✅ PASS: Import completed after resume");
+        } else {
+            console.log(`❌ FAIL: Unexpected stats after resume ${JSON.stringify({ ...stats, logs: undefined, metrics: undefined })}`);
+            allPassed = false;
+        }
+    }
+
+    // Test 2: cancel aborts the in-flight request and produces a partial summary
+    console.log("\nTest 2: cancel() mid-import");
+    {
+        const sentBatches = [];
+        const engine = new ImportEngine({
+            chunkSize: 5,
+            sendHandler: slowSendHandler(sentBatches, 20)
+        });
+        engine.log = () => {};
+
+        engine.handleFileSelect(new File([buildCsv(50)], 'rows.csv'));
+        const done = new Promise(resolve => engine.on('complete', resolve));
+        engine.startImport('import');
+
+        await sleep(50);
+        engine.cancel();
+        const stats = await done;
+
+        if (stats.cancelled && stats.successCount > 0 && stats.successCount < 50) {
+            console.log(`✅ PASS: Partial summary (${stats.successCount} succeeded)`);
+        } else {
+            console.log(`❌ FAIL: Unexpected stats ${JSON.stringify({ ...stats, logs: undefined, metrics: undefined })}`);
+            allPassed = false;
+        }
+
+        if (stats.errorCount === 0 && stats.successCount + stats.unsentCount === 50) {
+            console.log(`✅ PASS: Aborted rows reported as unsent (${stats.unsentCount}), not as errors`);
+        } else {
+            console.log(`❌ FAIL: success=${stats.successCount} errors=${stats.errorCount} unsent=${stats.unsentCount}`);
+            allPassed = false;
+        }
+
+        if (!engine.state.isProcessing && sentBatches.length === stats.successCount / 5) {
+            console.log("✅ PASS: No batches sent after cancel");
+        } else {
+            console.log(`❌ FAIL: ${sentBatches.length} batches sent, processing=${engine.state.isProcessing}`);
+            allPassed = false;
+        }
+    }
+
+    // Test 3: cancel while paused
+    console.log("\nTest 3: cancel() while paused");
+    {
+        const sentBatches = [];
+        const engine = new ImportEngine({
+            chunkSize: 2,
+            sendHandler: slowSendHandler(sentBatches, 5)
+        });
+        engine.log = () => {};
+
+        engine.handleFileSelect(new File([buildCsv(20)], 'rows.csv'));
+        const done = new Promise(resolve => engine.on('complete', resolve));
+        engine.startImport('import');
+
+        await sleep(15);
+        engine.pause();
+        await sleep(20);
+        engine.cancel();
+        const stats = await done;
+
+        if (stats.cancelled && !engine.state.isPaused && stats.successCount < 20) {
+            console.log("✅ PASS: Paused import can be cancelled");
+        } else {
+            console.log(`❌ FAIL: cancelled=${stats.cancelled}, paused=${engine.state.isPaused}, success=${stats.successCount}`);
+            allPassed = false;
+        }
+    }
+
+    console.log("\n===================");
+    if (allPassed) {
+        console.log("FINAL VERDICT: ALL TESTS PASSED ✅");
+        process.exit(0);
+    } else {
+        console.log("FINAL VERDICT: SOME TESTS FAILED ❌");
+        process.exit(1);
+    }
+}
+
+runTests().catch(e => {
+    console.error("Test Exception:", e);
+    process.exit(1);
+});
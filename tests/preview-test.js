@@ -0,0 +1,132 @@
+const { ImportEngine, runSuite, createWidget } = require('./harness');
+
+const csv = [
+    'Tank;Volume;Status',
+    'T-1;100;active',
+    'T-2;-5;active',
+    'T-3;20;archived',
+    'T-1;30;active',
+    'T-5;abc;active',
+    'T-6;60;active',
+    'T-7;70;active'
+].join('\n');
+
+function previewConfig(config = {}) {
+    return {
+        checkpoint: { enabled: false },
+        fieldMapping: { 'Tank ID': 'tankNumber' },
+        filters: { Status: (value) => value !== 'archived' },
+        schema: {
+            properties: {
+                'Tank ID': { type: 'string', unique: true },
+                Volume: { type: 'number', minimum: 0 }
+            },
+            required: ['Tank ID']
+        },
+        preview: { enabled: true, rows: 5 },
+        ...config
+    };
+}
+
+function selectFile(engine, content, name = 'tanks.csv') {
+    return new Promise(resolve => {
+        engine.on('previewUpdated', resolve);
+        engine.handleFileSelect(new File([content], name));
+    });
+}
+
+runSuite('Preview Grid Tests', async (check) => {
+    // Test 1: First rows filtered, transformed and validated without counting
+    console.log("Test 1: Preview rows");
+    {
+        const engine = new ImportEngine(previewConfig({ columnMapping: { enabled: true } }));
+        engine.log = () => {};
+        const preview = await selectFile(engine, csv);
+
+        check(preview.rows.length === 5 && preview.rows.map(row => row.line).join(',') === '2,3,4,5,6',
+            "First preview.rows rows read, numbered by CSV line",
+            `lines=${preview.rows.map(row => row.line)}`);
+        check(preview.rows.map(row => row.status).join(',') === 'valid,invalid,filtered,invalid,invalid',
+            "Rows get a valid, invalid or filtered status",
+            `statuses=${preview.rows.map(row => row.status)}`);
+        check(preview.columns.join('|') === 'tankNumber|Volume|Status' && preview.rows[0].values.Volume === 100,
+            "Values shown after column mapping, coercion and field mapping",
+            `columns=${preview.columns} first=${JSON.stringify(preview.rows[0].values)}`);
+        check(preview.rows[1].invalidFields.join() === 'Volume' && preview.rows[1].error === 'Volume must be at least 0'
+            && preview.rows[3].invalidFields.join() === 'tankNumber' && preview.rows[3].error === 'Duplicate Tank ID: T-1'
+            && preview.rows[2].reason === 'Status=archived',
+            "Invalid cells and filter reasons reported",
+            `rows=${JSON.stringify(preview.rows.slice(1, 4))}`);
+        check(engine.state.totalCount === 0 && engine.state.errorCount === 0
+            && Object.keys(engine.schemaUniqueValues).length === 0,
+            "Preview leaves counters and unique values untouched",
+            `total=${engine.state.totalCount} unique=${JSON.stringify(Object.keys(engine.schemaUniqueValues))}`);
+
+        // Mapping change: Tank is now ignored
+        const updated = new Promise(resolve => engine.on('previewUpdated', resolve));
+        engine.setColumnMapping({ Tank: null });
+        const remapped = await updated;
+        check(remapped.columns.join('|') === 'Volume|Status' && remapped.rows[0].status === 'invalid'
+            && remapped.rows[0].error === 'Tank ID is required',
+            "Preview rebuilt when the column mapping changes",
+            `columns=${remapped.columns} first=${JSON.stringify(remapped.rows[0])}`);
+    }
+
+    // Test 2: JSON records and invalid records
+    console.log("\nTest 2: JSON preview");
+    {
+        const engine = new ImportEngine(previewConfig());
+        engine.log = () => {};
+        const ndjson = '{"Tank ID": "T-1", "Volume": 5}\nnot json\n{"Tank ID": "T-3", "Volume": -1}\n';
+        const preview = await selectFile(engine, ndjson, 'tanks.ndjson');
+
+        check(preview.rows.map(row => `${row.line}:${row.status}`).join(',') === '1:valid,2:invalid,3:invalid'
+            && preview.rows[1].error.startsWith('Invalid JSON') && preview.rows[1].values._raw === 'not json',
+            "Records previewed with their line, unparsable records shown as invalid",
+            `rows=${JSON.stringify(preview.rows)}`);
+    }
+
+    // Test 3: Paginated grid in the widget
+    console.log("\nTest 3: Widget grid");
+    {
+        const { window, sdk } = createWidget(previewConfig({
+            preview: { enabled: true, rows: 5, pageSize: 2 },
+            fieldMapping: { Tank: 'tankNumber' },
+            schema: { properties: { Volume: { type: 'number', minimum: 0 } } }
+        }));
+        await new Promise(resolve => {
+            sdk.on('previewUpdated', resolve);
+            sdk.handleFileSelect(new window.File([csv], 'tanks.csv'));
+        });
+
+        const $ = (id) => window.document.getElementById(id);
+        const bodyRows = () => [...$('import-sdk-preview-table').querySelectorAll('tr')].slice(1);
+
+        check($('import-sdk-preview').style.display === 'block' && bodyRows().length === 2
+            && $('import-sdk-preview-page').textContent === 'Page 1 of 3' && $('import-sdk-preview-prev').disabled,
+            "Grid shows the first page",
+            `rows=${bodyRows().length} page=${$('import-sdk-preview-page').textContent}`);
+
+        const invalidCell = bodyRows()[1].querySelector('.import-sdk-preview-cell-invalid');
+        check(bodyRows()[1].className === 'import-sdk-preview-row-invalid' && invalidCell
+            && invalidCell.textContent === '-5' && invalidCell.title === 'Volume must be at least 0',
+            "Invalid cell highlighted with the error",
+            `row=${bodyRows()[1].outerHTML}`);
+
+        $('import-sdk-preview-next').click();
+        const filteredRow = bodyRows()[0];
+        check($('import-sdk-preview-page').textContent === 'Page 2 of 3'
+            && filteredRow.className === 'import-sdk-preview-row-filtered'
+            && filteredRow.lastChild.textContent === 'Row filtered: Status=archived',
+            "Next page shows the filtered row greyed out with its reason",
+            `page=${$('import-sdk-preview-page').textContent} row=${filteredRow.outerHTML}`);
+        check($('import-sdk-preview-summary').textContent === 'First 5 row(s): 2 valid, 2 invalid, 1 filtered',
+            "Summary counts the previewed rows",
+            `summary=${$('import-sdk-preview-summary').textContent}`);
+
+        sdk.handleFileRemove();
+        check($('import-sdk-preview').style.display === 'none', "Grid hidden when the file is removed",
+            `display=${$('import-sdk-preview').style.display}`);
+        window.close();
+    }
+});
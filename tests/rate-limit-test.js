@@ -0,0 +1,92 @@
+const { ImportEngine, runSuite, importFile } = require('./harness');
+
+function rows(count) {
+    return ['name', ...Array.from({ length: count }, (_, i) => `row-${i + 1}`)].join('\n');
+}
+
+// The API answers at once: every delay comes from the rate limiter
+function createEngine(config) {
+    const requests = [];
+    const engine = new ImportEngine({
+        checkpoint: { enabled: false },
+        chunkSize: 1,
+        sendHandler: async (batch) => {
+            requests.push({ at: performance.now(), rows: batch.length });
+            return { success: batch.length, errors: [] };
+        },
+        ...config
+    });
+    engine.log = () => {};
+    return { engine, requests };
+}
+
+// Smallest time between two consecutive requests, in ms
+function minGap(requests) {
+    return Math.min(...requests.slice(1).map((request, i) => request.at - requests[i].at));
+}
+
+runSuite('Rate Limit Tests', async (check) => {
+    // Test 1: Requests per second, shared by batches sent in parallel
+    console.log("Test 1: Requests per second");
+    {
+        const { engine, requests } = createEngine({
+            concurrency: 3,
+            rateLimit: { requestsPerSecond: 10, burst: 0.1 }
+        });
+        const stats = await importFile(engine, rows(6));
+
+        check(stats.successCount === 6 && requests.length === 6 && minGap(requests) >= 90,
+            "Requests spaced by the quota, batches of a burst included",
+            `requests=${requests.length} minGap=${minGap(requests).toFixed(1)}ms`);
+        check(engine.metrics.rateLimitWaits === 5 && engine.metrics.rateLimitWaitTime >= 400
+            && engine.metrics.avgApiLatency < 50,
+            "Waiting time reported apart from the API latency",
+            `waits=${engine.metrics.rateLimitWaits} waitTime=${engine.metrics.rateLimitWaitTime.toFixed(0)} latency=${engine.metrics.avgApiLatency.toFixed(1)}`);
+
+        // The next import of the same instance finds the bucket empty
+        const started = performance.now();
+        await importFile(engine, rows(1));
+        check(requests[6].at - requests[5].at >= 90 && requests[6].at - started > 50,
+            "Quota shared by every import of the instance",
+            `gap=${(requests[6].at - requests[5].at).toFixed(1)}ms`);
+    }
+
+    // Test 2: Rows per second
+    console.log("\nTest 2: Rows per second");
+    {
+        const { engine, requests } = createEngine({
+            chunkSize: 10,
+            concurrency: 4,
+            rateLimit: { rowsPerSecond: 100, burst: 0.1 }
+        });
+        const started = performance.now();
+        await importFile(engine, rows(40));
+
+        check(requests.length === 4 && requests[0].at - started < 50 && minGap(requests) >= 90,
+            "First batch sent at once, next ones once their rows fit in the quota",
+            `first=${(requests[0].at - started).toFixed(1)}ms minGap=${minGap(requests).toFixed(1)}ms`);
+    }
+
+    // Test 3: Limits per endpoint
+    console.log("\nTest 3: Endpoints");
+    {
+        const rateLimit = {
+            requestsPerSecond: 1000,
+            endpoints: { 'https://api.example.com/slow': { requestsPerSecond: 10, burst: 0.1 } }
+        };
+        const slow = createEngine({ apiEndpoint: 'https://api.example.com/slow', rateLimit });
+        await importFile(slow.engine, rows(3));
+        const fast = createEngine({ apiEndpoint: 'https://api.example.com/fast', rateLimit });
+        await importFile(fast.engine, rows(3));
+
+        check(minGap(slow.requests) >= 90 && fast.engine.metrics.rateLimitWaits === 0,
+            "Endpoint limits override the defaults",
+            `slowGap=${minGap(slow.requests).toFixed(1)}ms fastWaits=${fast.engine.metrics.rateLimitWaits}`);
+
+        const free = createEngine({});
+        await importFile(free.engine, rows(3));
+        check(free.engine.metrics.rateLimitWaits === 0 && free.engine.metrics.rateLimitWaitTime === 0,
+            "No waiting without rateLimit",
+            `waits=${free.engine.metrics.rateLimitWaits}`);
+    }
+});
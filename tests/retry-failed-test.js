@@ -0,0 +1,193 @@
+const http = require('http');
+
+const { ImportEngine, runSuite, createWidget, runImport, importFile } = require('./harness');
+
+// Line 4 (c) is invalid, 5 valid rows in batches of 2
+const csvContent = `name,value
+a,1
+b,2
+c,-3
+d,4
+e,5
+f,6`;
+
+function engineConfig(config) {
+    return {
+        chunkSize: 2,
+        checkpoint: { enabled: false },
+        resultExport: ['errors', 'success'],
+        validate: (row) => Number(row.value) > 0 ? { isValid: true } : { isValid: false, error: 'value must be positive' },
+        ...config
+    };
+}
+
+
+// Answers each request with the next scripted status (200 once the script runs out)
+function startServer(script) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            requests.push(JSON.parse(body));
+            const status = script.shift() || 200;
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(status === 200 ? JSON.stringify({}) : '<html>Bad Gateway</html>');
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, () => resolve({ server, requests, url: `http://localhost:${server.address().port}/import` }));
+    });
+}
+
+runSuite('Retry Failed Rows Tests', async (check) => {
+    // Test 1: Rows of a batch lost to a network error are sent again
+    console.log("Test 1: Network errors");
+    {
+        const sent = [];
+        let apiDown = true;
+        const engine = new ImportEngine(engineConfig({
+            sendHandler: async (batch) => {
+                if (apiDown && batch[0].name === 'd') throw new TypeError('fetch failed');
+                sent.push(...batch);
+                return { success: batch.length, errors: [] };
+            }
+        }));
+        engine.log = () => {};
+        engine.handleFileSelect(new File([csvContent], 'rows.csv'));
+        const stats = await runImport(engine);
+
+        const failed = engine.getFailedRows();
+        check(stats.successCount === 3 && stats.errorCount === 3
+            && failed.map(row => `${row._csvLineNumber}:${row.name}:${row._errorType}`).join(',') === '5:d:network,6:e:network',
+            "Rows of the failed batch kept with their line and a network error type",
+            `success=${stats.successCount} errors=${stats.errorCount} failed=${JSON.stringify(failed)}`);
+
+        apiDown = false;
+        const retried = [];
+        engine.on('retried', (result) => retried.push(result));
+        const result = await engine.retryFailed();
+
+        check(JSON.stringify(sent.slice(3)) === JSON.stringify([
+            { name: 'd', value: '4', _csvLineNumber: 5 },
+            { name: 'e', value: '5', _csvLineNumber: 6 }
+        ]), "Only the failed rows sent again, with their original line",
+            `sent=${JSON.stringify(sent.slice(3))}`);
+        check(result.sent === 2 && result.success === 2 && engine.state.successCount === 5
+            && engine.state.errorCount === 1 && engine.state.totalCount === 6 && retried.length === 1,
+            "Result merged into the counters of the import",
+            `result=${JSON.stringify(result)}`);
+        check(engine.state.errorRows.length === 1 && engine.state.errorRows[0]._errorType === 'client-validation'
+            && engine.state.successRows.length === 5,
+            "Client validation errors left alone",
+            `errorRows=${JSON.stringify(engine.state.errorRows)}`);
+        check(await engine.retryFailed() === null, "Nothing sent when no row failed to send", "Retry sent rows");
+    }
+
+    // Test 2: HTTP errors from the default handler, failing again
+    console.log("\nTest 2: HTTP errors");
+    {
+        const { server, requests, url } = await startServer([200, 502, 200, 503]);
+        const engine = new ImportEngine(engineConfig({ apiEndpoint: url }));
+        engine.log = () => {};
+        engine.handleFileSelect(new File([csvContent], 'rows.csv'));
+        await runImport(engine);
+
+        check(engine.getFailedRows().map(row => `${row._csvLineNumber}:${row._errorType}`).join(',') === '5:server-error,6:server-error'
+            && engine.getFailedRows()[0]._error === 'Server error: 502 Bad Gateway',
+            "Rows of a batch refused with a 5xx kept as server errors",
+            `errorRows=${JSON.stringify(engine.state.errorRows)}`);
+
+        const again = await engine.retryFailed();
+        check(again.errors === 2 && engine.getFailedRows().length === 2 && engine.state.errorCount === 3
+            && engine.state.totalCount === 6 && requests[3].items[0]._csvLineNumber === 5,
+            "Rows failing again stay retryable, counters unchanged",
+            `result=${JSON.stringify(again)} errors=${engine.state.errorCount}`);
+
+        const last = await engine.retryFailed();
+        check(last.success === 2 && engine.state.successCount === 5 && engine.state.errorCount === 1 && requests.length === 5,
+            "Retried until the API accepts them",
+            `result=${JSON.stringify(last)} requests=${requests.length}`);
+        server.close();
+    }
+
+    // Test 3: Validation errors from the API are not retried
+    console.log("\nTest 3: API validation errors");
+    {
+        const engine = new ImportEngine(engineConfig({
+            sendHandler: async (batch) => ({
+                success: batch.length - 1,
+                errors: [{ message: 'Duplicate name', data: batch[batch.length - 1] }]
+            })
+        }));
+        engine.log = () => {};
+        engine.handleFileSelect(new File([csvContent], 'rows.csv'));
+        await runImport(engine);
+
+        check(engine.getFailedRows().length === 0 && engine.state.errorRows.every(row => row._errorType !== 'network')
+            && await engine.retryFailed() === null,
+            "Rows rejected by the API are not retryable",
+            `errorRows=${JSON.stringify(engine.state.errorRows)}`);
+    }
+
+    // Test 4: Retry button in the widget
+    console.log("\nTest 4: Widget");
+    {
+        let apiDown = true;
+        const { window, sdk } = createWidget(engineConfig({
+            sendHandler: async (batch) => {
+                if (apiDown) throw new TypeError('fetch failed');
+                return { success: batch.length, errors: [] };
+            }
+        }));
+        sdk.handleFileSelect(new window.File([csvContent], 'rows.csv'));
+        await runImport(sdk);
+
+        const $ = (id) => window.document.getElementById(id);
+        check($('import-sdk-retry-failed-btn').style.display === 'inline-block'
+            && $('import-sdk-retry-failed-btn').textContent === 'Retry failed rows (5)',
+            "Button shown with the number of rows that could not be sent",
+            `button=${$('import-sdk-retry-failed-btn').outerHTML}`);
+
+        apiDown = false;
+        const retried = new Promise(resolve => sdk.on('retried', resolve));
+        $('import-sdk-retry-failed-btn').click();
+        await retried;
+        check($('import-sdk-retry-failed-btn').style.display === 'none'
+            && $('import-sdk-success-count').textContent === '5' && $('import-sdk-error-count').textContent === '1',
+            "Stats updated and button hidden once every row was sent",
+            `success=${$('import-sdk-success-count').textContent} errors=${$('import-sdk-error-count').textContent}`);
+        window.close();
+    }
+
+    // Test 5: Default config, then an import of another file
+    console.log("\nTest 5: Default resultExport and new import");
+    {
+        const sent = [];
+        let apiDown = true;
+        const engine = new ImportEngine(engineConfig({
+            resultExport: undefined, // default: no export
+            sendHandler: async (batch) => {
+                if (apiDown && batch[0].name === 'd') throw new TypeError('fetch failed');
+                sent.push(...batch);
+                return { success: batch.length, errors: [] };
+            }
+        }));
+        engine.log = () => {};
+        await importFile(engine, csvContent);
+
+        check(engine.getFailedRows().map(row => row._csvLineNumber).join(',') === '5,6'
+            && engine.state.errorRows.length === 2 && engine.state.successRows.length === 0,
+            "Rows lost to the network kept for retryFailed() without the errors export",
+            `errorRows=${JSON.stringify(engine.state.errorRows)}`);
+
+        apiDown = false;
+        await importFile(engine, 'name,value\nz,9');
+
+        check(engine.state.errorRows.length === 0 && await engine.retryFailed() === null
+            && sent.map(row => row.name).join(',') === 'a,b,f,z',
+            "Failed rows of the previous file dropped when another import starts",
+            `sent=${sent.map(row => row.name).join(',')} errorRows=${JSON.stringify(engine.state.errorRows)}`);
+    }
+});
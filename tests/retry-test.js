@@ -0,0 +1,154 @@
+const http = require('http');
+
+const { ImportEngine, runSuite, createWidget, importFile } = require('./harness');
+
+const csvContent = `name,value
+a,1
+b,2
+c,3
+d,4`;
+
+// Answers each request with the next scripted status (200 once the script runs out)
+function startServer(script) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            requests.push(JSON.parse(body));
+            const step = script.shift() || { status: 200 };
+            const headers = { 'Content-Type': 'application/json', ...(step.headers || {}) };
+            res.writeHead(step.status, headers);
+            res.end(step.status === 200 ? JSON.stringify({}) : '<html>Service Unavailable</html>');
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, () => resolve({ server, requests, url: `http://localhost:${server.address().port}/import` }));
+    });
+}
+
+function runImport(config) {
+    const engine = new ImportEngine(config);
+    engine.log = () => {};
+    return importFile(engine, new File([csvContent], 'rows.csv')).then((stats) => ({ engine, stats }));
+}
+
+runSuite('Retry Tests', async (check) => {
+    // Test 1: 503 and 429 are retried, Retry-After is honored
+    console.log("Test 1: Retry transient HTTP statuses");
+    {
+        const { server, requests, url } = await startServer([
+            { status: 503 },
+            { status: 429, headers: { 'Retry-After': '0' } }
+        ]);
+
+        const { engine, stats } = await runImport({
+            apiEndpoint: url,
+            chunkSize: 10,
+            retry: { maxAttempts: 3, baseDelay: 5 }
+        });
+        server.close();
+
+        check(stats.successCount === 4 && stats.errorCount === 0,
+            "Batch succeeded on third attempt",
+            `success=${stats.successCount} errors=${stats.errorCount}`);
+        check(requests.length === 3 && engine.metrics.apiRetries === 2,
+            "Two retries counted in metrics.apiRetries",
+            `requests=${requests.length} apiRetries=${engine.metrics.apiRetries}`);
+        check(engine.metrics.apiFailures === 2,
+            "Failed attempts counted in metrics.apiFailures",
+            `apiFailures=${engine.metrics.apiFailures}`);
+    }
+
+    // Test 2: Non-retryable status is not retried
+    console.log("\nTest 2: Non-retryable status");
+    {
+        const { server, requests, url } = await startServer([{ status: 400 }]);
+
+        const { engine, stats } = await runImport({
+            apiEndpoint: url,
+            chunkSize: 10,
+            retry: { maxAttempts: 3, baseDelay: 5 }
+        });
+        server.close();
+
+        check(requests.length === 1 && engine.metrics.apiRetries === 0 && stats.errorCount === 4,
+            "400 recorded as errors without retry",
+            `requests=${requests.length} apiRetries=${engine.metrics.apiRetries} errors=${stats.errorCount}`);
+    }
+
+    // Test 3: Network errors are retried until maxAttempts, then rows become errors
+    console.log("\nTest 3: Network errors exhaust maxAttempts");
+    {
+        let calls = 0;
+        const { engine, stats } = await runImport({
+            chunkSize: 10,
+            retry: { maxAttempts: 3, baseDelay: 1, jitter: false },
+            sendHandler: async () => {
+                calls++;
+                throw new TypeError('fetch failed');
+            }
+        });
+
+        check(calls === 3 && engine.metrics.apiRetries === 2,
+            "Handler called maxAttempts times",
+            `calls=${calls} apiRetries=${engine.metrics.apiRetries}`);
+        check(stats.errorCount === 4 && stats.successCount === 0,
+            "Rows recorded as errors after the last attempt",
+            `success=${stats.successCount} errors=${stats.errorCount}`);
+    }
+
+    // Test 4: Retries are disabled by default
+    console.log("\nTest 4: Default policy does not retry");
+    {
+        let calls = 0;
+        await runImport({
+            chunkSize: 10,
+            sendHandler: async () => {
+                calls++;
+                throw new TypeError('fetch failed');
+            }
+        });
+
+        check(calls === 1, "Single attempt without retry config", `calls=${calls}`);
+    }
+
+    // Test 5: Backoff delay computation
+    console.log("\nTest 5: Backoff and Retry-After");
+    {
+        const engine = new ImportEngine({
+            retry: { maxAttempts: 5, baseDelay: 100, maxDelay: 1000, jitter: false }
+        });
+        const delays = [1, 2, 3, 4].map(attempt => engine.getRetryDelay(attempt, { status: 503 }));
+        const retryAfterDelay = engine.getRetryDelay(1, { status: 429, retryAfter: '0.5' });
+
+        check(delays.join(',') === '100,200,400,800',
+            "Exponential backoff doubles the delay",
+            `delays=${delays.join(',')}`);
+        check(retryAfterDelay === 500,
+            "Retry-After overrides a shorter backoff",
+            `delay=${retryAfterDelay}`);
+        check(engine.getRetryDelay(5, { status: 503 }) === null,
+            "No retry after maxAttempts",
+            "Expected null after the last attempt");
+    }
+
+    // Test 6: Import orchestrator plugin leaves the core policy alone unless autoRetry is set
+    console.log("\nTest 6: Orchestrator autoRetry");
+    {
+        const { window, sdk } = createWidget({ checkpoint: { enabled: false } },
+            ['frontend/import-sdk-plugins.js', 'frontend/import-sdk-v2-plugins.js']);
+
+        check(sdk.config.retry.maxAttempts === 1,
+            "Loading the orchestrator keeps the single attempt default",
+            `maxAttempts=${sdk.config.retry.maxAttempts}`);
+
+        window.ImportSDKPlugins.configure('importOrchestrator', { autoRetry: true, maxRetries: 2, retryDelay: 10 });
+        const retrying = window.ImportSDK.init(window.document.getElementById('container'), { checkpoint: { enabled: false } });
+
+        check(retrying.config.retry.maxAttempts === 3 && retrying.config.retry.baseDelay === 10,
+            "autoRetry set in the plugin config maps onto the core retry policy",
+            `retry=${JSON.stringify(retrying.config.retry)}`);
+    }
+});
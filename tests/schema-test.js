@@ -0,0 +1,143 @@
+const { ImportEngine, runSuite, importFile, runImport } = require('./harness');
+
+// Stored as JSON, as a server would send it
+const schema = JSON.parse(JSON.stringify({
+    properties: {
+        'Tank ID': { type: 'string', pattern: '^T-\\d+$', unique: true },
+        Volume: { type: 'number', minimum: 0, maximum: 1000 },
+        Sensors: { type: 'integer' },
+        Status: { enum: ['active', 'archived'] },
+        Contact: { type: 'string', format: 'email', maxLength: 20 },
+        Installed: { type: 'string', format: 'date' },
+        Enabled: { type: 'boolean' }
+    },
+    required: ['Tank ID', 'Volume', 'Status'],
+    additionalProperties: false
+}));
+
+function importRows(content, config = {}, mode = 'import') {
+    const sent = [];
+    const engine = new ImportEngine({
+        checkpoint: { enabled: false },
+        resultExport: ['errors'],
+        fieldMapping: { 'Tank ID': 'tankNumber' },
+        schema,
+        sendHandler: async (batch) => {
+            sent.push(...batch);
+            return { success: batch.length, errors: [] };
+        },
+        ...config
+    });
+    const logs = [];
+    engine.log = (message, type) => logs.push({ message, type });
+    return importFile(engine, new File([content], 'tanks.csv'), mode).then((stats) => ({
+        engine,
+        stats,
+        sent,
+        logs,
+        errors: Object.fromEntries(engine.state.errorRows.map(row => [row._csvLineNumber, row._error]))
+    }));
+}
+
+runSuite('Import Schema Tests', async (check) => {
+    const csv = [
+        'Tank ID;Volume;Sensors;Status;Contact;Installed;Enabled',
+        'T-1;12,5;3;active;ops@example.com;2024-02-29;yes',
+        'T-2; 40 ;;archived;;;0',
+        'X-3;10;1;active;;;',
+        'T-4;-1;1;active;;;',
+        'T-5;abc;1;active;;;',
+        'T-6;10;1.5;active;;;',
+        'T-7;10;1;lost;;;',
+        'T-8;10;1;active;not-an-email;;',
+        'T-9;10;1;active;;2024-02-30;',
+        'T-1;10;1;active;;;',
+        'T-11;;1;active;;;',
+        'T-12;10;1;active;;;maybe',
+        'T-13;10;1;active;a.very.long.name@example.com;;'
+    ].join('\n');
+
+    // Test 1: Coercions and rule messages
+    console.log("Test 1: Coercions and rules");
+    {
+        const { stats, sent, errors } = await importRows(csv);
+
+        check(stats.successCount === 2 && stats.errorCount === 11,
+            "Valid rows imported, each broken rule counted",
+            `success=${stats.successCount} errors=${stats.errorCount}`);
+        check(JSON.stringify(sent[0]) === JSON.stringify({
+            tankNumber: 'T-1', Volume: 12.5, Sensors: 3, Status: 'active', Contact: 'ops@example.com',
+            Installed: '2024-02-29', Enabled: true, _csvLineNumber: 2
+        }) && sent[1].Volume === 40 && sent[1].Enabled === false,
+            "Numbers (decimal comma, spaces) and booleans coerced, field mapping applied",
+            `sent=${JSON.stringify(sent)}`);
+
+        const expected = {
+            4: 'Tank ID does not match the expected pattern',
+            5: 'Volume must be at least 0',
+            6: 'Volume must be a number',
+            7: 'Sensors must be an integer',
+            8: 'Status must be one of: active, archived',
+            9: 'Contact must be a valid email',
+            10: 'Installed must be a valid date',
+            11: 'Duplicate Tank ID: T-1',
+            12: 'Volume is required',
+            13: 'Enabled must be a boolean',
+            14: 'Contact must have at most 20 characters'
+        };
+        const mismatches = Object.entries(expected).filter(([line, message]) => errors[line] !== message);
+        check(mismatches.length === 0,
+            "Each rule reports its own message",
+            `mismatches=${JSON.stringify(mismatches.map(([line, message]) => ({ line, expected: message, got: errors[line] })))}`);
+    }
+
+    // Test 2: Column checks compiled from required and additionalProperties
+    console.log("\nTest 2: Column checks");
+    {
+        const { stats, logs } = await importRows('Tank ID;Status;Notes\nT-1;active;x\n', {}, 'check');
+        const columnErrors = logs.filter(entry => entry.type === 'error').map(entry => entry.message);
+
+        check(columnErrors.includes('Missing required columns: Volume') && columnErrors.includes('Unknown columns found: Notes'),
+            "Required and unknown columns reported",
+            `errors=${JSON.stringify(columnErrors)}`);
+        check(stats.errorCount === 3,
+            "Missing value reported on the row as well",
+            `errors=${stats.errorCount}`);
+
+        const engine = new ImportEngine({
+            checkpoint: { enabled: false },
+            requiredColumns: ['Site'],
+            schema: { properties: { Volume: { type: 'number' } }, required: ['Tank ID'] }
+        });
+        check(engine.config.requiredColumns.join('|') === 'Site|Tank ID' && engine.config.allowedColumns.length === 0
+            && engine.getTargetColumns().join('|') === 'Site|Tank ID|Volume',
+            "Schema columns merged with requiredColumns and offered as mapping targets",
+            `required=${engine.config.requiredColumns} allowed=${engine.config.allowedColumns} targets=${engine.getTargetColumns()}`);
+    }
+
+    // Test 3: collectAllErrors, custom validate and invalid schemas
+    console.log("\nTest 3: Combined validation");
+    {
+        const { errors } = await importRows('Tank ID;Volume;Status\nX-1;-5;active\n', {
+            collectAllErrors: true,
+            validate: (row) => row.Volume > 100 ? { isValid: true } : { isValid: false, error: 'Volume too small' }
+        }, 'check');
+        check(errors[2] === 'Tank ID does not match the expected pattern; Volume must be at least 0; Volume too small',
+            "Schema errors collected before validate errors",
+            `error=${errors[2]}`);
+
+        const { engine, stats } = await importRows('Tank ID;Volume;Status\nT-1;5;active\nT-1;6;active\n', {}, 'check');
+        const again = await runImport(engine, 'check');
+        check(stats.errorCount === 1 && again.errorCount === 1,
+            "Unique values tracked per import",
+            `first=${stats.errorCount} second=${again.errorCount}`);
+
+        let typeError = null;
+        let formatError = null;
+        try { new ImportEngine({ schema: { properties: { a: { type: 'float' } } } }); } catch (err) { typeError = err.message; }
+        try { new ImportEngine({ schema: { properties: { a: { format: 'phone' } } } }); } catch (err) { formatError = err.message; }
+        check(typeError && typeError.includes("'a'") && formatError && formatError.includes('email'),
+            "Unknown types and formats rejected when the engine is created",
+            `type=${typeError} format=${formatError}`);
+    }
+});
@@ -0,0 +1,207 @@
+const v8 = require('v8');
+const vm = require('vm');
+const Papa = require('papaparse');
+
+const { ImportEngine, runSuite, importFile, runImport } = require('./harness');
+
+// BOM, CRLF line endings, ';' delimiter, padded/quoted headers, empty lines,
+// multi-byte characters and a quoted field spanning two lines
+const messyCsv = '\uFEFF "Name" ; Age ;City\r\n' +
+    'Zoé;31;Montréal\r\n' +
+    '\r\n' +
+    '日本語;42;東京\r\n' +
+    '"Multi\r\nline";7;"Saint-Étienne; Loire"\r\n' +
+    '   \r\n' +
+    'Ana\u200B;25;Lisboa';
+
+function importRows(content, config = {}) {
+    const engine = new ImportEngine({ chunkSize: 1000, ...config });
+    const reads = [];
+    const readSlice = engine.readFileAsArrayBuffer.bind(engine);
+    engine.readFileAsArrayBuffer = (blob) => {
+        reads.push(blob.size);
+        return readSlice(blob);
+    };
+    engine.log = () => {};
+    return importFile(engine, new File([content], 'data.csv'), 'check').then((stats) => ({ engine, stats, reads }));
+}
+
+runSuite('Streaming Parse Tests', async (check) => {
+    // Reference: the whole-file normalizeCSV path
+    const reference = new ImportEngine({});
+    const normalized = reference.normalizeCSV(messyCsv);
+    const expectedRows = Papa.parse(normalized.content, {
+        header: true,
+        skipEmptyLines: true,
+        delimiter: normalized.delimiter
+    }).data;
+
+    // Test 1: Streamed rows match the whole-file normalization for any slice size
+    console.log("Test 1: Incremental normalization across slice boundaries");
+    for (const streamChunkSize of [1, 3, 7, 16, 1024 * 1024]) {
+        const { engine, stats, reads } = await importRows(messyCsv, { streamChunkSize });
+        const rows = engine.state.successRows.map(({ _csvLineNumber, ...row }) => row);
+
+        check(JSON.stringify(rows) === JSON.stringify(expectedRows) && stats.successCount === 4,
+            `${reads.length} slice(s) of ${streamChunkSize} bytes parse like the whole file`,
+            `streamChunkSize=${streamChunkSize} rows=${JSON.stringify(rows)} expected=${JSON.stringify(expectedRows)}`);
+    }
+
+    // Test 2: First-chunk normalization
+    console.log("\nTest 2: BOM, delimiter and header on the first chunk");
+    {
+        const { engine } = await importRows(messyCsv, { streamChunkSize: 5 });
+        const issues = engine.metrics.normalizationIssues || [];
+        const firstRow = engine.state.successRows[0];
+
+        check(firstRow && Object.keys(firstRow).slice(0, 3).join('|') === 'Name|Age|City',
+            "Header sanitized and BOM removed",
+            `keys=${firstRow && Object.keys(firstRow)}`);
+        check(issues.includes("Auto-detected delimiter: ';'") && issues.includes('Normalized line endings to LF')
+            && issues.includes('Removed 2 empty lines'),
+            "Normalization issues reported",
+            `issues=${JSON.stringify(issues)}`);
+        check(engine.state.successRows.map(row => row._csvLineNumber).join(',') === '2,3,4,5',
+            "CSV line numbers ignore stripped empty lines",
+            `lines=${engine.state.successRows.map(row => row._csvLineNumber)}`);
+    }
+
+    // Test 3: The file is read progressively, not up front
+    console.log("\nTest 3: Backpressure between reading and sending");
+    {
+        const lines = ['id,value'];
+        for (let i = 1; i <= 2000; i++) lines.push(`${i},value-${i}`);
+        const content = lines.join('\n');
+
+        let readsBeforeFirstBatch = null;
+        const reads = [];
+        const engine = new ImportEngine({
+            chunkSize: 100,
+            streamChunkSize: 2048,
+            sendHandler: async (batch) => {
+                if (readsBeforeFirstBatch === null) readsBeforeFirstBatch = reads.length;
+                return { success: batch.length, errors: [] };
+            }
+        });
+        const readSlice = engine.readFileAsArrayBuffer.bind(engine);
+        engine.readFileAsArrayBuffer = (blob) => {
+            reads.push(blob.size);
+            return readSlice(blob);
+        };
+        engine.log = () => {};
+        engine.handleFileSelect(new File([content], 'big.csv'));
+
+        const stats = await runImport(engine);
+
+        check(stats.successCount === 2000 && stats.errorCount === 0,
+            "All rows imported",
+            `success=${stats.successCount} errors=${stats.errorCount}`);
+        check(reads.length > 1 && readsBeforeFirstBatch < reads.length && Math.max(...reads) <= 2048,
+            `First batch sent after ${readsBeforeFirstBatch} of ${reads.length} slices`,
+            `reads=${reads.length} readsBeforeFirstBatch=${readsBeforeFirstBatch}`);
+    }
+
+    // Test 4: Cancel stops reading the file
+    console.log("\nTest 4: Cancel mid-stream");
+    {
+        const lines = ['id'];
+        for (let i = 1; i <= 5000; i++) lines.push(String(i));
+        const content = lines.join('\n');
+
+        const reads = [];
+        const engine = new ImportEngine({
+            chunkSize: 50,
+            streamChunkSize: 512,
+            sendHandler: async (batch) => {
+                await new Promise(resolve => setTimeout(resolve, 2));
+                return { success: batch.length, errors: [] };
+            }
+        });
+        const readSlice = engine.readFileAsArrayBuffer.bind(engine);
+        engine.readFileAsArrayBuffer = (blob) => {
+            reads.push(blob.size);
+            return readSlice(blob);
+        };
+        engine.log = () => {};
+        engine.handleFileSelect(new File([content], 'big.csv'));
+
+        const stats = await new Promise(resolve => {
+            engine.on('complete', resolve);
+            engine.startImport('import');
+            setTimeout(() => engine.cancel(), 30);
+        });
+        const totalSlices = Math.ceil(content.length / 512);
+
+        check(stats.cancelled && reads.length < totalSlices && !engine.state.isProcessing,
+            `Reading stopped after ${reads.length} of ${totalSlices} slices`,
+            `cancelled=${stats.cancelled} reads=${reads.length}/${totalSlices}`);
+    }
+
+    // Test 5: Cost per row stays constant on large files
+    console.log("\nTest 5: Large row counts");
+    {
+        v8.setFlagsFromString('--expose-gc');
+        const gc = vm.runInNewContext('gc');
+        const csv = (count) => ['id;value', ...Array.from({ length: count }, (_, i) => `${i + 1};${i % 1000}`)].join('\n');
+
+        const timeImport = async (content) => {
+            const engine = new ImportEngine({
+                checkpoint: { enabled: false },
+                chunkSize: 500,
+                sendHandler: async (batch) => ({ success: batch.length, errors: [] })
+            });
+            engine.log = () => {};
+            engine.handleFileSelect(new File([content], 'large.csv'));
+            gc();
+            const heapBefore = process.memoryUsage().heapUsed;
+            const started = performance.now();
+            const stats = await runImport(engine);
+            const duration = performance.now() - started;
+            gc();
+            return { engine, stats, duration, retained: process.memoryUsage().heapUsed - heapBefore };
+        };
+
+        const small = await timeImport(csv(30000));
+        const large = await timeImport(csv(150000));
+        const { metrics } = large.engine;
+
+        check(large.stats.successCount === 150000 && large.duration < 30000 && large.duration / small.duration < 10,
+            `150k rows in ${(large.duration / 1000).toFixed(1)}s, ${(large.duration / small.duration).toFixed(1)}x the time of 30k rows`,
+            `success=${large.stats.successCount} 30k=${small.duration.toFixed(0)}ms 150k=${large.duration.toFixed(0)}ms`);
+        check(large.retained < 16 * 1024 * 1024
+            && Object.values(metrics).every(value => !Array.isArray(value) || value.length <= metrics.totalChunks + 1),
+            `${(large.retained / 1024 / 1024).toFixed(1)}MB retained after the import, no metric kept per row`,
+            `retained=${large.retained} arrays=${Object.entries(metrics).filter(([, value]) => Array.isArray(value)).map(([key, value]) => `${key}:${value.length}`).join(',')}`);
+        check(metrics.totalRowsProcessed === 150000 && metrics.avgRowProcessingTime > 0
+            && metrics.minRowProcessingTime <= metrics.avgRowProcessingTime && metrics.avgRowProcessingTime <= metrics.maxRowProcessingTime,
+            "Row timings kept as count, sum, min and max",
+            `rows=${metrics.totalRowsProcessed} min=${metrics.minRowProcessingTime} avg=${metrics.avgRowProcessingTime} max=${metrics.maxRowProcessingTime}`);
+    }
+
+    // Test 6: An error thrown while a chunk is processed ends the import
+    console.log("\nTest 6: Failing chunk");
+    {
+        const lines = ['id;value'];
+        for (let i = 1; i <= 300; i++) lines.push(`${i};${i}`);
+        const engine = new ImportEngine({
+            checkpoint: { enabled: false },
+            chunkSize: 10,
+            streamChunkSize: 256,
+            filters: { value: (value) => { if (value === '150') throw new Error('Filter failed'); return true; } },
+            sendHandler: async (batch) => ({ success: batch.length, errors: [] })
+        });
+        const logs = [];
+        engine.log = (message, type) => logs.push({ message, type });
+        engine.handleFileSelect(new File([lines.join('\n')], 'failing.csv'));
+
+        const stats = await Promise.race([
+            runImport(engine),
+            new Promise(resolve => setTimeout(() => resolve(null), 3000))
+        ]);
+
+        check(stats && !engine.state.isProcessing && stats.successCount < 300 && stats.successCount === stats.totalCount
+            && logs.some(entry => entry.type === 'error' && entry.message.includes('Filter failed')),
+            "Import finished with the error logged, rows sent before it acknowledged",
+            `stats=${JSON.stringify(stats)} errors=${JSON.stringify(logs.filter(entry => entry.type === 'error'))}`);
+    }
+});
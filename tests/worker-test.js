@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL, fileURLToPath } = require('url');
+
+const { ImportEngine, delay, runSuite, importFile } = require('./harness');
+
+const fileURL = (file) => pathToFileURL(path.resolve(__dirname, file)).href;
+
+// Row logic loaded in the worker through worker.moduleURL
+const moduleSource = `
+self.importSDKWorkerConfig = {
+    fieldMapping: { Name: 'name' },
+    transformers: { value: (value) => parseInt(value, 10) },
+    filters: { value: (value) => value !== '13' },
+    validate: (row) => row.value % 10 === 7
+        ? { isValid: false, error: 'Value ends with 7' }
+        : { isValid: true }
+};
+self.workerThreadMarker = true;
+`;
+const modulePath = path.join(require('os').tmpdir(), `import-sdk-worker-module-${process.pid}.js`);
+fs.writeFileSync(modulePath, moduleSource);
+
+/**
+ * Runs a worker script in its own vm context, with structured-cloned
+ * messages delivered asynchronously like a real Worker
+ */
+class FakeWorker {
+    static instances = [];
+
+    constructor(scriptURL) {
+        FakeWorker.instances.push(this);
+        this.terminated = false;
+        this.onmessage = null;
+        this.onerror = null;
+
+        const context = vm.createContext({
+            console, setTimeout, clearTimeout, queueMicrotask, performance,
+            TextDecoder, AbortController, URL, Blob, File
+        });
+        context.self = context;
+        context.importScripts = (...urls) => {
+            urls.forEach(url => {
+                const file = fileURLToPath(url);
+                vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+            });
+        };
+        context.postMessage = (message) => {
+            const clone = structuredClone(message);
+            setTimeout(() => {
+                if (!this.terminated && this.onmessage) this.onmessage({ data: clone });
+            }, 0);
+        };
+        this.context = context;
+        context.importScripts(scriptURL);
+    }
+
+    postMessage(message) {
+        const { file, ...rest } = message;
+        const clone = { ...structuredClone(rest), ...(file ? { file } : {}) };
+        setTimeout(() => {
+            if (!this.terminated) this.context.onmessage({ data: clone });
+        }, 0);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+global.Worker = FakeWorker;
+
+function buildCsv(rowCount) {
+    const lines = ['Name;value'];
+    for (let i = 1; i <= rowCount; i++) {
+        lines.push(`row${i};${i}`);
+    }
+    return lines.join('\r\n');
+}
+
+function workerConfig(config = {}) {
+    return {
+        chunkSize: 10,
+        streamChunkSize: 256,
+        resultExport: ['errors'],
+        checkpoint: { enabled: false },
+        worker: {
+            enabled: true,
+            scriptURL: fileURL('../frontend/import-sdk-worker.js'),
+            papaparseURL: fileURL('node_modules/papaparse/papaparse.js'),
+            moduleURL: pathToFileURL(modulePath).href
+        },
+        ...config
+    };
+}
+
+function runImport(engine, content, mode = 'import') {
+    engine.log = () => {};
+    return importFile(engine, new File([content], 'rows.csv'), mode);
+}
+
+runSuite('Worker Mode Tests', async (check) => {
+    // Test 1: Rows are processed by the worker and sent by the main thread
+    console.log("Test 1: Import through the worker");
+    {
+        const sent = [];
+        const engine = new ImportEngine(workerConfig({
+            sendHandler: async (batch) => {
+                sent.push(...batch);
+                return { success: batch.length, errors: [] };
+            }
+        }));
+
+        const stats = await runImport(engine, buildCsv(100));
+        const worker = FakeWorker.instances[FakeWorker.instances.length - 1];
+
+        check(worker && worker.context.workerThreadMarker && worker.terminated,
+            "Module script loaded in the worker, worker terminated at the end",
+            `worker=${!!worker} terminated=${worker && worker.terminated}`);
+        check(stats.successCount === 89 && stats.errorCount === 10 && stats.filteredCount === 1,
+            "Counters match filters and validation run in the worker",
+            `success=${stats.successCount} errors=${stats.errorCount} filtered=${stats.filteredCount}`);
+        check(sent.length === 89 && sent[0].name === 'row1' && sent[0].value === 1 && sent[0]._csvLineNumber === 2,
+            "Sent rows are mapped and transformed",
+            `first=${JSON.stringify(sent[0])}`);
+        check(engine.state.errorRows.map(row => row._csvLineNumber).slice(0, 2).join(',') === '8,18',
+            "Error rows keep their CSV line numbers",
+            `errorLines=${engine.state.errorRows.map(row => row._csvLineNumber)}`);
+        check(engine.metrics.totalRowsProcessed === 100 && engine.metrics.validationTime > 0
+            && (engine.metrics.normalizationIssues || []).includes("Auto-detected delimiter: ';'"),
+            "Worker timings and normalization issues merged into metrics",
+            `rows=${engine.metrics.totalRowsProcessed} issues=${JSON.stringify(engine.metrics.normalizationIssues)}`);
+    }
+
+    // Test 2: Check mode and column checks
+    console.log("\nTest 2: Check mode with required columns");
+    {
+        const engine = new ImportEngine(workerConfig({ requiredColumns: ['Name', 'value', 'missing'] }));
+        const stats = await runImport(engine, buildCsv(20), 'check');
+
+        check(stats.successCount === 17 && stats.errorCount === 3,
+            "Missing column and invalid rows counted as errors",
+            `success=${stats.successCount} errors=${stats.errorCount}`);
+    }
+
+    // Test 3: Pause holds the worker, cancel stops it
+    console.log("\nTest 3: Pause and cancel");
+    {
+        const sent = [];
+        const engine = new ImportEngine(workerConfig({
+            streamChunkSize: 64,
+            sendHandler: async (batch) => {
+                await delay(2);
+                sent.push(...batch);
+                return { success: batch.length, errors: [] };
+            }
+        }));
+        const done = runImport(engine, buildCsv(2000));
+
+        await delay(40);
+        engine.pause();
+        await delay(30);
+        const sentWhenPaused = sent.length;
+        await delay(50);
+
+        check(sent.length === sentWhenPaused && sentWhenPaused < 1799,
+            `No rows sent while paused (${sentWhenPaused} sent)`,
+            `sent ${sentWhenPaused} → ${sent.length}`);
+
+        engine.cancel();
+        const stats = await done;
+        const worker = FakeWorker.instances[FakeWorker.instances.length - 1];
+
+        check(stats.cancelled && stats.successCount < 1799 && worker.terminated && !engine.state.isProcessing,
+            "Cancelled import stops and terminates the worker",
+            `cancelled=${stats.cancelled} success=${stats.successCount} terminated=${worker.terminated}`);
+    }
+
+    // Test 4: Duplicate keys found by the worker with its own mapping
+    console.log("\nTest 4: Duplicate keys in the worker");
+    {
+        const engine = new ImportEngine(workerConfig({
+            duplicateKeys: { keys: ['name'], keep: 'last' },
+            sendHandler: async (batch) => ({ success: batch.length, errors: [] })
+        }));
+        const stats = await runImport(engine, `${buildCsv(30)}\r\nrow5;40`);
+        const duplicate = engine.state.errorRows.find(row => row._csvLineNumber === 6);
+
+        check(stats.errorCount === 4 && stats.successCount === 26
+            && duplicate && duplicate._error === 'Duplicate name row5 on lines 6, 32',
+            "Earlier duplicate rejected, last one kept",
+            `success=${stats.successCount} errors=${stats.errorCount} duplicate=${JSON.stringify(duplicate)}`);
+    }
+
+    fs.unlinkSync(modulePath);
+});
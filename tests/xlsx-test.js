@@ -0,0 +1,203 @@
+const { ImportEngine, runSuite, buildZip } = require('./harness');
+
+const sheetXml = (rows) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows}</sheetData></worksheet>`;
+
+// Styles: 0 General, 1 built-in date (14), 2 custom date-time, 3 built-in time (20), 4 custom number with literal text
+const workbookFiles = {
+    '[Content_Types].xml': '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>',
+    'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<workbookPr/><sheets>
+<sheet name="Old" sheetId="3" state="hidden" r:id="rId3"/>
+<sheet name="Summary" sheetId="1" r:id="rId1"/>
+<sheet name="Data &amp; Prices" sheetId="2" r:id="rId2"/>
+</sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="worksheet" Target="/xl/worksheets/sheet2.xml"/>
+<Relationship Id="rId3" Type="worksheet" Target="worksheets/sheet3.xml"/>
+<Relationship Id="rId4" Type="styles" Target="styles.xml"/>
+</Relationships>`,
+    'xl/styles.xml': `<?xml version="1.0"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd hh:mm"/><numFmt numFmtId="165" formatCode="0.00&quot; days&quot;"/></numFmts>
+<cellXfs count="5"><xf numFmtId="0"/><xf numFmtId="14" applyNumberFormat="1"/><xf numFmtId="164"/><xf numFmtId="20"/><xf numFmtId="165"/></cellXfs>
+</styleSheet>`,
+    'xl/sharedStrings.xml': `<?xml version="1.0"?>
+<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" count="9" uniqueCount="9">
+<si><t>Name</t></si><si><t>Qty</t></si><si><t>Price</t></si><si><t>Active</t></si><si><t>Delivered</t></si><si><t>Slot</t></si>
+<si><t>Zoé &amp; Co</t></si>
+<si><r><rPr><b/></rPr><t>Rich</t></r><r><t xml:space="preserve"> text</t></r><rPh><t>ignored</t></rPh></si>
+<si><t>Line_x000D_break</t></si>
+</sst>`,
+    'xl/worksheets/sheet1.xml': sheetXml('<row r="1"><c r="A1" t="inlineStr"><is><t>Totals only</t></is></c></row>'),
+    'xl/worksheets/sheet3.xml': sheetXml('<row r="1"><c r="A1" t="inlineStr"><is><t>Archived</t></is></c></row>'),
+    'xl/worksheets/sheet2.xml': sheetXml(`
+<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c><c r="D1" t="s"><v>3</v></c><c r="E1" t="s"><v>4</v></c><c r="F1" t="s"><v>5</v></c></row>
+<row r="2"><c r="A2" t="s"><v>6</v></c><c r="B2"><v>3</v></c><c r="C2" s="4"><v>9.5</v></c><c r="D2" t="b"><v>1</v></c><c r="E2" s="1"><v>45352</v></c><c r="F2" s="3"><v>0.25</v></c></row>
+<row r="4"><c r="A4" t="inlineStr"><is><t>Beta</t></is></c><c r="B4"><v>7</v></c><c r="C4"><v>0.30000000000000004</v></c><c r="D4" t="b"><v>0</v></c></row>
+<row r="5"><c r="A5" t="s"><v>7</v></c><c r="B5"><v>2</v></c><c r="C5" t="str"><f>B5*2</f><v>4</v></c><c r="E5" s="2"><v>45352.5</v></c></row>
+<row r="6"><c r="A6" s="1"/><c r="B6" s="1"/></row>
+<row r="7"><c r="A7" t="s"><v>8</v></c><c r="C7"><v>1E-3</v></c><c r="D7" t="e"><v>#N/A</v></c></row>
+`)
+};
+
+function runImport(config, file, mode = 'check', beforeStart = async () => {}) {
+    const engine = new ImportEngine({ chunkSize: 2, resultExport: ['errors'], checkpoint: { enabled: false }, ...config });
+    const logs = [];
+    engine.log = (message, type) => logs.push({ message, type });
+    engine.handleFileSelect(file);
+
+    return new Promise(resolve => {
+        engine.on('complete', (stats) => resolve({ engine, stats, logs }));
+        beforeStart(engine).then(() => engine.startImport(mode));
+    });
+}
+
+runSuite('Excel (.xlsx) Input Tests', async (check) => {
+    const content = await buildZip(workbookFiles);
+    const file = new File([content], 'prices.XLSX');
+
+    // Test 1: Sheets are listed, the first visible sheet is selected
+    console.log("Test 1: Sheet list");
+    {
+        const engine = new ImportEngine({ checkpoint: { enabled: false } });
+        engine.log = () => {};
+        let available = null;
+        engine.on('sheetsAvailable', (payload) => available = payload);
+
+        const accepted = engine.handleFileSelect(file);
+        await engine.workbookLookup;
+
+        check(accepted && available && available.sheets.join('|') === 'Old|Summary|Data & Prices'
+            && available.selectedSheet === 'Summary',
+            "sheetsAvailable lists all sheets and selects the first visible one",
+            `accepted=${accepted} available=${JSON.stringify(available)}`);
+        check(engine.selectSheet('Data & Prices') && !engine.selectSheet('Missing')
+            && engine.state.selectedSheet === 'Data & Prices',
+            "selectSheet accepts only existing sheets",
+            `selectedSheet=${engine.state.selectedSheet}`);
+        check(!engine.handleFileSelect(new File(['x'], 'prices.xls')),
+            "Other extensions are still rejected",
+            "prices.xls was accepted");
+    }
+
+    // Test 2: Cells converted to row objects with sheet row numbers
+    console.log("\nTest 2: Cell conversion and line numbers");
+    {
+        const { engine, stats } = await runImport({
+            validate: (row) => row.Qty === '7' ? { isValid: false, error: 'Qty 7 not allowed' } : { isValid: true }
+        }, file, 'check', async (engine) => {
+            await engine.workbookLookup;
+            engine.selectSheet('Data & Prices');
+        });
+
+        const rows = engine.state.successRows;
+        const byName = Object.fromEntries(rows.map(row => [row.Name, row]));
+
+        check(stats.successCount === 3 && stats.errorCount === 1,
+            "Empty rows skipped, all other rows go through validation",
+            `success=${stats.successCount} errors=${stats.errorCount}`);
+        check(rows.map(row => row._csvLineNumber).join(',') === '2,5,7'
+            && engine.state.errorRows[0]._csvLineNumber === 4,
+            "Line numbers are sheet row numbers",
+            `lines=${rows.map(row => row._csvLineNumber)} errorLine=${engine.state.errorRows[0] && engine.state.errorRows[0]._csvLineNumber}`);
+
+        const zoe = byName['Zoé & Co'] || {};
+        check(zoe.Qty === '3' && zoe.Price === '9.5' && zoe.Active === 'true'
+            && zoe.Delivered === '2024-03-01' && zoe.Slot === '06:00:00',
+            "Numbers, booleans, dates and times converted to text",
+            `row=${JSON.stringify(zoe)}`);
+
+        const rich = byName['Rich text'] || {};
+        check(rich.Price === '4' && rich.Delivered === '2024-03-01T12:00:00' && rich.Active === '',
+            "Rich text, formula results, date-times and missing cells",
+            `row=${JSON.stringify(rich)}`);
+
+        const gamma = byName['Line\rbreak'] || {};
+        check(gamma.Price === '0.001' && gamma.Active === '#N/A' && gamma.Qty === '',
+            "Escaped characters, scientific notation and error cells",
+            `row=${JSON.stringify(gamma)}`);
+    }
+
+    // Test 3: Rows go through filters, transforms and batches like CSV rows
+    console.log("\nTest 3: Import pipeline");
+    {
+        const sent = [];
+        const { stats } = await runImport({
+            fieldMapping: { Name: 'name', Qty: 'quantity' },
+            transformers: { quantity: (value) => value === '' ? 0 : parseInt(value, 10) },
+            filters: { Active: (value) => value !== 'false' },
+            requiredColumns: ['Name', 'Qty'],
+            sendHandler: async (batch) => {
+                sent.push(...batch);
+                return { success: batch.length, errors: [] };
+            }
+        }, file, 'import', async (engine) => {
+            await engine.workbookLookup;
+            engine.selectSheet('Data & Prices');
+        });
+
+        check(stats.successCount === 3 && stats.filteredCount === 1 && stats.errorCount === 0,
+            "Filtered and sent rows counted",
+            `success=${stats.successCount} filtered=${stats.filteredCount} errors=${stats.errorCount}`);
+        check(sent.map(row => `${row.name}:${row.quantity}`).join(',') === 'Zoé & Co:3,Rich text:2,Line\rbreak:0',
+            "Field mapping and transformers applied to sheet rows",
+            `sent=${JSON.stringify(sent.map(row => [row.name, row.quantity]))}`);
+
+        // A throwing filter ends the import instead of leaving it running
+        const failing = await runImport({
+            filters: { Active: () => { throw new Error('Filter failed'); } },
+            sendHandler: async (batch) => ({ success: batch.length, errors: [] })
+        }, file, 'import', async (engine) => {
+            await engine.workbookLookup;
+            engine.selectSheet('Data & Prices');
+        });
+        check(!failing.engine.state.isProcessing
+            && failing.logs.some(entry => entry.type === 'error' && entry.message.includes('Filter failed')),
+            "Error thrown while processing sheet rows logged, import finished",
+            `logs=${JSON.stringify(failing.logs.filter(entry => entry.type === 'error'))}`);
+    }
+
+    // Test 4: Unreadable workbook
+    console.log("\nTest 4: Invalid workbook");
+    {
+        const { stats, logs } = await runImport({}, new File(['not a zip'], 'broken.xlsx'));
+        const errors = logs.filter(entry => entry.type === 'error').map(entry => entry.message);
+
+        check(stats.totalCount === 0 && errors.some(message => message.includes('Not a valid .xlsx file')),
+            "Workbook error logged, import finishes without rows",
+            `total=${stats.totalCount} errors=${JSON.stringify(errors)}`);
+    }
+
+    // Test 5: Column mapping and preview follow the selected sheet
+    console.log("\nTest 5: Headers and preview per sheet");
+    {
+        const engine = new ImportEngine({
+            checkpoint: { enabled: false },
+            columnMapping: { enabled: true, targets: ['Name', 'QTY'] },
+            preview: { enabled: true }
+        });
+        engine.log = () => {};
+        const detected = [];
+        engine.on('columnsDetected', ({ headers, mapping }) => detected.push({ headers, mapping }));
+        const firstPreview = new Promise(resolve => engine.on('previewUpdated', resolve));
+
+        engine.handleFileSelect(file);
+        await firstPreview;
+        const dataPreview = new Promise(resolve => engine.on('previewUpdated', resolve));
+        engine.selectSheet('Data & Prices');
+        const preview = await dataPreview;
+
+        check(detected.length === 2 && detected[0].headers.join('|') === 'Totals only'
+            && detected[1].headers.join('|') === 'Name|Qty|Price|Active|Delivered|Slot'
+            && detected[1].mapping.Qty === 'QTY',
+            "Headers read from the first visible sheet, then from the selected one",
+            `detected=${JSON.stringify(detected)}`);
+        check(preview.rows.map(row => row.line).join(',') === '2,4,5,7' && preview.rows[0].values.QTY === '3',
+            "Preview rows numbered by sheet row, with the column mapping applied",
+            `preview=${JSON.stringify(preview.rows.map(row => [row.line, row.values]))}`);
+    }
+});